@@ -18,10 +18,33 @@
  *   - All others   → default franking: 0.0 (unfranked)
  *   - User can override per-ticker later via the PWA
  * 
+ * USER REGISTRY:
+ *   Users opt in from the app (Settings → Background Sync), which writes
+ *   artifacts/asx-watchlist-app/pipeline_registry/{UID}:
+ *     { enabled: { dividends, marketIndex }, marketIndexAddress, email, updatedAt }
+ *   Each run reads that collection and syncs the tickers of every user with
+ *   enabled.dividends = true, then writes status.dividends back to each
+ *   user's registry document for the app to show. FALLBACK_USER_IDS are only
+ *   used while the registry is empty or unreadable.
+ *
  * SETUP:
  *   1. Paste this entire file into a new GAS file named "dividend_sync.gs"
  *   2. Run setupDividendSyncTrigger() ONCE to activate the 30-minute cycle
  *   3. Run manualDividendSync() to test immediately
+ *   4. Firestore rules: let a signed-in user write only their own registry doc
+ *      (match /artifacts/{app}/pipeline_registry/{uid} { allow read, write: if request.auth.uid == uid; })
+ *      and only their own resync request doc
+ *      (match /artifacts/{app}/dividend_sync_queue/{uid} { allow read, write: if request.auth.uid == uid; })
+ *
+ * RESYNC REQUESTS:
+ *   The app's Dividend Sync Status view writes one document per user:
+ *   artifacts/asx-watchlist-app/dividend_sync_queue/{UID} = { tickers: { TICKER: requestedAt }, updatedAt }.
+ *   Requested tickers in that user's own opted-in portfolio jump the queue
+ *   (even if recently synced); every request for a ticker is cleared once it
+ *   is attempted. Requests for tickers outside the requester's opted-in
+ *   portfolio are cleared unattempted. A failed fetch is recorded on the
+ *   ticker's metadata document (lastAttempt, lastError) without touching its
+ *   history.
  * 
  * DEPENDENCIES: None (self-contained; does NOT import from other GAS files)
  * ============================================================================
@@ -47,11 +70,19 @@ const DIV_CONFIG = {
   /** Firebase project configuration */
   FIREBASE: {
     PROJECT_ID: 'asx-watchlist-app',
-    USER_ID: [
+    BASE_URL: 'https://firestore.googleapis.com/v1',
+
+    /** Collection of opted-in users (one document per UID), managed from the app */
+    REGISTRY_COLLECTION: 'pipeline_registry',
+
+    /** Collection of resync requests (one document per user), written by the app */
+    QUEUE_COLLECTION: 'dividend_sync_queue',
+
+    /** Used only while the registry is empty or cannot be read */
+    FALLBACK_USER_IDS: [
       'sh3zcZGXSceviejDNJQsjRJjVgJ3', // Your UID
       'KOiWqYmLdZgcJ5WHtwXvVgoU0L92'  // Friend's UID
-    ],
-    BASE_URL: 'https://firestore.googleapis.com/v1'
+    ]
   }
 };
 
@@ -63,11 +94,13 @@ const DIV_CONFIG = {
  * 🟢 MAIN JOB: Called every 30 minutes by Time-Driven Trigger.
  * 
  * Flow:
- *   1. Read all unique tickers from the user's portfolio (Firestore)
- *   2. Filter to those needing a sync (lastSync > 7 days or missing)
- *   3. Take top N tickers from the queue
- *   4. For each: fetch dividends from Yahoo V8, write to Firestore
- *   5. Throttle between requests to avoid Yahoo rate-limiting
+ *   1. Read the opted-in users from the registry
+ *   2. Read all unique tickers from their portfolios (Firestore)
+ *   3. Filter to those needing a sync (requested first, then lastSync > 7 days or missing)
+ *   4. Take top N tickers from the queue
+ *   5. For each: fetch dividends from Yahoo V8, write to Firestore
+ *   6. Throttle between requests to avoid Yahoo rate-limiting
+ *   7. Write each user's sync status back to their registry document
  */
 function processDividendQueue() {
   if (!DIV_CONFIG.ENABLED) {
@@ -78,28 +111,49 @@ function processDividendQueue() {
   console.log('[DivSync] ========================================');
   console.log('[DivSync] Starting dividend sync batch...');
 
-  // 1. Get all unique portfolio tickers from Firestore
-  const allTickers = getPortfolioTickers_();
+  // 1. Opted-in users
+  const { userIds, registered } = getDividendSyncUsers_();
+  if (userIds.length === 0) {
+    console.log('[DivSync] No users have dividend sync enabled. Nothing to sync.');
+    return;
+  }
+
+  // 2. Get all unique portfolio tickers from Firestore
+  const tickersByUser = getPortfolioTickers_(userIds);
+  const allTickers = [...new Set(Object.values(tickersByUser).flat())].sort();
   if (allTickers.length === 0) {
     console.log('[DivSync] No tickers found in portfolio. Nothing to sync.');
+    if (registered) writeDividendStatusForUsers_(tickersByUser, [], [], []);
     return;
   }
-  console.log(`[DivSync] Portfolio contains ${allTickers.length} unique tickers.`);
-
-  // 2. Filter to tickers needing sync (lastSync > 7 days or document missing)
-  const needsSync = filterTickersNeedingSync_(allTickers);
+  console.log(`[DivSync] ${userIds.length} user(s), ${allTickers.length} unique tickers.`);
+
+  // 3. Filter to tickers needing sync (requested, lastSync > 7 days or document missing)
+  const requests = getResyncRequests_();
+  const inPortfolio = (r) => (tickersByUser[r.uid] || []).includes(r.ticker);
+  // A request outside the requester's opted-in portfolio would otherwise stay queued forever
+  requests.filter(r => !inPortfolio(r)).forEach(r => {
+    console.log(`[DivSync] Skipping resync of ${r.ticker}: not in an opted-in portfolio of the requester.`);
+    deleteResyncRequest_(r.uid, r.ticker);
+  });
+  const accepted = requests.filter(inPortfolio);
+  const requested = [...new Set(accepted.map(r => r.ticker))];
+  const needsSync = filterTickersNeedingSync_(allTickers, requested);
   if (needsSync.length === 0) {
     console.log('[DivSync] All tickers are up-to-date. Nothing to sync.');
+    if (registered) writeDividendStatusForUsers_(tickersByUser, [], [], []);
     return;
   }
 
-  // 3. Take batch (max BATCH_SIZE per run)
+  // 4. Take batch (max BATCH_SIZE per run)
   const batch = needsSync.slice(0, DIV_CONFIG.BATCH_SIZE);
   console.log(`[DivSync] Processing ${batch.length} of ${needsSync.length} needing sync.`);
 
-  // 4. Process each ticker
+  // 5. Process each ticker
   let successCount = 0;
   let failCount = 0;
+  const synced = [];
+  const failed = [];
 
   batch.forEach((ticker, idx) => {
     try {
@@ -109,24 +163,34 @@ function processDividendQueue() {
       if (dividends && dividends.length > 0) {
         writeDividendsToFirestore_(ticker, dividends);
         console.log(`[DivSync] ✅ ${ticker}: ${dividends.length} dividend records written.`);
+        synced.push(ticker);
         successCount++;
       } else {
         // Write empty record so we don't re-fetch non-dividend stocks every cycle
         writeDividendsToFirestore_(ticker, []);
         console.log(`[DivSync] ⚠️ ${ticker}: No dividend data from Yahoo (non-payer or delisted).`);
+        synced.push(ticker);
         successCount++;
       }
     } catch (e) {
       console.error(`[DivSync] ❌ ${ticker}: FAILED — ${e.message}`);
+      writeDividendFailure_(ticker, e.message);
+      failed.push(ticker);
       failCount++;
     }
 
-    // 5. Throttle between requests (skip after last item)
+    // A request is a one-shot: attempted means done (failures show on the ticker)
+    accepted.filter(r => r.ticker === ticker).forEach(r => deleteResyncRequest_(r.uid, ticker));
+
+    // 6. Throttle between requests (skip after last item)
     if (idx < batch.length - 1) {
       Utilities.sleep(DIV_CONFIG.THROTTLE_MS);
     }
   });
 
+  // 7. Per-user status for the app
+  if (registered) writeDividendStatusForUsers_(tickersByUser, needsSync, synced, failed);
+
   console.log(`[DivSync] Batch complete. Success: ${successCount}, Failed: ${failCount}`);
   console.log('[DivSync] ========================================');
 }
@@ -194,18 +258,67 @@ function fetchYahooDividends_(ticker) {
 // ============================================================================
 
 /**
- * Reads all unique ticker codes from the user's shares collection.
+ * Reads the user registry (every page) and returns the UIDs with dividend sync enabled.
+ * Falls back to FALLBACK_USER_IDS when the registry is empty or unreadable,
+ * so an existing deployment keeps working until users register in the app.
+ *
+ * @returns {{userIds: string[], registered: boolean}} registered = false for fallback users,
+ *   who get no status writes (that would create a registry entry without flags)
+ */
+function getDividendSyncUsers_() {
+  const cfg = DIV_CONFIG.FIREBASE;
+  const baseUrl = `${cfg.BASE_URL}/projects/${cfg.PROJECT_ID}/databases/(default)/documents/artifacts/${cfg.PROJECT_ID}/${cfg.REGISTRY_COLLECTION}?pageSize=300`;
+
+  try {
+    const docs = [];
+    let pageToken = '';
+
+    do {
+      const url = pageToken ? `${baseUrl}&pageToken=${encodeURIComponent(pageToken)}` : baseUrl;
+      const resp = UrlFetchApp.fetch(url, {
+        headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+        muteHttpExceptions: true
+      });
+
+      if (resp.getResponseCode() !== 200) {
+        console.error(`[DivSync] Registry read failed: HTTP ${resp.getResponseCode()}. Using fallback users.`);
+        return { userIds: cfg.FALLBACK_USER_IDS, registered: false };
+      }
+
+      const page = JSON.parse(resp.getContentText());
+      docs.push(...(page.documents || []));
+      pageToken = page.nextPageToken || '';
+    } while (pageToken);
+
+    if (docs.length === 0) {
+      console.log('[DivSync] Registry is empty. Using fallback users.');
+      return { userIds: cfg.FALLBACK_USER_IDS, registered: false };
+    }
+
+    const userIds = docs
+      .filter(d => d.fields?.enabled?.mapValue?.fields?.dividends?.booleanValue === true)
+      .map(d => d.name.split('/').pop());
+    return { userIds, registered: true };
+  } catch (e) {
+    console.error('[DivSync] Registry read exception. Using fallback users:', e);
+    return { userIds: cfg.FALLBACK_USER_IDS, registered: false };
+  }
+}
+
+/**
+ * Reads all unique ticker codes from each user's shares collection.
  * Scans both 'code' and 'shareName' fields for robustness.
  * 
- * @returns {string[]} Array of unique uppercase ticker codes
+ * @param {string[]} userIds
+ * @returns {Object<string, string[]>} UID -> unique uppercase ticker codes
  */
-function getPortfolioTickers_() {
+function getPortfolioTickers_(userIds) {
   const cfg = DIV_CONFIG.FIREBASE;
-  const userIds = Array.isArray(cfg.USER_ID) ? cfg.USER_ID : [cfg.USER_ID];
   const token = ScriptApp.getOAuthToken();
-  const tickers = new Set();
+  const byUser = {};
 
   for (const userId of userIds) {
+    const tickers = new Set();
     const url = `${cfg.BASE_URL}/projects/${cfg.PROJECT_ID}/databases/(default)/documents/artifacts/${cfg.PROJECT_ID}/users/${userId}/shares?pageSize=200`;
     try {
       const resp = UrlFetchApp.fetch(url, {
@@ -229,21 +342,24 @@ function getPortfolioTickers_() {
     } catch (e) {
       console.error(`[DivSync] Exception reading portfolio for user ${userId}:`, e);
     }
+    byUser[userId] = [...tickers].sort(); // Alphabetical for predictable logging
   }
 
-  return [...tickers].sort(); // Alphabetical for predictable logging
+  return byUser;
 }
 
 /**
  * Filters tickers that need a dividend sync.
  * A ticker needs sync if:
+ *   - A user requested a resync from the app (always first, oldest request first)
  *   - Its metadata_dividends document doesn't exist (HTTP 404)
  *   - Its lastSync timestamp is older than SYNC_INTERVAL_DAYS
  * 
  * @param {string[]} tickers - All portfolio tickers
+ * @param {string[]} [requested] - Tickers with a pending resync request
  * @returns {string[]} Tickers needing sync
  */
-function filterTickersNeedingSync_(tickers) {
+function filterTickersNeedingSync_(tickers, requested = []) {
   const cfg = DIV_CONFIG.FIREBASE;
   const token = ScriptApp.getOAuthToken();
   const cutoffMs = Date.now() - (DIV_CONFIG.SYNC_INTERVAL_DAYS * 24 * 60 * 60 * 1000);
@@ -251,6 +367,9 @@ function filterTickersNeedingSync_(tickers) {
 
   if (!tickers || tickers.length === 0) return needsSync;
 
+  // Requests jump the queue regardless of lastSync
+  const withPriority = (due) => [...requested, ...due.filter(t => !requested.includes(t))];
+
   const url = `${cfg.BASE_URL}/projects/${cfg.PROJECT_ID}/databases/(default)/documents:batchGet`;
   
   // Format document paths for the batchGet request
@@ -273,7 +392,7 @@ function filterTickersNeedingSync_(tickers) {
 
     if (resp.getResponseCode() !== 200) {
       console.error('[DivSync] BatchGet failed HTTP', resp.getResponseCode());
-      return tickers; // Fallback: Assume all need sync on API failure
+      return withPriority(tickers); // Fallback: Assume all need sync on API failure
     }
 
     const results = JSON.parse(resp.getContentText());
@@ -299,11 +418,120 @@ function filterTickersNeedingSync_(tickers) {
     
   } catch (e) {
      console.error('[DivSync] BatchGet exception:', e);
-     return tickers; // Fallback
+     return withPriority(tickers); // Fallback
   }
 
   // Preserve original sorting format
-  return tickers.filter(t => needsSync.includes(t));
+  return withPriority(tickers.filter(t => needsSync.includes(t)));
+}
+
+/**
+ * Reads pending resync requests written by the app (every page).
+ * 
+ * @returns {Array<{uid: string, ticker: string, requestedAt: string}>} Oldest request first
+ */
+function getResyncRequests_() {
+  const cfg = DIV_CONFIG.FIREBASE;
+  const baseUrl = `${cfg.BASE_URL}/projects/${cfg.PROJECT_ID}/databases/(default)/documents/artifacts/${cfg.PROJECT_ID}/${cfg.QUEUE_COLLECTION}?pageSize=300`;
+
+  try {
+    const docs = [];
+    let pageToken = '';
+
+    do {
+      const url = pageToken ? `${baseUrl}&pageToken=${encodeURIComponent(pageToken)}` : baseUrl;
+      const resp = UrlFetchApp.fetch(url, {
+        headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+        muteHttpExceptions: true
+      });
+
+      if (resp.getResponseCode() !== 200) {
+        console.error(`[DivSync] Resync queue read failed: HTTP ${resp.getResponseCode()}`);
+        return [];
+      }
+
+      const page = JSON.parse(resp.getContentText());
+      docs.push(...(page.documents || []));
+      pageToken = page.nextPageToken || '';
+    } while (pageToken);
+
+    const requests = [];
+    docs.forEach(d => {
+      const uid = d.name.split('/').pop();
+      const tickers = d.fields?.tickers?.mapValue?.fields || {};
+      Object.keys(tickers).forEach(key => {
+        requests.push({
+          uid,
+          ticker: key.toUpperCase(),
+          requestedAt: tickers[key].timestampValue || d.updateTime || ''
+        });
+      });
+    });
+    requests.sort((a, b) => a.requestedAt.localeCompare(b.requestedAt));
+
+    if (requests.length > 0) console.log(`[DivSync] Resync requested: ${requests.map(r => r.ticker).join(', ')}`);
+    return requests;
+  } catch (e) {
+    console.error('[DivSync] Resync queue read exception:', e);
+    return [];
+  }
+}
+
+/**
+ * Removes one ticker from a user's resync request document (only that field).
+ * 
+ * @param {string} uid - Requester
+ * @param {string} ticker
+ */
+function deleteResyncRequest_(uid, ticker) {
+  const cfg = DIV_CONFIG.FIREBASE;
+  // Backticks quote codes that are not plain identifiers (e.g. 4DX); masked fields absent from the body are deleted
+  const fieldPath = encodeURIComponent(`tickers.\`${ticker}\``);
+  const url = `${cfg.BASE_URL}/projects/${cfg.PROJECT_ID}/databases/(default)/documents/artifacts/${cfg.PROJECT_ID}/${cfg.QUEUE_COLLECTION}/${uid}?updateMask.fieldPaths=${fieldPath}&currentDocument.exists=true`;
+
+  try {
+    UrlFetchApp.fetch(url, {
+      method: 'patch',
+      contentType: 'application/json',
+      payload: JSON.stringify({ fields: {} }),
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true
+    });
+  } catch (e) {
+    console.error(`[DivSync] Could not clear resync request for ${ticker}:`, e); // Retried next run
+  }
+}
+
+/**
+ * Records a failed fetch on the ticker's metadata document.
+ * Only lastAttempt/lastError are written, so any existing history and
+ * lastSync survive; the next successful write clears lastError.
+ * 
+ * @param {string} ticker
+ * @param {string} message
+ */
+function writeDividendFailure_(ticker, message) {
+  const cfg = DIV_CONFIG.FIREBASE;
+  const docPath = `artifacts/${cfg.PROJECT_ID}/metadata_dividends/${ticker}`;
+  const url = `${cfg.BASE_URL}/projects/${cfg.PROJECT_ID}/databases/(default)/documents/${docPath}?updateMask.fieldPaths=lastAttempt&updateMask.fieldPaths=lastError`;
+  const payload = {
+    fields: {
+      lastAttempt: { stringValue: new Date().toISOString() },
+      lastError: { stringValue: String(message || 'Unknown error').substring(0, 200) }
+    }
+  };
+
+  try {
+    UrlFetchApp.fetch(url, {
+      method: 'patch',
+      contentType: 'application/json',
+      payload: JSON.stringify(payload),
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true
+    });
+  } catch (e) {
+    console.error(`[DivSync] Could not record failure for ${ticker}:`, e); // Non-critical
+  }
 }
 
 /**
@@ -361,6 +589,66 @@ function writeDividendsToFirestore_(ticker, history) {
   }
 }
 
+/**
+ * Writes status.dividends to each user's registry document (only that field,
+ * so the user's own settings are never overwritten).
+ *
+ * @param {Object<string, string[]>} tickersByUser
+ * @param {string[]} needsSync - Tickers that were due before this run
+ * @param {string[]} synced - Tickers written this run
+ * @param {string[]} failed - Tickers that failed this run
+ */
+function writeDividendStatusForUsers_(tickersByUser, needsSync, synced, failed) {
+  const cfg = DIV_CONFIG.FIREBASE;
+  const token = ScriptApp.getOAuthToken();
+  const now = new Date().toISOString();
+
+  Object.keys(tickersByUser).forEach(userId => {
+    const tickers = tickersByUser[userId];
+    const pending = tickers.filter(t => needsSync.includes(t) && !synced.includes(t));
+    const userFailed = tickers.filter(t => failed.includes(t));
+
+    const docPath = `artifacts/${cfg.PROJECT_ID}/${cfg.REGISTRY_COLLECTION}/${userId}`;
+    const url = `${cfg.BASE_URL}/projects/${cfg.PROJECT_ID}/databases/(default)/documents/${docPath}?updateMask.fieldPaths=status.dividends`;
+    const payload = {
+      fields: {
+        status: {
+          mapValue: {
+            fields: {
+              dividends: {
+                mapValue: {
+                  fields: {
+                    lastRun: { stringValue: now },
+                    ok: { booleanValue: userFailed.length === 0 },
+                    tickers: { integerValue: tickers.length.toString() },
+                    pending: { integerValue: pending.length.toString() },
+                    failed: { arrayValue: { values: userFailed.map(t => ({ stringValue: t })) } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    };
+
+    try {
+      const resp = UrlFetchApp.fetch(url, {
+        method: 'patch',
+        contentType: 'application/json',
+        payload: JSON.stringify(payload),
+        headers: { Authorization: `Bearer ${token}` },
+        muteHttpExceptions: true
+      });
+      if (resp.getResponseCode() !== 200) {
+        console.error(`[DivSync] Status write failed for user ${userId}: HTTP ${resp.getResponseCode()}`);
+      }
+    } catch (e) {
+      console.error(`[DivSync] Status write exception for user ${userId}:`, e); // Non-critical
+    }
+  });
+}
+
 // ============================================================================
 // 4. SETUP & TESTING
 // ============================================================================
@@ -408,7 +696,7 @@ function setupDividendSyncTrigger() {
  * 
  * Expected output:
  *   [DivSync] Starting dividend sync batch...
- *   [DivSync] Portfolio contains 23 unique tickers.
+ *   [DivSync] 2 user(s), 23 unique tickers.
  *   [DivSync] Processing 5 of 23 needing sync.
  *   [DivSync] (1/5) Fetching: BHP
  *   [DivSync] ✅ BHP: 47 dividend records written.
@@ -17,6 +17,21 @@
  *  Idempotent: Re-running on the same inbox is safe (unread guard).
  *  Testable: TRASH_AFTER_SUCCESS = false keeps emails in inbox.
  *
+ *  USER REGISTRY 
+ * Users opt in from the app (Settings  Background Sync), which writes
+ * artifacts/asx-watchlist-app/pipeline_registry/{UID} with
+ * enabled.marketIndex and an optional marketIndexAddress (the address their
+ * Market Index emails arrive at, e.g. a +alias of this inbox). That address
+ * is only a request: the client writes it and nothing verifies it, so mail
+ * is routed by MI_CONFIG.ASSIGNED_ADDRESSES, which the inbox owner fills in
+ * after checking each request. Each message goes to the users whose
+ * assigned address exactly matches one in To/Cc/Delivered-To; an address
+ * assigned to more than one user is rejected and routes to nobody. Messages
+ * matching no address go to FALLBACK_USER_ID (the inbox owner) only. Each
+ * run writes status.marketIndex back to every enabled user's registry
+ * document. FALLBACK_USER_ID stays a recipient unless it has its own
+ * registry document with Market Index turned off.
+ *
  *  SETUP 
  * 1. Paste this file into Google Apps Script.
  * 2. Run `setupTrigger()` once.
@@ -52,11 +67,21 @@ const MI_CONFIG = {
   BATCH_SIZE: 10,
 
   /** 
-   * USER IDENTIFIER
-   * Set this to your unique User ID from the app's Profile/Settings page.
-   * This ensures your emails are only visible to you.
+   * FALLBACK USER IDENTIFIER
+   * The inbox owner. Receives every email while the registry (REGISTRY_PATH)
+   * is empty or cannot be read, and afterwards the emails addressed to no
+   * registered user. Other users opt in from the app's settings.
+   */
+  FALLBACK_USER_ID: 'sh3zcZGXSceviejDNJQsjRJjVgJ3', 
+
+  /**
+   * ADDRESS ASSIGNMENTS (owner-managed)
+   * UID -> the address that user's Market Index mail arrives at. Only these
+   * addresses route mail; the marketIndexAddress a user saves in the app is
+   * a request the owner copies here once they have confirmed it.
+   * e.g. 'abc123UID': 'owner+jo@gmail.com'
    */
-  USER_ID: 'sh3zcZGXSceviejDNJQsjRJjVgJ3', 
+  ASSIGNED_ADDRESSES: {},
 
   /** Firestore REST API configuration. */
   FIREBASE: {
@@ -64,15 +89,20 @@ const MI_CONFIG = {
     BASE_URL: 'https://firestore.googleapis.com/v1',
   },
 
-  /** 
-   * Firestore collection path.
-   * v1161: Transitioned to private user-scoped path.
-   */
-  get STREAM_PATH() {
-    return `artifacts/asx-watchlist-app/users/${this.USER_ID}/market_alerts`;
-  }
+  /** Collection of opted-in users (one document per UID), managed from the app. */
+  REGISTRY_PATH: 'artifacts/asx-watchlist-app/pipeline_registry',
 };
 
+/**
+ * Firestore collection path for a user's stream.
+ * v1161: Transitioned to private user-scoped path.
+ * @param {string} userId
+ * @returns {string}
+ */
+function streamPathFor_(userId) {
+  return `artifacts/asx-watchlist-app/users/${userId}/market_alerts`;
+}
+
 // =============================================================================
 // LINK EXTRACTION  BLOCKLIST & PRIORITY KEYWORDS
 // =============================================================================
@@ -136,6 +166,17 @@ const ALERT_INDICATORS = {
   KEYWORDS: /DIVIDEND|ANNOUNCEMENT|SENSITIVE ANN|HALT|TRADING HALT|SUBSTANTIAL|BUYBACK|TAKEOVER|ACQUISITION|CAPITAL RAISE|PLACEMENT|EARNINGS|PROFIT|RESULTS|GUIDANCE|APPENDIX|QUARTERLY ACTIVIT/i,
 };
 
+/**
+ * Announcement categories, checked in priority order (a halt pending a raise
+ * is a halt). The app reads the tag as `category` on each alert; the values
+ * and keywords mirror ANNOUNCEMENT_CATEGORIES / MarketIndexService.
+ */
+const ALERT_CATEGORIES = [
+  { category: 'halt', pattern: /TRADING HALT|VOLUNTARY SUSPENSION|SUSPENSION FROM (?:OFFICIAL )?QUOTATION|\bHALT\b/i },
+  { category: 'capitalRaise', pattern: /CAPITAL RAIS|PLACEMENT|ENTITLEMENT OFFER|RIGHTS ISSUE|SHARE PURCHASE PLAN|\bSPP\b/i },
+  { category: 'priceSensitive', pattern: /PRICE[\s-]?SENSITIVE|MARKET SENSITIVE|SENSITIVE ANN/i },
+];
+
 /**
  * Subject-line patterns for Market Reports.
  * These are the broader, non-ticker-specific daily summaries.
@@ -156,7 +197,13 @@ function processMarketIndexEmails() {
     return;
   }
 
-  Logger.log('[Pipeline]  Scouting for unread Market Index emails...');
+  const users = getMarketIndexUsers_();
+  if (users.length === 0) {
+    Logger.log('[Pipeline]   No users have Market Index enabled. Skipping.');
+    return;
+  }
+
+  Logger.log(`[Pipeline]  Scouting for unread Market Index emails (${users.length} user(s))...`);
 
   try {
     //  SCOUT 
@@ -164,16 +211,17 @@ function processMarketIndexEmails() {
 
     if (threads.length === 0) {
       Logger.log('[Pipeline]  No unread emails found. Done.');
+      users.filter(u => u.registered).forEach(u => writeMarketIndexStatus_(u.uid, { ok: true, alerts: 0, reports: 0, message: 'No new emails' }));
       return;
     }
 
     Logger.log(`[Pipeline]  Found ${threads.length} thread(s). Processing...`);
 
-    // Accumulators for the two Firestore buckets
-    const alertItems = [];
-    const reportItems = [];
+    // Per-user accumulators for the two Firestore buckets
+    const buckets = {};
+    users.forEach(user => { buckets[user.uid] = { alerts: [], reports: [] }; });
 
-    // Track which threads had at least one successful extraction
+    // Threads with at least one extraction, and the users their data went to
     const succeededThreads = [];
 
     //  PROCESS EACH THREAD 
@@ -181,6 +229,7 @@ function processMarketIndexEmails() {
       const thread = threads[t];
       const messages = thread.getMessages();
       let threadYieldedData = false;
+      const threadTargets = new Set();
 
       Logger.log(`[Pipeline]  Thread ${t + 1}/${threads.length} (${messages.length} msg) `);
 
@@ -205,19 +254,26 @@ function processMarketIndexEmails() {
           continue;
         }
 
+        //  ROUTE 
+        const targets = routeMessage_(msg, users);
+        if (targets.length === 0) {
+          Logger.log('[Pipeline]     No registered recipient. Skipping message.');
+          continue;
+        }
+
         //  EXTRACT 
         if (classification === 'COMPANY_ALERT') {
           const data = extractAlert_(subject, bodyHtml, date);
           if (data) {
-            alertItems.push(data);
+            targets.forEach(uid => { buckets[uid].alerts.push(data); threadTargets.add(uid); });
             threadYieldedData = true;
-            Logger.log(`[Pipeline]    Alert: [${data.code}] ${data.headline}`);
+            Logger.log(`[Pipeline]    Alert: [${data.code}] ${data.headline}${data.category ? ` (${data.category})` : ''}`);
             Logger.log(`[Pipeline]      Link: ${data.link}`);
           }
         } else if (classification === 'MARKET_REPORT') {
           const data = extractReport_(subject, bodyHtml, date);
           if (data) {
-            reportItems.push(data);
+            targets.forEach(uid => { buckets[uid].reports.push(data); threadTargets.add(uid); });
             threadYieldedData = true;
             Logger.log(`[Pipeline]    Report: ${data.title}`);
             Logger.log(`[Pipeline]      Link: ${data.link}`);
@@ -226,36 +282,52 @@ function processMarketIndexEmails() {
       }
 
       if (threadYieldedData) {
-        succeededThreads.push(thread);
+        succeededThreads.push({ thread, targets: threadTargets });
       }
     }
 
     //  INJECT 
-    let alertsWritten = false;
-    let reportsWritten = false;
-
-    if (alertItems.length > 0) {
-      alertsWritten = writeToStream_('COMPANY_ALERTS', alertItems, mapAlertFields_);
-      Logger.log(alertsWritten
-        ? `[Pipeline]  Wrote ${alertItems.length} alert(s) to Firestore.`
-        : `[Pipeline]  FAILED to write alerts. Emails will NOT be touched.`
-      );
-    }
+    const writeOk = {};
+    let extractedAny = false;
+
+    users.forEach(user => {
+      const { alerts, reports } = buckets[user.uid];
+      let ok = true;
+
+      if (alerts.length > 0) {
+        const written = writeToStream_(user.uid, 'COMPANY_ALERTS', alerts, mapAlertFields_);
+        ok = ok && written;
+        Logger.log(written
+          ? `[Pipeline]  ${user.uid}: wrote ${alerts.length} alert(s) to Firestore.`
+          : `[Pipeline]  ${user.uid}: FAILED to write alerts. Their emails will NOT be touched.`
+        );
+      }
 
-    if (reportItems.length > 0) {
-      reportsWritten = writeToStream_('MARKET_REPORT', reportItems, mapReportFields_);
-      Logger.log(reportsWritten
-        ? `[Pipeline]  Wrote ${reportItems.length} report(s) to Firestore.`
-        : `[Pipeline]  FAILED to write reports. Emails will NOT be touched.`
-      );
-    }
+      if (reports.length > 0) {
+        const written = writeToStream_(user.uid, 'MARKET_REPORT', reports, mapReportFields_);
+        ok = ok && written;
+        Logger.log(written
+          ? `[Pipeline]  ${user.uid}: wrote ${reports.length} report(s) to Firestore.`
+          : `[Pipeline]  ${user.uid}: FAILED to write reports. Their emails will NOT be touched.`
+        );
+      }
+
+      if (alerts.length > 0 || reports.length > 0) extractedAny = true;
+      writeOk[user.uid] = ok;
+      if (user.registered) writeMarketIndexStatus_(user.uid, {
+        ok,
+        alerts: alerts.length,
+        reports: reports.length,
+        message: ok ? '' : 'Firestore write failed; emails kept for retry'
+      });
+    });
 
     //  CLEAN 
-    // Only mark/trash threads whose data was successfully written.
-    const writeSucceeded = alertsWritten || reportsWritten;
+    // Only mark/trash threads whose data was written for every recipient.
+    const cleaned = succeededThreads.filter(({ targets }) => [...targets].every(uid => writeOk[uid]));
 
-    if (succeededThreads.length > 0 && writeSucceeded) {
-      succeededThreads.forEach(thread => {
+    if (cleaned.length > 0) {
+      cleaned.forEach(({ thread }) => {
         thread.markRead();
 
         if (MI_CONFIG.TRASH_AFTER_SUCCESS) {
@@ -264,11 +336,11 @@ function processMarketIndexEmails() {
       });
 
       const action = MI_CONFIG.TRASH_AFTER_SUCCESS ? 'marked read + trashed' : 'marked read (testing mode)';
-      Logger.log(`[Pipeline]  ${succeededThreads.length} thread(s) ${action}.`);
+      Logger.log(`[Pipeline]  ${cleaned.length} thread(s) ${action}.`);
     }
 
     // Nothing extracted at all
-    if (alertItems.length === 0 && reportItems.length === 0) {
+    if (!extractedAny) {
       Logger.log('[Pipeline]  No actionable data extracted from any message.');
     }
 
@@ -284,6 +356,159 @@ function processMarketIndexEmails() {
 // 2. CLASSIFICATION
 // =============================================================================
 
+/**
+ * Reads the user registry (every page) and returns the users with Market
+ * Index enabled. FALLBACK_USER_ID is added unless it has its own registry
+ * document, and is the only user when the registry is empty or unreadable.
+ * Addresses come from MI_CONFIG.ASSIGNED_ADDRESSES, never from the registry.
+ *
+ * @returns {Array<{uid: string, address: string, registered: boolean}>} address is lowercase ('' = unrouted)
+ */
+function getMarketIndexUsers_() {
+  // Fallback users get no status writes: that would create a registry entry without flags
+  const fallbackUser = { uid: MI_CONFIG.FALLBACK_USER_ID, address: assignedAddressOf_(MI_CONFIG.FALLBACK_USER_ID), registered: false };
+  const fallback = [fallbackUser];
+  const baseUrl = `${MI_CONFIG.FIREBASE.BASE_URL}/projects/${MI_CONFIG.FIREBASE.PROJECT_ID}/databases/(default)/documents/${MI_CONFIG.REGISTRY_PATH}?pageSize=300`;
+
+  try {
+    const docs = [];
+    let pageToken = '';
+
+    do {
+      const url = pageToken ? `${baseUrl}&pageToken=${encodeURIComponent(pageToken)}` : baseUrl;
+      const response = UrlFetchApp.fetch(url, {
+        headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+        muteHttpExceptions: true,
+      });
+
+      if (response.getResponseCode() !== 200) {
+        Logger.log(`[Registry]  Read FAILED (HTTP ${response.getResponseCode()}). Using fallback user.`);
+        return fallback;
+      }
+
+      const page = JSON.parse(response.getContentText());
+      docs.push(...(page.documents || []));
+      pageToken = page.nextPageToken || '';
+    } while (pageToken);
+
+    if (docs.length === 0) {
+      Logger.log('[Registry] Registry is empty. Using fallback user.');
+      return fallback;
+    }
+
+    const users = docs
+      .filter(d => d.fields?.enabled?.mapValue?.fields?.marketIndex?.booleanValue === true)
+      .map(d => {
+        const uid = d.name.split('/').pop();
+        const requested = (d.fields.marketIndexAddress?.stringValue || '').trim().toLowerCase();
+        const address = assignedAddressOf_(uid);
+        if (requested && requested !== address) {
+          Logger.log(`[Registry] ${uid} requested ${requested}: not routed until the owner assigns it.`);
+        }
+        return { uid, address, registered: true };
+      });
+
+    // The owner keeps receiving mail until they register and opt out themselves
+    const ownerRegistered = docs.some(d => d.name.split('/').pop() === MI_CONFIG.FALLBACK_USER_ID);
+    if (!ownerRegistered) users.push(fallbackUser);
+
+    return withUniqueAddresses_(users);
+  } catch (e) {
+    Logger.log(`[Registry]  Exception: ${e.message}. Using fallback user.`);
+    return fallback;
+  }
+}
+
+/**
+ * @param {string} uid
+ * @returns {string} The owner-assigned address, lowercase ('' = none)
+ */
+function assignedAddressOf_(uid) {
+  return String(MI_CONFIG.ASSIGNED_ADDRESSES[uid] || '').trim().toLowerCase();
+}
+
+/**
+ * Clears any address held by more than one user, so a shared address
+ * routes to nobody rather than to every user holding it.
+ *
+ * @param {Array<{uid: string, address: string, registered: boolean}>} users
+ * @returns {Array<{uid: string, address: string, registered: boolean}>}
+ */
+function withUniqueAddresses_(users) {
+  const counts = {};
+  users.forEach(u => { if (u.address) counts[u.address] = (counts[u.address] || 0) + 1; });
+
+  return users.map(u => {
+    if (!u.address || counts[u.address] === 1) return u;
+    Logger.log(`[Registry]  ${u.address} is assigned to ${counts[u.address]} users. Rejected for ${u.uid}.`);
+    return { ...u, address: '' };
+  });
+}
+
+/**
+ * Picks the users a message belongs to.
+ * Users whose assigned address equals one in To/Cc/Delivered-To win; otherwise the
+ * message goes to FALLBACK_USER_ID only (or nowhere if they opted out).
+ *
+ * @param {GmailMessage} msg
+ * @param {Array<{uid: string, address: string}>} users
+ * @returns {string[]} User IDs
+ */
+function routeMessage_(msg, users) {
+  const recipients = parseAddresses_([msg.getTo(), msg.getCc(), msg.getHeader('Delivered-To')].filter(Boolean).join(','));
+
+  const addressed = users.filter(u => u.address && recipients.has(u.address));
+  if (addressed.length > 0) return addressed.map(u => u.uid);
+
+  return users.filter(u => u.uid === MI_CONFIG.FALLBACK_USER_ID).map(u => u.uid);
+}
+
+/**
+ * Extracts the bare addresses from address headers, e.g.
+ * '"Jo" <jo+mi@x.com>, sam@y.com' -> Set { 'jo+mi@x.com', 'sam@y.com' }.
+ *
+ * @param {string} header
+ * @returns {Set<string>} Lowercase addresses
+ */
+function parseAddresses_(header) {
+  const matches = String(header || '').match(/[^\s<>"',;:()]+@[^\s<>"',;:()]+/g) || [];
+  return new Set(matches.map(a => a.toLowerCase()));
+}
+
+/**
+ * Writes status.marketIndex to a user's registry document (only that field,
+ * so the user's own settings are never overwritten). Non-critical.
+ *
+ * @param {string} userId
+ * @param {{ok: boolean, alerts: number, reports: number, message: string}} status
+ */
+function writeMarketIndexStatus_(userId, status) {
+  const docPath = `${MI_CONFIG.REGISTRY_PATH}/${userId}?updateMask.fieldPaths=status.marketIndex`;
+  const payload = {
+    fields: {
+      status: {
+        mapValue: {
+          fields: {
+            marketIndex: {
+              mapValue: {
+                fields: {
+                  lastRun: { stringValue: new Date().toISOString() },
+                  ok: { booleanValue: status.ok },
+                  alerts: { integerValue: String(status.alerts || 0) },
+                  reports: { integerValue: String(status.reports || 0) },
+                  message: { stringValue: status.message || '' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+
+  writeFirestoreDoc_(docPath, payload);
+}
+
 /**
  * Determines whether a subject line represents a Company Alert, a Market
  * Report, or is unrecognised.
@@ -296,6 +521,9 @@ function processMarketIndexEmails() {
  *   3. If subject contains report keywords (Wrap, Morning, etc.)  MARKET_REPORT
  *   4. Otherwise  UNKNOWN
  *
+ * Company Alerts are then tagged by categorizeSubject_ (halt, capital raise,
+ * price sensitive) during extraction.
+ *
  * @param {string} subject - The email subject line.
  * @returns {'COMPANY_ALERT'|'MARKET_REPORT'|'UNKNOWN'}
  */
@@ -337,6 +565,21 @@ function classifySubject_(subject) {
   return 'UNKNOWN';
 }
 
+/**
+ * Tags a Company Alert subject with its announcement category.
+ *
+ * Runs after classifySubject_ has settled on COMPANY_ALERT, so report-style
+ * words in the announcement title ("Quarterly Report") don't matter here.
+ *
+ * @param {string} subject - The email subject line.
+ * @returns {'halt'|'capitalRaise'|'priceSensitive'|''} Empty when untagged.
+ */
+function categorizeSubject_(subject) {
+  if (!subject) return '';
+  const match = ALERT_CATEGORIES.find(rule => rule.pattern.test(subject));
+  return match ? match.category : '';
+}
+
 // =============================================================================
 // 3. DATA EXTRACTION
 // =============================================================================
@@ -385,6 +628,7 @@ function extractAlert_(subject, bodyHtml, date) {
       source: 'MarketIndex',
       link: link || `https://www.marketindex.com.au/asx/${code.toLowerCase()}`,
       type: 'announcement',
+      category: categorizeSubject_(subject),
     };
   } catch (e) {
     Logger.log(`[Extract]   Alert parse error: ${e.message}`);
@@ -603,17 +847,18 @@ function isBlockedUrl_(url) {
  * documents newest-first (smallest ID = newest) without requiring a composite
  * index or orderBy query.
  *
+ * @param {string} userId - Stream owner.
  * @param {string} batchType - 'COMPANY_ALERTS' or 'MARKET_REPORT'
  * @param {Array} items - Array of extracted data objects.
  * @param {Function} mapFn - Function to convert each item to Firestore field format.
  * @returns {boolean} True if the write succeeded (HTTP < 400).
  */
-function writeToStream_(batchType, items, mapFn) {
+function writeToStream_(userId, batchType, items, mapFn) {
   // Inverse timestamp ensures newest documents have the smallest ID
   const inverseTime = (Number.MAX_SAFE_INTEGER - Date.now()).toString().padStart(16, '0');
   const suffix = batchType === 'COMPANY_ALERTS' ? 'alerts' : 'reports';
   const docId = `stream_${inverseTime}_${suffix}`;
-  const docPath = `${MI_CONFIG.STREAM_PATH}/${docId}`;
+  const docPath = `${streamPathFor_(userId)}/${docId}`;
 
   const payload = {
     fields: {
@@ -645,6 +890,7 @@ function mapAlertFields_(item) {
         timestamp: { integerValue: (item.timestamp || 0).toString() },
         link: { stringValue: item.link || '' },
         type: { stringValue: item.type || 'announcement' },
+        category: { stringValue: item.category || '' },
         source: { stringValue: item.source || 'MarketIndex' },
       },
     },
@@ -785,16 +1031,22 @@ function diagnoseMI() {
   Logger.log('  ENABLED = ' + MI_CONFIG.ENABLED);
   Logger.log('  GMAIL_QUERY = "' + MI_CONFIG.GMAIL_QUERY + '"');
   Logger.log('  TRASH_AFTER_SUCCESS = ' + MI_CONFIG.TRASH_AFTER_SUCCESS);
+  getMarketIndexUsers_().forEach(user => {
+    Logger.log('  USER = ' + user.uid + (user.address ? ' <' + user.address + '>' : ' (unrouted)'));
+  });
   Logger.log('\n=== Diagnostic complete ===');
 }
 
 /**
  * VERIFY - Reads back data from Firestore to confirm writes persisted.
  * Run this after manualRun() to check if data actually exists.
+ * @param {string} [userId] - Defaults to the first registered user.
  */
-function verifyFirestoreData() {
+function verifyFirestoreData(userId) {
   Logger.log('=== VERIFY - Firestore Data Check ===');
-  const collectionPath = MI_CONFIG.STREAM_PATH;
+  const uid = userId || (getMarketIndexUsers_()[0] || {}).uid || MI_CONFIG.FALLBACK_USER_ID;
+  Logger.log('User: ' + uid);
+  const collectionPath = streamPathFor_(uid);
   const url = MI_CONFIG.FIREBASE.BASE_URL + '/projects/' + MI_CONFIG.FIREBASE.PROJECT_ID + '/databases/(default)/documents/' + collectionPath + '?pageSize=15&orderBy=timestamp%20desc';
 
   try {
@@ -15,6 +15,7 @@ import { WatchlistUI } from '../ui/WatchlistUI.js';
 import { ShareFormUI } from '../ui/ShareFormUI.js';
 import { SearchDiscoveryUI } from '../ui/SearchDiscoveryUI.js'; // Added
 import { NotificationUI } from '../ui/NotificationUI.js';
+import { AlertNotifier } from '../services/AlertNotifier.js';
 import { NotificationStore } from '../state/NotificationStore.js';
 
 import { SnapshotUI } from '../ui/SnapshotUI.js'; // Added
@@ -189,6 +190,7 @@ export class AppController {
 
         // Notification System Bindings (Unified)
         NotificationUI.init(); // Initialize Floating Bell
+        AlertNotifier.init(); // System notifications for alerts fired in the background
 
         // --- REACTIVE DATA ARCHITECTURE (v1137+) ---
         // Decouples Firestore updates from the Controller's init flow
@@ -226,6 +228,17 @@ export class AppController {
                 setTimeout(() => {
                     this.appService.performDataHealthCheck();
                 }, 2000); // 2s delay to allow other boot systems to settle
+
+                // DRP: accrue reinvested units for any dividends paid since the last session
+                setTimeout(() => {
+                    this.appService.syncDrpAccruals((code, range) => this.dataService.fetchHistory(code, range))
+                        .then(count => {
+                            if (count > 0) console.log(`[AppController] DRP accruals updated for ${count} holding(s).`);
+                        })
+                        .catch(err => {
+                            console.error('[AppController] DRP accrual sync failed:', err);
+                        });
+                }, 6000);
             }
 
             // Trigger UI Refresh if not locked
@@ -404,6 +417,12 @@ export class AppController {
             });
         });
 
+        document.addEventListener(EVENTS.OPEN_DIVIDEND_CALENDAR, () => {
+            import('../ui/DividendCalendarUI.js').then(module => {
+                module.DividendCalendarUI.showModal();
+            });
+        });
+
         // CUSTOM NAVIGATION EVENTS (Briefing / External)
         document.addEventListener(EVENTS.OPEN_PORTFOLIO_VIEW, () => {
             // Check if we are in Dashboard view or Watchlist view?
@@ -1118,6 +1137,11 @@ export class AppController {
                     notificationStore._notifyCountChange();
                 }
             }
+            if (prefs.baseCurrency && AppState.preferences.baseCurrency !== prefs.baseCurrency) {
+                AppState.preferences.baseCurrency = prefs.baseCurrency;
+                localStorage.setItem(STORAGE_KEYS.BASE_CURRENCY, prefs.baseCurrency);
+                needsRender = true;
+            }
             if (prefs.alertEmailRecipients !== undefined) {
                 AppState.preferences.alertEmailRecipients = prefs.alertEmailRecipients || '';
             }
@@ -3179,6 +3203,15 @@ export class AppController {
             }
         });
 
+        // -------------------------------------------------------------------------
+        // CORPORATE ACTION HANDLER (split / consolidation / code change)
+        // -------------------------------------------------------------------------
+        document.addEventListener(EVENTS.REQUEST_CORPORATE_ACTION, async (e) => {
+            if (!e.detail) return;
+            // UI refreshes through the UserStore subscription once the batch lands
+            await this.appService.applyCorporateAction(e.detail);
+        });
+
         // -------------------------------------------------------------------------
         // DELETE CASH ASSET HANDLER (Directive 020)
         // -------------------------------------------------------------------------
@@ -3388,6 +3421,10 @@ export class AppController {
                     const totalCapGain = shares.reduce((acc, s) => acc + (s.capitalGain || 0), 0);
                     trendClass = totalCapGain >= 0 ? CSS_CLASSES.TREND_UP_BG : CSS_CLASSES.TREND_DOWN_BG;
                     break;
+                case SUMMARY_TYPES.RETURNS:
+                    // Performance has its own modal (TWR / XIRR by period and watchlist)
+                    import('../ui/PerformanceUI.js').then(({ PerformanceUI }) => PerformanceUI.showModal());
+                    return;
                 default:
                     return;
             }
@@ -4,9 +4,12 @@
  * Handles data retrieval, sorting, event listeners, and coordination with the Renderer.
  */
 import { CashViewRenderer } from '../ui/CashViewRenderer.js';
-import { CASH_WATCHLIST_ID, SORT_OPTIONS, IDS, EVENTS, CASH_CATEGORIES } from '../utils/AppConstants.js';
+import { CASH_WATCHLIST_ID, SORT_OPTIONS, IDS, EVENTS, CASH_CATEGORIES, PORTFOLIO_ID } from '../utils/AppConstants.js';
 import { AppState } from '../state/AppState.js';
 import { ToastManager } from '../ui/ToastManager.js';
+import { CashInterestService } from '../data/CashInterestService.js';
+import { NetWorthService } from '../data/NetWorthService.js';
+import { processShares } from '../data/DataProcessor.js';
 
 export class CashController {
     constructor(modalController) {
@@ -66,21 +69,44 @@ export class CashController {
         this.lastAssets = cashAssets;
 
         // Apply session-persisted hidden state from localStorage
+        // Interest-bearing assets are valued with interest accrued to today; liabilities are negative
         const processedAssets = cashAssets.map(a => ({
             ...a,
-            isHidden: AppState.hiddenAssets.has(String(a.id))
+            isHidden: AppState.hiddenAssets.has(String(a.id)),
+            isLiability: NetWorthService.isLiability(a),
+            accruedValue: NetWorthService.valueOf(a),
+            daysToMaturity: CashInterestService.daysToMaturity(a)
         }));
 
-        // Calculate Total (Exclude Hidden)
-        const totalValue = processedAssets
-            .filter(asset => !asset.isHidden)
-            .reduce((sum, asset) => sum + (parseFloat(asset.balance) || 0), 0);
+        // Calculate Total (Exclude Hidden): net of liabilities
+        const visibleAssets = processedAssets.filter(asset => !asset.isHidden);
+        const totalValue = visibleAssets.reduce((sum, asset) => sum + asset.accruedValue, 0);
+
+        // Shares aren't part of this view, but a margin loan's LVR needs the portfolio value
+        const summary = NetWorthService.summarize(visibleAssets, {
+            shareValue: NetWorthService.needsShareValue(visibleAssets) ? this._getPortfolioValue() : 0,
+            includeShares: false
+        });
 
         // Sort
         const sortedAssets = this.sortCashCategories(processedAssets);
 
         // Render with load state flag
-        this.renderer.renderCashView(sortedAssets, totalValue, this.isInitialLoadComplete);
+        this.renderer.renderCashView(sortedAssets, totalValue, this.isInitialLoadComplete, summary);
+    }
+
+    /**
+     * @returns {number} Current value of the share portfolio
+     */
+    _getPortfolioValue() {
+        const { summaryMetrics } = processShares(
+            AppState.data.shares || [],
+            PORTFOLIO_ID,
+            AppState.livePrices,
+            AppState.sortConfig,
+            AppState.hiddenAssets
+        );
+        return summaryMetrics ? summaryMetrics.totalValue : 0;
     }
 
     /**
@@ -119,10 +145,10 @@ export class CashController {
             if (typeof valA === 'string') valA = valA.toLowerCase();
             if (typeof valB === 'string') valB = valB.toLowerCase();
 
-            // Handle numeric values
+            // Handle numeric values (balance sorts by value including accrued interest)
             if (field === 'balance') {
-                valA = parseFloat(valA) || 0;
-                valB = parseFloat(valB) || 0;
+                valA = a.accruedValue ?? (parseFloat(valA) || 0);
+                valB = b.accruedValue ?? (parseFloat(valB) || 0);
             }
 
             if (valA < valB) return direction === 'asc' ? -1 : 1;
@@ -1,7 +1,8 @@
 import { AppState } from '../state/AppState.js';
 import { CsvParserService } from '../utils/CsvParserService.js';
-import { PORTFOLIO_ID } from '../utils/AppConstants.js';
+import { PORTFOLIO_ID, TRANSACTION_TYPES } from '../utils/AppConstants.js';
 import { userStore } from '../data/DataService.js';
+import { deriveHoldings, getShareTransactions } from '../data/DataProcessor.js';
 
 /**
  * SyncManager.js
@@ -10,11 +11,12 @@ import { userStore } from '../data/DataService.js';
 export const SyncManager = {
     /**
      * Compares parsed CSV data against the current Portfolio watchlist.
+     * Broker exports (CommSec, SelfWealth, Stake, Pearler) are detected by header signature.
      * @param {string} csvText 
-     * @returns {Object} { matches: Object[], ignored: string[] }
+     * @returns {Object} { matches: Object[], newShares: Object[], ignored: Object[], reportType, source }
      */
     simulateSync(csvText) {
-        const { rows, type: reportType } = CsvParserService.parseSharesightTrades(csvText);
+        const { rows, type: reportType, source, skipped } = CsvParserService.parseTrades(csvText);
 
         // 1. Determine Mode Based on Detected Type
         let syncData;
@@ -27,7 +29,7 @@ export const SyncManager = {
         // 2. Search across ALL shares in AppState (not just Portfolio)
         const allShares = AppState.data.shares || [];
         const matches = [];
-        const ignored = []; // Array of { code, reason }
+        const ignored = [...(skipped || [])]; // Array of { code, reason }
         const newShares = [];
 
         syncData.forEach((data, csvCode) => {
@@ -72,6 +74,122 @@ export const SyncManager = {
                 });
             }
         });
-        return { matches, newShares, ignored, reportType };
+        return { matches, newShares, ignored, reportType, source };
+    },
+
+    /**
+     * Dedupe key for re-imports: the same trade appears with the same date, quantity and price.
+     * @param {Object} txn
+     * @returns {string}
+     */
+    tradeKey(txn) {
+        const qty = Math.abs(parseFloat(txn.quantity) || 0).toFixed(4);
+        const price = Math.abs(parseFloat(txn.price) || 0).toFixed(4);
+        return `${txn.date}|${qty}|${price}`;
+    },
+
+    /**
+     * Full import mode: replays every trade row into the matching share's ledger without writing.
+     * Rows already in the ledger (same date + quantity + price) are counted as duplicates and
+     * skipped, so re-importing the same export is a no-op. Legacy holdings with no ledger are
+     * replaced by the imported history rather than added to it.
+     * @param {string} csvText
+     * @returns {Object} { plans: [{ code, shareId, isNew, added, duplicates, transactions, before, after, replacesLegacy }], ignored, reportType, source }
+     */
+    simulateTradeReplay(csvText) {
+        const { rows, type: reportType, source, skipped: rowsSkipped } = CsvParserService.parseTrades(csvText);
+        if (reportType !== 'TRADES') return { plans: [], ignored: [], reportType, source };
+
+        const { trades, skipped } = CsvParserService.getTradeTransactions(rows);
+        return { ...this.planTradeReplay(trades), ignored: [...(rowsSkipped || []), ...skipped], reportType, source };
+    },
+
+    /**
+     * Builds per-share replay plans from normalised trades (see CsvParserService.getTradeTransactions).
+     * @param {Object[]} trades
+     * @returns {{ plans: Object[] }}
+     */
+    planTradeReplay(trades) {
+        const allShares = AppState.data.shares || [];
+        const byCode = new Map();
+        (trades || []).forEach(t => {
+            if (!byCode.has(t.code)) byCode.set(t.code, []);
+            byCode.get(t.code).push(t);
+        });
+
+        const plans = [];
+        byCode.forEach((codeTrades, code) => {
+            const shareRecord = allShares.find(s => [s.shareName, s.code, s.shareCode, s.symbol]
+                .filter(Boolean)
+                .map(c => String(c).toUpperCase().replace(/^ASX:|\.AX$/g, '').trim())
+                .includes(code));
+
+            const existing = shareRecord ? getShareTransactions(shareRecord) : [];
+            const replacesLegacy = existing.length > 0 && existing.every(t => t.isSynthetic);
+            const ledger = replacesLegacy ? [] : existing.map(t => ({ ...t }));
+
+            // Multiset of existing keys: two identical fills on one day import twice only if the file has them twice
+            const remaining = new Map();
+            ledger.forEach(t => {
+                const key = `${t.type}|${this.tradeKey(t)}`;
+                remaining.set(key, (remaining.get(key) || 0) + 1);
+            });
+            const ratioDates = new Set(ledger
+                .filter(t => t.type === TRANSACTION_TYPES.SPLIT || t.type === TRANSACTION_TYPES.CONSOLIDATION)
+                .map(t => t.date));
+            // Auto-accrued DRP allotments are priced by the app, so match those on pay date alone
+            const accruedDrpDates = new Set(ledger.filter(t => t.isAccrued).map(t => t.date));
+
+            const added = [];
+            let duplicates = 0;
+
+            codeTrades.forEach((trade, idx) => {
+                const id = `txn_${Date.now()}_${code}_${idx}`;
+
+                if (trade.type === TRANSACTION_TYPES.SPLIT || trade.type === TRANSACTION_TYPES.CONSOLIDATION) {
+                    if (ratioDates.has(trade.date)) {
+                        duplicates++;
+                        return;
+                    }
+                    // Convert the unit change into a ratio against the units held on that date
+                    const held = deriveHoldings([...ledger, ...added], { asOfDate: trade.date }).units;
+                    const after = held + trade.unitDelta;
+                    if (!(held > 0) || !(after > 0)) return;
+                    ratioDates.add(trade.date);
+                    added.push({ id, type: trade.type, date: trade.date, ratioFrom: Number(held.toFixed(4)), ratioTo: Number(after.toFixed(4)) });
+                    return;
+                }
+
+                const key = `${trade.type}|${this.tradeKey(trade)}`;
+                if (trade.type === TRANSACTION_TYPES.DRP && accruedDrpDates.delete(trade.date)) {
+                    duplicates++;
+                    return;
+                }
+                if ((remaining.get(key) || 0) > 0) {
+                    remaining.set(key, remaining.get(key) - 1);
+                    duplicates++;
+                    return;
+                }
+                added.push({ id, type: trade.type, date: trade.date, quantity: trade.quantity, price: trade.price, brokerage: trade.brokerage });
+            });
+
+            const transactions = [...ledger, ...added].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+            const before = deriveHoldings(existing);
+            const after = deriveHoldings(transactions);
+
+            plans.push({
+                code,
+                shareId: shareRecord ? shareRecord.id : null,
+                isNew: !shareRecord,
+                added,
+                duplicates,
+                transactions,
+                replacesLegacy,
+                before: { units: before.units, averageCost: before.averageCost },
+                after: { units: after.units, averageCost: after.averageCost, lastBuyDate: after.lastBuyDate }
+            });
+        });
+
+        return { plans: plans.sort((a, b) => a.code.localeCompare(b.code)) };
     }
 };
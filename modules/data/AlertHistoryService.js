@@ -0,0 +1,292 @@
+/**
+ * AlertHistoryService.js
+ * ===========================================================================
+ * ROLE: Alert History Builder & Search
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * NotificationStore only holds today's hits, so every alert that reaches the
+ * user is also written to the alertHistory collection (UserStore). One entry
+ * is kept per alert per day; its document ID is derived from the day and the
+ * alert signature, so recording the same hit again is an idempotent overwrite.
+ *
+ * Entry shape:
+ *   { code, type, intent, direction, price, pct, change, firedAt, day,
+ *     title, link, snapshot }
+ *
+ *   type     - ALERT_HISTORY_TYPES (target / mover / hilo / market-index / cash)
+ *   price    - live price when the alert fired
+ *   snapshot - the rule as it stood at fire time (target + direction,
+ *              mover thresholds, 52-week range, compound rule conditions,
+ *              trailing stop level, cost threshold, announcement headline,
+ *              term deposit maturity)
+ *
+ * Everything here is pure; reads and writes go through UserStore.
+ * ===========================================================================
+ */
+
+import { ALERT_HISTORY_TYPES, ALERT_RULE_INTENT, PROTECTIVE_ALERT_INTENTS, PERSONAL_ALERT_INTENTS, CASH_ALERT_INTENTS, BASE_CURRENCY_DEFAULT } from '../utils/AppConstants.js';
+import { formatCurrency, formatFriendlyDate, toIsoDate } from '../utils/formatters.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Intents reported by the scan backend for movers */
+const MOVER_INTENTS = ['mover', 'up', 'down', 'gainers', 'losers'];
+
+/** Longest announcement headline kept */
+const MAX_TITLE_LENGTH = 200;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export class AlertHistoryService {
+
+    /**
+     * History type for an alert intent.
+     * @param {string} intent
+     * @returns {string|null} ALERT_HISTORY_TYPES value, or null if not recorded
+     */
+    static classify(intent) {
+        const i = String(intent || '').toLowerCase();
+        if (i === 'target' || i === 'target-hit' || PERSONAL_ALERT_INTENTS.includes(i)) return ALERT_HISTORY_TYPES.TARGET;
+        if (MOVER_INTENTS.includes(i)) return ALERT_HISTORY_TYPES.MOVER;
+        if (i.includes('hilo') || i.includes('52')) return ALERT_HISTORY_TYPES.HILO;
+        return null;
+    }
+
+    /**
+     * History entry for a local alert hit (NotificationStore.getLocalAlerts).
+     * @param {Object} hit
+     * @param {Object} rules - Scanner rules in force when the alert fired
+     * @param {number} [now] - Epoch ms, used when the hit carries no timestamp
+     * @returns {{ id: string, entry: Object }|null}
+     */
+    static buildEntry(hit, rules = {}, now = Date.now()) {
+        const code = String(hit?.code || hit?.shareName || '').trim().toUpperCase();
+        const type = this.classify(hit?.intent);
+        if (!code || !type) return null;
+
+        const parsed = hit.t ? new Date(hit.t).getTime() : NaN;
+        const firedAt = Number.isFinite(parsed) ? parsed : now;
+        const day = toIsoDate(new Date(firedAt));
+        const intent = String(hit.intent).toLowerCase();
+        const price = Number(hit.price || hit.live || 0);
+        const pct = Number(hit.pct || 0);
+        const direction = this._direction(hit, type, pct);
+
+        const entry = {
+            code,
+            type,
+            intent,
+            direction,
+            price: price > 0 ? price : null,
+            pct: Number.isFinite(pct) ? pct : 0,
+            change: Number(hit.change || 0) || 0,
+            firedAt,
+            day,
+            snapshot: this._snapshot(hit, intent, type, direction, rules)
+        };
+
+        // Same signature on the same day = same entry
+        const signature = hit.ruleId ? `${intent}-${hit.ruleId}` : `${intent}-${direction || 'any'}`;
+        return { id: this._docId(`${day}_${code}_${signature}`), entry };
+    }
+
+    /**
+     * History entry for a Market Index announcement.
+     * @param {Object} item - Merged stream item ({ id, code, title|headline, link, timestamp })
+     * @returns {{ id: string, entry: Object }|null}
+     */
+    static buildAnnouncementEntry(item) {
+        if (!item || !item.id) return null;
+        const title = String(item.title || item.headline || '').replace(/<[^>]*>/g, '').replace(/[<>]/g, '').trim().slice(0, MAX_TITLE_LENGTH);
+        if (!title) return null;
+
+        const firedAt = Number(item.timestamp) || Date.now();
+        const code = String(item.code || 'MARKET').replace(/.*:/, '').trim().toUpperCase();
+
+        return {
+            id: this._docId(`mi_${item.id}`),
+            entry: {
+                code,
+                type: ALERT_HISTORY_TYPES.MARKET_INDEX,
+                intent: 'announcement',
+                direction: null,
+                price: null,
+                pct: 0,
+                change: 0,
+                firedAt,
+                day: toIsoDate(new Date(firedAt)),
+                title,
+                link: /^https?:\/\//i.test(item.link || '') ? item.link : null,
+                snapshot: { category: item.category || item.type || null }
+            }
+        };
+    }
+
+    /**
+     * History entry for a term deposit maturity notice. One entry per deposit and maturity date,
+     * so a rolled-over deposit (new maturity date) gets a new entry.
+     * @param {Object} hit - NotificationStore.getMaturityAlerts item
+     * @returns {{ id: string, entry: Object }|null}
+     */
+    static buildMaturityEntry(hit) {
+        if (!hit || !hit.assetId || !hit.maturityDate) return null;
+        const firedAt = Number(hit.t) || Date.now();
+
+        return {
+            id: this._docId(`maturity_${hit.assetId}_${hit.maturityDate}`),
+            entry: {
+                code: String(hit.name || '').slice(0, MAX_TITLE_LENGTH),
+                type: ALERT_HISTORY_TYPES.CASH,
+                intent: CASH_ALERT_INTENTS.MATURITY,
+                direction: null,
+                price: null,
+                pct: 0,
+                change: 0,
+                firedAt,
+                day: toIsoDate(new Date(firedAt)),
+                snapshot: {
+                    assetId: hit.assetId,
+                    maturityDate: hit.maturityDate,
+                    value: Number(hit.value) || 0,
+                    currency: hit.currency || BASE_CURRENCY_DEFAULT
+                }
+            }
+        };
+    }
+
+    /**
+     * Filters and orders entries (newest first).
+     * @param {Array<Object>} entries
+     * @param {{ query?: string, type?: string, code?: string }} filters
+     * @returns {Array<Object>}
+     */
+    static search(entries, { query = '', type = '', code = '' } = {}) {
+        const needle = String(query || '').trim().toLowerCase();
+        const onlyCode = String(code || '').trim().toUpperCase();
+
+        return (entries || [])
+            .filter(e => e && e.code)
+            .filter(e => !onlyCode || e.code === onlyCode)
+            .filter(e => !type || e.type === type)
+            .filter(e => {
+                if (!needle) return true;
+                const haystack = [e.code, e.title, this.describe(e), ...(e.snapshot?.fired || [])].join(' ').toLowerCase();
+                return haystack.includes(needle);
+            })
+            .sort((a, b) => (b.firedAt || 0) - (a.firedAt || 0));
+    }
+
+    /**
+     * Groups ordered entries by day.
+     * @param {Array<Object>} entries - Newest first
+     * @returns {Array<{ day: string, entries: Array<Object> }>}
+     */
+    static groupByDay(entries) {
+        const groups = [];
+        (entries || []).forEach(e => {
+            const last = groups[groups.length - 1];
+            if (last && last.day === e.day) last.entries.push(e);
+            else groups.push({ day: e.day, entries: [e] });
+        });
+        return groups;
+    }
+
+    /**
+     * One-line description of what fired ("Target $12.50 (below)").
+     * @param {Object} entry
+     * @returns {string}
+     */
+    static describe(entry) {
+        const s = entry?.snapshot || {};
+        switch (entry?.intent) {
+            case 'target':
+            case 'target-hit':
+                return s.target > 0 ? `Target ${formatCurrency(s.target)} (${s.direction || entry.direction || 'below'})` : 'Target hit';
+            case ALERT_RULE_INTENT:
+                return s.ruleName ? `Rule: ${s.ruleName}` : 'Alert rule';
+            case PROTECTIVE_ALERT_INTENTS.TRAILING_STOP:
+                return s.stop > 0 ? `Trailing stop ${formatCurrency(s.stop)} (${s.stopPct}% below high ${formatCurrency(s.high)})` : 'Trailing stop';
+            case PROTECTIVE_ALERT_INTENTS.COST:
+                return s.threshold > 0 ? `${entry.direction === 'up' ? 'Up' : 'Down'} ${s.threshold}% from cost ${formatCurrency(s.cost)}` : 'Cost alert';
+            default:
+                break;
+        }
+
+        if (entry?.type === ALERT_HISTORY_TYPES.MOVER) {
+            const limits = [];
+            if (s.percentThreshold) limits.push(`${s.percentThreshold}%`);
+            if (s.dollarThreshold) limits.push(formatCurrency(Number(s.dollarThreshold)));
+            const label = entry.direction === 'down' ? 'Loser' : 'Gainer';
+            return limits.length ? `${label} (threshold ${limits.join(' / ')})` : label;
+        }
+        if (entry?.type === ALERT_HISTORY_TYPES.HILO) {
+            const isHigh = entry.direction === 'high';
+            const level = isHigh ? s.high52 : s.low52;
+            return `52-week ${isHigh ? 'high' : 'low'}${level > 0 ? ` ${formatCurrency(level)}` : ''}`;
+        }
+        if (entry?.type === ALERT_HISTORY_TYPES.MARKET_INDEX) return entry.title || 'Announcement';
+        if (entry?.type === ALERT_HISTORY_TYPES.CASH) {
+            return `Matures ${formatFriendlyDate(s.maturityDate)}${s.value > 0 ? ` (${formatCurrency(s.value, s.currency || BASE_CURRENCY_DEFAULT)})` : ''}`;
+        }
+        return '';
+    }
+
+    /**
+     * @returns {string|null} up/down for movers, high/low for 52-week, above/below for targets
+     */
+    static _direction(hit, type, pct) {
+        if (type === ALERT_HISTORY_TYPES.MOVER) {
+            const raw = String(hit.type || hit.intent || '').toLowerCase();
+            if (raw === 'up' || raw === 'gainers') return 'up';
+            if (raw === 'down' || raw === 'losers') return 'down';
+            return pct < 0 ? 'down' : 'up';
+        }
+        if (type === ALERT_HISTORY_TYPES.HILO) return String(hit.type || '').toLowerCase() === 'low' ? 'low' : 'high';
+        if (hit.direction === 'above' || hit.direction === 'below') return hit.direction;
+        return hit.type === 'up' || hit.type === 'down' ? hit.type : null;
+    }
+
+    /**
+     * Rule state at fire time. Only plain values so the entry stays readable after
+     * the share's rules change.
+     */
+    static _snapshot(hit, intent, type, direction, rules) {
+        if (intent === 'target' || intent === 'target-hit') {
+            return { target: Number(hit.target || 0) || null, direction: hit.direction || direction };
+        }
+        if (intent === ALERT_RULE_INTENT) {
+            return { ruleId: hit.ruleId || null, ruleName: hit.ruleName || '', fired: Array.isArray(hit.fired) ? hit.fired : [] };
+        }
+        if (intent === PROTECTIVE_ALERT_INTENTS.TRAILING_STOP) {
+            return { high: Number(hit.high || 0), stop: Number(hit.stop || 0), stopPct: Number(hit.stopPct || 0) };
+        }
+        if (intent === PROTECTIVE_ALERT_INTENTS.COST) {
+            return { cost: Number(hit.cost || 0), threshold: Number(hit.threshold || 0), movePct: Number(hit.movePct || 0) };
+        }
+        if (type === ALERT_HISTORY_TYPES.MOVER) {
+            const r = (direction === 'down' ? rules?.down : rules?.up) || {};
+            return {
+                percentThreshold: Number(r.percentThreshold || 0) || null,
+                dollarThreshold: Number(r.dollarThreshold || 0) || null,
+                minPrice: rules?.minPrice ?? null
+            };
+        }
+        if (type === ALERT_HISTORY_TYPES.HILO) {
+            return {
+                high52: Number(hit.high52 || hit.hilo?.high || 0) || null,
+                low52: Number(hit.low52 || hit.hilo?.low || 0) || null,
+                hiloMinPrice: rules?.hiloMinPrice ?? null
+            };
+        }
+        return {};
+    }
+
+    /** Firestore-safe document ID */
+    static _docId(raw) {
+        return String(raw).replace(/[^A-Za-z0-9_.-]/g, '_').slice(0, 140);
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * AlertRuleService.js
+ * ===========================================================================
+ * ROLE: Compound Alert Rule Evaluator
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * A share can carry any number of alert rules (share.alertRules). Each rule
+ * combines conditions with AND, e.g.
+ *   "Price below 20-day MA AND Day Change below -3% AND Volume above 2x average"
+ *
+ * Rule shape:
+ *   { id, name, enabled, conditions: [{ metric, op, value, period }] }
+ *
+ * Evaluation is pure: NotificationStore supplies the live snapshot and the
+ * indicators computed from daily history (computeIndicators). A condition
+ * whose indicator has not loaded yet is treated as unmet, so a rule never
+ * fires on partial data.
+ *
+ * PROTECTIVE ALERTS (holdings):
+ *   share.trailingStopPct  - fires x% below the highest close since the stop
+ *                            was set. The high-water mark is kept in the
+ *                            preferences doc (alertHighWater.<CODE>) so it
+ *                            survives restarts and syncs across devices.
+ *   share.costAlertDownPct / costAlertUpPct - fires N% below / above the
+ *                            average cost of the holding.
+ * ===========================================================================
+ */
+
+import { ALERT_RULE_METRICS, ALERT_RULE_OPERATORS, ALERT_RULE_DEFAULTS } from '../utils/AppConstants.js';
+import { formatCurrency } from '../utils/formatters.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Metrics that need daily history (moving average / average volume) */
+const INDICATOR_METRICS = [ALERT_RULE_METRICS.PRICE_VS_MA, ALERT_RULE_METRICS.VOLUME_VS_AVG];
+
+/** Longest rule name kept */
+const MAX_NAME_LENGTH = 60;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export class AlertRuleService {
+
+    /**
+     * Cleans a rule read from the form or Firestore. Conditions without a usable
+     * value are dropped; a rule with no conditions left is discarded.
+     * @param {Object} rule
+     * @returns {Object|null}
+     */
+    static normalizeRule(rule) {
+        if (!rule || !Array.isArray(rule.conditions)) return null;
+
+        const conditions = rule.conditions.map(c => {
+            const metric = Object.values(ALERT_RULE_METRICS).includes(c?.metric) ? c.metric : null;
+            if (!metric) return null;
+
+            const op = c.op === ALERT_RULE_OPERATORS.ABOVE ? ALERT_RULE_OPERATORS.ABOVE : ALERT_RULE_OPERATORS.BELOW;
+            const value = parseFloat(c.value);
+            const period = Math.min(ALERT_RULE_DEFAULTS.MAX_PERIOD, Math.max(2, parseInt(c.period) || ALERT_RULE_DEFAULTS.PERIOD));
+
+            const condition = { metric, op };
+            if (metric === ALERT_RULE_METRICS.PRICE_VS_MA) {
+                // Value is an optional % offset from the average (e.g. -5 = 5% under the MA)
+                condition.value = Number.isFinite(value) ? value : 0;
+            } else {
+                if (!Number.isFinite(value)) return null;
+                if (metric === ALERT_RULE_METRICS.PRICE && value <= 0) return null;
+                if (metric === ALERT_RULE_METRICS.VOLUME_VS_AVG && value <= 0) return null;
+                condition.value = value;
+            }
+            if (INDICATOR_METRICS.includes(metric)) condition.period = period;
+            return condition;
+        }).filter(Boolean);
+
+        if (conditions.length === 0) return null;
+
+        return {
+            id: rule.id || `rule_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+            // Rendered into alert cards: keep it short and markup-free
+            name: String(rule.name || '').replace(/[<>]/g, '').trim().slice(0, MAX_NAME_LENGTH),
+            enabled: rule.enabled !== false,
+            conditions
+        };
+    }
+
+    /**
+     * Enabled, valid rules for a share.
+     * @param {Object} share
+     * @returns {Array<Object>}
+     */
+    static getActiveRules(share) {
+        if (!share || !Array.isArray(share.alertRules)) return [];
+        return share.alertRules.map(r => this.normalizeRule(r)).filter(r => r && r.enabled);
+    }
+
+    /**
+     * Lookback periods the rules need indicators for.
+     * @param {Array<Object>} rules - Normalized rules
+     * @returns {Array<number>} Sorted, unique
+     */
+    static getRequiredPeriods(rules) {
+        const periods = new Set();
+        (rules || []).forEach(rule => rule.conditions.forEach(c => {
+            if (INDICATOR_METRICS.includes(c.metric)) periods.add(c.period);
+        }));
+        return [...periods].sort((a, b) => a - b);
+    }
+
+    /**
+     * Moving averages and average volumes from daily bars. Today's (partial)
+     * bar is excluded so the averages describe completed sessions only.
+     * @param {Array<{time: number, close: number, volume?: number}>} bars - Oldest first
+     * @param {Array<number>} periods
+     * @param {Date} [now]
+     * @returns {{ ma: Object<number, number>, avgVolume: Object<number, number> }}
+     */
+    static computeIndicators(bars, periods, now = new Date()) {
+        const today = now.toISOString().substring(0, 10);
+        const sessions = (bars || [])
+            .filter(b => b && parseFloat(b.close) > 0)
+            .filter(b => new Date(b.time * 1000).toISOString().substring(0, 10) < today);
+
+        const ma = {};
+        const avgVolume = {};
+        (periods || []).forEach(period => {
+            if (sessions.length < period) return;
+            const window = sessions.slice(-period);
+            ma[period] = window.reduce((sum, b) => sum + parseFloat(b.close), 0) / period;
+
+            const volumes = window.map(b => parseFloat(b.volume)).filter(v => v > 0);
+            if (volumes.length === period) {
+                avgVolume[period] = volumes.reduce((sum, v) => sum + v, 0) / period;
+            }
+        });
+        return { ma, avgVolume };
+    }
+
+    /**
+     * Evaluates one rule. All conditions must hold.
+     * @param {Object} rule - Normalized rule
+     * @param {{ price: number, pctChange: number, volume: number }} snapshot - Live data
+     * @param {{ ma: Object, avgVolume: Object }|null} indicators
+     * @returns {{ hit: boolean, fired: Array<string> }} fired = description of each condition (when hit)
+     */
+    static evaluate(rule, snapshot, indicators = null) {
+        if (!rule || !snapshot || !(snapshot.price > 0)) return { hit: false, fired: [] };
+
+        const fired = [];
+        for (const condition of rule.conditions) {
+            const result = this._evaluateCondition(condition, snapshot, indicators);
+            if (!result.met) return { hit: false, fired: [] };
+            fired.push(result.text);
+        }
+        return { hit: fired.length > 0, fired };
+    }
+
+    /**
+     * Plain description of a condition, without live values ("Price below 20-day MA").
+     * @param {Object} condition
+     * @returns {string}
+     */
+    static describeCondition(condition) {
+        const op = condition.op === ALERT_RULE_OPERATORS.ABOVE ? '>' : '<';
+        switch (condition.metric) {
+            case ALERT_RULE_METRICS.PRICE:
+                return `Price ${op} ${formatCurrency(condition.value)}`;
+            case ALERT_RULE_METRICS.DAY_CHANGE_PCT:
+                return `Day change ${op} ${condition.value}%`;
+            case ALERT_RULE_METRICS.PRICE_VS_MA: {
+                const offset = condition.value ? ` ${condition.value > 0 ? '+' : ''}${condition.value}%` : '';
+                return `Price ${op} ${condition.period}-day MA${offset}`;
+            }
+            case ALERT_RULE_METRICS.VOLUME_VS_AVG:
+                return `Volume ${op} ${condition.value}x ${condition.period}-day avg`;
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * @param {Object} rule - Normalized rule
+     * @returns {string} Rule name, or its conditions joined with AND
+     */
+    static describeRule(rule) {
+        if (!rule) return '';
+        return rule.name || rule.conditions.map(c => this.describeCondition(c)).join(' AND ');
+    }
+
+    /**
+     * Advances a trailing stop's high-water mark. A new mark is seeded at the
+     * current price; afterwards only closes from sessions after the day it was
+     * set (prevClose on a later day) can raise it.
+     * @param {{ high: number, since: string, updated: string }|null} mark
+     * @param {{ price: number, prevClose: number, today: string }} quote - today = YYYY-MM-DD
+     * @returns {{ mark: Object|null, changed: boolean }}
+     */
+    static advanceHighWater(mark, { price, prevClose, today }) {
+        if (!mark || !(mark.high > 0)) {
+            if (!(price > 0)) return { mark: null, changed: false };
+            return { mark: { high: price, since: today, updated: today }, changed: true };
+        }
+        if (mark.since < today && prevClose > mark.high) {
+            return { mark: { ...mark, high: prevClose, updated: today }, changed: true };
+        }
+        return { mark, changed: false };
+    }
+
+    /**
+     * @param {{ high: number }|null} mark
+     * @param {number} pct - Trailing distance in %
+     * @param {number} price
+     * @returns {{ hit: boolean, stop: number }}
+     */
+    static evaluateTrailingStop(mark, pct, price) {
+        if (!mark || !(mark.high > 0) || !(pct > 0) || !(price > 0)) return { hit: false, stop: 0 };
+        const stop = mark.high * (1 - pct / 100);
+        return { hit: price <= stop, stop };
+    }
+
+    /**
+     * Percent-from-cost check for a holding.
+     * @param {Object} share - Uses portfolioShares, portfolioAvgPrice, costAlertDownPct, costAlertUpPct
+     * @param {number} price
+     * @returns {{ hit: boolean, direction: 'up'|'down'|null, movePct: number, cost: number, threshold: number }}
+     */
+    static evaluateCostAlert(share, price) {
+        const miss = { hit: false, direction: null, movePct: 0, cost: 0, threshold: 0 };
+        const units = parseFloat(share?.portfolioShares) || 0;
+        const cost = parseFloat(share?.portfolioAvgPrice) || 0;
+        if (units <= 0 || cost <= 0 || !(price > 0)) return miss;
+
+        const movePct = ((price - cost) / cost) * 100;
+        const downPct = parseFloat(share.costAlertDownPct) || 0;
+        const upPct = parseFloat(share.costAlertUpPct) || 0;
+
+        if (downPct > 0 && movePct <= -downPct) return { hit: true, direction: 'down', movePct, cost, threshold: downPct };
+        if (upPct > 0 && movePct >= upPct) return { hit: true, direction: 'up', movePct, cost, threshold: upPct };
+        return { ...miss, movePct, cost };
+    }
+
+    /**
+     * @returns {{ met: boolean, text: string }} text includes the value observed
+     */
+    static _evaluateCondition(condition, snapshot, indicators) {
+        const isAbove = condition.op === ALERT_RULE_OPERATORS.ABOVE;
+        const compare = (actual, threshold) => isAbove ? actual > threshold : actual < threshold;
+        const label = this.describeCondition(condition);
+
+        switch (condition.metric) {
+            case ALERT_RULE_METRICS.PRICE:
+                return {
+                    met: compare(snapshot.price, condition.value),
+                    text: `${label} (${formatCurrency(snapshot.price)})`
+                };
+            case ALERT_RULE_METRICS.DAY_CHANGE_PCT: {
+                const pct = Number(snapshot.pctChange) || 0;
+                return {
+                    met: compare(pct, condition.value),
+                    text: `${label} (${pct.toFixed(2)}%)`
+                };
+            }
+            case ALERT_RULE_METRICS.PRICE_VS_MA: {
+                const avg = indicators?.ma?.[condition.period];
+                if (!(avg > 0)) return { met: false, text: label };
+                const level = avg * (1 + (condition.value || 0) / 100);
+                return {
+                    met: compare(snapshot.price, level),
+                    text: `${label} (${formatCurrency(snapshot.price)} vs ${formatCurrency(level)})`
+                };
+            }
+            case ALERT_RULE_METRICS.VOLUME_VS_AVG: {
+                const avg = indicators?.avgVolume?.[condition.period];
+                const volume = Number(snapshot.volume) || 0;
+                if (!(avg > 0) || volume <= 0) return { met: false, text: label };
+                const multiple = volume / avg;
+                return {
+                    met: compare(multiple, condition.value),
+                    text: `${label} (${multiple.toFixed(1)}x)`
+                };
+            }
+            default:
+                return { met: false, text: '' };
+        }
+    }
+}
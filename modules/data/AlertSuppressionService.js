@@ -0,0 +1,189 @@
+/**
+ * AlertSuppressionService.js
+ * ===========================================================================
+ * ROLE: Snooze, Quiet Hours & Cooldown Rules
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * Three ways to stop the same alert nagging during a volatile session:
+ *
+ *   SNOOZE      - per share, until a point in time (1h, 4h, until tomorrow).
+ *                 Kept in the preferences doc (alertSnoozes.<CODE> = epoch ms)
+ *                 so it syncs across devices. A snoozed share is filtered out
+ *                 like a muted one until the snooze expires.
+ *   QUIET HOURS - scannerRules.quietHours { enabled, start, end } ("HH:MM",
+ *                 local time, may wrap midnight). Alerts stay in the list but
+ *                 nothing badges or notifies.
+ *   COOLDOWN    - scannerRules.cooldowns.<type> { hours, stepPct }. Once an
+ *                 alert for a share/type has badged, a new surfacing of it
+ *                 does not badge again until the window elapses or the price
+ *                 has moved a further stepPct in the alert's direction.
+ *
+ * Everything here is pure; NotificationStore owns the state.
+ * ===========================================================================
+ */
+
+import { ALERT_SNOOZE_OPTIONS, ALERT_COOLDOWN_TYPES, ALERT_SUPPRESSION_DEFAULTS } from '../utils/AppConstants.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/** Directions that count a further fall as the move extending */
+const DOWNWARD_DIRECTIONS = ['down', 'low', 'below'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export class AlertSuppressionService {
+
+    /**
+     * @param {Object} raw - scannerRules.quietHours as stored
+     * @returns {{ enabled: boolean, start: string, end: string }}
+     */
+    static normalizeQuietHours(raw) {
+        const src = raw || {};
+        return {
+            enabled: src.enabled === true,
+            start: TIME_PATTERN.test(src.start || '') ? src.start : ALERT_SUPPRESSION_DEFAULTS.QUIET_START,
+            end: TIME_PATTERN.test(src.end || '') ? src.end : ALERT_SUPPRESSION_DEFAULTS.QUIET_END
+        };
+    }
+
+    /**
+     * @param {Object} raw - scannerRules.cooldowns as stored
+     * @returns {Object<string, { hours: number, stepPct: number }>} One entry per ALERT_COOLDOWN_TYPES
+     */
+    static normalizeCooldowns(raw) {
+        const clamp = (val, max) => {
+            const n = parseFloat(val);
+            return Number.isFinite(n) && n > 0 ? Math.min(n, max) : 0;
+        };
+        const result = {};
+        ALERT_COOLDOWN_TYPES.forEach(type => {
+            const src = raw?.[type] || {};
+            result[type] = {
+                hours: clamp(src.hours ?? ALERT_SUPPRESSION_DEFAULTS.COOLDOWN_HOURS, ALERT_SUPPRESSION_DEFAULTS.MAX_COOLDOWN_HOURS),
+                stepPct: clamp(src.stepPct ?? ALERT_SUPPRESSION_DEFAULTS.COOLDOWN_STEP_PCT, 100)
+            };
+        });
+        return result;
+    }
+
+    /**
+     * @param {{ enabled: boolean, start: string, end: string }} quietHours
+     * @param {Date} [now]
+     * @returns {boolean}
+     */
+    static isQuietHours(quietHours, now = new Date()) {
+        const q = this.normalizeQuietHours(quietHours);
+        if (!q.enabled) return false;
+        const start = this._minutes(q.start);
+        const end = this._minutes(q.end);
+        if (start === end) return false;
+
+        const current = now.getHours() * 60 + now.getMinutes();
+        return start < end
+            ? current >= start && current < end
+            : current >= start || current < end; // Wraps midnight
+    }
+
+    /**
+     * Next time quiet hours start or end (to refresh badges on the boundary).
+     * @param {{ enabled: boolean, start: string, end: string }} quietHours
+     * @param {Date} [now]
+     * @returns {number|null} Epoch ms, or null when quiet hours are off
+     */
+    static nextQuietBoundary(quietHours, now = new Date()) {
+        const q = this.normalizeQuietHours(quietHours);
+        if (!q.enabled || q.start === q.end) return null;
+
+        const candidates = [q.start, q.end].map(hhmm => {
+            const at = new Date(now);
+            at.setHours(Math.floor(this._minutes(hhmm) / 60), this._minutes(hhmm) % 60, 0, 0);
+            if (at.getTime() <= now.getTime()) at.setDate(at.getDate() + 1);
+            return at.getTime();
+        });
+        return Math.min(...candidates);
+    }
+
+    /**
+     * @param {string} optionId - ALERT_SNOOZE_OPTIONS id
+     * @param {number} [now] - Epoch ms
+     * @returns {number|null} Snooze end (epoch ms)
+     */
+    static snoozeUntil(optionId, now = Date.now()) {
+        const option = ALERT_SNOOZE_OPTIONS.find(o => o.id === optionId);
+        if (!option) return null;
+        if (option.hours > 0) return now + option.hours * HOUR_MS;
+
+        const midnight = new Date(now);
+        midnight.setHours(24, 0, 0, 0);
+        return midnight.getTime();
+    }
+
+    /**
+     * Snoozes that have not expired yet.
+     * @param {Object<string, number>} snoozes - CODE -> epoch ms
+     * @param {number} [now]
+     * @returns {Object<string, number>}
+     */
+    static activeSnoozes(snoozes, now = Date.now()) {
+        const active = {};
+        Object.entries(snoozes || {}).forEach(([code, until]) => {
+            if (Number(until) > now) active[code.toUpperCase()] = Number(until);
+        });
+        return active;
+    }
+
+    /**
+     * Decides whether a surfacing of an alert may badge.
+     * The same surfacing (same hit timestamp) is never suppressed against itself,
+     * so repeated recalculations of one alert stay stable.
+     * @param {{ t: string, at: number, price: number }|null} last - Last surfacing that badged
+     * @param {{ t: string, price: number, direction: string|null }} hit
+     * @param {{ hours: number, stepPct: number }} cooldown
+     * @param {number} [now]
+     * @returns {{ suppressed: boolean, state: Object|null }} state = what to keep for this key
+     */
+    static evaluateCooldown(last, hit, cooldown, now = Date.now()) {
+        if (!cooldown || !(cooldown.hours > 0)) return { suppressed: false, state: null };
+
+        const fresh = { t: hit.t, at: now, price: Number(hit.price) || 0 };
+        if (!last || !(last.at > 0)) return { suppressed: false, state: fresh };
+        if (last.t === hit.t) return { suppressed: false, state: last };
+        if (now - last.at >= cooldown.hours * HOUR_MS) return { suppressed: false, state: fresh };
+
+        if (cooldown.stepPct > 0 && fresh.price > 0 && last.price > 0) {
+            const sign = DOWNWARD_DIRECTIONS.includes(hit.direction) ? -1 : 1;
+            const extension = ((fresh.price - last.price) / last.price) * 100 * sign;
+            if (extension >= cooldown.stepPct) return { suppressed: false, state: fresh };
+        }
+        return { suppressed: true, state: last };
+    }
+
+    /**
+     * Drops cooldown entries older than the longest possible window.
+     * @param {Object<string, Object>} states
+     * @param {number} [now]
+     * @returns {Object<string, Object>}
+     */
+    static pruneCooldowns(states, now = Date.now()) {
+        const maxAge = ALERT_SUPPRESSION_DEFAULTS.MAX_COOLDOWN_HOURS * HOUR_MS;
+        const kept = {};
+        Object.entries(states || {}).forEach(([key, state]) => {
+            if (state && now - state.at < maxAge) kept[key] = state;
+        });
+        return kept;
+    }
+
+    /** "HH:MM" -> minutes since midnight */
+    static _minutes(hhmm) {
+        const match = TIME_PATTERN.exec(hhmm || '');
+        return match ? Number(match[1]) * 60 + Number(match[2]) : 0;
+    }
+}
@@ -7,8 +7,12 @@
 import { userStore } from './DataService.js';
 // CashAssetUI import removed to decouple Service from UI layers
 import { AppState } from '../state/AppState.js';
-import { USER_MESSAGES, ALL_SHARES_ID, CASH_WATCHLIST_ID, DASHBOARD_WATCHLIST_ID, PORTFOLIO_ID, SEARCH_WATCHLIST_ID, SIMULATIONS_WATCHLIST_ID } from '../utils/AppConstants.js';
+import { USER_MESSAGES, TRANSACTION_TYPES, ALL_SHARES_ID, CASH_WATCHLIST_ID, DASHBOARD_WATCHLIST_ID, PORTFOLIO_ID, SEARCH_WATCHLIST_ID, SIMULATIONS_WATCHLIST_ID } from '../utils/AppConstants.js';
 import { ToastManager } from '../ui/ToastManager.js';
+import { deriveHoldings, getShareTransactions, accrueDrpTransactions } from './DataProcessor.js';
+import { DividendService } from './DividendService.js';
+import { CorporateActionService } from './CorporateActionService.js';
+import { notificationStore } from '../state/NotificationStore.js';
 
 export class AppService {
     /**
@@ -301,6 +305,166 @@ export class AppService {
         await userStore.updateDocument(user.uid, 'shares', shareId, shareData);
     }
 
+    /**
+     * Persists a share's transaction ledger along with the holdings derived from it.
+     * @param {string} shareId - The ID of the share document.
+     * @param {Array<Object>} transactions - The complete ledger.
+     * @param {Object} [extraFields] - Additional share fields to write alongside (e.g. drpResidualCash).
+     * @returns {Object} The derived holdings summary.
+     */
+    async saveShareTransactions(shareId, transactions, extraFields = {}) {
+        if (!shareId) throw new Error(USER_MESSAGES.ERR_MISSING_SHARE_ID);
+
+        const user = AppState.user;
+        if (!user) throw new Error(USER_MESSAGES.AUTH_REQUIRED);
+
+        const holdings = deriveHoldings(transactions);
+        const derived = {
+            ...extraFields,
+            portfolioShares: holdings.units,
+            portfolioAvgPrice: Number(holdings.averageCost.toFixed(4))
+        };
+        if (holdings.lastBuyDate) derived.purchaseDate = holdings.lastBuyDate;
+
+        // Optimistic local update
+        const local = (AppState.data.shares || []).find(s => String(s.id) === String(shareId));
+        if (local) Object.assign(local, derived, { transactions });
+
+        await userStore.saveShareTransactions(user.uid, shareId, transactions, derived);
+        return holdings;
+    }
+
+    /**
+     * Accrues DRP allotments into the ledger of every DRP-enabled holding.
+     * Payments are read from DividendService; the allocation price comes from the
+     * supplied price-history source. Only shares whose accrued rows changed are written.
+     * The price history is only fetched when a new pay date has passed or the DRP
+     * settings / manual ledger changed since the last accrual (tracked in drpAccrualKey).
+     * Ledgers with an undated acquisition (e.g. a legacy holding's opening buy) are skipped
+     * until a DRP start date (drpSince) is set, so no allotments accrue before the units were held.
+     * @param {Function} fetchHistory - (code, range) => Promise<{ ok, data: [{ time, close }] }>
+     * @returns {Promise<number>} Number of shares updated.
+     */
+    async syncDrpAccruals(fetchHistory) {
+        const user = AppState.user;
+        if (!user || typeof fetchHistory !== 'function') return 0;
+
+        const drpShares = (AppState.data.shares || []).filter(s => s && s.id && s.drpEnabled);
+        let updated = 0;
+
+        for (const share of drpShares) {
+            const code = String(share.shareName || share.code || '').trim().toUpperCase();
+            // Legacy holdings are migrated into a real opening buy the first time they accrue
+            const transactions = getShareTransactions(share).map(({ isSynthetic, ...t }) => (
+                isSynthetic ? { ...t, id: `txn_${Date.now()}_open` } : t
+            ));
+            if (!code || transactions.length === 0) continue;
+
+            const isUndatedAcquisition = (t) => !t.date && (t.type === TRANSACTION_TYPES.BUY || t.type === TRANSACTION_TYPES.DRP);
+            const sinceDate = share.drpSince || (transactions.some(isUndatedAcquisition) ? '' : transactions[0].date || '');
+            if (!sinceDate) {
+                console.warn(`[AppService] DRP accrual skipped for ${code}: set a DRP start date for a holding with an undated purchase.`);
+                continue;
+            }
+
+            try {
+                const payments = await DividendService.getPaidDividends(code, sinceDate);
+                if (payments.length === 0) continue;
+
+                const accrualKey = JSON.stringify([
+                    payments[payments.length - 1].payDate,
+                    payments.length,
+                    parseFloat(share.drpDiscount) || 0,
+                    !!share.drpFractional,
+                    sinceDate,
+                    transactions.filter(t => !t.isAccrued).map(t => [t.type, t.date, t.quantity, t.price, t.brokerage || 0])
+                ]);
+                if (accrualKey === share.drpAccrualKey) continue;
+
+                const ageYears = (Date.now() - Date.parse(payments[0].payDate)) / (365 * 86400000);
+                const res = await fetchHistory(code, ageYears < 1 ? '1y' : (ageYears < 5 ? '5y' : 'max'));
+                const bars = res && res.ok && Array.isArray(res.data) ? res.data : [];
+                const priced = payments
+                    .map(p => ({ ...p, price: DividendService.getDrpReferencePrice(bars, p.payDate) }))
+                    .filter(p => p.price > 0);
+
+                const result = accrueDrpTransactions(transactions, priced, {
+                    discount: share.drpDiscount,
+                    fractional: !!share.drpFractional
+                });
+
+                // An unpriced payment (e.g. history fetch failed) leaves the key unset so the next boot retries
+                const nextKey = priced.length === payments.length ? accrualKey : '';
+                const signature = (list) => JSON.stringify(list.filter(t => t.isAccrued).map(t => [t.id, t.date, t.quantity, t.price]));
+                if (signature(result.transactions) === signature(share.transactions || []) && result.residualCash === (share.drpResidualCash || 0)) {
+                    if (nextKey && nextKey !== share.drpAccrualKey) {
+                        await this.updateShareRecord(share.id, { drpAccrualKey: nextKey });
+                        share.drpAccrualKey = nextKey;
+                    }
+                    continue;
+                }
+
+                await this.saveShareTransactions(share.id, result.transactions, { drpResidualCash: result.residualCash, drpAccrualKey: nextKey });
+                updated++;
+            } catch (err) {
+                console.warn(`[AppService] DRP accrual failed for ${code}:`, err);
+            }
+        }
+
+        return updated;
+    }
+
+    /**
+     * Builds (without writing) the plan for a corporate action against the current user data.
+     * @param {Object} input - { type, fromCode, toCode, ratioFrom, ratioTo, effectiveDate }
+     * @returns {{ plan: Object|null, error: string|null }}
+     */
+    previewCorporateAction(input) {
+        const { action, error } = CorporateActionService.normalize(input);
+        if (!action) return { plan: null, error };
+
+        const plan = CorporateActionService.buildPlan(action, {
+            shares: AppState.data.shares || [],
+            watchlists: AppState.data.watchlists || [],
+            dividendOverrides: AppState.data.dividendOverrides || {},
+            highWaterMarks: notificationStore.highWaterMarks || {}
+        });
+
+        if (plan.error === 'nothing') return { plan, error: USER_MESSAGES.CORPORATE_ACTION_NOTHING };
+        if (plan.error === 'duplicate') return { plan, error: USER_MESSAGES.CORPORATE_ACTION_ALREADY_APPLIED.replace('{0}', action.fromCode) };
+        return { plan, error: null };
+    }
+
+    /**
+     * Applies a split, consolidation or code change across every record referencing the code
+     * in one atomic batch, with an audit trail entry.
+     * @param {Object} input - See previewCorporateAction.
+     * @returns {Promise<boolean>} True when the batch committed.
+     */
+    async applyCorporateAction(input) {
+        const user = AppState.user;
+        if (!user) {
+            ToastManager.error(USER_MESSAGES.AUTH_REQUIRED);
+            return false;
+        }
+
+        const { plan, error } = this.previewCorporateAction(input);
+        if (error) {
+            ToastManager.error(error);
+            return false;
+        }
+
+        const auditId = await userStore.applyCorporateAction(user.uid, plan, CorporateActionService.buildAuditEntry(plan));
+        if (!auditId) {
+            ToastManager.error(USER_MESSAGES.CORPORATE_ACTION_FAILED);
+            return false;
+        }
+
+        if (plan.highWaterUpdate) notificationStore.applyHighWaterUpdate(plan.highWaterUpdate);
+        ToastManager.success(USER_MESSAGES.CORPORATE_ACTION_APPLIED.replace('{0}', CorporateActionService.countWrites(plan)));
+        return true;
+    }
+
     async addStock(symbol, watchlistId, price = null, date = null, explicitDocId = null) {
         const user = AppState.user;
         if (!user) {
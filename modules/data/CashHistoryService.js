@@ -0,0 +1,171 @@
+/**
+ * CashHistoryService.js
+ * ===========================================================================
+ * ROLE: Dated Balance History for Cash & Asset Categories
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * A cash asset may carry a dated history of balance changes alongside its
+ * current balance:
+ *
+ *   balanceHistory: [{ id, date, type, amount, balance }]
+ *
+ *   date    - YYYY-MM-DD the change took effect
+ *   type    - CASH_HISTORY_TYPES: a revaluation sets the balance to amount,
+ *             a deposit adds it, a withdrawal subtracts it
+ *   amount  - always positive
+ *   balance - running balance after the entry (derived on every change)
+ *
+ * Entries on the same day apply in the order they were recorded. The asset's
+ * `balance` stays the current value, so everything that reads it is
+ * unaffected. Before its first entry an asset is valued at that entry's
+ * balance when it is a revaluation (the value was unknown, not zero), and at
+ * zero when it opens with a deposit. Interest-bearing assets accrue on top of
+ * the balance in force, from the later of startDate and that entry's date
+ * (CashInterestService). Everything here is pure.
+ * ===========================================================================
+ */
+
+import { CASH_HISTORY_TYPES, CASH_HISTORY_LIMIT } from '../utils/AppConstants.js';
+import { CashInterestService } from './CashInterestService.js';
+import { toIsoDate } from '../utils/formatters.js';
+
+export class CashHistoryService {
+
+    /**
+     * @param {Object} asset
+     * @returns {boolean} True when the asset has at least one dated entry
+     */
+    static hasHistory(asset) {
+        return Array.isArray(asset?.balanceHistory) && asset.balanceHistory.length > 0;
+    }
+
+    /**
+     * Valid entries in date order with running balances recomputed. Beyond CASH_HISTORY_LIMIT
+     * the oldest entries are folded into an opening revaluation so later balances don't change.
+     * @param {Array<Object>} history
+     * @returns {Array<Object>}
+     */
+    static normalize(history) {
+        const entries = (Array.isArray(history) ? history : [])
+            .filter(e => e && /^\d{4}-\d{2}-\d{2}$/.test(e.date) && Object.values(CASH_HISTORY_TYPES).includes(e.type) && isFinite(parseFloat(e.amount)))
+            .sort((a, b) => a.date.localeCompare(b.date)); // Stable: same-day entries keep their order
+
+        let running = 0;
+        const result = entries.map(e => {
+            const amount = Math.abs(parseFloat(e.amount));
+            if (e.type === CASH_HISTORY_TYPES.REVALUATION) running = amount;
+            else if (e.type === CASH_HISTORY_TYPES.DEPOSIT) running += amount;
+            else running -= amount;
+            running = Math.round(running * 100) / 100;
+            return { id: e.id || this._newId(), date: e.date, type: e.type, amount, balance: running };
+        });
+
+        if (result.length <= CASH_HISTORY_LIMIT) return result;
+        const kept = result.slice(-CASH_HISTORY_LIMIT);
+        kept[0] = { ...kept[0], type: CASH_HISTORY_TYPES.REVALUATION, amount: kept[0].balance };
+        return kept;
+    }
+
+    /**
+     * @param {Array<Object>} history - normalized
+     * @returns {number|null} Balance after the latest entry, or null when there is none
+     */
+    static latestBalance(history) {
+        return Array.isArray(history) && history.length > 0 ? history[history.length - 1].balance : null;
+    }
+
+    /**
+     * @param {Array<Object>} history
+     * @param {{ date: string, type: string, amount: number }} entry
+     * @returns {Array<Object>} normalized
+     */
+    static addEntry(history, entry) {
+        return this.normalize([...(history || []), { ...entry, id: this._newId() }]);
+    }
+
+    /**
+     * @param {Array<Object>} history
+     * @param {string} entryId
+     * @returns {Array<Object>} normalized
+     */
+    static removeEntry(history, entryId) {
+        return this.normalize((history || []).filter(e => e && e.id !== entryId));
+    }
+
+    /**
+     * History that ends on the given balance: a balance edited directly (rather than through
+     * an entry) is recorded as a revaluation on that day, so an edit never erases the past.
+     * @param {Array<Object>} history
+     * @param {number} balance
+     * @param {string} [date] - YYYY-MM-DD, default today
+     * @returns {Array<Object>} normalized
+     */
+    static reconcile(history, balance, date = toIsoDate(new Date())) {
+        const normalized = this.normalize(history);
+        const target = Math.round((parseFloat(balance) || 0) * 100) / 100;
+        if (this.latestBalance(normalized) === target) return normalized;
+        return this.addEntry(normalized, { date, type: CASH_HISTORY_TYPES.REVALUATION, amount: target });
+    }
+
+    /**
+     * Asset value at a point in time, with any interest accrued by then.
+     * @param {Object} asset
+     * @param {number} time - Unix seconds
+     * @returns {number} Current balance (plus interest) when the asset has no history
+     */
+    static balanceAt(asset, time) {
+        const date = new Date(time * 1000);
+        const history = this.hasHistory(asset) ? this.normalize(asset.balanceHistory) : [];
+        if (history.length === 0) return CashInterestService.accruedValue(asset, date);
+
+        const day = toIsoDate(date);
+        let value = history[0].type === CASH_HISTORY_TYPES.REVALUATION ? history[0].balance : 0;
+        let since = null;
+        for (const e of history) {
+            if (e.date > day) break;
+            value = e.balance;
+            since = e.date;
+        }
+
+        const start = CashInterestService.accrualStart({ startDate: asset.startDate });
+        const from = since && start && since > start ? since : start;
+        return CashInterestService.accrue(asset, value, from, date);
+    }
+
+    /**
+     * Summed value of a set of assets at each time.
+     * @param {Array<Object>} assets
+     * @param {Array<number>} times - Unix seconds, ascending
+     * @param {function(Object): number} [scaleOf] - Per-asset multiplier (currency conversion, liability sign)
+     * @returns {Array<{ time: number, value: number }>}
+     */
+    static seriesFor(assets, times, scaleOf = () => 1) {
+        return (times || []).map(time => ({
+            time,
+            value: (assets || []).reduce((sum, asset) => sum + this.balanceAt(asset, time) * scaleOf(asset), 0)
+        }));
+    }
+
+    /**
+     * Distinct entry days across assets as Unix seconds (local midnight), ascending.
+     * @param {Array<Object>} assets
+     * @returns {Array<number>}
+     */
+    static entryTimes(assets) {
+        const days = new Set();
+        (assets || []).forEach(asset => {
+            if (this.hasHistory(asset)) asset.balanceHistory.forEach(e => { if (e?.date) days.add(e.date); });
+        });
+        return [...days]
+            .map(day => {
+                const [y, m, d] = day.split('-').map(Number);
+                return Math.floor(new Date(y, m - 1, d).getTime() / 1000);
+            })
+            .filter(t => !isNaN(t))
+            .sort((a, b) => a - b);
+    }
+
+    static _newId() {
+        return `bal_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+}
@@ -0,0 +1,160 @@
+/**
+ * CashInterestService.js
+ * ===========================================================================
+ * ROLE: Interest Accrual & Term Deposit Maturity
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * A cash asset may carry optional interest fields alongside its balance:
+ *
+ *   { interestRate, compounding, startDate, maturityDate }
+ *
+ *   interestRate - annual rate in percent (4.85 = 4.85% p.a.)
+ *   compounding  - CASH_COMPOUNDING value (default: simple, at maturity)
+ *   startDate    - YYYY-MM-DD the balance was invested; accrual runs from here
+ *   maturityDate - YYYY-MM-DD the deposit matures; accrual stops here
+ *
+ * The stored balance is the principal. A dated balance history entry
+ * (CashHistoryService) restates it, so accrual runs from the later of
+ * startDate and the latest entry: a revaluation to a statement balance
+ * already includes the interest earned so far. Everything here is pure:
+ * callers pass the assets and, optionally, the date to value them at.
+ * ===========================================================================
+ */
+
+import { CASH_COMPOUNDING_PERIODS, CASH_MATURITY_NOTICE_DAYS, LIABILITY_CATEGORY_IDS } from '../utils/AppConstants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class CashInterestService {
+
+    /**
+     * @param {Object} asset
+     * @returns {boolean} True when the asset carries a positive rate and a start date. Liabilities
+     *                    never accrue here: their rate is informational and the balance owed is kept current.
+     */
+    static isInterestBearing(asset) {
+        if (LIABILITY_CATEGORY_IDS.includes(asset?.category)) return false;
+        return (parseFloat(asset?.interestRate) || 0) > 0 && !!this._parseDay(asset?.startDate);
+    }
+
+    /**
+     * Principal plus interest accrued up to asOf (or maturity, whichever is first).
+     * Compounding assets compound on completed periods and accrue simple interest
+     * within the current one; simple-interest assets accrue linearly.
+     * @param {Object} asset
+     * @param {Date} [asOf]
+     * @returns {number}
+     */
+    static accruedValue(asset, asOf = new Date()) {
+        return this.accrue(asset, parseFloat(asset?.balance) || 0, this.accrualStart(asset), asOf);
+    }
+
+    /**
+     * Day the current balance starts accruing: the later of startDate and the latest
+     * balance history entry.
+     * @param {Object} asset
+     * @returns {string|null} YYYY-MM-DD
+     */
+    static accrualStart(asset) {
+        const start = this._parseDay(asset?.startDate) ? String(asset.startDate).slice(0, 10) : null;
+        const entries = Array.isArray(asset?.balanceHistory) ? asset.balanceHistory : [];
+        return entries.reduce((latest, e) => {
+            const day = this._parseDay(e?.date) ? e.date.slice(0, 10) : null;
+            return day && latest && day > latest ? day : latest;
+        }, start);
+    }
+
+    /**
+     * A principal grown at the asset's rate and compounding from one day to asOf (or maturity).
+     * @param {Object} asset - Supplies interestRate, compounding and maturityDate
+     * @param {number} principal
+     * @param {string} from - YYYY-MM-DD
+     * @param {Date} [asOf]
+     * @returns {number}
+     */
+    static accrue(asset, principal, from, asOf = new Date()) {
+        if (!this.isInterestBearing(asset)) return principal;
+        const start = this._parseDay(from);
+        if (!start) return principal;
+
+        const rate = parseFloat(asset.interestRate) / 100;
+        const maturity = this._parseDay(asset.maturityDate);
+        const today = this._startOfDay(asOf);
+        const end = maturity && maturity < today ? maturity : today;
+
+        const days = this._daysBetween(start, end);
+        if (days <= 0) return principal;
+
+        const years = days / 365;
+        const periods = CASH_COMPOUNDING_PERIODS[asset.compounding];
+        if (!periods) return principal * (1 + rate * years);
+
+        const whole = Math.floor(years * periods);
+        const compounded = principal * Math.pow(1 + rate / periods, whole);
+        return compounded * (1 + rate * (years - whole / periods));
+    }
+
+    /**
+     * Value the asset will reach at maturity, or null when it has no maturity date.
+     * @param {Object} asset
+     * @returns {number|null}
+     */
+    static maturityValue(asset) {
+        const maturity = this._parseDay(asset?.maturityDate);
+        return maturity ? this.accruedValue(asset, maturity) : null;
+    }
+
+    /**
+     * Whole days until maturity (0 on the day, negative once matured), or null when none is set.
+     * @param {Object} asset
+     * @param {Date} [asOf]
+     * @returns {number|null}
+     */
+    static daysToMaturity(asset, asOf = new Date()) {
+        const maturity = this._parseDay(asset?.maturityDate);
+        return maturity ? this._daysBetween(this._startOfDay(asOf), maturity) : null;
+    }
+
+    /**
+     * Assets maturing within the notice window (today included), soonest first.
+     * @param {Array<Object>} assets
+     * @param {Date} [asOf]
+     * @param {number} [noticeDays]
+     * @returns {Array<{ asset: Object, days: number, value: number, noticeFrom: number }>}
+     *   noticeFrom: epoch ms of the day the asset entered the window
+     */
+    static maturingSoon(assets, asOf = new Date(), noticeDays = CASH_MATURITY_NOTICE_DAYS) {
+        return (assets || [])
+            .map(asset => ({ asset, days: this.daysToMaturity(asset, asOf) }))
+            .filter(m => m.days !== null && m.days >= 0 && m.days <= noticeDays)
+            .map(m => {
+                const maturity = this._parseDay(m.asset.maturityDate);
+                return {
+                    ...m,
+                    value: this.maturityValue(m.asset),
+                    noticeFrom: maturity.getTime() - noticeDays * DAY_MS
+                };
+            })
+            .sort((a, b) => a.days - b.days);
+    }
+
+    /**
+     * @param {string} value - YYYY-MM-DD
+     * @returns {Date|null} Local midnight
+     */
+    static _parseDay(value) {
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (!match) return null;
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    static _startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    /** Calendar days from a to b (rounded, so daylight saving shifts don't matter) */
+    static _daysBetween(a, b) {
+        return Math.round((b.getTime() - a.getTime()) / DAY_MS);
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * CorporateActionService.js
+ * ===========================================================================
+ * ROLE: Corporate Action Planner (splits, consolidations, code changes)
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * Turns a corporate action into a write plan covering every record that
+ * references the affected code. The plan is pure data built from AppState;
+ * UserStore.applyCorporateAction() commits it as one atomic batch together
+ * with an audit trail entry, so a half-applied action can never occur.
+ *
+ * SPLITS / CONSOLIDATIONS:
+ *   A SPLIT / CONSOLIDATION ledger row (ratioFrom -> ratioTo) is appended on
+ *   the effective date and the holdings are re-derived from the ledger.
+ *   Per-share prices (target, entry, dividend amount) are divided by the
+ *   factor. Dividend overrides only carry a franking percentage, so they are
+ *   ratio-independent and left untouched. A trailing stop high-water mark
+ *   (preferences alertHighWater.<CODE>) is a price and is rescaled too.
+ *
+ * CODE CHANGES:
+ *   Share documents keep their IDs (and with them comments, targets and the
+ *   notification mute); only the code fields change. Watchlist `stocks`
+ *   arrays, the dividend override key and the trailing stop high-water mark
+ *   move to the new code. A document already tracking the new code is folded
+ *   into the renamed one.
+ * ===========================================================================
+ */
+
+import { CORPORATE_ACTION_TYPES, CORPORATE_ACTION_LABELS, TRANSACTION_TYPES } from '../utils/AppConstants.js';
+import { toIsoDate } from '../utils/formatters.js';
+import { deriveHoldings, getShareTransactions, normalizeComments } from './DataProcessor.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Decimal places kept when rescaling per-share prices */
+const PRICE_DECIMALS = 4;
+
+/** Per-share price fields rescaled by a split or consolidation */
+const PER_SHARE_FIELDS = ['targetPrice', 'enteredPrice', 'entryPrice', 'dividendAmount'];
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export class CorporateActionService {
+
+    /**
+     * Units multiplier for an action (2 for a 1:2 split, 0.1 for a 10:1 consolidation).
+     * @param {Object} action
+     * @returns {number} 1 when the action carries no ratio
+     */
+    static getFactor(action) {
+        if (!action || action.type === CORPORATE_ACTION_TYPES.CODE_CHANGE) return 1;
+        const from = parseFloat(action.ratioFrom) || 0;
+        const to = parseFloat(action.ratioTo) || 0;
+        return (from > 0 && to > 0) ? to / from : 1;
+    }
+
+    /**
+     * Human readable summary, also used for the share comment and audit entry.
+     * @param {Object} action
+     * @returns {string}
+     */
+    static describe(action) {
+        const label = CORPORATE_ACTION_LABELS[action.type] || 'Corporate action';
+        if (action.type === CORPORATE_ACTION_TYPES.CODE_CHANGE) {
+            return `${label}: ${action.fromCode} is now ${action.toCode}`;
+        }
+        return `${label} ${action.ratioFrom}:${action.ratioTo} (${action.fromCode}) effective ${action.effectiveDate}`;
+    }
+
+    /**
+     * Validates and normalises raw form input.
+     * @param {Object} input - { type, fromCode, toCode, ratioFrom, ratioTo, effectiveDate }
+     * @returns {{ action: Object|null, error: string|null }}
+     */
+    static normalize(input) {
+        const type = input?.type;
+        const fromCode = String(input?.fromCode || '').trim().toUpperCase();
+        const toCode = String(input?.toCode || '').trim().toUpperCase();
+        const ratioFrom = parseFloat(input?.ratioFrom) || 0;
+        const ratioTo = parseFloat(input?.ratioTo) || 0;
+        const effectiveDate = toIsoDate(input?.effectiveDate) || toIsoDate(new Date());
+
+        if (!Object.values(CORPORATE_ACTION_TYPES).includes(type)) return { action: null, error: 'Choose an action type.' };
+        if (!fromCode) return { action: null, error: 'Missing the current code.' };
+
+        if (type === CORPORATE_ACTION_TYPES.CODE_CHANGE) {
+            if (!toCode || toCode === fromCode) return { action: null, error: 'Enter the new code.' };
+            return { action: { type, fromCode, toCode, effectiveDate }, error: null };
+        }
+
+        if (ratioFrom <= 0 || ratioTo <= 0) return { action: null, error: 'Enter both sides of the ratio.' };
+        if (type === CORPORATE_ACTION_TYPES.SPLIT && ratioTo <= ratioFrom) {
+            return { action: null, error: 'A split increases units (e.g. 1 : 2).' };
+        }
+        if (type === CORPORATE_ACTION_TYPES.CONSOLIDATION && ratioTo >= ratioFrom) {
+            return { action: null, error: 'A consolidation reduces units (e.g. 10 : 1).' };
+        }
+        return { action: { type, fromCode, toCode: fromCode, ratioFrom, ratioTo, effectiveDate }, error: null };
+    }
+
+    /**
+     * Builds the write plan for an action against the current user data.
+     *
+     * @param {Object} action - Normalised action from normalize()
+     * @param {Object} data - { shares, watchlists, dividendOverrides, highWaterMarks }
+     * @returns {Object} {
+     *   action, summary, error,
+     *   shareUpdates: [{ id, code, data, changes: string[] }],
+     *   shareDeletes: [{ id, code }],
+     *   watchlistUpdates: [{ id, name, stocks }],
+     *   overrideMove: { from, to, data } | null,
+     *   highWaterUpdate: { from, to, mark } | null
+     * }
+     */
+    static buildPlan(action, { shares = [], watchlists = [], dividendOverrides = {}, highWaterMarks = {} } = {}) {
+        const plan = {
+            action,
+            summary: this.describe(action),
+            error: null,
+            shareUpdates: [],
+            shareDeletes: [],
+            watchlistUpdates: [],
+            overrideMove: null,
+            highWaterUpdate: null
+        };
+
+        const codeOf = (s) => String(s.shareName || s.code || '').trim().toUpperCase();
+        const targets = shares.filter(s => s && s.id && codeOf(s) === action.fromCode);
+
+        if (action.type === CORPORATE_ACTION_TYPES.CODE_CHANGE) {
+            this._planRename(plan, targets, shares.filter(s => s && s.id && codeOf(s) === action.toCode), watchlists, dividendOverrides);
+        } else {
+            this._planRatio(plan, targets);
+        }
+        if (!plan.error && plan.shareUpdates.length > 0) this._planHighWater(plan, highWaterMarks);
+
+        if (!plan.error && plan.shareUpdates.length === 0 && plan.watchlistUpdates.length === 0 && !plan.overrideMove) {
+            plan.error = 'nothing';
+        }
+        return plan;
+    }
+
+    /**
+     * Total number of documents the plan writes (excluding the audit entry).
+     * @param {Object} plan
+     * @returns {number}
+     */
+    static countWrites(plan) {
+        // The override move and high-water update share the preferences document
+        const preferencesWrites = (plan.overrideMove || plan.highWaterUpdate) ? 1 : 0;
+        return plan.shareUpdates.length + plan.shareDeletes.length + plan.watchlistUpdates.length + preferencesWrites;
+    }
+
+    /**
+     * Audit trail entry stored alongside the batch.
+     * @param {Object} plan
+     * @returns {Object}
+     */
+    static buildAuditEntry(plan) {
+        const { action } = plan;
+        return {
+            type: action.type,
+            fromCode: action.fromCode,
+            toCode: action.toCode,
+            ratioFrom: action.ratioFrom || null,
+            ratioTo: action.ratioTo || null,
+            effectiveDate: action.effectiveDate,
+            summary: plan.summary,
+            shareIds: plan.shareUpdates.map(u => u.id),
+            mergedShareIds: plan.shareDeletes.map(d => d.id),
+            watchlistIds: plan.watchlistUpdates.map(w => w.id),
+            overrideMoved: !!plan.overrideMove,
+            highWaterBefore: plan.highWaterUpdate ? plan.highWaterUpdate.before : null,
+            // Previous values so the action can be reviewed (or reversed by hand) later
+            before: plan.shareUpdates.map(u => ({ id: u.id, ...u.before }))
+        };
+    }
+
+    // ========================================================================
+    // PRIVATE PLANNERS
+    // ========================================================================
+
+    static _planRatio(plan, targets) {
+        const { action } = plan;
+        const factor = this.getFactor(action);
+        const ledgerType = action.type === CORPORATE_ACTION_TYPES.SPLIT ? TRANSACTION_TYPES.SPLIT : TRANSACTION_TYPES.CONSOLIDATION;
+
+        for (const share of targets) {
+            const data = {};
+            const before = {};
+            const changes = [];
+
+            // Legacy holdings are migrated into a real opening buy so the ratio row has parcels to rescale
+            const transactions = getShareTransactions(share).map(({ isSynthetic, ...t }) => (
+                isSynthetic ? { ...t, id: `txn_${Date.now()}_open` } : t
+            ));
+
+            if (transactions.length > 0) {
+                const duplicate = transactions.some(t => t.type === ledgerType && t.date === action.effectiveDate
+                    && parseFloat(t.ratioFrom) === action.ratioFrom && parseFloat(t.ratioTo) === action.ratioTo);
+                if (duplicate) {
+                    plan.error = 'duplicate';
+                    return;
+                }
+
+                const ledger = [...transactions, {
+                    id: `txn_${Date.now()}_${share.id}_ca`,
+                    type: ledgerType,
+                    date: action.effectiveDate,
+                    ratioFrom: action.ratioFrom,
+                    ratioTo: action.ratioTo
+                }];
+                const holdings = deriveHoldings(ledger);
+
+                before.portfolioShares = share.portfolioShares ?? null;
+                before.portfolioAvgPrice = share.portfolioAvgPrice ?? null;
+                data.transactions = ledger;
+                data.portfolioShares = Number(holdings.units.toFixed(4));
+                data.portfolioAvgPrice = Number(holdings.averageCost.toFixed(PRICE_DECIMALS));
+                if (holdings.lastBuyDate) data.purchaseDate = holdings.lastBuyDate;
+                changes.push(`Units ${before.portfolioShares || 0} → ${data.portfolioShares}`);
+            }
+
+            PER_SHARE_FIELDS.forEach(field => {
+                const value = parseFloat(share[field]);
+                if (!(value > 0)) return;
+                before[field] = share[field];
+                data[field] = Number((value / factor).toFixed(PRICE_DECIMALS));
+                if (field === 'targetPrice') changes.push(`Target $${value} → $${data[field]}`);
+            });
+
+            const simulatedQty = parseFloat(share.simulatedQty);
+            if (simulatedQty > 0) {
+                before.simulatedQty = share.simulatedQty;
+                data.simulatedQty = Number((simulatedQty * factor).toFixed(4));
+            }
+
+            data.comments = this._appendComment(share, plan.summary);
+            plan.shareUpdates.push({ id: share.id, code: action.fromCode, data, before, changes });
+        }
+    }
+
+    static _planRename(plan, targets, existing, watchlists, dividendOverrides) {
+        const { action } = plan;
+        const primary = targets[0] || null;
+
+        targets.forEach((share, idx) => {
+            const data = {
+                shareName: action.toCode,
+                comments: this._appendComment(share, plan.summary)
+            };
+            const before = { shareName: share.shareName || null };
+            const changes = [`Code ${action.fromCode} → ${action.toCode}`];
+
+            if (share.code) {
+                before.code = share.code;
+                data.code = action.toCode;
+            }
+            if (String(share.shareSightCode || '').toUpperCase() === action.fromCode) {
+                before.shareSightCode = share.shareSightCode;
+                data.shareSightCode = action.toCode;
+            }
+
+            // Fold any record already tracking the new code into the first renamed one
+            if (idx === 0 && existing.length > 0) {
+                this._mergeInto(share, existing, data, before, changes);
+                existing.forEach(dup => plan.shareDeletes.push({ id: dup.id, code: action.toCode }));
+            }
+
+            plan.shareUpdates.push({ id: share.id, code: action.fromCode, data, before, changes });
+        });
+
+        watchlists.forEach(wl => {
+            if (!wl || !wl.id || !Array.isArray(wl.stocks)) return;
+            const codes = wl.stocks.map(c => String(c || '').toUpperCase());
+            if (!codes.includes(action.fromCode)) return;
+            const stocks = [...new Set(codes.map(c => c === action.fromCode ? action.toCode : c))];
+            plan.watchlistUpdates.push({ id: wl.id, name: wl.name || wl.id, stocks });
+        });
+
+        const override = dividendOverrides?.[action.fromCode];
+        if (override && (primary || plan.watchlistUpdates.length > 0)) {
+            plan.overrideMove = { from: action.fromCode, to: action.toCode, data: override };
+        }
+    }
+
+    /**
+     * Carries the trailing stop high-water mark across the action: rescaled by the
+     * ratio for a split / consolidation, moved to the new key for a code change.
+     */
+    static _planHighWater(plan, highWaterMarks) {
+        const { action } = plan;
+        const mark = highWaterMarks?.[action.fromCode];
+        if (!mark || !(parseFloat(mark.high) > 0)) return;
+
+        const factor = this.getFactor(action);
+        plan.highWaterUpdate = {
+            from: action.fromCode,
+            to: action.toCode,
+            before: { ...mark },
+            mark: { ...mark, high: Number((parseFloat(mark.high) / factor).toFixed(PRICE_DECIMALS)) }
+        };
+    }
+
+    /**
+     * Merges duplicate documents (already on the new code) into the renamed share.
+     * Ledgers and comments are concatenated, watchlist membership unioned; targets,
+     * mute and DRP settings are only taken from the duplicate where the primary has none.
+     */
+    static _mergeInto(primary, duplicates, data, before, changes) {
+        // Synthetic legacy openings all share one ID, so give each a real one per source document
+        const ledgerOf = (share) => getShareTransactions(share).map(({ isSynthetic, ...t }) => (
+            isSynthetic ? { ...t, id: `txn_${Date.now()}_${share.id}_open` } : t
+        ));
+        const transactions = ledgerOf(primary);
+        const seenIds = new Set(transactions.map(t => t.id));
+        const watchlistIds = new Set([...(primary.watchlistIds || []), primary.watchlistId].filter(Boolean));
+        let comments = data.comments;
+
+        duplicates.forEach(dup => {
+            ledgerOf(dup).forEach(t => {
+                if (seenIds.has(t.id)) return;
+                seenIds.add(t.id);
+                transactions.push(t);
+            });
+            [...(dup.watchlistIds || []), dup.watchlistId].filter(Boolean).forEach(id => watchlistIds.add(id));
+            comments = [...comments, ...normalizeComments(dup.comments)];
+
+            if (!(parseFloat(primary.targetPrice) > 0) && parseFloat(dup.targetPrice) > 0) {
+                data.targetPrice = dup.targetPrice;
+                data.targetDirection = dup.targetDirection || 'below';
+            }
+            if (dup.muted && !primary.muted) data.muted = true;
+            if (dup.drpEnabled && !primary.drpEnabled) {
+                data.drpEnabled = true;
+                data.drpDiscount = dup.drpDiscount || 0;
+                data.drpSince = dup.drpSince || '';
+                data.drpFractional = !!dup.drpFractional;
+            }
+        });
+
+        const ledger = transactions.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        if (ledger.length > 0) {
+            const holdings = deriveHoldings(ledger);
+            before.portfolioShares = primary.portfolioShares ?? null;
+            before.portfolioAvgPrice = primary.portfolioAvgPrice ?? null;
+            data.transactions = ledger;
+            data.portfolioShares = Number(holdings.units.toFixed(4));
+            data.portfolioAvgPrice = Number(holdings.averageCost.toFixed(PRICE_DECIMALS));
+            if (holdings.lastBuyDate) data.purchaseDate = holdings.lastBuyDate;
+        }
+
+        data.watchlistIds = [...watchlistIds];
+        data.comments = comments;
+        changes.push(`Merged ${duplicates.length} existing record(s)`);
+    }
+
+    static _appendComment(share, summary) {
+        return [...normalizeComments(share.comments), { body: summary, date: new Date().toISOString() }];
+    }
+}
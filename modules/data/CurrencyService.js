@@ -0,0 +1,137 @@
+/**
+ * CurrencyService.js
+ * ===========================================================================
+ * ROLE: Currency Conversion & FX Impact
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * Shares and cash assets may carry a currency (CURRENCIES key, default AUD).
+ * Their prices and balances stay in that currency; values are converted to
+ * the user's base currency with the AUD crosses already in the price feed
+ * (FX_RATE_SYMBOLS), so any pair converts through AUD.
+ *
+ * A share may also record the rate it was bought at:
+ *
+ *   purchaseFxRate - units of the share's currency per 1 AUD on purchase
+ *                    (quoted like the feed, e.g. 0.65 for AUDUSD)
+ *
+ * Without it the cost base converts at today's rate and the capital gain
+ * carries no FX impact. Until a rate arrives from the feed amounts are
+ * counted unconverted, as they were before currencies existed, and
+ * convertHolding flags them fxPending so the UI can mark them.
+ * ===========================================================================
+ */
+
+import { AppState } from '../state/AppState.js';
+import { BASE_CURRENCY_DEFAULT, CURRENCIES, FX_RATE_SYMBOLS } from '../utils/AppConstants.js';
+
+const PAR = Object.freeze({ now: 1, previous: 1 });
+
+export class CurrencyService {
+
+    /**
+     * @returns {string} The currency values are reported in
+     */
+    static baseCurrency() {
+        const base = AppState.preferences?.baseCurrency;
+        return CURRENCIES[base] ? base : BASE_CURRENCY_DEFAULT;
+    }
+
+    /**
+     * @param {Object} item - Share or cash asset
+     * @returns {string} Its currency (AUD when unset or unknown)
+     */
+    static currencyOf(item) {
+        const currency = String(item?.currency || '').toUpperCase();
+        return CURRENCIES[currency] ? currency : BASE_CURRENCY_DEFAULT;
+    }
+
+    /**
+     * True when the item is held in a currency other than the base currency.
+     * @param {Object} item
+     * @returns {boolean}
+     */
+    static isForeign(item) {
+        return this.currencyOf(item) !== this.baseCurrency();
+    }
+
+    /**
+     * Multiplier from one currency to another, now and at the previous close.
+     * @param {string} from
+     * @param {string} [to] - Default: base currency
+     * @param {Map} [livePrices]
+     * @returns {{ now: number, previous: number }|null} null when a rate is not in the feed yet
+     */
+    static rate(from, to = this.baseCurrency(), livePrices = AppState.livePrices) {
+        if (from === to) return PAR;
+        const fromQuote = this._audQuote(from, livePrices);
+        const toQuote = this._audQuote(to, livePrices);
+        if (!fromQuote || !toQuote) return null;
+        return {
+            now: toQuote.now / fromQuote.now,
+            previous: toQuote.previous / fromQuote.previous
+        };
+    }
+
+    /**
+     * @param {number} amount
+     * @param {string} currency - Currency the amount is in
+     * @param {Map} [livePrices]
+     * @returns {number} The amount in the base currency
+     */
+    static toBase(amount, currency, livePrices = AppState.livePrices) {
+        const rate = this.rate(currency, this.baseCurrency(), livePrices) || PAR;
+        return (parseFloat(amount) || 0) * rate.now;
+    }
+
+    /**
+     * Converts a holding's local-currency figures to the base currency and splits
+     * the day change and capital gain into price and FX impact.
+     * @param {{ value: number, previousValue: number, cost: number }} local - In the holding's currency
+     * @param {string} currency
+     * @param {number} [purchaseFxRate] - Units of currency per AUD on purchase
+     * @param {Map} [livePrices]
+     * @returns {{ value: number, dayChangeValue: number, dayFxImpact: number, costBasis: number,
+     *             gainFxImpact: number, fxRate: number, fxPending: boolean }} fxPending: the rate is not
+     *             in the feed yet, so the figures are unconverted
+     */
+    static convertHolding({ value, previousValue, cost }, currency, purchaseFxRate, livePrices = AppState.livePrices) {
+        const base = this.baseCurrency();
+        const live = this.rate(currency, base, livePrices);
+        const rate = live || PAR;
+
+        // Cost converts at the purchase rate (via AUD) when one was recorded
+        let costRate = rate.now;
+        const bought = parseFloat(purchaseFxRate);
+        if (live && currency !== BASE_CURRENCY_DEFAULT && currency !== base && bought > 0) {
+            const audToBase = this.rate(BASE_CURRENCY_DEFAULT, base, livePrices);
+            if (audToBase) costRate = audToBase.now / bought;
+        }
+
+        const dayFxImpact = previousValue * (rate.now - rate.previous);
+        return {
+            value: value * rate.now,
+            dayChangeValue: (value - previousValue) * rate.now + dayFxImpact,
+            dayFxImpact,
+            costBasis: cost * costRate,
+            gainFxImpact: cost * (rate.now - costRate),
+            fxRate: rate.now,
+            fxPending: !live
+        };
+    }
+
+    /**
+     * @returns {{ now: number, previous: number }|null} Units of currency per 1 AUD
+     */
+    static _audQuote(currency, livePrices) {
+        if (currency === BASE_CURRENCY_DEFAULT) return PAR;
+        const symbol = FX_RATE_SYMBOLS[currency];
+        if (!symbol || !livePrices) return null;
+
+        const data = livePrices.get(symbol) || livePrices.get(symbol.replace('=X', ''));
+        const now = parseFloat(data?.live);
+        if (!(now > 0)) return null;
+
+        const pct = parseFloat(data.pctChange) || 0;
+        return { now, previous: now / (1 + pct / 100) };
+    }
+}
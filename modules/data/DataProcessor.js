@@ -6,7 +6,9 @@
 
 import { UserStore } from './UserStore.js';
 import { AppState } from '../state/AppState.js';
-import { SIMULATIONS_WATCHLIST_ID } from '../utils/AppConstants.js';
+import { SIMULATIONS_WATCHLIST_ID, TRANSACTION_TYPES, CGT_METHODS } from '../utils/AppConstants.js';
+import { toIsoDate, shiftIsoDate } from '../utils/formatters.js';
+import { CurrencyService } from './CurrencyService.js';
 
 // Instantiate strictly for helper methods (stateless usage of getWatchlistData)
 const userStore = new UserStore();
@@ -54,6 +56,234 @@ export function normalizeComments(comments) {
     }).filter(c => c && c.body && c.body.trim().length > 0);
 }
 
+/**
+ * Returns the share's transaction ledger sorted oldest first.
+ * Legacy records (no ledger, but holdings) are migrated on the fly into a single
+ * synthetic opening BUY built from portfolioShares / portfolioAvgPrice / purchaseDate.
+ * @param {Object} share - Raw share document.
+ * @returns {Array<Object>} [{ id, type, date, quantity, price, brokerage, ratioFrom, ratioTo, note }]
+ */
+export function getShareTransactions(share) {
+    if (!share) return [];
+
+    if (Array.isArray(share.transactions) && share.transactions.length > 0) {
+        return share.transactions
+            .filter(t => t && t.type)
+            .map(t => ({ ...t, date: toIsoDate(t.date) }))
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+    }
+
+    const legacyUnits = parseFloat(share.portfolioShares) || 0;
+    if (legacyUnits <= 0) return [];
+
+    return [{
+        id: 'legacy_opening',
+        type: TRANSACTION_TYPES.BUY,
+        date: toIsoDate(share.purchaseDate || share.entryDate),
+        quantity: legacyUnits,
+        price: parseFloat(share.portfolioAvgPrice) || 0,
+        brokerage: 0,
+        isSynthetic: true
+    }];
+}
+
+/**
+ * Replays a transaction ledger into open parcels (lots) and realised disposals.
+ * Sells consume parcels in the order given by `method`. MANUAL (the default) consumes a
+ * sell's picked `lotTxnId` parcel first and falls back to FIFO, so holdings honour any
+ * parcel the user recorded against the sale.
+ * Brokerage is added to the cost base of buys and deducted from the proceeds of sells.
+ * Splits and consolidations rescale every open parcel by ratioTo / ratioFrom while
+ * preserving its total cost and original acquisition date.
+ * @param {Array<Object>} transactions - Ledger entries (any order).
+ * @param {Object} [options]
+ * @param {string|null} [options.asOfDate] - Optional YYYY-MM-DD cut-off (inclusive).
+ * @param {string} [options.method] - One of CGT_METHODS.
+ * @returns {Object} { units, averageCost, costBase, realisedPnL, lots, disposals, lastBuyDate, oversoldUnits }
+ *   oversoldUnits: units sold beyond the holding at the time (ignored in every total)
+ */
+export function deriveHoldings(transactions, { asOfDate = null, method = CGT_METHODS.MANUAL } = {}) {
+    const sorted = [...(transactions || [])]
+        .filter(t => t && t.type)
+        .map(t => ({ ...t, date: toIsoDate(t.date) }))
+        .filter(t => !asOfDate || !t.date || t.date <= asOfDate)
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+
+    let lots = [];
+    const disposals = [];
+    let realisedPnL = 0;
+    let lastBuyDate = '';
+    let oversoldUnits = 0;
+
+    sorted.forEach(txn => {
+        const qty = Math.abs(parseFloat(txn.quantity) || 0);
+        const price = parseFloat(txn.price) || 0;
+        const brokerage = parseFloat(txn.brokerage) || 0;
+
+        switch (txn.type) {
+            case TRANSACTION_TYPES.BUY:
+            case TRANSACTION_TYPES.DRP: {
+                if (qty <= 0) return;
+                lots.push({
+                    txnId: txn.id,
+                    type: txn.type,
+                    date: txn.date,
+                    quantity: qty,
+                    originalQuantity: qty,
+                    unitCost: ((qty * price) + brokerage) / qty
+                });
+                if (txn.type === TRANSACTION_TYPES.BUY) lastBuyDate = txn.date || lastBuyDate;
+                break;
+            }
+            case TRANSACTION_TYPES.SELL: {
+                if (qty <= 0) return;
+                let remaining = qty;
+                const netUnitProceeds = ((qty * price) - brokerage) / qty;
+                const queue = orderLotsForSale(lots, txn, method);
+
+                while (remaining > 1e-9 && queue.length > 0) {
+                    const lot = queue[0];
+                    const used = Math.min(lot.quantity, remaining);
+                    const costBase = used * lot.unitCost;
+                    const proceeds = used * netUnitProceeds;
+
+                    disposals.push({
+                        sellTxnId: txn.id,
+                        buyTxnId: lot.txnId,
+                        acquiredDate: lot.date,
+                        disposedDate: txn.date,
+                        quantity: used,
+                        costBase,
+                        proceeds,
+                        gain: proceeds - costBase
+                    });
+                    realisedPnL += proceeds - costBase;
+
+                    lot.quantity -= used;
+                    remaining -= used;
+                    if (lot.quantity <= 1e-9) queue.shift();
+                }
+                // Units sold beyond the holding have no parcel to match: reported, never negative holdings
+                if (remaining > 1e-9) oversoldUnits += remaining;
+                lots = lots.filter(lot => lot.quantity > 1e-9);
+                break;
+            }
+            case TRANSACTION_TYPES.SPLIT:
+            case TRANSACTION_TYPES.CONSOLIDATION: {
+                const from = parseFloat(txn.ratioFrom) || 0;
+                const to = parseFloat(txn.ratioTo) || 0;
+                if (from <= 0 || to <= 0) return;
+                const factor = to / from;
+                lots = lots.map(lot => ({
+                    ...lot,
+                    quantity: lot.quantity * factor,
+                    originalQuantity: lot.originalQuantity * factor,
+                    unitCost: lot.unitCost / factor
+                }));
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    const units = lots.reduce((acc, l) => acc + l.quantity, 0);
+    const costBase = lots.reduce((acc, l) => acc + (l.quantity * l.unitCost), 0);
+
+    return {
+        units,
+        averageCost: units > 0 ? costBase / units : 0,
+        costBase,
+        realisedPnL,
+        lots,
+        disposals,
+        lastBuyDate,
+        oversoldUnits
+    };
+}
+
+/**
+ * Replays paid dividends into automatic DRP allotments on each pay date.
+ * Entitlement is the units held the day before the ex-date (including earlier
+ * allotments) plus any residual cash carried from the previous payment; the
+ * allocation price is the reference price less the plan discount. Whole-unit
+ * plans carry the unallocated remainder forward as residual cash.
+ * Previously accrued rows (isAccrued) are rebuilt; payments the user already
+ * recorded as a manual DRP transaction within 10 days of the pay date are skipped.
+ * @param {Array<Object>} transactions - Current ledger.
+ * @param {Array<Object>} payments - [{ exDate, payDate, amount, price }] oldest first.
+ * @param {Object} [options]
+ * @param {number} [options.discount] - DRP discount in percent (e.g. 1.5).
+ * @param {boolean} [options.fractional] - Allot fractional units instead of whole units.
+ * @returns {Object} { transactions, residualCash }
+ */
+export function accrueDrpTransactions(transactions, payments, { discount = 0, fractional = false } = {}) {
+    const base = (transactions || []).filter(t => t && t.type && !t.isAccrued);
+    const manualDrpDates = base.filter(t => t.type === TRANSACTION_TYPES.DRP).map(t => toIsoDate(t.date));
+    const accrued = [];
+    let residualCash = 0;
+
+    [...(payments || [])]
+        .filter(p => p && p.exDate && p.payDate && p.price > 0)
+        .sort((a, b) => a.payDate.localeCompare(b.payDate))
+        .forEach(p => {
+            const alreadyRecorded = manualDrpDates.some(d => d && Math.abs(Date.parse(d) - Date.parse(p.payDate)) <= 10 * 86400000);
+            if (alreadyRecorded) return;
+
+            const entitlementDate = shiftIsoDate(p.exDate, { days: -1 });
+            const units = deriveHoldings([...base, ...accrued], { asOfDate: entitlementDate }).units;
+            if (units <= 1e-9) return;
+
+            const allocationPrice = p.price * (1 - (parseFloat(discount) || 0) / 100);
+            const available = (units * p.amount) + residualCash;
+            const quantity = fractional
+                ? Math.floor((available / allocationPrice) * 10000) / 10000
+                : Math.floor(available / allocationPrice);
+
+            residualCash = available - (quantity * allocationPrice);
+            if (quantity <= 0) return;
+
+            accrued.push({
+                id: `drp_${p.exDate}`,
+                type: TRANSACTION_TYPES.DRP,
+                date: p.payDate,
+                quantity,
+                price: Number(allocationPrice.toFixed(4)),
+                brokerage: 0,
+                isAccrued: true
+            });
+        });
+
+    return {
+        transactions: [...base, ...accrued].sort((a, b) => (toIsoDate(a.date) || '').localeCompare(toIsoDate(b.date) || '')),
+        residualCash: Number(residualCash.toFixed(4))
+    };
+}
+
+/**
+ * Returns the open parcels in the order a sell should consume them.
+ * Parcels are shared by reference so the caller can decrement them in place.
+ * @param {Array<Object>} lots - Open parcels, oldest first.
+ * @param {Object} sell - The sell transaction (may carry `lotTxnId`).
+ * @param {string} method - One of CGT_METHODS.
+ * @returns {Array<Object>}
+ */
+function orderLotsForSale(lots, sell, method) {
+    switch (method) {
+        case CGT_METHODS.LIFO:
+            return [...lots].reverse();
+        case CGT_METHODS.HIGHEST_COST:
+            // Array.prototype.sort is stable, so equal-cost parcels stay oldest first
+            return [...lots].sort((a, b) => b.unitCost - a.unitCost);
+        case CGT_METHODS.MANUAL: {
+            const picked = lots.find(lot => sell.lotTxnId && lot.txnId === sell.lotTxnId);
+            return picked ? [picked, ...lots.filter(lot => lot !== picked)] : [...lots];
+        }
+        default:
+            return [...lots];
+    }
+}
+
 /**
  * Processes raw share data into a view-ready format.
  * @param {Array} allShares - List of all user shares.
@@ -136,12 +366,21 @@ export function processShares(allShares, watchlistId, livePrices, sortConfig, hi
         const dayChangePercent = priceData ? (parseFloat(priceData.pctChange) || 0) : 0;
 
         const isSimulationsView = watchlistId === SIMULATIONS_WATCHLIST_ID;
-        const units = isSimulationsView ? (parseFloat(share.simulatedQty) || 0) : (parseFloat(share.portfolioShares) || 0);
+
+        // LEDGER: When a transaction history exists it is the source of truth for holdings.
+        const ledger = Array.isArray(share.transactions) && share.transactions.length > 0
+            ? deriveHoldings(share.transactions)
+            : null;
+
+        const units = isSimulationsView
+            ? (parseFloat(share.simulatedQty) || 0)
+            : (ledger ? ledger.units : (parseFloat(share.portfolioShares) || 0));
 
         // Cost Basis Logic: Expanded fallbacks for rewrite compatibility
         const costPrice = isSimulationsView
             ? (parseFloat(share.enteredPrice) || parseFloat(share.entryPrice) || (units > 0 ? (parseFloat(share.simulatedValue) / units) : 0))
-            : (parseFloat(share.buyPrice) ||
+            : ((ledger && ledger.units > 0 ? ledger.averageCost : 0) ||
+               parseFloat(share.buyPrice) ||
                parseFloat(share.portfolioAvgPrice) ||
                parseFloat(share.averageCost) ||
                parseFloat(share.avgCost) ||
@@ -158,15 +397,21 @@ export function processShares(allShares, watchlistId, livePrices, sortConfig, hi
                    parseFloat(share.buyPrice) ||
                    costPrice || 0));
 
-        const value = units * currentPrice;
-        const cost = isSimulationsView ? (parseFloat(share.simulatedValue) || 0) : (units * costPrice);
+        const localValue = units * currentPrice;
+        const localCost = isSimulationsView ? (parseFloat(share.simulatedValue) || 0) : (units * costPrice);
 
         // Day Change Logic
-        const previousValue = value / (1 + (dayChangePercent / 100));
-        const dayChangeValue = value - previousValue; // Total holdings change
+        const previousValue = localValue / (1 + (dayChangePercent / 100));
         const previousPrice = currentPrice / (1 + (dayChangePercent / 100)); // Price before change
         const dayChangePerShare = currentPrice - previousPrice; // Per-share change
 
+        // CURRENCY: Prices stay in the share's currency; holding figures convert to the base currency
+        const currency = CurrencyService.currencyOf(share);
+        const fx = CurrencyService.convertHolding({ value: localValue, previousValue, cost: localCost }, currency, share.purchaseFxRate, livePrices);
+        const value = fx.value;
+        const cost = fx.costBasis;
+        const dayChangeValue = fx.dayChangeValue; // Total holdings change (price + FX)
+
         const capitalGain = value - cost;
         const capitalGainPercent = cost !== 0 ? (capitalGain / cost) * 100 : 0;
 
@@ -186,6 +431,13 @@ export function processShares(allShares, watchlistId, livePrices, sortConfig, hi
             enteredPrice: enteredPrice,
             capitalGain: capitalGain,
             capitalGainPercent: capitalGainPercent,
+            currency: currency,
+            fxRate: fx.fxRate,
+            fxPending: fx.fxPending,
+            dayFxImpact: fx.dayFxImpact,
+            gainFxImpact: fx.gainFxImpact,
+            realisedPnL: (!isSimulationsView && ledger) ? ledger.realisedPnL * fx.fxRate : 0,
+            oversoldUnits: (!isSimulationsView && ledger) ? ledger.oversoldUnits : 0,
             comments: normalizeComments(share.comments),
             isHidden: hiddenAssets.has(String(share.id)),
             sector: priceData ? priceData.sector : (share.sector || ''),
@@ -304,7 +556,9 @@ export function processShares(allShares, watchlistId, livePrices, sortConfig, hi
 /**
  * Calculates portfolio summary metrics from processed share data.
  * @param {Array} processedShares - Array of processed share objects (with value, costBasis, dayChangeValue).
- * @returns {Object} { totalValue, dayChangeValue, dayChangePercent, totalCost, totalReturn, totalReturnPercent }
+ * @returns {Object} { totalValue, dayChangeValue, dayChangePercent, totalCost, totalReturn, totalReturnPercent, dayFxImpact, gainFxImpact, fxPending }
+ *   The FX impacts are the part of the day change / total return due to currency moves (already included in them).
+ *   fxPending: some holding's exchange rate has not loaded, so its figures are counted unconverted.
  */
 export function calculatePortfolioTotals(processedShares) {
     if (!processedShares || processedShares.length === 0) {
@@ -315,6 +569,10 @@ export function calculatePortfolioTotals(processedShares) {
             totalCost: 0,
             totalReturn: 0,
             totalReturnPercent: 0,
+            totalRealised: 0,
+            dayFxImpact: 0,
+            gainFxImpact: 0,
+            fxPending: false,
             gainerCount: 0,
             loserCount: 0,
             neutralCount: 0
@@ -323,6 +581,9 @@ export function calculatePortfolioTotals(processedShares) {
 
     let totalValue = 0;
     let totalCost = 0;
+    let totalRealised = 0;
+    let totalDayFx = 0;
+    let totalGainFx = 0;
     let totalDailyPnL = 0;
     let dayGain = 0;
     let dayLoss = 0;
@@ -334,6 +595,9 @@ export function calculatePortfolioTotals(processedShares) {
     for (const share of processedShares) {
         totalValue += share.value || 0;
         totalCost += share.costBasis || 0;
+        totalRealised += share.realisedPnL || 0;
+        totalDayFx += share.dayFxImpact || 0;
+        totalGainFx += share.gainFxImpact || 0;
         const dailyChange = share.dayChangeValue || 0;
         totalDailyPnL += dailyChange;
 
@@ -385,6 +649,10 @@ export function calculatePortfolioTotals(processedShares) {
         totalCost,
         totalReturn,
         totalReturnPercent,
+        totalRealised,
+        dayFxImpact: totalDayFx,
+        gainFxImpact: totalGainFx,
+        fxPending: processedShares.some(s => s.fxPending),
         gainerCount,
         loserCount,
         neutralCount
@@ -469,11 +737,23 @@ export function getSingleShareData(code, allShares, livePrices, userWatchlists =
     // 5. Process Primary Data (using fields from the first share found)
     const currentPrice = priceData ? priceData.live : (parseFloat(primaryShare.enteredPrice) || 0);
     const dayChangePercent = priceData ? priceData.pctChange : 0;
-    const units = matchingShares.reduce((acc, s) => acc + (parseInt(s.portfolioShares) || 0), 0);
-    const value = units * currentPrice;
+    // LEDGER: Derive holdings per document where a transaction history exists
+    const ledgers = new Map();
+    matchingShares.forEach(s => {
+        if (Array.isArray(s.transactions) && s.transactions.length > 0) {
+            ledgers.set(s, deriveHoldings(s.transactions));
+        }
+    });
+    const unitsOf = (s) => ledgers.has(s) ? ledgers.get(s).units : (parseInt(s.portfolioShares) || 0);
+
+    const units = matchingShares.reduce((acc, s) => acc + unitsOf(s), 0);
+    const localValue = units * currentPrice;
+    const realisedPnL = Array.from(ledgers.values()).reduce((acc, l) => acc + l.realisedPnL, 0);
 
     // Derived Calculations using aggregated units
-    const costPrice = parseFloat(primaryShare.buyPrice) ||
+    const primaryLedger = ledgers.get(primaryShare);
+    const costPrice = (primaryLedger && primaryLedger.units > 0 ? primaryLedger.averageCost : 0) ||
+        parseFloat(primaryShare.buyPrice) ||
         parseFloat(primaryShare.portfolioAvgPrice) ||
         parseFloat(primaryShare.averageCost) ||
         parseFloat(primaryShare.avgCost) ||
@@ -487,7 +767,8 @@ export function getSingleShareData(code, allShares, livePrices, userWatchlists =
            parseFloat(primaryShare.enteredPrice) ||
            parseFloat(primaryShare.buyPrice) ||
            costPrice || 0);
-    const costBasis = matchingShares.reduce((acc, s) => {
+    const localCost = matchingShares.reduce((acc, s) => {
+        if (ledgers.has(s)) return acc + ledgers.get(s).costBase;
         const u = parseInt(s.portfolioShares) || 0;
         const cp = parseFloat(s.buyPrice) ||
             parseFloat(s.portfolioAvgPrice) ||
@@ -499,8 +780,14 @@ export function getSingleShareData(code, allShares, livePrices, userWatchlists =
         return acc + (u * cp);
     }, 0);
 
+    // CURRENCY: Prices stay in the share's currency; holding figures convert to the base currency
+    const localDayChange = priceData && priceData.change ? priceData.change * units : 0;
+    const currency = CurrencyService.currencyOf(primaryShare);
+    const fx = CurrencyService.convertHolding({ value: localValue, previousValue: localValue - localDayChange, cost: localCost }, currency, primaryShare.purchaseFxRate, livePrices);
+    const value = fx.value;
+    const costBasis = fx.costBasis;
     const capitalGain = value - costBasis;
-    const dayChangeValue = priceData && priceData.change ? priceData.change * units : 0;
+    const dayChangeValue = fx.dayChangeValue;
 
     // Sort for consistency
     const watchlistNames = Array.from(membershipSet).sort();
@@ -521,6 +808,13 @@ export function getSingleShareData(code, allShares, livePrices, userWatchlists =
         enteredPrice: enteredPrice,
         capitalGain: capitalGain,
         capitalGainPercent: costBasis !== 0 ? (capitalGain / costBasis) * 100 : 0,
+        currency: currency,
+        fxRate: fx.fxRate,
+        fxPending: fx.fxPending,
+        dayFxImpact: fx.dayFxImpact,
+        gainFxImpact: fx.gainFxImpact,
+        realisedPnL: realisedPnL * fx.fxRate,
+        transactions: getShareTransactions(primaryShare),
         comments: normalizeComments(primaryShare.comments),
         watchlistNames: watchlistNames,
         high: priceData ? priceData.high : 0,
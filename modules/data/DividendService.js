@@ -13,13 +13,17 @@
  *   {
  *     history: [{ exDate: "YYYY-MM-DD", amount: number, franking: number }],
  *     lastSync: "ISO-8601 string",
- *     ticker: "BHP"
+ *     ticker: "BHP",
+ *     lastAttempt, lastError: set by a failed sync, cleared by the next success
  *   }
  * ===========================================================================
  */
 
 import { db } from '../auth/AuthService.js';
 import { AppState } from '../state/AppState.js';
+import { shiftIsoDate } from '../utils/formatters.js';
+import { BASE_CURRENCY_DEFAULT } from '../utils/AppConstants.js';
+import { CurrencyService } from './CurrencyService.js';
 import {
     doc,
     getDoc
@@ -43,6 +47,12 @@ const STALE_THRESHOLD_DAYS = 10;
 /** Hero threshold: consecutive years of payment */
 const HERO_THRESHOLD_YEARS = 10;
 
+/** Assumed ex-date to pay-date lag when history carries no pay dates */
+const DEFAULT_PAY_LAG_DAYS = 28;
+
+/** DRP allocation price ≈ average close over this many trading days up to the pay date */
+const DRP_PRICING_WINDOW_BARS = 10;
+
 /** localStorage cache prefix */
 const CACHE_PREFIX = 'asx_div_';
 const CACHE_DURATION_MS = 4 * 60 * 60 * 1000; // 4 hours client-side cache
@@ -94,6 +104,12 @@ export class DividendService {
 
             const data = snap.data();
             console.log(`[DividendService] RAW DATA for ${code}:`, data);
+
+            // Only a failed attempt recorded so far (lastError, no history yet)
+            if (!data.lastSync) {
+                return { history: [], lastSync: null, status: 'PENDING' };
+            }
+
             const result = {
                 history: Array.isArray(data.history) ? data.history : [],
                 lastSync: data.lastSync || null,
@@ -120,6 +136,26 @@ export class DividendService {
         }
     }
 
+    /**
+     * Applies the user's manual overrides (e.g. Franking %) from AppState.
+     * The franking override is stamped onto every history entry so that
+     * averages and gross-up calculations pick it up.
+     *
+     * @param {string} ticker - ASX code
+     * @param {Array} history - Raw dividend history
+     * @returns {{ history: Array, hasManualOverride: boolean }}
+     */
+    static applyOverrides(ticker, history) {
+        const override = AppState.data?.dividendOverrides?.[String(ticker || '').toUpperCase()];
+        if (override && Array.isArray(history) && override.franking !== undefined) {
+            return {
+                history: history.map(h => ({ ...h, franking: override.franking })),
+                hasManualOverride: true
+            };
+        }
+        return { history: Array.isArray(history) ? history : [], hasManualOverride: false };
+    }
+
     // ========================================================================
     // GROSS-UP UTILITIES
     // ========================================================================
@@ -457,6 +493,207 @@ export class DividendService {
         return nearest;
     }
 
+    // ========================================================================
+    // INCOME CALENDAR & FORECAST
+    // ========================================================================
+
+    /**
+     * Pay date of a history entry: its own, else estimated as ex-date + 28 days.
+     * @param {{exDate: string, payDate?: string}} entry
+     * @returns {{payDate: string, isEstimated: boolean}}
+     */
+    static payDateOf(entry) {
+        if (entry?.payDate) return { payDate: entry.payDate, isEstimated: false };
+        return { payDate: shiftIsoDate(entry.exDate, { days: DEFAULT_PAY_LAG_DAYS }), isEstimated: true };
+    }
+
+    /**
+     * Projects expected payments over the next N months from the most recent
+     * annual cycle of history. Each payment in that cycle is rolled forward by
+     * whole years; announced entries already in history (pay date still ahead)
+     * are kept as-is and suppress the projection they would duplicate.
+     * Pay dates use `payDate` from history when present, otherwise ex-date + 28 days.
+     *
+     * @param {Array} history - Raw dividend history
+     * @param {number} months - Forecast horizon
+     * @returns {Array<{exDate: string, payDate: string, amount: number, franking: number|null, isProjected: boolean}>}
+     */
+    static projectSchedule(history, months = 12) {
+        if (!Array.isArray(history) || history.length === 0) return [];
+
+        const valid = history.filter(e => e?.exDate && parseFloat(e.amount) > 0);
+        if (valid.length === 0) return [];
+
+        const sorted = [...valid].sort((a, b) => b.exDate.localeCompare(a.exDate));
+
+        // STALENESS GUARD: Don't project for "ghost" payers (inactive > 24m)
+        const twoYearsAgo = shiftIsoDate(new Date().toISOString().split('T')[0], { years: -2 });
+        if (sorted[0].exDate < twoYearsAgo) return [];
+
+        const todayStr = new Date().toISOString().split('T')[0];
+        const horizonStr = shiftIsoDate(todayStr, { months });
+        const payDateOf = (entry) => entry.payDate || shiftIsoDate(entry.exDate, { days: DEFAULT_PAY_LAG_DAYS });
+
+        // 1. Announced / unpaid entries straight from history
+        const events = valid
+            .filter(e => {
+                const payDate = payDateOf(e);
+                return payDate > todayStr && payDate <= horizonStr;
+            })
+            .map(e => ({
+                exDate: e.exDate,
+                payDate: payDateOf(e),
+                amount: parseFloat(e.amount) || 0,
+                franking: e.franking ?? null,
+                isProjected: false
+            }));
+
+        // 2. Roll the last annual cycle forward
+        const cycleCutoff = shiftIsoDate(sorted[0].exDate, { years: -1 });
+        const cycle = sorted.filter(e => e.exDate > cycleCutoff);
+
+        cycle.forEach(entry => {
+            const lagDays = entry.payDate
+                ? Math.round((new Date(entry.payDate) - new Date(entry.exDate)) / 86400000)
+                : DEFAULT_PAY_LAG_DAYS;
+
+            for (let years = 1; years <= Math.ceil(months / 12) + 1; years++) {
+                const exDate = shiftIsoDate(entry.exDate, { years });
+                const payDate = shiftIsoDate(exDate, { days: lagDays });
+                if (payDate <= todayStr || payDate > horizonStr) continue;
+
+                // Skip if an announced payment already covers this slot (within ~2 months)
+                const duplicate = events.some(ev => Math.abs(new Date(ev.exDate) - new Date(exDate)) < 60 * 86400000);
+                if (duplicate) continue;
+
+                events.push({
+                    exDate,
+                    payDate,
+                    amount: parseFloat(entry.amount) || 0,
+                    franking: entry.franking ?? null,
+                    isProjected: true
+                });
+            }
+        });
+
+        return events.sort((a, b) => a.payDate.localeCompare(b.payDate));
+    }
+
+    /**
+     * Builds a month-by-month income forecast for a set of holdings.
+     * Cash is bucketed by pay month; franking is unknown (null) → no credit.
+     * Foreign-currency payments convert to the base currency at today's rate
+     * and carry no franking credit (fxPending while the rate has not loaded).
+     *
+     * @param {Array<{code: string, units: number, currency?: string}>} holdings
+     * @param {number} months - Forecast horizon
+     * @returns {Promise<{months: Array, events: Array, totalCash: number, totalFranking: number, fxPending: boolean}>}
+     */
+    static async getIncomeForecast(holdings, months = 12) {
+        const valid = (holdings || []).filter(h => h?.code && h.units > 0);
+
+        const perHolding = await Promise.all(valid.map(async ({ code, units, currency }) => {
+            const fetched = await DividendService.getHistory(code);
+            const { history } = DividendService.applyOverrides(code, fetched.history);
+            const ccy = CurrencyService.currencyOf({ currency });
+            const isFranked = ccy === BASE_CURRENCY_DEFAULT;
+            const fxPending = CurrencyService.rate(ccy) === null;
+
+            return DividendService.projectSchedule(history, months).map(ev => {
+                const cash = CurrencyService.toBase(ev.amount * units, ccy);
+                return {
+                    ...ev,
+                    code,
+                    units,
+                    cash,
+                    currency: ccy,
+                    fxPending,
+                    frankingCredit: ev.franking === null || !isFranked ? 0 : DividendService.frankingCredit(cash, ev.franking)
+                };
+            });
+        }));
+
+        const events = perHolding.flat().sort((a, b) => a.payDate.localeCompare(b.payDate) || a.code.localeCompare(b.code));
+
+        // Month buckets: this month plus the next N
+        const now = new Date();
+        const buckets = Array.from({ length: months + 1 }, (_, i) => {
+            const d = new Date(now.getFullYear(), now.getMonth() + i, 1);
+            return {
+                key: `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`,
+                label: d.toLocaleDateString('en-AU', { month: 'short', year: 'numeric' }),
+                cash: 0,
+                frankingCredits: 0,
+                events: []
+            };
+        });
+
+        events.forEach(ev => {
+            const bucket = buckets.find(b => b.key === ev.payDate.substring(0, 7));
+            if (!bucket) return;
+            bucket.cash += ev.cash;
+            bucket.frankingCredits += ev.frankingCredit;
+            bucket.events.push(ev);
+        });
+
+        return {
+            months: buckets,
+            events,
+            totalCash: events.reduce((acc, ev) => acc + ev.cash, 0),
+            totalFranking: events.reduce((acc, ev) => acc + ev.frankingCredit, 0),
+            fxPending: events.some(ev => ev.fxPending)
+        };
+    }
+
+    // ========================================================================
+    // DIVIDEND REINVESTMENT (DRP)
+    // ========================================================================
+
+    /**
+     * Lists dividends already paid on or after a date (pay date estimated when
+     * history carries none). Manual franking overrides are applied.
+     *
+     * @param {string} ticker - ASX code
+     * @param {string} sinceDate - YYYY-MM-DD; payments with an earlier ex-date are ignored
+     * @returns {Promise<Array<{exDate: string, payDate: string, amount: number, franking: number|null}>>}
+     */
+    static async getPaidDividends(ticker, sinceDate = '') {
+        const fetched = await DividendService.getHistory(ticker);
+        const { history } = DividendService.applyOverrides(ticker, fetched.history);
+        const todayStr = new Date().toISOString().split('T')[0];
+
+        return history
+            .filter(e => e?.exDate && parseFloat(e.amount) > 0 && (!sinceDate || e.exDate >= sinceDate))
+            .map(e => ({
+                exDate: e.exDate,
+                payDate: e.payDate || shiftIsoDate(e.exDate, { days: DEFAULT_PAY_LAG_DAYS }),
+                amount: parseFloat(e.amount) || 0,
+                franking: e.franking ?? null
+            }))
+            .filter(e => e.payDate <= todayStr)
+            .sort((a, b) => a.payDate.localeCompare(b.payDate));
+    }
+
+    /**
+     * Approximates the DRP allocation price (a VWAP over a pricing period ending
+     * near the pay date) as the average close of the last 10 bars up to the pay date.
+     *
+     * @param {Array<{time: number, close: number}>} bars - Daily price history (time in unix seconds)
+     * @param {string} payDate - YYYY-MM-DD
+     * @returns {number} 0 if no bars precede the pay date
+     */
+    static getDrpReferencePrice(bars, payDate) {
+        if (!Array.isArray(bars) || !payDate) return 0;
+        const cutoff = Date.parse(`${payDate}T23:59:59Z`) / 1000;
+
+        const window = bars
+            .filter(b => b && b.time <= cutoff && parseFloat(b.close) > 0)
+            .slice(-DRP_PRICING_WINDOW_BARS);
+        if (window.length === 0) return 0;
+
+        return window.reduce((acc, b) => acc + parseFloat(b.close), 0) / window.length;
+    }
+
     // ========================================================================
     // DATA FRESHNESS
     // ========================================================================
@@ -492,19 +729,9 @@ export class DividendService {
      */
     static async analyze(ticker, currentPrice = 0, avgCostPrice = 0) {
         if (!ticker) return { status: 'INVALID' };
-        let { history, lastSync, status } = await DividendService.getHistory(ticker);
-
-        // Apply manual overrides (e.g. Franking %) from AppState
-        const override = AppState.data?.dividendOverrides?.[ticker.toUpperCase()];
-        let hasManualOverride = false;
-        if (override && Array.isArray(history)) {
-            if (override.franking !== undefined) {
-                hasManualOverride = true;
-                // Apply manual franking override to all history entries 
-                // so that average calculations pick it up.
-                history = history.map(h => ({ ...h, franking: override.franking }));
-            }
-        }
+        const fetched = await DividendService.getHistory(ticker);
+        const { lastSync, status } = fetched;
+        const { history, hasManualOverride } = DividendService.applyOverrides(ticker, fetched.history);
 
         if (status !== 'OK' || history.length === 0) {
             return {
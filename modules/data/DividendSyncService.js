@@ -0,0 +1,137 @@
+/**
+ * DividendSyncService.js
+ * ===========================================================================
+ * ROLE: Dividend Sync Status & Resync Requests
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * The GAS background sync (processDividendQueue) writes one document per
+ * ticker to `metadata_dividends/{TICKER}`. This service reads those documents
+ * fresh (bypassing DividendService's client cache) to report each ticker's
+ * sync state, and writes resync requests the sync picks up before anything
+ * else. Each user owns one request document, so nobody can queue or clear
+ * another user's requests:
+ *
+ *   dividend_sync_queue/{UID} = { tickers: { TICKER: requestedAt }, updatedAt }
+ *
+ * The sync clears a ticker once attempted, or unattempted when it is not in
+ * the user's opted-in portfolio. Failed attempts are recorded on the
+ * metadata document as lastAttempt / lastError.
+ * ===========================================================================
+ */
+
+import { db } from '../auth/AuthService.js';
+import { DividendService } from './DividendService.js';
+import { DIVIDEND_SYNC_STATUS } from '../utils/AppConstants.js';
+import {
+    doc,
+    getDoc,
+    setDoc,
+    serverTimestamp
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+const APP_ID = 'asx-watchlist-app';
+
+/** Status sort order: what needs attention first */
+const STATUS_ORDER = [
+    DIVIDEND_SYNC_STATUS.FAILED,
+    DIVIDEND_SYNC_STATUS.NEVER,
+    DIVIDEND_SYNC_STATUS.STALE,
+    DIVIDEND_SYNC_STATUS.QUEUED,
+    DIVIDEND_SYNC_STATUS.SYNCED
+];
+
+export class DividendSyncService {
+
+    /**
+     * Sync state of each ticker, most urgent first.
+     * @param {Array<string>} codes - ASX codes
+     * @param {string} [userId] - Whose pending requests to show
+     * @returns {Promise<Array<{ code: string, status: string, lastSync: string|null, historyCount: number, lastError: string|null, lastAttempt: string|null, requestedAt: Date|null }>>}
+     */
+    static async getStatus(codes, userId) {
+        const unique = [...new Set((codes || []).map(c => String(c || '').trim().toUpperCase()).filter(Boolean))];
+        if (!db || unique.length === 0) return [];
+
+        const requests = await this._getRequests(userId);
+
+        const rows = await Promise.all(unique.map(async (code) => {
+            let data = null;
+            try {
+                const snap = await getDoc(doc(db, `artifacts/${APP_ID}/metadata_dividends/${code}`));
+                data = snap.exists() ? snap.data() : null;
+            } catch (e) {
+                console.warn(`[DividendSyncService] Read failed for ${code}:`, e);
+            }
+
+            const row = {
+                code,
+                lastSync: data?.lastSync || null,
+                historyCount: Array.isArray(data?.history) ? data.history.length : 0,
+                lastError: data?.lastError || null,
+                lastAttempt: data?.lastAttempt || null,
+                requestedAt: requests.get(code) || null
+            };
+            row.status = this.classify(row);
+            return row;
+        }));
+
+        return rows.sort((a, b) =>
+            STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || a.code.localeCompare(b.code)
+        );
+    }
+
+    /**
+     * @param {{ lastSync: string|null, lastError: string|null, lastAttempt: string|null, requestedAt: Date|null }} row
+     * @returns {string} DIVIDEND_SYNC_STATUS value
+     */
+    static classify(row) {
+        if (row.requestedAt) return DIVIDEND_SYNC_STATUS.QUEUED;
+        // A success rewrites the whole document, so a surviving error is newer than lastSync
+        if (row.lastError) return DIVIDEND_SYNC_STATUS.FAILED;
+        if (!row.lastSync) return DIVIDEND_SYNC_STATUS.NEVER;
+        if (DividendService.isStale(row.lastSync)) return DIVIDEND_SYNC_STATUS.STALE;
+        return DIVIDEND_SYNC_STATUS.SYNCED;
+    }
+
+    /**
+     * Queues tickers for the next background run, ahead of the regular cycle.
+     * @param {Array<string>} codes
+     * @param {string} userId
+     * @returns {Promise<{ok: boolean, error?: string}>}
+     */
+    static async requestResync(codes, userId) {
+        const unique = [...new Set((codes || []).map(c => String(c || '').trim().toUpperCase()).filter(Boolean))];
+        if (!db || !userId || unique.length === 0) return { ok: false, error: 'Missing params' };
+
+        try {
+            const tickers = Object.fromEntries(unique.map(code => [code, serverTimestamp()]));
+            await setDoc(doc(db, `artifacts/${APP_ID}/dividend_sync_queue/${userId}`), {
+                tickers,
+                updatedAt: serverTimestamp()
+            }, { merge: true });
+            return { ok: true };
+        } catch (e) {
+            console.warn('[DividendSyncService] Resync request failed:', e);
+            return { ok: false, error: e.message };
+        }
+    }
+
+    /**
+     * @param {string} [userId]
+     * @returns {Promise<Map<string, Date>>} Ticker -> request time
+     */
+    static async _getRequests(userId) {
+        const requests = new Map();
+        if (!userId) return requests;
+        try {
+            const snap = await getDoc(doc(db, `artifacts/${APP_ID}/dividend_sync_queue/${userId}`));
+            const tickers = snap.exists() ? (snap.data()?.tickers || {}) : {};
+            Object.entries(tickers).forEach(([code, at]) => {
+                requests.set(code.toUpperCase(), at?.toDate ? at.toDate() : new Date());
+            });
+        } catch (e) {
+            console.warn('[DividendSyncService] Queue read failed:', e);
+        }
+        return requests;
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * MarketIndexService.js
+ * ===========================================================================
+ * ROLE: Market Index Stream Search, Filtering & Share Linking
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * Stream items come from the GAS pipeline (extractAlert_ / extractReport_)
+ * and personal Gmail scans. Alerts carry { code, headline }, reports carry
+ * { code: 'MARKET', title, summary }. Alerts may also carry a category
+ * (ANNOUNCEMENT_CATEGORIES) tagged from the subject. Everything here is pure:
+ * MarketIndexController supplies the items, the user's shares and watchlists.
+ * ===========================================================================
+ */
+
+import { MARKET_STREAM_TYPES, ANNOUNCEMENT_CATEGORIES } from '../utils/AppConstants.js';
+import { toIsoDate } from '../utils/formatters.js';
+
+/** Codes that mean "no specific company" */
+const GENERIC_CODES = ['', 'UNKNOWN', 'ASX', 'MARKET'];
+
+/**
+ * Subject keywords per category, checked in priority order (a halt pending a
+ * raise is a halt). Mirrors ALERT_CATEGORIES in market_index_integration.js.
+ */
+const CATEGORY_RULES = [
+    { category: ANNOUNCEMENT_CATEGORIES.HALT, pattern: /TRADING HALT|VOLUNTARY SUSPENSION|SUSPENSION FROM (?:OFFICIAL )?QUOTATION|\bHALT\b/i },
+    { category: ANNOUNCEMENT_CATEGORIES.CAPITAL_RAISE, pattern: /CAPITAL RAIS|PLACEMENT|ENTITLEMENT OFFER|RIGHTS ISSUE|SHARE PURCHASE PLAN|\bSPP\b/i },
+    { category: ANNOUNCEMENT_CATEGORIES.PRICE_SENSITIVE, pattern: /PRICE[\s-]?SENSITIVE|MARKET SENSITIVE|SENSITIVE ANN/i }
+];
+
+export class MarketIndexService {
+
+    /**
+     * Stable item ID (matches the read/dismissed state keys).
+     * @param {Object} item
+     * @returns {string}
+     */
+    static idOf(item) {
+        return item.id || `${item.code}-${item.timestamp}`;
+    }
+
+    /**
+     * ASX code an item is about, or null for market-wide reports.
+     * Falls back to a leading [CODE] / CODE in the title when the code is generic.
+     * @param {Object} item
+     * @returns {string|null}
+     */
+    static codeOf(item) {
+        let code = String(item?.code || '').replace(/.*[:]/, '').trim().toUpperCase();
+        if (GENERIC_CODES.includes(code) && (item?.title || item?.headline)) {
+            const match = (item.title || item.headline).match(/^\[?([A-Z]{3,4})\]?\b/);
+            if (match) code = match[1];
+        }
+        return GENERIC_CODES.includes(code) ? null : code;
+    }
+
+    /**
+     * @param {Object} item
+     * @returns {string} MARKET_STREAM_TYPES.ALERT or REPORT
+     */
+    static typeOf(item) {
+        return this.codeOf(item) ? MARKET_STREAM_TYPES.ALERT : MARKET_STREAM_TYPES.REPORT;
+    }
+
+    /**
+     * Category for a subject line, or null when no keyword matches.
+     * @param {string} subject
+     * @returns {string|null} ANNOUNCEMENT_CATEGORIES value
+     */
+    static categorize(subject) {
+        const text = String(subject || '');
+        return CATEGORY_RULES.find(rule => rule.pattern.test(text))?.category || null;
+    }
+
+    /**
+     * Category of a company alert: the tag written by the pipeline, else detected
+     * from the title (items stored before tagging existed). Reports are never tagged.
+     * @param {Object} item
+     * @returns {string|null} ANNOUNCEMENT_CATEGORIES value
+     */
+    static categoryOf(item) {
+        if (!item || !this.codeOf(item)) return null;
+        if (Object.values(ANNOUNCEMENT_CATEGORIES).includes(item.category)) return item.category;
+        return this.categorize(item.headline || item.title);
+    }
+
+    /**
+     * Sort rank: 0 for the most urgent category, untagged items last.
+     * @param {Object} item
+     * @returns {number}
+     */
+    static priorityOf(item) {
+        const category = this.categoryOf(item);
+        const rank = CATEGORY_RULES.findIndex(rule => rule.category === category);
+        return rank === -1 ? CATEGORY_RULES.length : rank;
+    }
+
+    /**
+     * Applies the stream filters. Every criterion is optional.
+     * @param {Array<Object>} items
+     * @param {{ query?: string, code?: string, type?: string, from?: string, to?: string }} criteria
+     *   query: every word must appear in the code, title/headline or summary
+     *   from/to: inclusive YYYY-MM-DD bounds (local dates)
+     * @returns {Array<Object>}
+     */
+    static filter(items, criteria = {}) {
+        const words = String(criteria.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        const code = String(criteria.code || '').toUpperCase();
+        const type = criteria.type || MARKET_STREAM_TYPES.ALL;
+
+        return (items || []).filter(item => {
+            if (!item) return false;
+            const itemCode = this.codeOf(item);
+
+            if (code && itemCode !== code) return false;
+            if (type !== MARKET_STREAM_TYPES.ALL && this.typeOf(item) !== type) return false;
+
+            if (criteria.from || criteria.to) {
+                const day = toIsoDate(new Date(Number(item.timestamp)));
+                if (!day) return false;
+                if (criteria.from && day < criteria.from) return false;
+                if (criteria.to && day > criteria.to) return false;
+            }
+
+            if (words.length > 0) {
+                const haystack = [itemCode, item.title, item.headline, item.summary]
+                    .filter(Boolean)
+                    .join(' ')
+                    .replace(/<[^>]*>/g, ' ')
+                    .toLowerCase();
+                if (!words.every(w => haystack.includes(w))) return false;
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Distinct company codes in a set of items, alphabetical (for the code filter).
+     * @param {Array<Object>} items
+     * @returns {Array<string>}
+     */
+    static codesIn(items) {
+        return [...new Set((items || []).map(item => this.codeOf(item)).filter(Boolean))].sort();
+    }
+
+    /**
+     * Where a code sits in the user's lists.
+     * @param {string|null} code
+     * @param {Array<Object>} shares - AppState.data.shares
+     * @param {Array<{id: string, name: string}>} watchlists - AppState.data.watchlists
+     * @returns {{ held: boolean, watchlists: Array<string> }|null} null when the code is not tracked
+     */
+    static linkShare(code, shares, watchlists) {
+        if (!code) return null;
+        const matches = (shares || []).filter(s => (s.shareName || s.code || '').trim().toUpperCase() === code);
+        if (matches.length === 0) return null;
+
+        const held = matches.some(s => (parseFloat(s.portfolioShares) || 0) > 0);
+        const ids = new Set();
+        matches.forEach(s => {
+            if (Array.isArray(s.watchlistIds)) s.watchlistIds.forEach(id => ids.add(String(id)));
+            if (s.watchlistId) ids.add(String(s.watchlistId));
+        });
+        const names = (watchlists || [])
+            .filter(w => ids.has(String(w.id)) && w.name)
+            .map(w => w.name);
+
+        return { held, watchlists: names };
+    }
+
+    /**
+     * The fields a read-later entry keeps, so it survives the item leaving the stream.
+     * @param {Object} item
+     * @returns {Object}
+     */
+    static snapshot(item) {
+        const entry = {
+            id: this.idOf(item),
+            code: item.code || '',
+            timestamp: Number(item.timestamp) || 0,
+            link: item.link || item.url || '',
+            savedAt: Date.now()
+        };
+        if (item.title) entry.title = item.title;
+        if (item.headline) entry.headline = item.headline;
+        if (item.summary) entry.summary = item.summary;
+        const category = this.categoryOf(item);
+        if (category) entry.category = category;
+        return entry;
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * NetWorthService.js
+ * ===========================================================================
+ * ROLE: Liabilities, Net Worth & Loan-to-Value
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * Liabilities live alongside cash assets, in the categories listed in
+ * LIABILITY_CATEGORY_IDS. Their balance is the amount owed (entered as a
+ * positive number) and they may name what secures them:
+ *
+ *   securedBy - LIABILITY_SECURITY_PORTFOLIO for a margin loan against the
+ *               share portfolio, or the ID of the asset a mortgage is over
+ *
+ * LVR (loan-to-value) is secured debt over the value of the assets securing
+ * it. Unsecured debt (personal loans, credit cards) reduces net worth but not
+ * LVR. Everything here is pure: callers pass the (visible) assets and the
+ * share portfolio value.
+ * ===========================================================================
+ */
+
+import { LIABILITY_CATEGORY_IDS, LIABILITY_SECURITY_PORTFOLIO } from '../utils/AppConstants.js';
+import { CashInterestService } from './CashInterestService.js';
+import { CurrencyService } from './CurrencyService.js';
+
+export class NetWorthService {
+
+    /**
+     * @param {Object} asset
+     * @returns {boolean}
+     */
+    static isLiability(asset) {
+        return LIABILITY_CATEGORY_IDS.includes(asset?.category);
+    }
+
+    /**
+     * Signed value in the base currency: assets positive (with any interest accrued), liabilities negative.
+     * @param {Object} asset
+     * @returns {number}
+     */
+    static valueOf(asset) {
+        const currency = CurrencyService.currencyOf(asset);
+        if (this.isLiability(asset)) return -Math.abs(CurrencyService.toBase(asset?.balance, currency));
+        return CurrencyService.toBase(CashInterestService.accruedValue(asset), currency);
+    }
+
+    /**
+     * @param {Array<Object>} assets - Cash assets to count (hidden assets already excluded)
+     * @param {Object} [options]
+     * @param {number} [options.shareValue] - Share portfolio value (margin loan security)
+     * @param {boolean} [options.includeShares] - Count shareValue in gross assets
+     * @returns {{ grossAssets: number, liabilities: number, netWorth: number, lvr: number|null,
+     *             loans: Array<{ asset: Object, owed: number, security: string|null, securityValue: number, lvr: number|null }> }}
+     *   lvr values are percentages; null when there is no secured debt
+     */
+    static summarize(assets, { shareValue = 0, includeShares = true } = {}) {
+        const list = assets || [];
+        let grossAssets = includeShares ? shareValue : 0;
+        let liabilities = 0;
+        const loans = [];
+
+        list.forEach(asset => {
+            const value = this.valueOf(asset);
+            if (!this.isLiability(asset)) {
+                grossAssets += value;
+                return;
+            }
+
+            const owed = -value;
+            liabilities += owed;
+            const security = this._security(asset, list, shareValue);
+            loans.push({
+                asset,
+                owed,
+                security: security?.name || null,
+                securityKey: security?.key || null,
+                securityValue: security?.value || 0,
+                lvr: security?.value > 0 ? (owed / security.value) * 100 : null
+            });
+        });
+
+        // Each security counts once, however many loans it backs
+        const secured = loans.filter(l => l.securityKey);
+        const securityValues = new Map(secured.map(l => [l.securityKey, l.securityValue]));
+        const securedDebt = secured.reduce((sum, l) => sum + l.owed, 0);
+        const securityTotal = [...securityValues.values()].reduce((sum, v) => sum + v, 0);
+
+        return {
+            grossAssets,
+            liabilities,
+            netWorth: grossAssets - liabilities,
+            lvr: securedDebt > 0 && securityTotal > 0 ? (securedDebt / securityTotal) * 100 : null,
+            loans: loans.map(({ securityKey, ...loan }) => loan)
+        };
+    }
+
+    /**
+     * True when any liability is secured by the share portfolio (callers only value the
+     * portfolio when they need to).
+     * @param {Array<Object>} assets
+     * @returns {boolean}
+     */
+    static needsShareValue(assets) {
+        return (assets || []).some(a => this.isLiability(a) && a.securedBy === LIABILITY_SECURITY_PORTFOLIO);
+    }
+
+    /**
+     * @returns {{ key: string, name: string, value: number }|null}
+     */
+    static _security(loan, assets, shareValue) {
+        if (!loan.securedBy) return null;
+        if (loan.securedBy === LIABILITY_SECURITY_PORTFOLIO) {
+            return { key: LIABILITY_SECURITY_PORTFOLIO, name: 'Share Portfolio', value: shareValue };
+        }
+        const asset = assets.find(a => String(a.id) === String(loan.securedBy) && !this.isLiability(a));
+        return asset ? { key: String(asset.id), name: asset.name || 'Asset', value: this.valueOf(asset) } : null;
+    }
+}
@@ -0,0 +1,544 @@
+/**
+ * PerformanceService.js
+ * ===========================================================================
+ * ROLE: Read-Only Performance Math Layer
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * Computes true investment performance for the portfolio and each watchlist
+ * from the per-share transaction ledgers, instead of back-filling history
+ * from today's holdings.
+ *
+ * DAILY VALUATIONS:
+ *   Units held on each day are replayed from the ledger (deriveHoldings) and
+ *   valued at that day's close (DataService.fetchHistory, supplied by the
+ *   caller — this module never fetches prices itself). Today is valued at
+ *   the live price where available. History closes and dividend amounts are
+ *   split-adjusted, so units (and ledger fallback prices) are restated in
+ *   today's share terms using every later split / consolidation in the ledger.
+ *
+ * CASH FLOWS (external, per day):
+ *   IN  = buys (cost + brokerage)
+ *   OUT = sells (proceeds - brokerage) + cash dividends (booked on the ex-date)
+ *   DRP allocations and splits are internal and carry no external flow.
+ *
+ * TIME-WEIGHTED RETURN (TWR):
+ *   Daily returns r = (V_t + OUT_t) / (V_t-1 + IN_t) - 1, chain-linked over
+ *   the period. Buys are treated as start-of-day, sells as end-of-day.
+ *
+ * MONEY-WEIGHTED RETURN (XIRR):
+ *   The opening value is an outflow at the period start, daily flows follow,
+ *   and the closing value is an inflow at the period end. Always annualised.
+ *
+ * FOREIGN HOLDINGS:
+ *   Closes and ledger prices are in the share's currency and there is no FX
+ *   history to convert them day by day, so shares held in a currency other
+ *   than the base currency are left out and listed in foreignCodes.
+ * ===========================================================================
+ */
+
+import { TRANSACTION_TYPES, PORTFOLIO_ID, PERFORMANCE_PERIODS } from '../utils/AppConstants.js';
+import { getFinancialYear, shiftIsoDate, toIsoDate } from '../utils/formatters.js';
+import { deriveHoldings, getShareTransactions } from './DataProcessor.js';
+import { DividendService } from './DividendService.js';
+import { CurrencyService } from './CurrencyService.js';
+import { UserStore } from './UserStore.js';
+
+const userStore = new UserStore();
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** A manual DRP row within this many days of a pay date means the dividend was reinvested */
+const DRP_MATCH_WINDOW_DAYS = 10;
+
+/** Report cache lifetime (live prices only move today's valuation) */
+const CACHE_DURATION_MS = 15 * 60 * 1000;
+
+const DAY_MS = 86400000;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export class PerformanceService {
+
+    static _cache = new Map();
+
+    // ========================================================================
+    // RETURN MATH
+    // ========================================================================
+
+    /**
+     * Solves the annualised internal rate of return for irregular dated cash flows.
+     * Amounts are from the investor's perspective (contributions negative).
+     *
+     * @param {Array<{date: string, amount: number}>} flows
+     * @returns {number|null} Annual rate (0.12 = 12% p.a.), or null when unsolvable
+     */
+    static xirr(flows) {
+        const valid = (flows || []).filter(f => f && f.date && Number.isFinite(f.amount) && f.amount !== 0);
+        if (!valid.some(f => f.amount < 0) || !valid.some(f => f.amount > 0)) return null;
+
+        const t0 = Date.parse(valid[0].date);
+        const terms = valid.map(f => ({ amount: f.amount, years: (Date.parse(f.date) - t0) / (365 * DAY_MS) }));
+        const npv = (rate) => terms.reduce((acc, t) => acc + t.amount / Math.pow(1 + rate, t.years), 0);
+
+        // Bracket a root, then bisect (robust where Newton diverges on short periods)
+        let lo = -0.9999;
+        let hi = 1;
+        let fLo = npv(lo);
+        let fHi = npv(hi);
+        while (fLo * fHi > 0 && hi < 1e6) {
+            hi *= 4;
+            fHi = npv(hi);
+        }
+        if (!Number.isFinite(fLo) || !Number.isFinite(fHi) || fLo * fHi > 0) return null;
+
+        for (let i = 0; i < 200; i++) {
+            const mid = (lo + hi) / 2;
+            const fMid = npv(mid);
+            if (Math.abs(fMid) < 1e-9 || (hi - lo) < 1e-10) return mid;
+            if (fLo * fMid < 0) {
+                hi = mid;
+            } else {
+                lo = mid;
+                fLo = fMid;
+            }
+        }
+        return (lo + hi) / 2;
+    }
+
+    /**
+     * Chain-links daily returns into a cumulative time-weighted return.
+     *
+     * @param {number} openingValue - Value at the close of the day before the period
+     * @param {Array<{value: number, inflow: number, outflow: number}>} days - Chronological
+     * @returns {number|null} Cumulative return (0.1 = +10%), or null if nothing was invested
+     */
+    static timeWeightedReturn(openingValue, days) {
+        let prev = openingValue || 0;
+        let growth = 1;
+        let invested = prev > 0;
+
+        (days || []).forEach(d => {
+            const base = prev + (d.inflow || 0);
+            if (base > 0) {
+                growth *= (d.value + (d.outflow || 0)) / base;
+                invested = true;
+            }
+            prev = d.value;
+        });
+
+        return invested ? growth - 1 : null;
+    }
+
+    /**
+     * Turns a valuation series into a flow-adjusted growth index (starts at 1 on the
+     * first invested day), suitable for charting against a benchmark.
+     *
+     * @param {Array<{date: string, value: number, inflow: number, outflow: number}>} days - Chronological
+     * @returns {Array<{date: string, value: number}>}
+     */
+    static twrIndex(days) {
+        const index = [];
+        let prev = 0;
+        let growth = 1;
+
+        (days || []).forEach(d => {
+            const base = prev + (d.inflow || 0);
+            if (base > 0) {
+                growth *= (d.value + (d.outflow || 0)) / base;
+                index.push({ date: d.date, value: growth });
+            }
+            prev = d.value;
+        });
+
+        return index;
+    }
+
+    /**
+     * Compares a return series against a benchmark over their common timestamps.
+     * Both inputs are price-like levels (closes or a growth index), not returns.
+     * Alpha is Jensen's alpha with a zero risk-free rate; alpha and tracking error
+     * are annualised using the observed sampling frequency.
+     *
+     * @param {Array<{time: number, value: number}>} subject
+     * @param {Array<{time: number, value: number}>} benchmark
+     * @returns {Object|null} { subjectReturn, benchmarkReturn, excessReturn, alpha, beta, trackingError, observations }
+     */
+    static compareToBenchmark(subject, benchmark) {
+        const benchByTime = new Map((benchmark || []).filter(p => p && p.value > 0).map(p => [p.time, p.value]));
+        const aligned = (subject || [])
+            .filter(p => p && p.value > 0 && benchByTime.has(p.time))
+            .sort((a, b) => a.time - b.time)
+            .map(p => ({ time: p.time, s: p.value, b: benchByTime.get(p.time) }));
+        if (aligned.length < 3) return null;
+
+        const rs = [];
+        const rb = [];
+        for (let i = 1; i < aligned.length; i++) {
+            rs.push(aligned[i].s / aligned[i - 1].s - 1);
+            rb.push(aligned[i].b / aligned[i - 1].b - 1);
+        }
+
+        const n = rs.length;
+        const mean = (arr) => arr.reduce((acc, v) => acc + v, 0) / arr.length;
+        const meanS = mean(rs);
+        const meanB = mean(rb);
+        let cov = 0;
+        let varB = 0;
+        rs.forEach((r, i) => {
+            cov += (r - meanS) * (rb[i] - meanB);
+            varB += (rb[i] - meanB) ** 2;
+        });
+        const beta = varB > 0 ? cov / varB : null;
+
+        const diffs = rs.map((r, i) => r - rb[i]);
+        const meanDiff = mean(diffs);
+        const teVar = n > 1 ? diffs.reduce((acc, d) => acc + (d - meanDiff) ** 2, 0) / (n - 1) : 0;
+
+        const spanYears = (aligned[aligned.length - 1].time - aligned[0].time) / (365 * 86400);
+        const periodsPerYear = spanYears > 0 ? n / spanYears : 252;
+
+        const first = aligned[0];
+        const last = aligned[aligned.length - 1];
+        const subjectReturn = last.s / first.s - 1;
+        const benchmarkReturn = last.b / first.b - 1;
+
+        return {
+            subjectReturn,
+            benchmarkReturn,
+            excessReturn: subjectReturn - benchmarkReturn,
+            alpha: beta !== null ? (meanS - beta * meanB) * periodsPerYear : null,
+            beta,
+            trackingError: Math.sqrt(teVar) * Math.sqrt(periodsPerYear),
+            observations: aligned.length
+        };
+    }
+
+    /**
+     * Start dates (close of the day before each period) for PERFORMANCE_PERIODS.
+     *
+     * @param {string} today - YYYY-MM-DD
+     * @param {string} inceptionDate - First transaction date
+     * @returns {Object} { [periodId]: 'YYYY-MM-DD' }
+     */
+    static getPeriodStarts(today, inceptionDate) {
+        const fy = getFinancialYear(today);
+        return {
+            '1M': shiftIsoDate(today, { months: -1 }),
+            '3M': shiftIsoDate(today, { months: -3 }),
+            'YTD': `${parseInt(today.substring(0, 4), 10) - 1}-12-31`,
+            'FY': fy ? shiftIsoDate(fy.start, { days: -1 }) : '',
+            '1Y': shiftIsoDate(today, { years: -1 }),
+            '3Y': shiftIsoDate(today, { years: -3 }),
+            'INCEPTION': inceptionDate ? shiftIsoDate(inceptionDate, { days: -1 }) : ''
+        };
+    }
+
+    // ========================================================================
+    // VALUATION SERIES
+    // ========================================================================
+
+    /**
+     * Builds the position model for one share document: ledger, unit steps and dividend flows.
+     * @private
+     */
+    static async _buildPosition(share, today) {
+        const code = String(share.shareName || share.code || '').trim().toUpperCase();
+        const transactions = getShareTransactions(share).filter(t => t.date && t.date <= today);
+        if (!code || transactions.length === 0) return null;
+
+        // Cumulative factor of the splits / consolidations after a date (restates units in today's terms)
+        const splits = transactions
+            .filter(t => t.type === TRANSACTION_TYPES.SPLIT || t.type === TRANSACTION_TYPES.CONSOLIDATION)
+            .map(t => ({ date: t.date, factor: (parseFloat(t.ratioTo) || 0) / (parseFloat(t.ratioFrom) || 0) }))
+            .filter(s => Number.isFinite(s.factor) && s.factor > 0);
+        const splitFactorAfter = (date) => splits.reduce((acc, s) => (s.date > date ? acc * s.factor : acc), 1);
+
+        // Split-adjusted units held at the end of each ledger date
+        const steps = [...new Set(transactions.map(t => t.date))]
+            .map(date => ({ date, units: deriveHoldings(transactions, { asOfDate: date }).units * splitFactorAfter(date) }));
+        const unitsOn = (date) => {
+            let units = 0;
+            for (const s of steps) {
+                if (s.date > date) break;
+                units = s.units;
+            }
+            return units;
+        };
+
+        const flows = new Map();
+        const addFlow = (date, key, amount) => {
+            if (!flows.has(date)) flows.set(date, { inflow: 0, outflow: 0 });
+            flows.get(date)[key] += amount;
+        };
+
+        transactions.forEach(t => {
+            const qty = parseFloat(t.quantity) || 0;
+            const price = parseFloat(t.price) || 0;
+            const brokerage = parseFloat(t.brokerage) || 0;
+            if (t.type === TRANSACTION_TYPES.BUY) addFlow(t.date, 'inflow', qty * price + brokerage);
+            else if (t.type === TRANSACTION_TYPES.SELL) addFlow(t.date, 'outflow', qty * price - brokerage);
+        });
+
+        // Cash dividends leave the portfolio; reinvested ones are already in the DRP units
+        const drpDates = transactions.filter(t => t.type === TRANSACTION_TYPES.DRP).map(t => Date.parse(t.date));
+        const payments = await DividendService.getPaidDividends(code, transactions[0].date);
+        payments.forEach(p => {
+            if (p.exDate > today) return;
+            const reinvested = (share.drpEnabled && p.exDate >= (share.drpSince || '')) ||
+                drpDates.some(d => Math.abs(d - Date.parse(p.payDate)) <= DRP_MATCH_WINDOW_DAYS * DAY_MS);
+            if (reinvested) return;
+
+            const units = unitsOn(shiftIsoDate(p.exDate, { days: -1 }));
+            if (units > 0) addFlow(p.exDate, 'outflow', units * p.amount);
+        });
+
+        return { code, transactions, unitsOn, splitFactorAfter, flows, inceptionDate: transactions[0].date };
+    }
+
+    /**
+     * Builds a close-price lookup for a code, falling back to ledger prices when
+     * no history is available.
+     * @private
+     */
+    static _buildPriceLookup(bars, position, livePrice, today) {
+        const points = (bars || [])
+            .filter(b => b && parseFloat(b.close) > 0)
+            .map(b => ({ date: new Date(b.time * 1000).toISOString().substring(0, 10), close: parseFloat(b.close) }));
+
+        if (points.length === 0) {
+            position.transactions
+                .filter(t => parseFloat(t.price) > 0 && t.type !== TRANSACTION_TYPES.SPLIT && t.type !== TRANSACTION_TYPES.CONSOLIDATION)
+                .forEach(t => points.push({ date: t.date, close: parseFloat(t.price) / position.splitFactorAfter(t.date) }));
+        }
+        if (livePrice > 0) points.push({ date: today, close: livePrice });
+        points.sort((a, b) => a.date.localeCompare(b.date));
+
+        return {
+            dates: points.map(p => p.date),
+            closeOn: (date) => {
+                // Binary search for the last close on or before `date`
+                let lo = 0;
+                let hi = points.length - 1;
+                let close = 0;
+                while (lo <= hi) {
+                    const mid = (lo + hi) >> 1;
+                    if (points[mid].date <= date) {
+                        close = points[mid].close;
+                        lo = mid + 1;
+                    } else {
+                        hi = mid - 1;
+                    }
+                }
+                return close;
+            }
+        };
+    }
+
+    /**
+     * Builds the daily valuation series for a group of positions.
+     * @private
+     */
+    static _buildSeries(positions, priceLookups) {
+        const dateSet = new Set();
+        const inceptionDate = positions.reduce((min, p) => (!min || p.inceptionDate < min ? p.inceptionDate : min), '');
+
+        positions.forEach(p => {
+            p.transactions.forEach(t => dateSet.add(t.date));
+            p.flows.forEach((_, date) => dateSet.add(date));
+            priceLookups.get(p.code).dates.forEach(d => { if (d >= inceptionDate) dateSet.add(d); });
+        });
+
+        const valueOn = (date) => positions.reduce((acc, p) => {
+            const units = p.unitsOn(date);
+            return units > 0 ? acc + units * priceLookups.get(p.code).closeOn(date) : acc;
+        }, 0);
+
+        const days = [...dateSet].sort().map(date => {
+            let inflow = 0;
+            let outflow = 0;
+            positions.forEach(p => {
+                const f = p.flows.get(date);
+                if (f) {
+                    inflow += f.inflow;
+                    outflow += f.outflow;
+                }
+            });
+            return { date, value: valueOn(date), inflow, outflow };
+        });
+
+        return { inceptionDate, days, valueOn };
+    }
+
+    /**
+     * Computes TWR and XIRR for every reporting period from a valuation series.
+     *
+     * @param {Object} series - { inceptionDate, days, valueOn }
+     * @param {string} today - YYYY-MM-DD
+     * @returns {Array<Object>} [{ id, label, start, twr, twrAnnualised, xirr, openingValue, closingValue, netFlows, isPartial }]
+     */
+    static computePeriods(series, today) {
+        const starts = this.getPeriodStarts(today, series.inceptionDate);
+
+        return PERFORMANCE_PERIODS.map(period => {
+            const start = starts[period.id];
+            const days = series.days.filter(d => d.date > start && d.date <= today);
+            const openingValue = series.valueOn(start);
+            const closingValue = days.length > 0 ? days[days.length - 1].value : openingValue;
+
+            const flows = [];
+            if (openingValue > 0) flows.push({ date: start, amount: -openingValue });
+            days.forEach(d => {
+                const net = d.outflow - d.inflow;
+                if (net !== 0) flows.push({ date: d.date, amount: net });
+            });
+            if (closingValue > 0) flows.push({ date: today, amount: closingValue });
+
+            const twr = this.timeWeightedReturn(openingValue, days);
+            const effectiveStart = series.inceptionDate > start ? series.inceptionDate : start;
+            const spanDays = (Date.parse(today) - Date.parse(effectiveStart)) / DAY_MS;
+
+            return {
+                id: period.id,
+                label: period.label,
+                start,
+                twr,
+                twrAnnualised: (twr !== null && spanDays >= 365) ? Math.pow(1 + twr, 365 / spanDays) - 1 : null,
+                xirr: this.xirr(flows),
+                openingValue,
+                closingValue,
+                netFlows: days.reduce((acc, d) => acc + d.inflow - d.outflow, 0),
+                isPartial: !!series.inceptionDate && series.inceptionDate > start && period.id !== 'INCEPTION'
+            };
+        });
+    }
+
+    // ========================================================================
+    // AGGREGATE: Portfolio & Watchlist Report
+    // ========================================================================
+
+    /**
+     * Builds the performance report for the whole portfolio and each watchlist.
+     * Simulated and hidden shares are excluded. Results are cached for 15 minutes
+     * per ledger signature.
+     *
+     * @param {Object} params
+     * @param {Array<Object>} params.shares - Raw share documents (AppState.data.shares)
+     * @param {Array<Object>} params.watchlists - User watchlists (AppState.data.watchlists)
+     * @param {Function} params.fetchHistory - (code, range) => Promise<{ ok, data: [{ time, close }] }>
+     * @param {Map} [params.livePrices] - AppState.livePrices
+     * @param {Set} [params.hiddenAssets] - AppState.hiddenAssets
+     * @returns {Promise<Object>} { asOf, groups: [{ id, name, inceptionDate, periods, index, missingHistory }], foreignCodes }
+     */
+    static async getReport({ shares, watchlists, fetchHistory, livePrices = new Map(), hiddenAssets = new Set() }) {
+        const today = toIsoDate(new Date());
+        const visible = (shares || []).filter(s => s && !s.isSimulated && !s.simulatedActive && !hiddenAssets.has(String(s.id)));
+        const eligible = visible.filter(s => !CurrencyService.isForeign(s));
+        const foreignCodes = [...new Set(visible.filter(s => CurrencyService.isForeign(s) && getShareTransactions(s).length > 0)
+            .map(s => String(s.code || s.shareName || '').trim().toUpperCase()).filter(Boolean))].sort();
+
+        const signature = JSON.stringify([today, foreignCodes, eligible.map(s => [s.id, s.transactions, s.portfolioShares, s.drpEnabled, s.drpSince, s.watchlistIds])]);
+        const cached = this._cache.get('report');
+        if (cached && cached.signature === signature && (Date.now() - cached.timestamp) < CACHE_DURATION_MS) {
+            return cached.report;
+        }
+        // Concurrent callers (summary card + modal) share one in-flight build
+        const pending = this._cache.get('pending');
+        if (pending && pending.signature === signature) return pending.promise;
+
+        const promise = this._buildReport(eligible, watchlists, fetchHistory, livePrices, today)
+            .then(built => ({ ...built, foreignCodes }))
+            .then(report => {
+                this._cache.set('report', { signature, timestamp: Date.now(), report });
+                return report;
+            })
+            .finally(() => {
+                if (this._cache.get('pending')?.promise === promise) this._cache.delete('pending');
+            });
+        this._cache.set('pending', { signature, promise });
+        return promise;
+    }
+
+    /**
+     * Builds the uncached report (see getReport).
+     * @private
+     */
+    static async _buildReport(eligible, watchlists, fetchHistory, livePrices, today) {
+
+        // 1. Positions (one per share document with a ledger)
+        const positions = new Map();
+        await Promise.all(eligible.map(async share => {
+            try {
+                const position = await this._buildPosition(share, today);
+                if (position) positions.set(share, position);
+            } catch (err) {
+                console.warn('[PerformanceService] Position build failed:', err);
+            }
+        }));
+
+        // 2. Price history, once per code
+        const priceLookups = new Map();
+        const missingHistory = new Set();
+        const byCode = new Map();
+        positions.forEach(p => {
+            if (!byCode.has(p.code) || p.inceptionDate < byCode.get(p.code).inceptionDate) byCode.set(p.code, p);
+        });
+        await Promise.all([...byCode].map(async ([code, position]) => {
+            let bars = [];
+            if (typeof fetchHistory === 'function') {
+                const ageYears = (Date.now() - Date.parse(position.inceptionDate)) / (365 * DAY_MS);
+                try {
+                    const res = await fetchHistory(code, ageYears < 1 ? '1y' : (ageYears < 5 ? '5y' : 'max'));
+                    bars = res && res.ok && Array.isArray(res.data) ? res.data : [];
+                } catch (err) {
+                    console.warn(`[PerformanceService] History unavailable for ${code}:`, err);
+                }
+            }
+            if (bars.length === 0) missingHistory.add(code);
+
+            const live = livePrices && livePrices.get ? (livePrices.get(code) || livePrices.get(`${code}.AX`)) : null;
+            priceLookups.set(code, this._buildPriceLookup(bars, position, parseFloat(live?.live) || 0, today));
+        }));
+
+        // 3. Groups: whole portfolio + every watchlist holding a ledger
+        const buildGroup = (id, name, groupShares) => {
+            const groupPositions = groupShares.map(s => positions.get(s)).filter(Boolean);
+            if (groupPositions.length === 0) return null;
+
+            const series = this._buildSeries(groupPositions, priceLookups);
+            return {
+                id,
+                name,
+                inceptionDate: series.inceptionDate,
+                periods: this.computePeriods(series, today),
+                index: this.twrIndex(series.days),
+                missingHistory: [...new Set(groupPositions.map(p => p.code))].filter(c => missingHistory.has(c))
+            };
+        };
+
+        const groups = [buildGroup(PORTFOLIO_ID, 'Portfolio', [...positions.keys()])];
+        (watchlists || []).forEach(w => {
+            if (!w || !w.id) return;
+            const members = userStore.getWatchlistData(eligible, w.id);
+            groups.push(buildGroup(w.id, w.name || 'Watchlist', members));
+        });
+
+        return { asOf: today, groups: groups.filter(Boolean) };
+    }
+
+    /**
+     * Convenience lookup of one period for one group.
+     *
+     * @param {Object} report - From getReport()
+     * @param {string} groupId - PORTFOLIO_ID or a watchlist id
+     * @param {string} periodId - One of PERFORMANCE_PERIODS ids
+     * @returns {Object|null}
+     */
+    static getPeriod(report, groupId, periodId) {
+        const group = (report?.groups || []).find(g => g.id === groupId);
+        return group ? (group.periods.find(p => p.id === periodId) || null) : null;
+    }
+}
@@ -0,0 +1,237 @@
+/**
+ * SuperService.js
+ * ===========================================================================
+ * ROLE: Superannuation Contributions, Cap Usage & Retirement Projection
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * A super account is a cash asset in SUPER_CATEGORY_ID. Alongside its
+ * balance and balance history it may carry:
+ *
+ *   contributions      - [{ id, date, type, amount }] gross amounts, type is a
+ *                        SUPER_CONTRIBUTION_TYPES value
+ *   investmentOption   - SUPER_INVESTMENT_OPTIONS value
+ *   assumedReturn      - % p.a. for the projection (default: the option's
+ *                        SUPER_OPTION_RETURN_PCT)
+ *   birthDate          - YYYY-MM-DD, needed for the projection
+ *   retirementAge      - target age (default SUPER_RETIREMENT_AGE_DEFAULT)
+ *   concessionalCap    - overrides SUPER_CAP_DEFAULTS for this account
+ *   nonConcessionalCap
+ *
+ * Each contribution is also a deposit in the balance history (same ID), net
+ * of contributions tax for concessional types, so it reaches the super layer
+ * of the wealth chart. Cap usage counts gross amounts per Australian
+ * financial year (1 July - 30 June) and ignores carry-forward and bring-
+ * forward rules. The projection is nominal, before any fees the assumed
+ * return doesn't already allow for. Everything here is pure.
+ * ===========================================================================
+ */
+
+import {
+    SUPER_CATEGORY_ID, SUPER_CONTRIBUTION_TYPES, SUPER_CONCESSIONAL_TYPES, SUPER_CAP_DEFAULTS,
+    SUPER_CONTRIBUTIONS_TAX_PCT, SUPER_INVESTMENT_OPTIONS, SUPER_OPTION_RETURN_PCT,
+    SUPER_RETIREMENT_AGE_DEFAULT, CASH_HISTORY_TYPES
+} from '../utils/AppConstants.js';
+import { getFinancialYear } from '../utils/formatters.js';
+import { CashHistoryService } from './CashHistoryService.js';
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+export class SuperService {
+
+    /**
+     * @param {Object} asset
+     * @returns {boolean}
+     */
+    static isSuper(asset) {
+        return asset?.category === SUPER_CATEGORY_ID;
+    }
+
+    /**
+     * Valid contributions in date order.
+     * @param {Array<Object>} contributions
+     * @returns {Array<Object>}
+     */
+    static normalizeContributions(contributions) {
+        return (Array.isArray(contributions) ? contributions : [])
+            .filter(c => c && c.id && this._parseDay(c.date) && Object.values(SUPER_CONTRIBUTION_TYPES).includes(c.type) && parseFloat(c.amount) > 0)
+            .map(c => ({ id: c.id, date: c.date, type: c.type, amount: Math.round(parseFloat(c.amount) * 100) / 100 }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * @param {Object} contribution
+     * @returns {boolean}
+     */
+    static isConcessional(contribution) {
+        return SUPER_CONCESSIONAL_TYPES.includes(contribution?.type);
+    }
+
+    /**
+     * Amount the fund credits: concessional contributions lose contributions tax.
+     * @param {Object} contribution
+     * @returns {number}
+     */
+    static netAmount(contribution) {
+        const amount = parseFloat(contribution?.amount) || 0;
+        const net = this.isConcessional(contribution) ? amount * (1 - SUPER_CONTRIBUTIONS_TAX_PCT / 100) : amount;
+        return Math.round(net * 100) / 100;
+    }
+
+    /**
+     * Records a contribution and its deposit in the balance history.
+     * @param {{ contributions: Array<Object>, balanceHistory: Array<Object> }} records
+     * @param {{ date: string, type: string, amount: number }} entry
+     * @returns {{ contributions: Array<Object>, balanceHistory: Array<Object> }}
+     */
+    static addContribution({ contributions, balanceHistory }, entry) {
+        const contribution = { ...entry, id: this._newId() };
+        return {
+            contributions: this.normalizeContributions([...(contributions || []), contribution]),
+            balanceHistory: CashHistoryService.normalize([
+                ...(balanceHistory || []),
+                { id: contribution.id, date: contribution.date, type: CASH_HISTORY_TYPES.DEPOSIT, amount: this.netAmount(contribution) }
+            ])
+        };
+    }
+
+    /**
+     * Removes a contribution and its deposit (unless the deposit has since been folded into an
+     * opening balance, which it then stays part of).
+     * @param {{ contributions: Array<Object>, balanceHistory: Array<Object> }} records
+     * @param {string} contributionId
+     * @returns {{ contributions: Array<Object>, balanceHistory: Array<Object> }}
+     */
+    static removeContribution({ contributions, balanceHistory }, contributionId) {
+        const deposit = (balanceHistory || []).find(e => e && e.id === contributionId && e.type === CASH_HISTORY_TYPES.DEPOSIT);
+        return {
+            contributions: this.normalizeContributions((contributions || []).filter(c => c && c.id !== contributionId)),
+            balanceHistory: deposit ? CashHistoryService.removeEntry(balanceHistory, contributionId) : CashHistoryService.normalize(balanceHistory)
+        };
+    }
+
+    /**
+     * @param {Object} asset
+     * @returns {{ concessional: number, nonConcessional: number }} The account's caps, else the defaults
+     */
+    static capsOf(asset) {
+        const concessional = parseFloat(asset?.concessionalCap);
+        const nonConcessional = parseFloat(asset?.nonConcessionalCap);
+        return {
+            concessional: concessional > 0 ? concessional : SUPER_CAP_DEFAULTS.CONCESSIONAL,
+            nonConcessional: nonConcessional > 0 ? nonConcessional : SUPER_CAP_DEFAULTS.NON_CONCESSIONAL
+        };
+    }
+
+    /**
+     * Gross contributions against each cap for one financial year.
+     * @param {Object} asset
+     * @param {string} [fy] - Financial year label (getFinancialYear), default the current one
+     * @returns {{ fy: string, concessional: CapUse, nonConcessional: CapUse }}
+     *   CapUse: { used, cap, remaining, pct } - remaining is negative when over the cap
+     */
+    static capUsage(asset, fy = getFinancialYear(new Date()).label) {
+        const caps = this.capsOf(asset);
+        let concessional = 0;
+        let nonConcessional = 0;
+        this.normalizeContributions(asset?.contributions)
+            .filter(c => getFinancialYear(c.date)?.label === fy)
+            .forEach(c => {
+                if (this.isConcessional(c)) concessional += c.amount;
+                else nonConcessional += c.amount;
+            });
+
+        const use = (used, cap) => ({ used, cap, remaining: cap - used, pct: (used / cap) * 100 });
+        return {
+            fy,
+            concessional: use(concessional, caps.concessional),
+            nonConcessional: use(nonConcessional, caps.nonConcessional)
+        };
+    }
+
+    /**
+     * Cap usage for every financial year with contributions, plus the current one, newest first.
+     * @param {Object} asset
+     * @param {Date} [asOf]
+     * @returns {Array<Object>} capUsage results
+     */
+    static capUsageByYear(asset, asOf = new Date()) {
+        const years = new Set([getFinancialYear(asOf).label]);
+        this.normalizeContributions(asset?.contributions).forEach(c => years.add(getFinancialYear(c.date).label));
+        return [...years].sort().reverse().map(fy => this.capUsage(asset, fy));
+    }
+
+    /**
+     * Net amount credited over the twelve months to asOf: the yearly contribution the projection assumes.
+     * @param {Object} asset
+     * @param {Date} [asOf]
+     * @returns {number}
+     */
+    static annualContribution(asset, asOf = new Date()) {
+        const end = this._startOfDay(asOf);
+        const start = new Date(end.getFullYear() - 1, end.getMonth(), end.getDate());
+        return this.normalizeContributions(asset?.contributions)
+            .filter(c => {
+                const day = this._parseDay(c.date);
+                return day > start && day <= end;
+            })
+            .reduce((sum, c) => sum + this.netAmount(c), 0);
+    }
+
+    /**
+     * @param {Object} asset
+     * @returns {number} Assumed return in % p.a.
+     */
+    static returnPctOf(asset) {
+        const own = parseFloat(asset?.assumedReturn);
+        if (isFinite(own)) return own;
+        return SUPER_OPTION_RETURN_PCT[asset?.investmentOption] ?? SUPER_OPTION_RETURN_PCT[SUPER_INVESTMENT_OPTIONS.BALANCED];
+    }
+
+    /**
+     * Balance at the target retirement age: today's balance grown at the assumed return, plus the
+     * last twelve months' contributions repeated at the end of each year.
+     * @param {Object} asset
+     * @param {Date} [asOf]
+     * @returns {{ age: number, retirementAge: number, years: number, value: number,
+     *             annualContribution: number, returnPct: number }|null}
+     *   null without a birth date, or once the retirement age is reached
+     */
+    static projection(asset, asOf = new Date()) {
+        const birth = this._parseDay(asset?.birthDate);
+        if (!birth) return null;
+
+        const age = (this._startOfDay(asOf).getTime() - birth.getTime()) / YEAR_MS;
+        const retirementAge = parseFloat(asset.retirementAge) > 0 ? parseFloat(asset.retirementAge) : SUPER_RETIREMENT_AGE_DEFAULT;
+        const years = retirementAge - age;
+        if (!(years > 0)) return null;
+
+        const balance = parseFloat(asset.balance) || 0;
+        const annualContribution = this.annualContribution(asset, asOf);
+        const returnPct = this.returnPctOf(asset);
+        const rate = returnPct / 100;
+        const growth = Math.pow(1 + rate, years);
+        const value = balance * growth + (rate === 0 ? annualContribution * years : annualContribution * (growth - 1) / rate);
+
+        return { age, retirementAge, years, value, annualContribution, returnPct };
+    }
+
+    /**
+     * @param {string|Date} value - YYYY-MM-DD or Date
+     * @returns {Date|null} Local midnight
+     */
+    static _parseDay(value) {
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : this._startOfDay(value);
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        if (!match) return null;
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    static _startOfDay(date) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    }
+
+    static _newId() {
+        return `sup_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * TaxReportService.js
+ * ===========================================================================
+ * ROLE: Read-Only Tax Report Math Layer
+ * ARCHITECTURE: Service (Controller-Service-Data)
+ *
+ * Builds Australian tax-time reports from the per-share transaction ledgers.
+ * Everything is derived on the client from AppState and the read-only
+ * DividendService history; this module never writes to Firestore.
+ *
+ * CAPITAL GAINS:
+ *   Sells are matched to buy parcels via deriveHoldings() using the chosen
+ *   CGT_METHODS ordering. Parcels held for more than 12 months qualify for
+ *   the 50% CGT discount. Losses (current year, then carried forward) are
+ *   applied to non-discountable gains first, then to discountable gains,
+ *   before the discount is taken.
+ *
+ * DIVIDEND INCOME:
+ *   Each ex-date payment from DividendService history is multiplied by the
+ *   units held at the close of the day before the ex-date (the entitlement
+ *   cut-off), then split into franked / unfranked amounts and franking
+ *   credits. Dividends are taxed when paid, so each payment is allocated to
+ *   the financial year of its pay date, estimated by DividendService.payDateOf
+ *   (ex-date + 28 days) when history has none.
+ *
+ * FOREIGN HOLDINGS:
+ *   Both reports are in AUD. Ledgers in another currency would need the
+ *   exchange rate on each trade and payment date, which the app does not
+ *   keep, so they are left out and their codes returned in foreignCodes.
+ * ===========================================================================
+ */
+
+import { BASE_CURRENCY_DEFAULT, CGT_METHODS, TRANSACTION_TYPES } from '../utils/AppConstants.js';
+import { getFinancialYear, shiftIsoDate } from '../utils/formatters.js';
+import { deriveHoldings, getShareTransactions } from './DataProcessor.js';
+import { DividendService } from './DividendService.js';
+import { CurrencyService } from './CurrencyService.js';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** CGT discount for individuals on parcels held more than 12 months */
+const CGT_DISCOUNT_RATE = 0.5;
+
+/** Currency the reports are prepared in */
+const TAX_CURRENCY = BASE_CURRENCY_DEFAULT;
+
+// ============================================================================
+// SERVICE CLASS
+// ============================================================================
+
+export class TaxReportService {
+
+    /**
+     * True when a parcel was held for more than 12 months (acquisition and
+     * disposal days excluded), i.e. disposed after the first anniversary.
+     *
+     * @param {string} acquiredDate - YYYY-MM-DD
+     * @param {string} disposedDate - YYYY-MM-DD
+     * @returns {boolean}
+     */
+    static isDiscountEligible(acquiredDate, disposedDate) {
+        if (!acquiredDate || !disposedDate) return false;
+        const anniversary = `${parseInt(acquiredDate.substring(0, 4), 10) + 1}${acquiredDate.substring(4)}`;
+        return disposedDate > anniversary;
+    }
+
+    /**
+     * @param {Object} share - Raw share document
+     * @returns {boolean} True when the share is held in a currency other than AUD
+     */
+    static isForeign(share) {
+        return CurrencyService.currencyOf(share) !== TAX_CURRENCY;
+    }
+
+    /**
+     * Codes of foreign-currency ledgers the reports leave out.
+     *
+     * @param {Array<Object>} shares - Raw share documents (AppState.data.shares)
+     * @returns {string[]} Sorted codes
+     */
+    static foreignCodes(shares) {
+        const codes = new Set();
+        (shares || []).forEach(share => {
+            if (!share || !this.isForeign(share) || getShareTransactions(share).length === 0) return;
+            const code = String(share.code || share.shareName || '').trim().toUpperCase();
+            if (code) codes.add(code);
+        });
+        return [...codes].sort();
+    }
+
+    /**
+     * Lists every realised disposal across all AUD shares, oldest first.
+     *
+     * @param {Array<Object>} shares - Raw share documents (AppState.data.shares)
+     * @param {string} [method] - One of CGT_METHODS
+     * @returns {Array<Object>} [{ code, shareId, acquiredDate, disposedDate, quantity, costBase, proceeds, gain, discountEligible, financialYear }]
+     */
+    static getDisposals(shares, method = CGT_METHODS.FIFO) {
+        const seen = new Set();
+        const disposals = [];
+
+        (shares || []).forEach(share => {
+            if (!share || (share.id && seen.has(share.id)) || this.isForeign(share)) return;
+            if (share.id) seen.add(share.id);
+
+            const transactions = getShareTransactions(share);
+            if (!transactions.some(t => t.type === TRANSACTION_TYPES.SELL)) return;
+
+            const code = String(share.code || share.shareName || '').trim().toUpperCase();
+            deriveHoldings(transactions, { method }).disposals.forEach(d => {
+                const fy = getFinancialYear(d.disposedDate);
+                disposals.push({
+                    ...d,
+                    code,
+                    shareId: share.id || null,
+                    discountEligible: this.isDiscountEligible(d.acquiredDate, d.disposedDate),
+                    financialYear: fy ? fy.label : 'Undated'
+                });
+            });
+        });
+
+        return disposals.sort((a, b) => (a.disposedDate || '').localeCompare(b.disposedDate || '') || a.code.localeCompare(b.code));
+    }
+
+    /**
+     * Builds the capital gains report grouped by Australian financial year.
+     *
+     * @param {Array<Object>} shares - Raw share documents (AppState.data.shares)
+     * @param {string} [method] - One of CGT_METHODS
+     * @returns {Object} { method, years: [{ label, start, end, disposals, totalGains, totalLosses, discountableGains, otherGains, lossesBroughtForward, discount, netCapitalGain, lossesCarriedForward }], foreignCodes: string[] }
+     */
+    static buildCapitalGainsReport(shares, method = CGT_METHODS.FIFO) {
+        const byYear = new Map();
+
+        this.getDisposals(shares, method).forEach(d => {
+            if (!byYear.has(d.financialYear)) {
+                const fy = getFinancialYear(d.disposedDate);
+                byYear.set(d.financialYear, {
+                    label: d.financialYear,
+                    start: fy ? fy.start : '',
+                    end: fy ? fy.end : '',
+                    disposals: []
+                });
+            }
+            byYear.get(d.financialYear).disposals.push(d);
+        });
+
+        let carriedLosses = 0;
+        const years = [...byYear.values()]
+            .sort((a, b) => a.label.localeCompare(b.label))
+            .map(year => {
+                const gains = year.disposals.filter(d => d.gain > 0);
+                const discountableGains = gains.filter(d => d.discountEligible).reduce((acc, d) => acc + d.gain, 0);
+                const otherGains = gains.filter(d => !d.discountEligible).reduce((acc, d) => acc + d.gain, 0);
+                const totalLosses = year.disposals.filter(d => d.gain < 0).reduce((acc, d) => acc - d.gain, 0);
+                const lossesBroughtForward = carriedLosses;
+
+                // Losses reduce non-discountable gains first (most favourable ordering)
+                let availableLosses = totalLosses + lossesBroughtForward;
+                const otherAfterLosses = Math.max(0, otherGains - availableLosses);
+                availableLosses = Math.max(0, availableLosses - otherGains);
+                const discountableAfterLosses = Math.max(0, discountableGains - availableLosses);
+                availableLosses = Math.max(0, availableLosses - discountableGains);
+
+                const discount = discountableAfterLosses * CGT_DISCOUNT_RATE;
+                carriedLosses = availableLosses;
+
+                return {
+                    ...year,
+                    totalGains: discountableGains + otherGains,
+                    totalLosses,
+                    discountableGains,
+                    otherGains,
+                    lossesBroughtForward,
+                    discount,
+                    netCapitalGain: otherAfterLosses + discountableAfterLosses - discount,
+                    lossesCarriedForward: carriedLosses
+                };
+            });
+
+        return { method, years, foreignCodes: this.foreignCodes(shares) };
+    }
+
+    /**
+     * Builds the portfolio dividend income statement grouped by Australian financial year.
+     * Each payment falls in the year of its pay date (payDateEstimated when history has
+     * none). Tickers with no recorded holdings are skipped; payments where no units were
+     * held on the entitlement date are omitted. Ledgers with an undated acquisition (e.g. a
+     * legacy holding without a purchase date) cannot be placed against ex-dates, so they
+     * are left out and their codes returned in undatedCodes. Foreign-currency ledgers are
+     * left out too (foreignCodes).
+     *
+     * @param {Array<Object>} shares - Raw share documents (AppState.data.shares)
+     * @returns {Promise<Object>} { years: [{ label, start, end, payments: [{ ..., exDate, payDate, payDateEstimated }], cashDividends, frankedAmount, unfrankedAmount, frankingCredits, grossedUpIncome, hasUnknownFranking }], undatedCodes: string[], foreignCodes: string[] }
+     */
+    static async buildDividendStatement(shares) {
+        // Group ledgers by ticker (a code can live in several share documents)
+        const ledgersByCode = new Map();
+        const undated = new Set();
+        const seen = new Set();
+        (shares || []).forEach(share => {
+            if (!share || (share.id && seen.has(share.id)) || this.isForeign(share)) return;
+            if (share.id) seen.add(share.id);
+
+            const transactions = getShareTransactions(share);
+            if (transactions.length === 0) return;
+
+            const code = String(share.code || share.shareName || '').trim().toUpperCase();
+            if (!code) return;
+            const isUndatedAcquisition = (t) => !t.date && (t.type === TRANSACTION_TYPES.BUY || t.type === TRANSACTION_TYPES.DRP);
+            if (transactions.some(isUndatedAcquisition)) {
+                undated.add(code);
+                return;
+            }
+            if (!ledgersByCode.has(code)) ledgersByCode.set(code, []);
+            ledgersByCode.get(code).push(transactions);
+        });
+
+        const perCode = await Promise.all([...ledgersByCode].map(async ([code, ledgers]) => {
+            const { history: raw } = await DividendService.getHistory(code);
+            const { history } = DividendService.applyOverrides(code, raw);
+
+            return history
+                .filter(entry => entry?.exDate && parseFloat(entry.amount) > 0)
+                .map(entry => {
+                    const entitlementDate = shiftIsoDate(entry.exDate, { days: -1 });
+                    const units = ledgers.reduce((acc, txns) => acc + deriveHoldings(txns, { asOfDate: entitlementDate }).units, 0);
+                    if (units <= 1e-9) return null;
+
+                    const amount = parseFloat(entry.amount) || 0;
+                    const hasKnownFranking = entry.franking !== null && entry.franking !== undefined;
+                    const franking = hasKnownFranking ? Math.min(Math.max(parseFloat(entry.franking) || 0, 0), 1) : 0;
+                    const cash = units * amount;
+                    const { payDate, isEstimated } = DividendService.payDateOf(entry);
+                    const fy = getFinancialYear(payDate);
+
+                    return {
+                        code,
+                        exDate: entry.exDate,
+                        payDate,
+                        payDateEstimated: isEstimated,
+                        financialYear: fy ? fy.label : 'Undated',
+                        units,
+                        amountPerShare: amount,
+                        franking: hasKnownFranking ? franking : null,
+                        cashDividend: cash,
+                        frankedAmount: cash * franking,
+                        unfrankedAmount: cash * (1 - franking),
+                        frankingCredit: DividendService.frankingCredit(cash, franking),
+                        grossedUp: DividendService.grossUp(cash, franking)
+                    };
+                })
+                .filter(Boolean);
+        }));
+
+        const byYear = new Map();
+        perCode.flat()
+            .sort((a, b) => a.payDate.localeCompare(b.payDate) || a.code.localeCompare(b.code))
+            .forEach(p => {
+                if (!byYear.has(p.financialYear)) {
+                    const fy = getFinancialYear(p.payDate);
+                    byYear.set(p.financialYear, {
+                        label: p.financialYear,
+                        start: fy ? fy.start : '',
+                        end: fy ? fy.end : '',
+                        payments: []
+                    });
+                }
+                byYear.get(p.financialYear).payments.push(p);
+            });
+
+        const sum = (payments, field) => payments.reduce((acc, p) => acc + p[field], 0);
+        const years = [...byYear.values()]
+            .sort((a, b) => a.label.localeCompare(b.label))
+            .map(year => ({
+                ...year,
+                cashDividends: sum(year.payments, 'cashDividend'),
+                frankedAmount: sum(year.payments, 'frankedAmount'),
+                unfrankedAmount: sum(year.payments, 'unfrankedAmount'),
+                frankingCredits: sum(year.payments, 'frankingCredit'),
+                grossedUpIncome: sum(year.payments, 'grossedUp'),
+                hasUnknownFranking: year.payments.some(p => p.franking === null)
+            }));
+
+        return { years, undatedCodes: [...undated].sort(), foreignCodes: this.foreignCodes(shares) };
+    }
+}
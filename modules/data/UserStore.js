@@ -19,10 +19,13 @@ import {
     getDocs,
     where,
     limit,
+    orderBy,
     serverTimestamp,
     arrayUnion,
     arrayRemove,
-    setDoc
+    setDoc,
+    writeBatch,
+    deleteField
 } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import { ALL_SHARES_ID, PORTFOLIO_ID, SIMULATIONS_WATCHLIST_ID } from '../utils/AppConstants.js';
 
@@ -294,6 +297,134 @@ export class UserStore {
         }
     }
 
+    /**
+     * Replaces a share's transaction ledger.
+     * Holdings derived from the ledger (units, average cost, last purchase) are written in the
+     * same update so legacy readers of portfolioShares / portfolioAvgPrice stay consistent.
+     * @param {string} userId
+     * @param {string} shareId
+     * @param {Array<Object>} transactions - Full ledger (buy, sell, drp, split, consolidation).
+     * @param {Object} derived - { portfolioShares, portfolioAvgPrice, purchaseDate }
+     */
+    async saveShareTransactions(userId, shareId, transactions, derived = {}) {
+        if (!userId || !shareId || !Array.isArray(transactions)) return;
+        await this.updateShare(userId, shareId, {
+            ...derived,
+            transactions: transactions
+        });
+    }
+
+    /**
+     * Commits an imported trade replay: existing shares get their new ledger and derived
+     * holdings, codes without a share are created in the Portfolio. Writes go in batches
+     * of 450 (Firestore caps a batch at 500); a failed batch stops the import, leaving the
+     * earlier batches written, so re-running the import completes it.
+     * @param {string} userId
+     * @param {Array<{ shareId: string|null, code: string, transactions: Array<Object>, derived: Object }>} writes
+     * @returns {Promise<boolean>} True when the batch committed.
+     */
+    async saveTradeReplay(userId, writes) {
+        if (!userId || !Array.isArray(writes) || writes.length === 0) return false;
+        const sharesPath = `artifacts/${APP_ID}/users/${userId}/shares`;
+
+        try {
+            // Firestore caps a batch at 500 writes
+            for (let i = 0; i < writes.length; i += 450) {
+                const batch = writeBatch(db);
+                writes.slice(i, i + 450).forEach(({ shareId, code, transactions, derived }) => {
+                    if (shareId) {
+                        batch.update(doc(db, sharesPath, shareId), {
+                            ...this._sanitizeData({ ...derived, transactions }),
+                            updatedAt: serverTimestamp()
+                        });
+                        return;
+                    }
+                    batch.set(doc(collection(db, sharesPath)), {
+                        ...this._sanitizeData({
+                            code,
+                            shareName: code,
+                            ...derived,
+                            transactions,
+                            watchlistIds: [PORTFOLIO_ID],
+                            muted: false
+                        }),
+                        createdAt: serverTimestamp()
+                    });
+                });
+                await batch.commit();
+            }
+            return true;
+        } catch (e) {
+            this._handleWriteError(e, 'saveTradeReplay');
+            return false;
+        }
+    }
+
+    /**
+     * Commits a corporate action plan (CorporateActionService.buildPlan) as a single batch:
+     * share updates / merged-duplicate deletes, watchlist `stocks` arrays, the dividend
+     * override key move, the trailing stop high-water mark and an audit entry in the
+     * corporateActions collection.
+     * Either every write lands or none do.
+     * @param {string} userId
+     * @param {Object} plan
+     * @param {Object} auditEntry - CorporateActionService.buildAuditEntry(plan)
+     * @returns {Promise<string|null>} The audit entry ID, or null on failure.
+     */
+    async applyCorporateAction(userId, plan, auditEntry) {
+        if (!userId || !plan) return null;
+        const basePath = `artifacts/${APP_ID}/users/${userId}`;
+        const batch = writeBatch(db);
+
+        (plan.shareUpdates || []).forEach(({ id, data }) => {
+            batch.update(doc(db, `${basePath}/shares`, id), {
+                ...this._sanitizeData(data),
+                updatedAt: serverTimestamp()
+            });
+        });
+
+        (plan.shareDeletes || []).forEach(({ id }) => {
+            batch.delete(doc(db, `${basePath}/shares`, id));
+        });
+
+        (plan.watchlistUpdates || []).forEach(({ id, stocks }) => {
+            batch.update(doc(db, `${basePath}/watchlists`, id), {
+                stocks: stocks,
+                updatedAt: serverTimestamp()
+            });
+        });
+
+        // Merged set rather than update: preferences/config may not exist yet
+        const preferencesUpdate = {};
+        if (plan.overrideMove) {
+            const { from, to, data } = plan.overrideMove;
+            preferencesUpdate.dividendOverrides = { [to]: { ...this._sanitizeData(data, true), updatedAt: Date.now() } };
+            if (from !== to) preferencesUpdate.dividendOverrides[from] = deleteField();
+        }
+        if (plan.highWaterUpdate) {
+            const { from, to, mark } = plan.highWaterUpdate;
+            preferencesUpdate.alertHighWater = { [to]: this._sanitizeData(mark, true) };
+            if (from !== to) preferencesUpdate.alertHighWater[from] = deleteField();
+        }
+        if (Object.keys(preferencesUpdate).length > 0) {
+            batch.set(doc(db, `${basePath}/preferences/config`), preferencesUpdate, { merge: true });
+        }
+
+        const auditRef = doc(collection(db, `${basePath}/corporateActions`));
+        batch.set(auditRef, {
+            ...this._sanitizeData(auditEntry || {}),
+            createdAt: serverTimestamp()
+        });
+
+        try {
+            await batch.commit();
+            return auditRef.id;
+        } catch (e) {
+            this._handleWriteError(e, 'applyCorporateAction');
+            return null;
+        }
+    }
+
     /**
      * Adds a new cash asset category.
      * @param {string} userId 
@@ -793,6 +924,48 @@ export class UserStore {
         }
     }
 
+    /**
+     * Reads the user's entry in the background pipeline registry (dividend sync,
+     * Market Index emails): their opt-ins plus the status each script last wrote.
+     * @param {string} userId
+     * @returns {Promise<Object|null>} Registry document or null if not registered
+     */
+    async getPipelineRegistration(userId) {
+        if (!userId) return null;
+        const ref = doc(db, `artifacts/${APP_ID}/pipeline_registry/${userId}`);
+        try {
+            const snap = await getDoc(ref);
+            return snap.exists() ? snap.data() : null;
+        } catch (e) {
+            console.warn('UserStore: Failed to read pipeline registration', e);
+            return null;
+        }
+    }
+
+    /**
+     * Saves the user's pipeline opt-ins. Merged, so the status fields the
+     * scripts write are left alone.
+     * @param {string} userId
+     * @param {{ enabled: Object<string, boolean>, marketIndexAddress: string }} data
+     * @returns {Promise<{ok: boolean, error?: string}>}
+     */
+    async savePipelineRegistration(userId, data) {
+        if (!userId || !data) return { ok: false, error: 'Missing userId or data' };
+        const ref = doc(db, `artifacts/${APP_ID}/pipeline_registry/${userId}`);
+        try {
+            await setDoc(ref, {
+                uid: userId,
+                enabled: data.enabled || {},
+                marketIndexAddress: (data.marketIndexAddress || '').trim(),
+                updatedAt: serverTimestamp()
+            }, { merge: true });
+            return { ok: true };
+        } catch (e) {
+            this._handleWriteError(e, 'savePipelineRegistration');
+            return { ok: false, error: e.message };
+        }
+    }
+
     /**
      * EMERGENCY: Deletes all user documents in known sub-collections.
      * @param {string} userId 
@@ -800,7 +973,7 @@ export class UserStore {
     async wipeAllData(userId) {
         if (!userId) return;
 
-        const subCollections = ['shares', 'cashCategories', 'watchlists', 'preferences'];
+        const subCollections = ['shares', 'cashCategories', 'watchlists', 'preferences', 'alertHistory', 'corporateActions'];
         const results = [];
 
         for (const colName of subCollections) {
@@ -822,6 +995,152 @@ export class UserStore {
         return results;
     }
 
+    /**
+     * Saves trailing stop high-water marks into the preferences/config document
+     * (alertHighWater.<CODE>). A null mark removes the entry.
+     * @param {string} userId
+     * @param {Object<string, Object|null>} marks - CODE -> { high, since, updated } | null
+     */
+    async saveAlertHighWater(userId, marks) {
+        const codes = Object.keys(marks || {});
+        if (!userId || codes.length === 0) return { ok: false, error: 'Missing params' };
+        const ref = doc(db, `artifacts/${APP_ID}/users/${userId}/preferences/config`);
+        try {
+            const update = {};
+            codes.forEach(code => {
+                const mark = marks[code];
+                update[`alertHighWater.${code.toUpperCase()}`] = mark ? this._sanitizeData(mark, true) : deleteField();
+            });
+            await updateDoc(ref, update).catch(async (err) => {
+                // Fallback if preferences doc doesn't exist
+                if (err.code === 'not-found') {
+                    const seeded = {};
+                    codes.forEach(code => {
+                        if (marks[code]) seeded[code.toUpperCase()] = this._sanitizeData(marks[code], true);
+                    });
+                    await setDoc(ref, { alertHighWater: seeded }, { merge: true });
+                } else throw err;
+            });
+            return { ok: true };
+        } catch (e) {
+            this._handleWriteError(e, 'saveAlertHighWater');
+            return { ok: false, error: e.message };
+        }
+    }
+
+    /**
+     * Saves alert snoozes into the preferences/config document (alertSnoozes.<CODE>).
+     * A null value clears the snooze.
+     * @param {string} userId
+     * @param {Object<string, number|null>} snoozes - CODE -> snooze end (epoch ms) | null
+     */
+    async saveAlertSnoozes(userId, snoozes) {
+        const codes = Object.keys(snoozes || {});
+        if (!userId || codes.length === 0) return { ok: false, error: 'Missing params' };
+        const ref = doc(db, `artifacts/${APP_ID}/users/${userId}/preferences/config`);
+        try {
+            const update = {};
+            codes.forEach(code => {
+                const until = Number(snoozes[code]) || 0;
+                update[`alertSnoozes.${code.toUpperCase()}`] = until > 0 ? until : deleteField();
+            });
+            await updateDoc(ref, update).catch(async (err) => {
+                // Fallback if preferences doc doesn't exist
+                if (err.code === 'not-found') {
+                    const seeded = {};
+                    codes.forEach(code => {
+                        if (Number(snoozes[code]) > 0) seeded[code.toUpperCase()] = Number(snoozes[code]);
+                    });
+                    await setDoc(ref, { alertSnoozes: seeded }, { merge: true });
+                } else throw err;
+            });
+            return { ok: true };
+        } catch (e) {
+            this._handleWriteError(e, 'saveAlertSnoozes');
+            return { ok: false, error: e.message };
+        }
+    }
+
+    /**
+     * Writes alert history entries (AlertHistoryService.buildEntry) to the alertHistory
+     * collection. IDs are deterministic per alert per day, so re-writing is harmless.
+     * @param {string} userId
+     * @param {Array<{ id: string, entry: Object }>} items
+     */
+    async addAlertHistoryEntries(userId, items) {
+        if (!userId || !Array.isArray(items) || items.length === 0) return { ok: false, error: 'Missing params' };
+        const basePath = `artifacts/${APP_ID}/users/${userId}/alertHistory`;
+        try {
+            // Firestore caps a batch at 500 writes
+            for (let i = 0; i < items.length; i += 450) {
+                const batch = writeBatch(db);
+                items.slice(i, i + 450).forEach(({ id, entry }) => {
+                    batch.set(doc(db, basePath, id), {
+                        ...this._sanitizeData(entry, true),
+                        recordedAt: serverTimestamp()
+                    });
+                });
+                await batch.commit();
+            }
+            return { ok: true };
+        } catch (e) {
+            this._handleWriteError(e, 'addAlertHistoryEntries');
+            return { ok: false, error: e.message };
+        }
+    }
+
+    /**
+     * Reads alert history, newest first.
+     * Per-share reads need the composite index alertHistory (code ASC, firedAt DESC).
+     * @param {string} userId
+     * @param {{ code?: string, max?: number }} options - code limits to one share
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAlertHistory(userId, { code = '', max = 500 } = {}) {
+        if (!userId) return [];
+        const ref = collection(db, `artifacts/${APP_ID}/users/${userId}/alertHistory`);
+        const q = code
+            ? query(ref, where('code', '==', code.toUpperCase()), orderBy('firedAt', 'desc'), limit(max))
+            : query(ref, orderBy('firedAt', 'desc'), limit(max));
+        try {
+            const snap = await getDocs(q);
+            const results = [];
+            snap.forEach(d => results.push({ id: d.id, ...d.data() }));
+            return results.sort((a, b) => (b.firedAt || 0) - (a.firedAt || 0));
+        } catch (e) {
+            console.warn('UserStore: getAlertHistory failed', e);
+            return [];
+        }
+    }
+
+    /**
+     * Deletes alert history entries that fired before the cutoff, in batches.
+     * @param {string} userId
+     * @param {number} cutoff - Epoch ms; entries with firedAt < cutoff are removed
+     * @returns {Promise<{ ok: boolean, deleted?: number, error?: string }>}
+     */
+    async pruneAlertHistory(userId, cutoff) {
+        if (!userId || !(cutoff > 0)) return { ok: false, error: 'Missing params' };
+        const ref = collection(db, `artifacts/${APP_ID}/users/${userId}/alertHistory`);
+        let deleted = 0;
+        try {
+            // Firestore caps a batch at 500 writes
+            for (;;) {
+                const snap = await getDocs(query(ref, where('firedAt', '<', cutoff), limit(450)));
+                if (snap.empty) break;
+                const batch = writeBatch(db);
+                snap.forEach(d => batch.delete(d.ref));
+                await batch.commit();
+                deleted += snap.size;
+                if (snap.size < 450) break;
+            }
+            return { ok: true, deleted };
+        } catch (e) {
+            this._handleWriteError(e, 'pruneAlertHistory');
+            return { ok: false, error: e.message };
+        }
+    }
+
     /**
      * Saves a manual dividend override for a ticker.
      * Pivot: Saves into the preferences/config document to bypass rule restrictions.
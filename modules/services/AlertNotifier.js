@@ -0,0 +1,167 @@
+/**
+ * AlertNotifier.js
+ * Raises system notifications (Notifications API) for alerts that fire while the app is in
+ * the background. Sits on top of the in-app engine: every badge recalculation asks
+ * NotificationStore for deliverable alerts (mutes, snoozes, quiet hours and cooldowns already
+ * applied) and anything not delivered before is grouped into one notification.
+ *
+ * Opt-in per device, because notification permission is granted per browser. The service
+ * worker is deliberately unregistered at boot, so notifications are raised from the page:
+ * they work while the app is open in a background tab or minimised, not once it is closed.
+ */
+
+import { notificationStore } from '../state/NotificationStore.js';
+import { AlertHistoryService } from '../data/AlertHistoryService.js';
+import { navManager } from '../utils/NavigationManager.js';
+import { ToastManager } from '../ui/ToastManager.js';
+import { formatCurrency } from '../utils/formatters.js';
+import { EVENTS, STORAGE_KEYS, SYSTEM_NOTIFICATION_CONFIG, ALERT_HISTORY_TYPES } from '../utils/AppConstants.js';
+
+export class AlertNotifier {
+    static _initialized = false;
+    static _delivered = new Set(); // Alert IDs already notified (or seen in the foreground)
+
+    static init() {
+        if (this._initialized) return;
+        this._initialized = true;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.ALERT_NOTIFIED) || '[]');
+            if (Array.isArray(stored)) this._delivered = new Set(stored);
+        } catch (e) { /* ignore */ }
+
+        document.addEventListener(EVENTS.NOTIFICATION_UPDATE, () => this._deliver());
+    }
+
+    /** @returns {boolean} */
+    static isSupported() {
+        return typeof Notification !== 'undefined';
+    }
+
+    /** @returns {boolean} Opted in on this device and permission granted */
+    static isEnabled() {
+        return this.isSupported()
+            && Notification.permission === 'granted'
+            && localStorage.getItem(STORAGE_KEYS.SYSTEM_NOTIFICATIONS) === 'true';
+    }
+
+    /**
+     * Turns delivery on (asking for permission if needed) or off for this device.
+     * Call from a tap handler: some browsers only show the permission prompt for a user gesture.
+     * @param {boolean} enabled
+     * @returns {Promise<boolean>} Whether delivery is now on
+     */
+    static async setEnabled(enabled) {
+        if (!enabled) {
+            localStorage.setItem(STORAGE_KEYS.SYSTEM_NOTIFICATIONS, 'false');
+            return false;
+        }
+        if (!this.isSupported()) {
+            ToastManager.show('System notifications are not supported in this browser.', 'error');
+            return false;
+        }
+
+        let permission = Notification.permission;
+        if (permission === 'default') {
+            try {
+                permission = await Notification.requestPermission();
+            } catch (e) {
+                permission = 'denied';
+            }
+        }
+        if (permission !== 'granted') {
+            localStorage.setItem(STORAGE_KEYS.SYSTEM_NOTIFICATIONS, 'false');
+            ToastManager.show('Notifications are blocked. Allow them in your browser settings.', 'error');
+            return false;
+        }
+
+        // Alerts already on screen are not replayed as notifications
+        this._markDelivered(notificationStore.getDeliverableAlerts().map(a => a.id));
+        localStorage.setItem(STORAGE_KEYS.SYSTEM_NOTIFICATIONS, 'true');
+        return true;
+    }
+
+    /**
+     * Notifies newly fired alerts. While the app is visible they are only marked as seen:
+     * the in-app badge already covers them.
+     */
+    static _deliver() {
+        if (!this.isEnabled() || !notificationStore) return;
+
+        const pending = notificationStore.getDeliverableAlerts().filter(a => !this._delivered.has(a.id));
+        if (pending.length === 0) return;
+        this._markDelivered(pending.map(a => a.id));
+
+        if (document.visibilityState === 'visible') return;
+        this._show(pending);
+    }
+
+    /**
+     * One notification for the whole batch, replacing the previous one (same tag).
+     * @param {Array<{ id: string, entry: Object }>} alerts
+     */
+    static _show(alerts) {
+        const codes = [...new Set(alerts.map(a => a.entry.code))];
+        const lines = alerts.slice(0, SYSTEM_NOTIFICATION_CONFIG.MAX_LINES).map(a => this._describe(a.entry));
+        if (alerts.length > SYSTEM_NOTIFICATION_CONFIG.MAX_LINES) {
+            lines.push(`+${alerts.length - SYSTEM_NOTIFICATION_CONFIG.MAX_LINES} more`);
+        }
+
+        const title = alerts.length === 1 ? `${codes[0]} alert` : `${alerts.length} new alerts`;
+
+        try {
+            const notification = new Notification(title, {
+                body: lines.join('\n'),
+                icon: SYSTEM_NOTIFICATION_CONFIG.ICON,
+                badge: SYSTEM_NOTIFICATION_CONFIG.ICON,
+                tag: SYSTEM_NOTIFICATION_CONFIG.TAG,
+                renotify: true,
+                data: { codes }
+            });
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                this._open(alerts);
+            };
+        } catch (e) {
+            // Some mobile browsers only allow notifications from a service worker
+            console.warn('[AlertNotifier] Could not show notification:', e);
+        }
+    }
+
+    /**
+     * Deep link: one share opens its detail view, one cash asset (term deposit maturity) opens
+     * that asset, several open the notification centre.
+     * @param {Array<{ id: string, entry: Object }>} alerts
+     */
+    static async _open(alerts) {
+        await navManager.whenSettled();
+        const cash = alerts.filter(a => a.entry.type === ALERT_HISTORY_TYPES.CASH);
+        const codes = [...new Set(alerts.filter(a => !cash.includes(a)).map(a => a.entry.code))];
+
+        if (cash.length === 1 && codes.length === 0) {
+            document.body.dispatchEvent(new CustomEvent(EVENTS.CASH_ASSET_SELECTED, { detail: { assetId: cash[0].entry.snapshot?.assetId } }));
+        } else if (cash.length === 0 && codes.length === 1) {
+            document.dispatchEvent(new CustomEvent(EVENTS.ASX_CODE_CLICK, { detail: { code: codes[0] } }));
+        } else {
+            document.dispatchEvent(new CustomEvent(EVENTS.OPEN_NOTIFICATIONS, { detail: { source: 'custom' } }));
+        }
+    }
+
+    /** "BHP $45.10: Target $45.00 (above)" */
+    static _describe(entry) {
+        const price = entry.price > 0 ? ` ${formatCurrency(entry.price)}` : '';
+        const detail = AlertHistoryService.describe(entry);
+        return `${entry.code}${price}${detail ? `: ${detail}` : ''}`;
+    }
+
+    /** @param {Array<string>} ids */
+    static _markDelivered(ids) {
+        ids.forEach(id => this._delivered.add(id));
+        try {
+            const recent = Array.from(this._delivered).slice(-SYSTEM_NOTIFICATION_CONFIG.MAX_REMEMBERED);
+            this._delivered = new Set(recent);
+            localStorage.setItem(STORAGE_KEYS.ALERT_NOTIFIED, JSON.stringify(recent));
+        } catch (e) { /* ignore */ }
+    }
+}
@@ -6,6 +6,8 @@
  * making the app truly multi-user and privacy-respecting.
  */
 
+import { MarketIndexService } from '../data/MarketIndexService.js';
+
 export const MailService = {
     CONFIG: {
         GMAIL_QUERY: 'marketindex is:unread',
@@ -86,7 +88,9 @@ export const MailService = {
             }
 
             // Classification Logic (Ported from integration script)
-            const isReport = /WRAP|RAP|REPORT|MIDDAY|MORNING|EVENING|AFTERNOON/i.test(subject);
+            // An ASX:CODE prefix is always a company alert ("Sensitive Ann: Quarterly Report")
+            const isReport = !/^ASX:[A-Z0-9]{2,5}\b/i.test(subject)
+                && /WRAP|RAP|REPORT|MIDDAY|MORNING|EVENING|AFTERNOON/i.test(subject);
             
             if (isReport) {
                 return {
@@ -103,6 +107,7 @@ export const MailService = {
                 // Company Alert Logic
                 const codeMatch = subject.match(/\[([A-Z0-9]{2,5})\]/i) || subject.match(/^ASX:([A-Z0-9]{2,5})/i);
                 const code = codeMatch ? codeMatch[1].toUpperCase() : 'UNKNOWN';
+                const category = MarketIndexService.categorize(subject);
                 
                 return {
                     id: `${code}-${timestamp}`,
@@ -111,6 +116,7 @@ export const MailService = {
                     timestamp,
                     date: new Date(timestamp).toISOString(),
                     type: 'announcement',
+                    ...(category ? { category } : {}),
                     link: this._extractLink(body) || `https://www.marketindex.com.au/asx/${code.toLowerCase()}`
                 };
             }
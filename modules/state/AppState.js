@@ -1,4 +1,4 @@
-import { STORAGE_KEYS, CASH_WATCHLIST_ID, ALL_SHARES_ID, PORTFOLIO_ID, EVENTS } from '../utils/AppConstants.js';
+import { STORAGE_KEYS, CASH_WATCHLIST_ID, ALL_SHARES_ID, PORTFOLIO_ID, EVENTS, BASE_CURRENCY_DEFAULT } from '../utils/AppConstants.js';
 
 /**
  * AppState.js
@@ -198,6 +198,7 @@ export const AppState = {
         })(),
         showBadges: localStorage.getItem('ASX_NEXT_showBadges') !== 'false',
         oneTapResearch: localStorage.getItem(STORAGE_KEYS.ONE_TAP_RESEARCH) === 'true',
+        baseCurrency: localStorage.getItem(STORAGE_KEYS.BASE_CURRENCY) || BASE_CURRENCY_DEFAULT,
         aiPromptTemplates: (() => {
             try {
                 const stored = localStorage.getItem(STORAGE_KEYS.AI_PROMPT_TEMPLATES);
@@ -388,6 +389,7 @@ export const AppState = {
                 accentOpacity: this.preferences.accentOpacity || '1',
                 cardChartOpacity: this.preferences.cardChartOpacity ?? 1.0,
                 oneTapResearch: this.preferences.oneTapResearch || false,
+                baseCurrency: this.preferences.baseCurrency || BASE_CURRENCY_DEFAULT,
                 aiPromptTemplates: this.preferences.aiPromptTemplates || {},
                 widgetConfig: this.preferences.widgetConfig || null,
                 widgetDashboardItems: this.preferences.widgetDashboardItems || null
@@ -736,6 +738,13 @@ export const AppState = {
         this._triggerSync();
     },
 
+    saveBaseCurrency(currency) {
+        if (!currency || currency === this.preferences.baseCurrency) return;
+        this.preferences.baseCurrency = currency;
+        localStorage.setItem(STORAGE_KEYS.BASE_CURRENCY, currency);
+        this._triggerSync();
+    },
+
     saveAiPromptTemplate(id, text) {
         if (!this.preferences.aiPromptTemplates) this.preferences.aiPromptTemplates = {};
         this.preferences.aiPromptTemplates[id] = text;
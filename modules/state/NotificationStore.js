@@ -10,10 +10,17 @@ import { AppState } from './AppState.js';
 import { StateAuditor } from './StateAuditor.js';
 // Import userStore to listen for Preference Updates
 import { userStore } from '../data/DataService.js';
-import { EVENTS, STORAGE_KEYS, DASHBOARD_SYMBOLS, SECTOR_INDUSTRY_MAP } from '../utils/AppConstants.js';
+import { EVENTS, STORAGE_KEYS, DASHBOARD_SYMBOLS, SECTOR_INDUSTRY_MAP, ALERT_RULE_INTENT, ALERT_RULE_DEFAULTS, PROTECTIVE_ALERT_INTENTS, PERSONAL_ALERT_INTENTS, ALERT_HISTORY_LIMITS, MARKET_READ_LATER_LIMIT, CASH_ALERT_INTENTS } from '../utils/AppConstants.js';
 import { doc, getDoc, updateDoc, arrayUnion, arrayRemove, onSnapshot, setDoc, getDocFromServer, collection, query, orderBy, limit } from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
 import { getBestShareMatch } from '../data/DataProcessor.js';
+import { AlertRuleService } from '../data/AlertRuleService.js';
+import { AlertHistoryService } from '../data/AlertHistoryService.js';
+import { AlertSuppressionService } from '../data/AlertSuppressionService.js';
+import { MarketIndexService } from '../data/MarketIndexService.js';
+import { CashInterestService } from '../data/CashInterestService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
 import { MailService } from '../services/MailService.js';
+import { toIsoDate } from '../utils/formatters.js';
 
 const APP_ID = "asx-watchlist-app";
 
@@ -43,6 +50,18 @@ export class NotificationStore {
         this._notificationDebounceTimer = null; // DEBOUNCE: Timer for notification updates
         this.dismissedAnnouncements = new Set(); // TRACK: Dismissed Market Index alert IDs
         this.readAnnouncements = new Set(); // TRACK: Tapped Market Index alert IDs (ghosted)
+        this.readLaterAnnouncements = []; // READ LATER: saved Market Index item snapshots, newest first (synced via preferences)
+        this._ruleIndicators = new Map(); // COMPOUND RULES: code -> { day, ma, avgVolume } from daily history
+        this._ruleIndicatorsPending = new Set(); // COMPOUND RULES: codes with a history fetch in flight
+        this.highWaterMarks = {}; // TRAILING STOPS: code -> { high, since, updated } (synced via preferences)
+        this._pendingHighWater = {}; // TRAILING STOPS: unsaved mark changes (null = remove)
+        this._highWaterSaveTimer = null;
+        this._historyRecorded = new Set(); // ALERT HISTORY: entry IDs already written (persisted, capped)
+        this._pendingHistory = new Map(); // ALERT HISTORY: id -> { id, entry } awaiting the debounced write
+        this._historySaveTimer = null;
+        this.alertSnoozes = {}; // SNOOZE: CODE -> epoch ms (synced via preferences)
+        this._cooldownStates = {}; // COOLDOWNS: code|type -> { t, at, price } of the last surfacing that badged
+        this._suppressionTimer = null; // Wakes badges when a snooze expires or quiet hours start/end
 
         // --- CACHE: Memoization for expensive alert computations ---
         this._globalAlertsCache = null;
@@ -72,6 +91,20 @@ export class NotificationStore {
                     const parsedRead = JSON.parse(storedRead);
                     if (Array.isArray(parsedRead)) this.readAnnouncements = new Set(parsedRead);
                 }
+                const storedReadLater = localStorage.getItem(STORAGE_KEYS.MARKET_READ_LATER);
+                if (storedReadLater) {
+                    const parsedReadLater = JSON.parse(storedReadLater);
+                    if (Array.isArray(parsedReadLater)) this.readLaterAnnouncements = parsedReadLater;
+                }
+                const storedHistory = localStorage.getItem(STORAGE_KEYS.ALERT_HISTORY_RECORDED);
+                if (storedHistory) {
+                    const parsedHistory = JSON.parse(storedHistory);
+                    if (Array.isArray(parsedHistory)) this._historyRecorded = new Set(parsedHistory);
+                }
+                const storedCooldowns = localStorage.getItem(STORAGE_KEYS.ALERT_COOLDOWNS);
+                if (storedCooldowns) {
+                    this._cooldownStates = AlertSuppressionService.pruneCooldowns(JSON.parse(storedCooldowns));
+                }
 
                 // v1160: AUTO-PRUNE stale dismissed IDs on boot
                 // Prevents dismissed set from growing unbounded and hiding new items.
@@ -160,6 +193,8 @@ export class NotificationStore {
                             moversEnabled: data.moversEnabled,
                             hiloEnabled: data.hiloEnabled,
                             personalEnabled: data.personalEnabled,
+                            quietHours: AlertSuppressionService.normalizeQuietHours(data.quietHours),
+                            cooldowns: AlertSuppressionService.normalizeCooldowns(data.cooldowns),
                             excludePortfolio: AppState.preferences.excludePortfolio !== false,
                             activeFilters: Array.isArray(AppState.preferences.scanner?.activeFilters) ? AppState.preferences.scanner.activeFilters : null
                         };
@@ -168,6 +203,9 @@ export class NotificationStore {
                         this._notifyCountChange();
                     }
                 }
+
+                // Alert history retention runs in the background
+                this._pruneAlertHistory();
             }
 
             // LOGIC HARDENING: Mark store as ready AFTER initial load logic
@@ -247,6 +285,8 @@ export class NotificationStore {
                         moversEnabled: data.moversEnabled, // Capture toggle
                         hiloEnabled: data.hiloEnabled,     // Capture 52W Toggle
                         personalEnabled: data.personalEnabled, // Capture Personal Toggle
+                        quietHours: AlertSuppressionService.normalizeQuietHours(data.quietHours),
+                        cooldowns: AlertSuppressionService.normalizeCooldowns(data.cooldowns),
                         excludePortfolio: prefs.excludePortfolio !== false, // Capture Override Toggle
                         activeFilters: Array.isArray(prefs.scanner?.activeFilters)
                             ? prefs.scanner.activeFilters.map(f => (f || '').toUpperCase())
@@ -261,6 +301,19 @@ export class NotificationStore {
                     this._invalidateCache();
                     this._notifyCountChange();
 
+                    // --- TRAILING STOP HIGH-WATER MARKS (Cloud wins, except changes not yet saved) ---
+                    const remoteMarks = (prefs.alertHighWater && typeof prefs.alertHighWater === 'object') ? prefs.alertHighWater : {};
+                    this.highWaterMarks = { ...remoteMarks };
+                    Object.entries(this._pendingHighWater).forEach(([code, mark]) => {
+                        if (mark) this.highWaterMarks[code] = mark;
+                        else delete this.highWaterMarks[code];
+                    });
+
+                    // --- SNOOZES (Cloud wins; expired entries are ignored) ---
+                    this.alertSnoozes = AlertSuppressionService.activeSnoozes(prefs.alertSnoozes);
+                    this._scheduleSuppressionRefresh();
+                    document.dispatchEvent(new CustomEvent(EVENTS.ALERT_SNOOZES_CHANGED, { detail: { snoozes: { ...this.alertSnoozes } } }));
+
                     // --- SYNC DISMISSAL STATE (From Cloud to Device) ---
                     // 1. Alert Dismissal (Session-Only: Cloud sync disabled to prevent mid-session overrides)
 
@@ -295,6 +348,16 @@ export class NotificationStore {
                     if (syncReadChanged) {
                         this._notifyCountChange();
                     }
+
+                    // 4. Read-Later Queue (Cloud wins: it is the cross-device copy)
+                    if (Array.isArray(prefs.readLaterMarketAlerts)) {
+                        const remote = JSON.stringify(prefs.readLaterMarketAlerts);
+                        if (remote !== JSON.stringify(this.readLaterAnnouncements)) {
+                            this.readLaterAnnouncements = prefs.readLaterMarketAlerts;
+                            localStorage.setItem(STORAGE_KEYS.MARKET_READ_LATER, remote);
+                            document.dispatchEvent(new CustomEvent(EVENTS.MARKET_READ_LATER_CHANGED));
+                        }
+                    }
                 }
             });
         } catch (err) {
@@ -456,8 +519,11 @@ export class NotificationStore {
                         return final;
                     })(),
                     excludePortfolio: config.excludePortfolio !== false, // Capture Override Toggle
-                    hiloEnabled: data.hiloEnabled // Capture 52-Week Toggle
+                    hiloEnabled: data.hiloEnabled, // Capture 52-Week Toggle
+                    quietHours: AlertSuppressionService.normalizeQuietHours(data.quietHours),
+                    cooldowns: AlertSuppressionService.normalizeCooldowns(data.cooldowns)
                 };
+                this._scheduleSuppressionRefresh();
             }
         } catch (e) {
             console.error('[NotificationStore] Error fetching rules:', e);
@@ -551,6 +617,8 @@ export class NotificationStore {
                 if (s.muted) mutedCodes.add((s.shareName || '').toUpperCase());
             });
         }
+        // SNOOZE: Treated as a temporary mute
+        Object.keys(this.getActiveSnoozes()).forEach(code => mutedCodes.add(code));
 
         const result = hits.filter(hit => {
             // CONSTANTS & BYPASS LOGIC (Moved to Top for Reference Safety)
@@ -785,12 +853,13 @@ export class NotificationStore {
         // PERSONAL ALERTS FILTER:
         // If Personal Alerts is OFF, suppress:
         // 1. Explicit Targets (intent: 'target' -> Set in Add Share Modal)
-        // 2. Pinned Alerts (Handled at return)
+        // 2. Compound Alert Rules & Protective Alerts (intent: 'rule' / 'trailing-stop' / 'cost' -> Set in Add Share Modal)
+        // 3. Pinned Alerts (Handled at return)
         // NOTE: We KEEP 'mover' and 'hilo' (52W) as they represent Market Events for the watchlist,
         // and are governed by Global 'Movers'/'52-Week' toggles.
         const rules = this.getScannerRules();
         if (rules.personalEnabled === false) {
-            clientTargets = clientTargets.filter(t => t.intent !== 'target');
+            clientTargets = clientTargets.filter(t => t.intent !== 'target' && !PERSONAL_ALERT_INTENTS.includes(t.intent));
         }
 
         // MERGE FIX: Deduplicate Server vs Client Hits.
@@ -825,6 +894,8 @@ export class NotificationStore {
                 if (s.muted) mutedCodes.add((s.shareName || '').toUpperCase());
             });
         }
+        // SNOOZE: Treated as a temporary mute
+        Object.keys(this.getActiveSnoozes()).forEach(code => mutedCodes.add(code));
 
         // DATA INTEGRITY FIX:
         // Server Hits might be stale (e.g. PrevClose mismatch).
@@ -854,6 +925,11 @@ export class NotificationStore {
         // 2. Apply Filters (Rules, Muted, Pinned)
         const result = this.filterLocalHits(verifiedHits, rules, mutedCodes, this.pinnedAlerts);
         this._localAlertsCache = result;
+
+        // 3. Alert History: every hit that survived the filters (consolidated matches included)
+        const firedHits = result.fresh.flatMap(master => master.matches || [master]);
+        this._recordAlertHistory(firedHits.map(hit => AlertHistoryService.buildEntry(hit, rules)));
+
         return result;
     }
 
@@ -874,6 +950,8 @@ export class NotificationStore {
             if (!match) return false;
 
             const isTarget = hit.intent && (hit.intent === 'target' || hit.intent === 'target-hit' || hit.intent === 'TARGET');
+            // Compound rules and protective alerts are personal triggers too: same exemptions as targets
+            const isPersonal = isTarget || PERSONAL_ALERT_INTENTS.includes(hit.intent);
             // const isDebug = (hit.code === 'BHP' || hit.code === 'CBA' || (hit.code && hit.code.includes('YOUR_STOCK_CODE_HERE'))); // Replace if known
 
 
@@ -928,7 +1006,7 @@ export class NotificationStore {
                 // FIX: EXEMPT Personal Targets from this check. Users want to know if their target is hit, even if price is static.
                 // isTarget is already defined at the filter scope level
 
-                if (!isTarget && Math.abs(checkPct) === 0 && Math.abs(checkAmt) === 0) {
+                if (!isPersonal && Math.abs(checkPct) === 0 && Math.abs(checkAmt) === 0) {
                     return false;
                 }
             }
@@ -957,7 +1035,7 @@ export class NotificationStore {
             const activeFilters = rules.activeFilters; // Can be null (All), [] (None), or [...industries]
             const isAllSectors = (activeFilters === null || activeFilters === undefined);
             // isTarget is already defined at the filter scope level
-            const shouldBypass = isTarget || overrideOn; // In localAlerts, it's always "local"
+            const shouldBypass = isPersonal || overrideOn; // In localAlerts, it's always "local"
 
             // Consolidate Industry Lookup
             let ind = (hit.Industry || hit.Sector || hit.industry || hit.sector || '').toUpperCase();
@@ -1135,7 +1213,7 @@ export class NotificationStore {
 
             // --- HEARTBEAT SILENCE: Filter out items with no movement AND no recognized intent ---
             const hasMovement = Math.abs(hit.pct || 0) > 0 || Math.abs(hit.change || 0) > 0;
-            const hasIntent = hit.intent && (hit.intent === 'target' || hit.intent.includes('hilo') || hit.intent === 'mover');
+            const hasIntent = hit.intent && (hit.intent === 'target' || PERSONAL_ALERT_INTENTS.includes(hit.intent) || hit.intent.includes('hilo') || hit.intent === 'mover');
             if (!hasMovement && !hasIntent) return false;
 
             return true;
@@ -1165,6 +1243,9 @@ export class NotificationStore {
                 const i = (h.intent || '').toLowerCase();
                 // 1. TARGET (Highest priority when HIT - per user request to take precedence)
                 if (i === 'target' || i === 'target-hit') return 200;
+                // 1b. COMPOUND RULES & PROTECTIVE ALERTS (User-defined, outrank implicit movers)
+                if (i === PROTECTIVE_ALERT_INTENTS.TRAILING_STOP) return 160;
+                if (PERSONAL_ALERT_INTENTS.includes(i)) return 150;
                 // 2. MOVERS (Second priority)
                 if (i === 'mover' || i === 'up' || i === 'down' || i === 'gainers' || i === 'losers') return 100;
                 // 3. HI/LO (52W)
@@ -1830,6 +1911,9 @@ export class NotificationStore {
             custom: this.lastViewed.custom || 0
         };
 
+        // QUIET HOURS: Alerts stay listed, but nothing badges
+        if (this.isQuietHours()) return { total: 0, custom: 0, announcements: 0, quiet: true };
+
         const pulse = this.getPulseCounts();
 
         const myHitsCount = (pulse._local.fresh || []).length;
@@ -1853,13 +1937,22 @@ export class NotificationStore {
 
         const parseTime = (timeVal) => this._parseTimestamp(timeVal);
 
+        // COOLDOWN: A re-surfacing alert still inside its cooldown never counts as new;
+        // one that has cleared it counts from the moment it cleared.
+        const badgeTime = (hit) => {
+            const hitTime = parseTime(hit.t || hit.timestamp || hit.createdAt);
+            if (!(hitTime > 0)) return 0;
+            const clearedAt = this._cooldownBadgeTime(hit);
+            return clearedAt === null ? 0 : Math.max(hitTime, clearedAt);
+        };
+
         // --- CALC CUSTOM COUNT (Kangaroo) ---
         myHits.forEach(hit => {
             const code = hit.code || hit.shareCode || hit.symbol;
             if (!code || seenCodesCustom.has(code)) return;
             seenCodesCustom.add(code);
 
-            const hitTime = parseTime(hit.t || hit.timestamp || hit.createdAt);
+            const hitTime = badgeTime(hit);
             const isNew = hitTime > 0 && hitTime > thresholds.custom;
             if (isNew) customCount++;
         });
@@ -1870,7 +1963,7 @@ export class NotificationStore {
             if (!code || seenCodesTotal.has(code)) return;
             seenCodesTotal.add(code);
 
-            const hitTime = parseTime(hit.t || hit.timestamp || hit.createdAt);
+            const hitTime = badgeTime(hit);
             const isNew = hitTime > 0 && hitTime > thresholds.total;
             if (isNew) totalCount++;
         });
@@ -1888,6 +1981,12 @@ export class NotificationStore {
             this._lastReportedAnnCount = annCount;
         }
 
+        // --- TERM DEPOSIT MATURITY (personal, so counts toward both) ---
+        this.getMaturityAlerts().forEach(alert => {
+            if (alert.t > thresholds.custom) customCount++;
+            if (alert.t > thresholds.total) totalCount++;
+        });
+
         return { total: totalCount, custom: customCount, announcements: annCount };
     }
 
@@ -1927,6 +2026,7 @@ export class NotificationStore {
         }
 
         this._notificationDebounceTimer = setTimeout(() => {
+            this._commitCooldowns();
             const counts = this.getBadgeCounts();
 
 
@@ -2010,6 +2110,50 @@ export class NotificationStore {
         }
     }
 
+    /**
+     * @param {string} alertId
+     * @returns {boolean} Whether the item is in the read-later queue
+     */
+    isReadLater(alertId) {
+        return this.readLaterAnnouncements.some(entry => entry.id === alertId);
+    }
+
+    /**
+     * Saved items, newest save first. Snapshots, so they outlive the stream window.
+     * @returns {Array<Object>}
+     */
+    getReadLaterAnnouncements() {
+        return this.readLaterAnnouncements;
+    }
+
+    /**
+     * Adds a stream item to the read-later queue, or removes it if already saved.
+     * @param {Object} item - Stream item (or read-later snapshot)
+     * @returns {Promise<boolean>} Whether the item is now saved
+     */
+    async toggleReadLater(item) {
+        if (!item) return false;
+        const id = MarketIndexService.idOf(item);
+        const saved = !this.isReadLater(id);
+
+        this.readLaterAnnouncements = saved
+            ? [MarketIndexService.snapshot(item), ...this.readLaterAnnouncements].slice(0, MARKET_READ_LATER_LIMIT)
+            : this.readLaterAnnouncements.filter(entry => entry.id !== id);
+        localStorage.setItem(STORAGE_KEYS.MARKET_READ_LATER, JSON.stringify(this.readLaterAnnouncements));
+        document.dispatchEvent(new CustomEvent(EVENTS.MARKET_READ_LATER_CHANGED));
+
+        // SYNC: Whole list (small and capped) so every device converges on the same order
+        if (this.userId) {
+            try {
+                const prefRef = doc(db, `artifacts/${APP_ID}/users/${this.userId}/preferences/config`);
+                await setDoc(prefRef, { readLaterMarketAlerts: this.readLaterAnnouncements }, { merge: true });
+            } catch (e) {
+                console.warn('[NotificationStore] Failed to sync read-later queue:', e);
+            }
+        }
+        return saved;
+    }
+
     /**
      * Dismisses all currently visible market index alerts.
      */
@@ -2116,6 +2260,40 @@ export class NotificationStore {
         return false;
     }
 
+    /**
+     * Indicators (moving averages / average volume) for a code's compound rules.
+     * Computed once per day from the cached 1y history. Returns null while the
+     * history loads; the alerts are re-evaluated when it arrives.
+     * @param {string} code
+     * @param {Array<Object>} rules - Normalized rules for the code
+     * @returns {Object|null}
+     */
+    _getRuleIndicators(code, rules) {
+        const periods = AlertRuleService.getRequiredPeriods(rules);
+        if (periods.length === 0) return null;
+
+        const today = new Date().toISOString().substring(0, 10);
+        const cached = this._ruleIndicators.get(code);
+        if (cached && cached.day === today && periods.every(p => cached.periods.includes(p))) return cached;
+
+        const api = AppState.controller?.dataService;
+        if (!api || this._ruleIndicatorsPending.has(code)) return cached || null;
+
+        this._ruleIndicatorsPending.add(code);
+        api.fetchHistory(code, ALERT_RULE_DEFAULTS.HISTORY_RANGE).then(res => {
+            const bars = (res && res.ok && Array.isArray(res.data)) ? res.data : [];
+            this._ruleIndicators.set(code, { day: today, periods, ...AlertRuleService.computeIndicators(bars, periods) });
+            this._invalidateCache();
+            this._notifyCountChange();
+        }).catch(e => {
+            console.warn(`[NotificationStore] Rule indicators unavailable for ${code}:`, e);
+        }).finally(() => {
+            this._ruleIndicatorsPending.delete(code);
+        });
+
+        return cached || null;
+    }
+
     /**
      * Generates persistent alerts for User Price Targets AND 52-Week Hi/Lo using Live Data.
      * This bypasses the need for the Backend to be perfectly sync'd.
@@ -2270,6 +2448,72 @@ export class NotificationStore {
                         }
                     }
 
+                    // 2b. COMPOUND ALERT RULES (AND of all conditions, per share)
+                    const alertRules = AlertRuleService.getActiveRules(share);
+                    if (alertRules.length > 0 && !isPhantom) {
+                        const indicators = this._getRuleIndicators(code, alertRules);
+                        const snapshot = { price: price, pctChange: pctChange, volume: volume };
+
+                        alertRules.forEach(rule => {
+                            const result = AlertRuleService.evaluate(rule, snapshot, indicators);
+                            if (!result.hit) return;
+
+                            const key = `${code}-rule-${rule.id}`;
+                            alerts.push({
+                                userId: this.userId,
+                                code: code,
+                                intent: ALERT_RULE_INTENT,
+                                ruleId: rule.id,
+                                ruleName: AlertRuleService.describeRule(rule),
+                                fired: result.fired,
+                                price: price,
+                                pct: pctChange,
+                                change: dolChange,
+                                t: this._getStableTimestamp(key)
+                            });
+                        });
+                    }
+
+                    // 2c. PROTECTIVE ALERTS (Holdings): Trailing Stop & % From Average Cost
+                    const trailingPct = Number(share.trailingStopPct || 0);
+                    if (trailingPct > 0 && !isPhantom) {
+                        const mark = this._trackHighWater(code, price, Number(liveData.prevClose || 0));
+                        const stopResult = AlertRuleService.evaluateTrailingStop(mark, trailingPct, price);
+                        if (stopResult.hit) {
+                            const key = `${code}-trailing-stop`;
+                            alerts.push({
+                                userId: this.userId,
+                                code: code,
+                                intent: PROTECTIVE_ALERT_INTENTS.TRAILING_STOP,
+                                price: price,
+                                high: mark.high,
+                                stop: stopResult.stop,
+                                stopPct: trailingPct,
+                                pct: pctChange,
+                                change: dolChange,
+                                t: this._getStableTimestamp(key)
+                            });
+                        }
+                    }
+
+                    const costResult = isPhantom ? null : AlertRuleService.evaluateCostAlert(share, price);
+                    if (costResult && costResult.hit) {
+                        const key = `${code}-cost-${costResult.direction}`;
+                        alerts.push({
+                            userId: this.userId,
+                            code: code,
+                            intent: PROTECTIVE_ALERT_INTENTS.COST,
+                            type: costResult.direction,
+                            price: price,
+                            cost: costResult.cost,
+                            movePct: costResult.movePct,
+                            threshold: costResult.threshold,
+                            pct: pctChange,
+                            change: dolChange,
+                            t: this._getStableTimestamp(key)
+                        });
+                    }
+
                     // 3. 52-WEEK HIGH/LOW (Implicit Watchlist Alerts)
                     const hiloLimit = rules.hiloMinPrice ?? 0;
                     const overrideActive = rules.excludePortfolio !== false;
@@ -2363,9 +2607,354 @@ export class NotificationStore {
             } // End Data
         }); // End forEach
 
+        // Trailing stop removed (or share deleted): forget its high-water mark so a new stop starts fresh.
+        // Only once shares have loaded, otherwise every mark would be dropped on startup.
+        if (AppState.data.shares.length > 0) {
+            Object.keys(this.highWaterMarks).forEach(code => {
+                const share = getBestShareMatch(AppState.data.shares, code);
+                if (!share || !(Number(share.trailingStopPct) > 0)) this._queueHighWaterSave(code, null);
+            });
+        }
+
         return alerts;
     }
 
+    /**
+     * Advances (or seeds) the trailing stop high-water mark for a code and queues
+     * any change for the preferences doc.
+     * @param {string} code
+     * @param {number} price
+     * @param {number} prevClose
+     * @returns {Object|null} The current mark
+     */
+    _trackHighWater(code, price, prevClose) {
+        const today = toIsoDate(new Date());
+        const { mark, changed } = AlertRuleService.advanceHighWater(this.highWaterMarks[code] || null, { price, prevClose, today });
+        if (changed) this._queueHighWaterSave(code, mark);
+        return mark;
+    }
+
+    /**
+     * Mirrors a committed corporate action locally (the batch already wrote the
+     * preferences doc), dropping unsaved changes to the old key so they cannot
+     * overwrite it.
+     * @param {{ from: string, to: string, mark: Object }} update - CorporateActionService plan.highWaterUpdate
+     */
+    applyHighWaterUpdate({ from, to, mark }) {
+        delete this._pendingHighWater[from];
+        delete this._pendingHighWater[to];
+        delete this.highWaterMarks[from];
+        this.highWaterMarks[to] = mark;
+    }
+
+    /**
+     * Applies a mark change locally and saves it (debounced, batched) to UserStore preferences.
+     * @param {string} code
+     * @param {Object|null} mark - null removes the mark
+     */
+    _queueHighWaterSave(code, mark) {
+        if (mark) this.highWaterMarks[code] = mark;
+        else delete this.highWaterMarks[code];
+        this._pendingHighWater[code] = mark;
+
+        if (this._highWaterSaveTimer) clearTimeout(this._highWaterSaveTimer);
+        this._highWaterSaveTimer = setTimeout(async () => {
+            this._highWaterSaveTimer = null;
+            const batch = this._pendingHighWater;
+            this._pendingHighWater = {};
+            if (!this.userId || !userStore || Object.keys(batch).length === 0) return;
+            const res = await userStore.saveAlertHighWater(this.userId, batch);
+            if (!res || !res.ok) {
+                // Keep for the next attempt unless a newer change has superseded it
+                Object.entries(batch).forEach(([c, m]) => {
+                    if (!(c in this._pendingHighWater)) this._pendingHighWater[c] = m;
+                });
+            }
+        }, 2000);
+    }
+
+    /**
+     * Queues alert history entries that have not been written yet. Writes are debounced and
+     * batched; a failed write un-marks its entries so the next recalculation retries them.
+     * @param {Array<{ id: string, entry: Object }|null>} items - AlertHistoryService.buildEntry results
+     */
+    _recordAlertHistory(items) {
+        const unseen = (items || []).filter(item => item && !this._historyRecorded.has(item.id));
+        if (unseen.length === 0) return;
+        unseen.forEach(item => {
+            this._historyRecorded.add(item.id);
+            this._pendingHistory.set(item.id, item);
+        });
+        // Sets keep insertion order: forget the oldest IDs (a forgotten one is only rewritten, never duplicated)
+        const overflow = this._historyRecorded.size - ALERT_HISTORY_LIMITS.RECORDED_IDS;
+        if (overflow > 0) {
+            Array.from(this._historyRecorded).slice(0, overflow)
+                .filter(id => !this._pendingHistory.has(id))
+                .forEach(id => this._historyRecorded.delete(id));
+        }
+
+        if (this._historySaveTimer) clearTimeout(this._historySaveTimer);
+        this._historySaveTimer = setTimeout(async () => {
+            this._historySaveTimer = null;
+            const batch = Array.from(this._pendingHistory.values());
+            this._pendingHistory = new Map();
+            if (!this.userId || !userStore || batch.length === 0) return;
+
+            const res = await userStore.addAlertHistoryEntries(this.userId, batch);
+            if (res && res.ok) {
+                try {
+                    const recent = Array.from(this._historyRecorded).slice(-ALERT_HISTORY_LIMITS.RECORDED_IDS);
+                    localStorage.setItem(STORAGE_KEYS.ALERT_HISTORY_RECORDED, JSON.stringify(recent));
+                } catch (e) { }
+                document.dispatchEvent(new CustomEvent(EVENTS.ALERT_HISTORY_UPDATED, { detail: { count: batch.length } }));
+            } else {
+                batch.forEach(item => this._historyRecorded.delete(item.id));
+            }
+        }, 3000);
+    }
+
+    /**
+     * Applies the alert history retention (ALERT_HISTORY_LIMITS.RETENTION_DAYS) at most once a
+     * day per device.
+     */
+    async _pruneAlertHistory() {
+        if (!this.userId || !userStore) return;
+        const today = toIsoDate(new Date());
+        try {
+            if (localStorage.getItem(STORAGE_KEYS.ALERT_HISTORY_PRUNED) === today) return;
+        } catch (e) { }
+
+        const cutoff = Date.now() - ALERT_HISTORY_LIMITS.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const res = await userStore.pruneAlertHistory(this.userId, cutoff);
+        if (res && res.ok) {
+            try {
+                localStorage.setItem(STORAGE_KEYS.ALERT_HISTORY_PRUNED, today);
+            } catch (e) { }
+            if (res.deleted > 0) console.log(`[NotificationStore] 🧹 Pruned ${res.deleted} alert history entries older than ${ALERT_HISTORY_LIMITS.RETENTION_DAYS} days`);
+        }
+    }
+
+    /**
+     * Loads alert history, newest first. Entries still waiting for the debounced write are
+     * included so an alert that just fired shows up straight away.
+     * @param {{ code?: string }} options - code limits the result to one share
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAlertHistory({ code = '' } = {}) {
+        if (!this.userId || !userStore) return [];
+        const stored = await userStore.getAlertHistory(this.userId, { code, max: ALERT_HISTORY_LIMITS.FETCH });
+        const storedIds = new Set(stored.map(e => e.id));
+        const pending = Array.from(this._pendingHistory.values())
+            .filter(item => !storedIds.has(item.id))
+            .map(item => ({ id: item.id, ...item.entry }));
+        return AlertHistoryService.search([...pending, ...stored], { code });
+    }
+
+    /**
+     * @param {Date} [now]
+     * @returns {boolean} True while the user's quiet hours are in force
+     */
+    isQuietHours(now = new Date()) {
+        const rules = this.getScannerRules() || {};
+        return AlertSuppressionService.isQuietHours(rules.quietHours, now);
+    }
+
+    /**
+     * @returns {Object<string, number>} Snoozed codes -> snooze end (epoch ms)
+     */
+    getActiveSnoozes() {
+        return AlertSuppressionService.activeSnoozes(this.alertSnoozes);
+    }
+
+    /**
+     * Hides a share's alerts until the chosen snooze option runs out.
+     * @param {string} code
+     * @param {string} optionId - ALERT_SNOOZE_OPTIONS id
+     * @returns {Promise<number|null>} Snooze end, or null if nothing was saved
+     */
+    async snoozeCode(code, optionId) {
+        const cleanCode = String(code || '').replace(/\.AX$/i, '').trim().toUpperCase();
+        const until = AlertSuppressionService.snoozeUntil(optionId);
+        if (!cleanCode || !until) return null;
+        await this._applySnoozes({ [cleanCode]: until });
+        return until;
+    }
+
+    /**
+     * @param {string} [code] - Omit to clear every snooze
+     */
+    async clearSnooze(code = '') {
+        const codes = code ? [String(code).toUpperCase()] : Object.keys(this.alertSnoozes);
+        if (codes.length === 0) return;
+        const changes = {};
+        codes.forEach(c => { changes[c] = null; });
+        await this._applySnoozes(changes);
+    }
+
+    /**
+     * Applies snooze changes locally, refreshes the alert lists and saves to UserStore preferences.
+     * @param {Object<string, number|null>} changes - CODE -> epoch ms (null = clear)
+     */
+    async _applySnoozes(changes) {
+        Object.entries(changes).forEach(([code, until]) => {
+            if (until) this.alertSnoozes[code] = until;
+            else delete this.alertSnoozes[code];
+        });
+        this._scheduleSuppressionRefresh();
+        this._notifyDataChange();
+        document.dispatchEvent(new CustomEvent(EVENTS.ALERT_SNOOZES_CHANGED, { detail: { snoozes: this.getActiveSnoozes() } }));
+
+        if (this.userId && userStore) await userStore.saveAlertSnoozes(this.userId, changes);
+    }
+
+    /**
+     * Re-evaluates alerts when the next snooze expires or quiet hours start/end.
+     */
+    _scheduleSuppressionRefresh() {
+        if (this._suppressionTimer) clearTimeout(this._suppressionTimer);
+        this._suppressionTimer = null;
+
+        const now = Date.now();
+        const rules = this.getScannerRules() || {};
+        const wakeTimes = [
+            ...Object.values(this.getActiveSnoozes()),
+            AlertSuppressionService.nextQuietBoundary(rules.quietHours, new Date(now))
+        ].filter(t => t > now);
+        if (wakeTimes.length === 0) return;
+
+        // Capped so a sleeping device re-checks rather than trusting one long timer
+        const delay = Math.min(Math.min(...wakeTimes) - now + 1000, 60 * 60 * 1000);
+        this._suppressionTimer = setTimeout(() => {
+            this._suppressionTimer = null;
+            this.alertSnoozes = this.getActiveSnoozes();
+            this._notifyDataChange();
+            this._scheduleSuppressionRefresh();
+        }, delay);
+    }
+
+    /**
+     * Alerts eligible for delivery outside the app (system notifications): today's local hits
+     * that survived the filters (so mutes and snoozes are already applied), excluding anything
+     * still cooling down. Nothing is deliverable during quiet hours.
+     * @returns {Array<{ id: string, hit: Object, entry: Object }>} id/entry from AlertHistoryService.buildEntry
+     */
+    getDeliverableAlerts() {
+        if (!this.userId || this.isQuietHours()) return [];
+        const rules = this.getScannerRules() || {};
+        const local = this.getLocalAlerts();
+        return (local.fresh || [])
+            .flatMap(master => master.matches || [master])
+            .filter(hit => this._cooldownBadgeTime(hit) !== null)
+            .map(hit => {
+                const built = AlertHistoryService.buildEntry(hit, rules);
+                return built ? { id: built.id, hit, entry: built.entry } : null;
+            })
+            .filter(Boolean)
+            .concat(this.getMaturityAlerts().map(alert => {
+                const built = AlertHistoryService.buildMaturityEntry(alert);
+                return built ? { id: built.id, hit: alert, entry: built.entry } : null;
+            }).filter(Boolean));
+    }
+
+    /**
+     * Cash assets maturing within the notice window (CASH_MATURITY_NOTICE_DAYS), soonest first.
+     * Treated as personal alerts: hidden when personal alerts are off. Each alert is timestamped
+     * from the day its asset entered the window, so it badges once rather than daily.
+     * @returns {Array<{ id: string, assetId: string, name: string, intent: string, days: number, maturityDate: string, value: number, currency: string, t: number }>}
+     *   value is in the asset's own currency
+     */
+    getMaturityAlerts() {
+        if (!this.userId) return [];
+        const rules = this.getScannerRules() || {};
+        if (rules.personalEnabled === false) return [];
+
+        const alerts = CashInterestService.maturingSoon(AppState.data?.cash || [])
+            .filter(m => m.asset?.id)
+            .map(({ asset, days, value, noticeFrom }) => ({
+                id: `maturity-${asset.id}-${asset.maturityDate}`,
+                assetId: asset.id,
+                name: asset.name || 'Term deposit',
+                intent: CASH_ALERT_INTENTS.MATURITY,
+                days,
+                maturityDate: asset.maturityDate,
+                value,
+                currency: CurrencyService.currencyOf(asset),
+                t: noticeFrom
+            }));
+
+        this._recordAlertHistory(alerts.map(alert => AlertHistoryService.buildMaturityEntry(alert)));
+        return alerts;
+    }
+
+    /**
+     * Cooldown gate (scannerRules.cooldowns) for one alert, keyed by share and alert type.
+     * Read-only: the state is recorded by _commitCooldowns.
+     * @param {Object} hit
+     * @returns {number|null} When the alert last cleared its cooldown (epoch ms), 0 when no
+     *                        cooldown applies, null while it is cooling down
+     */
+    _cooldownBadgeTime(hit) {
+        const result = this._evaluateCooldown(hit);
+        if (!result) return 0;
+        return result.suppressed ? null : (result.state ? result.state.at : 0);
+    }
+
+    /**
+     * @param {Object} hit
+     * @returns {{ key: string, last: Object|null, suppressed: boolean, state: Object|null }|null}
+     *          null when no cooldown applies to the alert
+     */
+    _evaluateCooldown(hit) {
+        const rules = this.getScannerRules() || {};
+        const built = AlertHistoryService.buildEntry(hit, rules);
+        if (!built) return null;
+
+        const { code, type, price, pct } = built.entry;
+        const cooldown = (rules.cooldowns || {})[type];
+        if (!cooldown || !(cooldown.hours > 0)) return null;
+
+        const key = `${code}|${type}`;
+        const direction = hit.intent === PROTECTIVE_ALERT_INTENTS.TRAILING_STOP
+            ? 'down'
+            : (built.entry.direction || (pct < 0 ? 'down' : 'up'));
+        const last = this._cooldownStates[key] || null;
+        const { suppressed, state } = AlertSuppressionService.evaluateCooldown(last, {
+            t: String(hit.t || hit.timestamp || hit.createdAt || ''),
+            price,
+            direction
+        }, cooldown);
+        return { key, last, suppressed, state };
+    }
+
+    /**
+     * Records the cooldown state of every alert currently surfacing. Runs once per badge /
+     * delivery cycle (_notifyCountChange), before the counts are read, so getBadgeCounts and
+     * getDeliverableAlerts stay free of side effects. Nothing surfaces during quiet hours.
+     */
+    _commitCooldowns() {
+        if (this.isQuietHours()) return;
+        const pulse = this.getPulseCounts();
+        const hits = [
+            ...(pulse._local.fresh || []).flatMap(master => [master, ...(master.matches || [])]),
+            ...(pulse._global.movers?.up || []),
+            ...(pulse._global.movers?.down || []),
+            ...(pulse._global.hilo?.high || []),
+            ...(pulse._global.hilo?.low || [])
+        ];
+
+        let changed = false;
+        hits.forEach(hit => {
+            const result = this._evaluateCooldown(hit);
+            if (!result || !result.state || result.state === result.last) return;
+            this._cooldownStates[result.key] = result.state;
+            changed = true;
+        });
+        if (!changed) return;
+        try {
+            localStorage.setItem(STORAGE_KEYS.ALERT_COOLDOWNS, JSON.stringify(this._cooldownStates));
+        } catch (e) { }
+    }
+
     /**
      * Returns a stable timestamp for a given alert key for the duration of the session.
     * If the key is seen for the first time, it returns Date.now() and caches it.
@@ -2798,9 +3387,23 @@ export class NotificationStore {
             }
         });
 
+        // Tag untagged company alerts (stored before tagging, or missed by the subject parse),
+        // then raise tagged ones to the top of their day: halts, then capital raises, then price sensitive
+        const dayOf = (item) => toIsoDate(new Date(item.timestamp)) || '';
         this.marketIndexAlerts = Array.from(uniqueMap.values())
             .filter(item => item && item.timestamp)
-            .sort((a, b) => b.timestamp - a.timestamp);
+            .map(item => {
+                if (!item.category) {
+                    const category = MarketIndexService.categoryOf(item);
+                    if (category) item.category = category;
+                }
+                return item;
+            })
+            .sort((a, b) => dayOf(b).localeCompare(dayOf(a))
+                || MarketIndexService.priorityOf(a) - MarketIndexService.priorityOf(b)
+                || b.timestamp - a.timestamp);
+
+        this._recordAlertHistory(this.marketIndexAlerts.map(item => AlertHistoryService.buildAnnouncementEntry(item)));
 
         document.dispatchEvent(new CustomEvent(EVENTS.MARKET_INDEX_UPDATED, {
             detail: {
@@ -2817,6 +3420,24 @@ export class NotificationStore {
     getMarketIndexAlerts() {
         return this.marketIndexAlerts || [];
     }
+
+    /**
+     * Latest tagged (halt / capital raise / price sensitive) announcements for one share,
+     * newest first. Dismissed items are excluded.
+     * @param {string} code - ASX code
+     * @param {number} [max] - Maximum items to return
+     * @returns {Array<Object>}
+     */
+    getTaggedAnnouncements(code, max = Infinity) {
+        const target = String(code || '').replace(/\.AX$/i, '').trim().toUpperCase();
+        if (!target) return [];
+        return (this.marketIndexAlerts || [])
+            .filter(item => item.category
+                && MarketIndexService.codeOf(item) === target
+                && !this.dismissedAnnouncements.has(MarketIndexService.idOf(item)))
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, max);
+    }
 }
 
 // Helper to ensure safe data
@@ -0,0 +1,195 @@
+/**
+ * AlertHistoryUI.js
+ * Searchable log of every alert that has fired (targets & rules, movers, 52-week, Market Index),
+ * grouped by day. Opened from the notification header (all shares) or from a stock's detail
+ * view (one share). Data comes from NotificationStore.getAlertHistory.
+ */
+
+import { CSS_CLASSES, UI_ICONS, IDS, EVENTS, UI_LABELS, ALERT_HISTORY_TYPES, ALERT_HISTORY_TYPE_LABELS, ALERT_RULE_INTENT, PROTECTIVE_ALERT_INTENTS } from '../utils/AppConstants.js';
+import { notificationStore } from '../state/NotificationStore.js';
+import { AlertHistoryService } from '../data/AlertHistoryService.js';
+import { formatCurrency, formatFriendlyDate } from '../utils/formatters.js';
+import { navManager } from '../utils/NavigationManager.js';
+
+export class AlertHistoryUI {
+
+    /**
+     * @param {{ code?: string }} [options] - code limits the view to one share
+     */
+    static showModal({ code = '' } = {}) {
+        const shareCode = String(code || '').trim().toUpperCase();
+
+        const existing = document.getElementById(IDS.ALERT_HISTORY_MODAL);
+        if (existing) existing.remove();
+
+        const typeOptions = Object.values(ALERT_HISTORY_TYPES).map(type =>
+            `<option value="${type}">${ALERT_HISTORY_TYPE_LABELS[type]}</option>`
+        ).join('');
+
+        const modal = document.createElement('div');
+        modal.id = IDS.ALERT_HISTORY_MODAL;
+        modal.className = `${CSS_CLASSES.MODAL} ${CSS_CLASSES.HIDDEN}`;
+        modal.style.setProperty('z-index', '22500', 'important');
+        modal.innerHTML = `
+            <div class="${CSS_CLASSES.MODAL_OVERLAY}"></div>
+            <div class="${CSS_CLASSES.MODAL_CONTENT} ${CSS_CLASSES.MODAL_CONTENT_MEDIUM}" style="height: 85vh; display: flex; flex-direction: column;">
+                <div class="${CSS_CLASSES.MODAL_HEADER}">
+                    <div style="width: 100%;">
+                        <h2 class="${CSS_CLASSES.MODAL_TITLE}">${UI_LABELS.ALERT_HISTORY_TITLE}</h2>
+                        <div class="${CSS_CLASSES.MODAL_SUBTITLE}">${shareCode || 'All shares'}</div>
+                    </div>
+                    <div class="${CSS_CLASSES.MODAL_ACTIONS}" style="align-self: flex-start;">
+                        <button class="${CSS_CLASSES.MODAL_CLOSE_BTN} ${CSS_CLASSES.MODAL_ACTION_BTN}" title="${UI_LABELS.CLOSE}">
+                            <i class="fas ${UI_ICONS.CLOSE}"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="${CSS_CLASSES.ALERT_HISTORY_TOOLBAR}">
+                    <input type="search" id="${IDS.ALERT_HISTORY_SEARCH}" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="${shareCode ? 'Search alerts' : 'Search code or alert'}" autocomplete="off">
+                    <select id="${IDS.ALERT_HISTORY_TYPE}" class="${CSS_CLASSES.FORM_CONTROL}">
+                        <option value="">All types</option>
+                        ${typeOptions}
+                    </select>
+                </div>
+                <div class="${CSS_CLASSES.MODAL_BODY}" style="flex: 1; overflow-y: auto; padding: 0 20px 20px;">
+                    <div id="${IDS.ALERT_HISTORY_RESULTS}" class="${CSS_CLASSES.ALERT_HISTORY_LIST}">
+                        <div class="${CSS_CLASSES.ALERT_HISTORY_EMPTY}"><i class="fas ${UI_ICONS.SPINNER}"></i> Loading history...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        requestAnimationFrame(() => {
+            modal.classList.remove(CSS_CLASSES.HIDDEN);
+            requestAnimationFrame(() => {
+                modal.classList.add(CSS_CLASSES.SHOW);
+            });
+        });
+
+        let entries = [];
+        const searchInput = modal.querySelector(`#${IDS.ALERT_HISTORY_SEARCH}`);
+        const typeSelect = modal.querySelector(`#${IDS.ALERT_HISTORY_TYPE}`);
+        const results = modal.querySelector(`#${IDS.ALERT_HISTORY_RESULTS}`);
+
+        const refresh = () => {
+            if (!results) return;
+            const filtered = AlertHistoryService.search(entries, {
+                query: searchInput?.value || '',
+                type: typeSelect?.value || ''
+            });
+            results.innerHTML = this.renderList(filtered, { showCode: !shareCode });
+        };
+
+        const load = async () => {
+            entries = await notificationStore.getAlertHistory({ code: shareCode });
+            if (document.contains(modal)) refresh();
+        };
+
+        const onHistoryUpdated = () => {
+            if (document.contains(modal)) load();
+            else document.removeEventListener(EVENTS.ALERT_HISTORY_UPDATED, onHistoryUpdated);
+        };
+        document.addEventListener(EVENTS.ALERT_HISTORY_UPDATED, onHistoryUpdated);
+
+        navManager.pushState(() => {
+            if (modal.parentElement) {
+                document.removeEventListener(EVENTS.ALERT_HISTORY_UPDATED, onHistoryUpdated);
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                setTimeout(() => {
+                    if (modal.parentElement) modal.remove();
+                }, 450);
+            }
+        });
+
+        const close = () => {
+            if (modal._isClosing) return;
+            modal._isClosing = true;
+            document.removeEventListener(EVENTS.ALERT_HISTORY_UPDATED, onHistoryUpdated);
+
+            modal.classList.remove(CSS_CLASSES.SHOW);
+            modal.style.pointerEvents = 'none';
+
+            setTimeout(() => {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                if (modal.parentElement) modal.remove();
+            }, 450);
+            navManager.popStateSilently();
+        };
+        modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`)?.addEventListener('click', close);
+        modal.querySelector(`.${CSS_CLASSES.MODAL_OVERLAY}`)?.addEventListener('click', close);
+
+        searchInput?.addEventListener('input', refresh);
+        typeSelect?.addEventListener('change', refresh);
+
+        load();
+    }
+
+    /**
+     * Day-grouped history list. Also used by the stock detail card (ViewRenderer).
+     * @param {Array<Object>} entries - Newest first
+     * @param {{ showCode?: boolean }} options
+     * @returns {string} HTML
+     */
+    static renderList(entries, { showCode = true } = {}) {
+        if (!entries || entries.length === 0) {
+            return `<div class="${CSS_CLASSES.ALERT_HISTORY_EMPTY}">No alerts recorded yet.</div>`;
+        }
+
+        return AlertHistoryService.groupByDay(entries).map(group => `
+            <div class="${CSS_CLASSES.ALERT_HISTORY_DAY}">${formatFriendlyDate(group.day)}</div>
+            ${group.entries.map(entry => this._renderRow(entry, showCode)).join('')}
+        `).join('');
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {boolean} showCode
+     * @returns {string} HTML
+     */
+    static _renderRow(entry, showCode) {
+        const time = entry.firedAt ? new Date(entry.firedAt).toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' }) : '';
+        const description = AlertHistoryService.describe(entry);
+        const fired = (entry.snapshot?.fired || []).map(text =>
+            `<span class="${CSS_CLASSES.ALERT_RULE_FIRED}">${text}</span>`
+        ).join('');
+
+        const meta = [
+            ALERT_HISTORY_TYPE_LABELS[entry.type] || '',
+            entry.price > 0 ? `@ ${formatCurrency(entry.price)}` : '',
+            entry.price > 0 && entry.pct ? `${entry.pct > 0 ? '+' : ''}${Number(entry.pct).toFixed(2)}%` : '',
+            time
+        ].filter(Boolean).join(' • ');
+
+        const title = entry.link
+            ? `<a href="${entry.link}" target="_blank" rel="noopener noreferrer">${description}</a>`
+            : description;
+
+        return `
+            <div class="${CSS_CLASSES.ALERT_HISTORY_ROW}" data-type="${entry.type}">
+                <i class="fas ${this._iconFor(entry)} ${CSS_CLASSES.ALERT_HISTORY_ICON}"></i>
+                <div class="${CSS_CLASSES.ALERT_HISTORY_MAIN}">
+                    <div>${showCode ? `<strong>${entry.code}</strong> ` : ''}${title}</div>
+                    ${fired ? `<div>${fired}</div>` : ''}
+                    <div class="${CSS_CLASSES.ALERT_HISTORY_META}">${meta}</div>
+                </div>
+            </div>
+        `;
+    }
+
+    /** @returns {string} Font Awesome icon class for the entry */
+    static _iconFor(entry) {
+        if (entry.intent === ALERT_RULE_INTENT) return UI_ICONS.ALERT_RULE;
+        if (entry.intent === PROTECTIVE_ALERT_INTENTS.TRAILING_STOP) return UI_ICONS.TRAILING_STOP;
+        if (entry.intent === PROTECTIVE_ALERT_INTENTS.COST) return UI_ICONS.COST_ALERT;
+        switch (entry.type) {
+            case ALERT_HISTORY_TYPES.TARGET: return UI_ICONS.TARGET_ALERT;
+            case ALERT_HISTORY_TYPES.MOVER: return entry.direction === 'down' ? UI_ICONS.CARET_DOWN : UI_ICONS.CARET_UP;
+            case ALERT_HISTORY_TYPES.HILO: return UI_ICONS.CHART;
+            case ALERT_HISTORY_TYPES.MARKET_INDEX: return UI_ICONS.ANNOUNCEMENTS;
+            case ALERT_HISTORY_TYPES.CASH: return UI_ICONS.MATURITY;
+            default: return UI_ICONS.HISTORY;
+        }
+    }
+}
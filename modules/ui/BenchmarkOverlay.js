@@ -0,0 +1,114 @@
+/**
+ * BenchmarkOverlay.js
+ * Shared benchmark helpers for PortfolioChartUI and ChartModal: the index selector,
+ * fetching and rebasing the index series, and the alpha / beta / tracking error readout
+ * (PerformanceService.compareToBenchmark).
+ */
+
+import { BENCHMARK_DEFAULTS, DASHBOARD_SYMBOLS, STORAGE_KEYS } from '../utils/AppConstants.js';
+import { AppState } from '../state/AppState.js';
+
+export const BENCHMARK_COLOR = '#FFC107';
+
+export class BenchmarkOverlay {
+
+    /** @returns {string} Selected benchmark symbol, or '' for none */
+    static getSelected() {
+        return localStorage.getItem(STORAGE_KEYS.CHART_BENCHMARK) || '';
+    }
+
+    static setSelected(symbol) {
+        if (symbol) localStorage.setItem(STORAGE_KEYS.CHART_BENCHMARK, symbol);
+        else localStorage.removeItem(STORAGE_KEYS.CHART_BENCHMARK);
+    }
+
+    static getLabel(symbol) {
+        return BENCHMARK_DEFAULTS[symbol] || symbol;
+    }
+
+    /**
+     * Option list: none, the default indices, then every other dashboard symbol.
+     * @param {string} selected
+     * @returns {string} HTML <option> elements
+     */
+    static renderOptions(selected) {
+        const symbols = [...new Set([...Object.keys(BENCHMARK_DEFAULTS), ...DASHBOARD_SYMBOLS])];
+        return `<option value="" ${!selected ? 'selected' : ''}>No Benchmark</option>` + symbols.map(sym =>
+            `<option value="${sym}" ${sym === selected ? 'selected' : ''}>${BENCHMARK_DEFAULTS[sym] ? `${BENCHMARK_DEFAULTS[sym]} (${sym})` : sym}</option>`
+        ).join('');
+    }
+
+    /**
+     * Fetches benchmark bars for a chart range via DataService.fetchHistory.
+     * @returns {Promise<Array<{time: number, close: number}>>} Empty when unavailable
+     */
+    static async fetch(symbol, range) {
+        const api = AppState.controller?.dataService;
+        if (!symbol || !api) return [];
+        try {
+            const res = await api.fetchHistory(symbol, range);
+            return res && res.ok && Array.isArray(res.data) ? res.data.filter(b => b && parseFloat(b.close) > 0) : [];
+        } catch (e) {
+            console.warn(`[BenchmarkOverlay] History unavailable for ${symbol}:`, e);
+            return [];
+        }
+    }
+
+    /**
+     * Rebases benchmark closes so the first bar at/after `startTime` equals `baseValue`.
+     * @returns {Array<{time: number, value: number}>}
+     */
+    static rebase(bars, baseValue, startTime = 0) {
+        const visible = (bars || []).filter(b => b.time >= startTime);
+        if (visible.length === 0 || !(baseValue > 0)) return [];
+        const factor = baseValue / parseFloat(visible[0].close);
+        return visible.map(b => ({ time: b.time, value: parseFloat(b.close) * factor }));
+    }
+
+    /**
+     * Collapses bars/points onto calendar days (UTC midnight, last value wins) so series
+     * from different exchanges or sampling can be aligned.
+     * @param {Array<{time: number, close?: number, value?: number}>} points
+     * @returns {Array<{time: number, value: number}>}
+     */
+    static toDaily(points) {
+        const byDay = new Map();
+        (points || []).forEach(p => {
+            const value = parseFloat(p.close !== undefined ? p.close : p.value);
+            if (!(value > 0)) return;
+            byDay.set(Date.parse(new Date(p.time * 1000).toISOString().substring(0, 10)) / 1000, value);
+        });
+        return [...byDay].map(([time, value]) => ({ time, value }));
+    }
+
+    /**
+     * Renders the comparison stats line.
+     * @param {Object|null} stats - From PerformanceService.compareToBenchmark
+     * @param {string} symbol - Benchmark symbol
+     * @returns {string} HTML
+     */
+    static renderStats(stats, symbol) {
+        const label = this.getLabel(symbol);
+        if (!stats) {
+            return `<span style="opacity:0.6;">vs ${label}: not enough overlapping data</span>`;
+        }
+
+        const pct = (v) => (v === null || !Number.isFinite(v)) ? '-' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%`;
+        const tone = (v) => (v || 0) >= 0 ? 'var(--color-positive)' : 'var(--color-negative)';
+        const item = (name, value, color = '#fff') => `
+            <span style="display:flex; flex-direction:column; align-items:center; gap:2px;">
+                <span style="font-size:0.6rem; text-transform:uppercase; letter-spacing:0.5px; opacity:0.6;">${name}</span>
+                <span style="font-weight:800; color:${color};">${value}</span>
+            </span>`;
+
+        return `
+            <span style="display:flex; gap:16px; align-items:center; justify-content:center; font-size:0.8rem;">
+                ${item(`vs ${label}`, pct(stats.excessReturn), tone(stats.excessReturn))}
+                ${item('Index', pct(stats.benchmarkReturn), BENCHMARK_COLOR)}
+                ${item('Alpha p.a.', pct(stats.alpha), tone(stats.alpha))}
+                ${item('Beta', stats.beta === null ? '-' : stats.beta.toFixed(2))}
+                ${item('Tracking Err.', `${(stats.trackingError * 100).toFixed(2)}%`)}
+            </span>
+        `;
+    }
+}
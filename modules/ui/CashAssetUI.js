@@ -3,8 +3,13 @@
  * Handles UI interactions for Cash & Assets management (Modals, Forms).
  */
 
-import { CASH_CATEGORIES, CSS_CLASSES, IDS, UI_ICONS, ASSET_CUSTOM_COLORS } from '../utils/AppConstants.js';
+import { CASH_CATEGORIES, CSS_CLASSES, IDS, UI_ICONS, ASSET_CUSTOM_COLORS, CASH_COMPOUNDING, CASH_COMPOUNDING_LABELS, CASH_HISTORY_TYPES, CASH_HISTORY_TYPE_LABELS, LIABILITY_SECURITY_PORTFOLIO, CURRENCIES, SUPER_CONTRIBUTION_TYPES, SUPER_CONTRIBUTION_TYPE_LABELS, SUPER_INVESTMENT_OPTIONS, SUPER_INVESTMENT_OPTION_LABELS, SUPER_CAP_DEFAULTS, SUPER_RETIREMENT_AGE_DEFAULT } from '../utils/AppConstants.js';
 import { AppState } from '../state/AppState.js';
+import { CashHistoryService } from '../data/CashHistoryService.js';
+import { NetWorthService } from '../data/NetWorthService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
+import { SuperService } from '../data/SuperService.js';
+import { formatCurrency, formatFriendlyDate, toIsoDate } from '../utils/formatters.js';
 import { ToastManager } from './ToastManager.js';
 import { navManager } from '../utils/NavigationManager.js';
 import { KeyboardModalHandler } from '../utils/KeyboardModalHandler.js';
@@ -156,6 +161,45 @@ export class CashAssetUI {
             comments = Array.isArray(asset.comments) ? asset.comments : [{ text: asset.comments }];
         }
 
+        const compounding = asset?.compounding || CASH_COMPOUNDING.AT_MATURITY;
+        const compoundingOptions = Object.values(CASH_COMPOUNDING).map(value =>
+            `<option value="${value}" ${value === compounding ? 'selected' : ''}>${CASH_COMPOUNDING_LABELS[value]}</option>`
+        ).join('');
+
+        // Working copy: entries are only written when the asset is saved
+        this.balanceHistory = CashHistoryService.normalize(asset?.balanceHistory);
+        const today = toIsoDate(new Date());
+        const historyTypeOptions = Object.values(CASH_HISTORY_TYPES).map(value =>
+            `<option value="${value}">${CASH_HISTORY_TYPE_LABELS[value]}</option>`
+        ).join('');
+
+        // Liabilities can be secured by the share portfolio or by any other (non-liability) asset
+        const isLiability = NetWorthService.isLiability({ category: this.selectedCategory });
+        const securedBy = asset?.securedBy || '';
+        const securityOptions = [
+            { value: '', label: 'Unsecured' },
+            { value: LIABILITY_SECURITY_PORTFOLIO, label: 'Share Portfolio' },
+            ...(AppState.data.cash || [])
+                .filter(a => a && a.id !== asset?.id && !NetWorthService.isLiability(a))
+                .map(a => ({ value: a.id, label: a.name }))
+        ].map(o => `<option value="${o.value}" ${o.value === securedBy ? 'selected' : ''}>${o.label}</option>`).join('');
+
+        const currency = asset ? CurrencyService.currencyOf(asset) : CurrencyService.baseCurrency();
+        const currencyOptions = Object.entries(CURRENCIES).map(([code, label]) =>
+            `<option value="${code}" ${code === currency ? 'selected' : ''}>${code} · ${label}</option>`
+        ).join('');
+
+        // Super accounts: contributions are a working copy too (each one also posts a deposit above)
+        const isSuper = SuperService.isSuper({ category: this.selectedCategory });
+        this.contributions = SuperService.normalizeContributions(asset?.contributions);
+        const investmentOption = asset?.investmentOption || SUPER_INVESTMENT_OPTIONS.BALANCED;
+        const investmentOptions = Object.values(SUPER_INVESTMENT_OPTIONS).map(value =>
+            `<option value="${value}" ${value === investmentOption ? 'selected' : ''}>${SUPER_INVESTMENT_OPTION_LABELS[value]}</option>`
+        ).join('');
+        const contributionTypeOptions = Object.values(SUPER_CONTRIBUTION_TYPES).map(value =>
+            `<option value="${value}">${SUPER_CONTRIBUTION_TYPE_LABELS[value]}</option>`
+        ).join('');
+
         const existing = document.getElementById(this.modalId);
         if (existing) existing.remove();
 
@@ -229,9 +273,89 @@ export class CashAssetUI {
                             <input type="text" id="${IDS.ASSET_NAME}" class="${CSS_CLASSES.STANDARD_INPUT}" value="${asset ? asset.name : ''}" placeholder="e.g. High Interest Savings">
                         </div>
                         <div class="${CSS_CLASSES.FORM_GROUP} stacked">
-                            <label for="${IDS.ASSET_BALANCE}" class="${CSS_CLASSES.INPUT_LABEL}">Balance ($)</label>
+                            <label for="${IDS.ASSET_BALANCE}" class="${CSS_CLASSES.INPUT_LABEL}">${isLiability ? 'Amount Owed ($)' : 'Balance ($)'}</label>
                             <input type="number" id="${IDS.ASSET_BALANCE}" class="${CSS_CLASSES.STANDARD_INPUT}" value="${asset ? asset.balance : ''}" placeholder="0.00" step="0.01">
                         </div>
+                        <div class="${CSS_CLASSES.FORM_GROUP} stacked">
+                            <label for="${IDS.ASSET_CURRENCY}" class="${CSS_CLASSES.INPUT_LABEL}">Currency</label>
+                            <select id="${IDS.ASSET_CURRENCY}" class="${CSS_CLASSES.FORM_CONTROL}">${currencyOptions}</select>
+                        </div>
+                        <div class="${CSS_CLASSES.FORM_GROUP} stacked ${CSS_CLASSES.CASH_LIABILITY_GROUP} ${isLiability ? '' : CSS_CLASSES.HIDDEN}">
+                            <label for="${IDS.ASSET_SECURED_BY}" class="${CSS_CLASSES.INPUT_LABEL}">Secured Against</label>
+                            <select id="${IDS.ASSET_SECURED_BY}" class="${CSS_CLASSES.FORM_CONTROL}">${securityOptions}</select>
+                        </div>
+                        <div class="${CSS_CLASSES.FORM_GROUP} stacked ${CSS_CLASSES.CASH_SUPER_GROUP} ${isSuper ? '' : CSS_CLASSES.HIDDEN}">
+                            <label class="${CSS_CLASSES.INPUT_LABEL}">Superannuation</label>
+                            <div style="display: flex; gap: 10px; width: 100%;">
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Investment Option</span>
+                                    <select id="${IDS.ASSET_SUPER_OPTION}" class="${CSS_CLASSES.FORM_CONTROL}">${investmentOptions}</select>
+                                </label>
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Assumed Return % p.a.</span>
+                                    <input type="number" id="${IDS.ASSET_SUPER_RETURN}" class="${CSS_CLASSES.STANDARD_INPUT}" value="${asset?.assumedReturn ?? ''}" placeholder="${SuperService.returnPctOf({ investmentOption })}" step="0.1">
+                                </label>
+                            </div>
+                            <div style="display: flex; gap: 10px; width: 100%; margin-top: 10px;">
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Date of Birth</span>
+                                    <input type="date" id="${IDS.ASSET_SUPER_BIRTH_DATE}" class="${CSS_CLASSES.FORM_CONTROL}" value="${asset?.birthDate || ''}" max="${today}">
+                                </label>
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Retirement Age</span>
+                                    <input type="number" id="${IDS.ASSET_SUPER_RETIREMENT_AGE}" class="${CSS_CLASSES.STANDARD_INPUT}" value="${asset?.retirementAge ?? ''}" placeholder="${SUPER_RETIREMENT_AGE_DEFAULT}" step="1" min="1">
+                                </label>
+                            </div>
+                            <div class="${CSS_CLASSES.SUPER_PROJECTION}"></div>
+                            <label class="${CSS_CLASSES.INPUT_LABEL}" style="margin-top: 15px;">Contributions</label>
+                            <div style="display: flex; gap: 8px; width: 100%; align-items: center;">
+                                <input type="date" id="${IDS.SUPER_CONTRIBUTION_DATE}" class="${CSS_CLASSES.FORM_CONTROL}" value="${today}" max="${today}" style="flex: 1.2;">
+                                <select id="${IDS.SUPER_CONTRIBUTION_TYPE}" class="${CSS_CLASSES.FORM_CONTROL}" style="flex: 1;">${contributionTypeOptions}</select>
+                                <input type="number" id="${IDS.SUPER_CONTRIBUTION_AMOUNT}" class="${CSS_CLASSES.STANDARD_INPUT}" placeholder="Gross" step="0.01" min="0" style="flex: 1;">
+                                <button type="button" id="${IDS.BTN_ADD_SUPER_CONTRIBUTION}" class="${CSS_CLASSES.BTN_TEXT_SMALL}" title="Add contribution" style="font-size: 1rem;"><i class="fas fa-plus"></i></button>
+                            </div>
+                            <div class="${CSS_CLASSES.SUPER_CONTRIBUTION_LIST}"></div>
+                            <label class="${CSS_CLASSES.INPUT_LABEL}" style="margin-top: 15px;">Contribution Caps</label>
+                            <div style="display: flex; gap: 10px; width: 100%;">
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Concessional</span>
+                                    <input type="number" id="${IDS.ASSET_SUPER_CONCESSIONAL_CAP}" class="${CSS_CLASSES.STANDARD_INPUT}" value="${asset?.concessionalCap ?? ''}" placeholder="${SUPER_CAP_DEFAULTS.CONCESSIONAL}" step="1" min="0">
+                                </label>
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Non-Concessional</span>
+                                    <input type="number" id="${IDS.ASSET_SUPER_NON_CONCESSIONAL_CAP}" class="${CSS_CLASSES.STANDARD_INPUT}" value="${asset?.nonConcessionalCap ?? ''}" placeholder="${SUPER_CAP_DEFAULTS.NON_CONCESSIONAL}" step="1" min="0">
+                                </label>
+                            </div>
+                            <div class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}" style="margin-top: 6px;">Defaults are the FY2024-25 caps. Caps are indexed, so check the current figures at ato.gov.au.</div>
+                            <div class="${CSS_CLASSES.SUPER_CAP_TABLE}"></div>
+                        </div>
+                        <div class="${CSS_CLASSES.FORM_GROUP} stacked ${CSS_CLASSES.CASH_HISTORY_GROUP}">
+                            <label class="${CSS_CLASSES.INPUT_LABEL}">Balance History</label>
+                            <div style="display: flex; gap: 8px; width: 100%; align-items: center;">
+                                <input type="date" id="${IDS.ASSET_HISTORY_DATE}" class="${CSS_CLASSES.FORM_CONTROL}" value="${today}" max="${today}" style="flex: 1.2;">
+                                <select id="${IDS.ASSET_HISTORY_TYPE}" class="${CSS_CLASSES.FORM_CONTROL}" style="flex: 1;">${historyTypeOptions}</select>
+                                <input type="number" id="${IDS.ASSET_HISTORY_AMOUNT}" class="${CSS_CLASSES.STANDARD_INPUT}" placeholder="Amount" step="0.01" min="0" style="flex: 1;">
+                                <button type="button" id="${IDS.BTN_ADD_HISTORY_ENTRY}" class="${CSS_CLASSES.BTN_TEXT_SMALL}" title="Add entry" style="font-size: 1rem;"><i class="fas fa-plus"></i></button>
+                            </div>
+                            <div class="${CSS_CLASSES.CASH_HISTORY_LIST}"></div>
+                        </div>
+                        <div class="${CSS_CLASSES.FORM_GROUP} stacked ${CSS_CLASSES.CASH_INTEREST_GROUP}">
+                            <label class="${CSS_CLASSES.INPUT_LABEL}">Interest (Optional)</label>
+                            <div style="display: flex; gap: 10px; width: 100%;">
+                                <input type="number" id="${IDS.ASSET_INTEREST_RATE}" class="${CSS_CLASSES.STANDARD_INPUT}" value="${asset?.interestRate ?? ''}" placeholder="Rate % p.a." step="0.01" min="0" style="flex: 1;">
+                                <select id="${IDS.ASSET_COMPOUNDING}" class="${CSS_CLASSES.FORM_CONTROL}" style="flex: 1;">${compoundingOptions}</select>
+                            </div>
+                            <div style="display: flex; gap: 10px; width: 100%; margin-top: 10px;">
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Start</span>
+                                    <input type="date" id="${IDS.ASSET_START_DATE}" class="${CSS_CLASSES.FORM_CONTROL}" value="${asset?.startDate || ''}">
+                                </label>
+                                <label style="flex: 1;">
+                                    <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">Maturity</span>
+                                    <input type="date" id="${IDS.ASSET_MATURITY_DATE}" class="${CSS_CLASSES.FORM_CONTROL}" value="${asset?.maturityDate || ''}">
+                                </label>
+                            </div>
+                        </div>
                         <div class="${CSS_CLASSES.FORM_GROUP} stacked">
                              <label class="${CSS_CLASSES.INPUT_LABEL} mb-2">Comments</label>
                              <div id="${IDS.COMMENTS_LIST_CONTAINER}" class="flex flex-col gap-2"></div>
@@ -349,6 +473,9 @@ export class CashAssetUI {
                         togglePickerBtn.classList.add('active');
                     }
 
+                    this._syncLiabilityFields(modal);
+                    this._syncSuperFields(modal);
+
                     // Auto-sync color to category theme
                     modal.dataset.selectedColor = this._pickInitialColor(modal.querySelector(`#${IDS.ASSET_NAME}`).value, asset?.id, val);
                     this._updateModalHeaderColor(modal);
@@ -446,6 +573,9 @@ export class CashAssetUI {
         comments.forEach(c => addComment(c));
         modal.querySelector(`#${IDS.BTN_ADD_COMMENT}`).addEventListener('click', () => addComment());
 
+        const refreshHistory = this._bindBalanceHistory(modal);
+        this._bindSuperFields(modal, refreshHistory);
+
         const close = () => {
             if (modal._isClosing) return;
             modal._isClosing = true;
@@ -490,6 +620,24 @@ export class CashAssetUI {
         if (!name) { ToastManager.error('Please enter an asset name.'); return null; }
         if (isNaN(balance)) { ToastManager.error('Please enter a valid balance.'); return null; }
 
+        // Interest: every field optional; blanks are stored as null so an edit can clear them
+        const rateValue = modal.querySelector(`#${IDS.ASSET_INTEREST_RATE}`)?.value.trim() || '';
+        const interestRate = rateValue === '' ? null : parseFloat(rateValue);
+        const startDate = modal.querySelector(`#${IDS.ASSET_START_DATE}`)?.value || null;
+        const maturityDate = modal.querySelector(`#${IDS.ASSET_MATURITY_DATE}`)?.value || null;
+        const compounding = interestRate ? (modal.querySelector(`#${IDS.ASSET_COMPOUNDING}`)?.value || CASH_COMPOUNDING.AT_MATURITY) : null;
+
+        if (interestRate !== null && (isNaN(interestRate) || interestRate < 0)) { ToastManager.error('Please enter a valid interest rate.'); return null; }
+        const isLiability = NetWorthService.isLiability({ category });
+        if (interestRate && !startDate && !isLiability) { ToastManager.error('Please enter the date interest starts from.'); return null; }
+        if (startDate && maturityDate && maturityDate <= startDate) { ToastManager.error('Maturity must be after the start date.'); return null; }
+
+        const superFields = SuperService.isSuper({ category }) ? this._readSuperFields(modal) : {
+            contributions: null, investmentOption: null, assumedReturn: null, birthDate: null,
+            retirementAge: null, concessionalCap: null, nonConcessionalCap: null
+        };
+        if (!superFields) return null;
+
         let resolvedCategory = category;
         let customLabel = '';
         if (category === 'other') {
@@ -536,7 +684,223 @@ export class CashAssetUI {
             date: new Date().toISOString() 
         })).filter(c => c.body);
 
-        return { name, balance, category, color, comments };
+        // A balance typed over the old one is kept as a revaluation, not lost
+        const balanceHistory = CashHistoryService.reconcile(this.balanceHistory, balance);
+
+        const securedBy = isLiability ? (modal.querySelector(`#${IDS.ASSET_SECURED_BY}`)?.value || null) : null;
+
+        const currency = modal.querySelector(`#${IDS.ASSET_CURRENCY}`)?.value || CurrencyService.baseCurrency();
+
+        return { name, balance, category, color, comments, interestRate, compounding, startDate, maturityDate, balanceHistory, securedBy, currency, ...superFields };
+    }
+
+    /**
+     * Shows the security picker and relabels the balance when a liability category is selected.
+     * @param {HTMLElement} modal
+     */
+    _syncLiabilityFields(modal) {
+        const isLiability = NetWorthService.isLiability({ category: this.selectedCategory });
+        modal.querySelector(`.${CSS_CLASSES.CASH_LIABILITY_GROUP}`)?.classList.toggle(CSS_CLASSES.HIDDEN, !isLiability);
+        const label = modal.querySelector(`label[for="${IDS.ASSET_BALANCE}"]`);
+        if (label) label.textContent = isLiability ? 'Amount Owed ($)' : 'Balance ($)';
+    }
+
+    /**
+     * Shows the superannuation fields when the super category is selected.
+     * @param {HTMLElement} modal
+     */
+    _syncSuperFields(modal) {
+        const isSuper = SuperService.isSuper({ category: this.selectedCategory });
+        modal.querySelector(`.${CSS_CLASSES.CASH_SUPER_GROUP}`)?.classList.toggle(CSS_CLASSES.HIDDEN, !isSuper);
+    }
+
+    /**
+     * Superannuation fields as stored on the asset; blanks are null so the defaults apply.
+     * @param {HTMLElement} modal
+     * @param {boolean} [silent] - Skip validation messages (live previews)
+     * @returns {Object|null} null when a field is invalid
+     */
+    _readSuperFields(modal, silent = false) {
+        const numberOrNull = (id) => {
+            const value = modal.querySelector(`#${id}`)?.value.trim() || '';
+            return value === '' ? null : parseFloat(value);
+        };
+        const fields = {
+            contributions: SuperService.normalizeContributions(this.contributions),
+            investmentOption: modal.querySelector(`#${IDS.ASSET_SUPER_OPTION}`)?.value || SUPER_INVESTMENT_OPTIONS.BALANCED,
+            assumedReturn: numberOrNull(IDS.ASSET_SUPER_RETURN),
+            birthDate: modal.querySelector(`#${IDS.ASSET_SUPER_BIRTH_DATE}`)?.value || null,
+            retirementAge: numberOrNull(IDS.ASSET_SUPER_RETIREMENT_AGE),
+            concessionalCap: numberOrNull(IDS.ASSET_SUPER_CONCESSIONAL_CAP),
+            nonConcessionalCap: numberOrNull(IDS.ASSET_SUPER_NON_CONCESSIONAL_CAP)
+        };
+        if (silent) return fields;
+
+        if (fields.assumedReturn !== null && isNaN(fields.assumedReturn)) { ToastManager.error('Please enter a valid assumed return.'); return null; }
+        if (fields.retirementAge !== null && !(fields.retirementAge > 0)) { ToastManager.error('Please enter a valid retirement age.'); return null; }
+        if ([fields.concessionalCap, fields.nonConcessionalCap].some(cap => cap !== null && !(cap > 0))) { ToastManager.error('Please enter valid contribution caps.'); return null; }
+        return fields;
+    }
+
+    /**
+     * Super editor: contributions post a matching deposit to the balance history, and the cap
+     * usage and retirement projection follow the form as it is edited.
+     * @param {HTMLElement} modal
+     * @param {Function} refreshHistory - Re-renders the balance history and balance field
+     */
+    _bindSuperFields(modal, refreshHistory) {
+        const group = modal.querySelector(`.${CSS_CLASSES.CASH_SUPER_GROUP}`);
+        const list = modal.querySelector(`.${CSS_CLASSES.SUPER_CONTRIBUTION_LIST}`);
+        const balanceInput = modal.querySelector(`#${IDS.ASSET_BALANCE}`);
+        if (!group || !list || !balanceInput) return;
+
+        const renderSummary = () => {
+            const draft = { ...this._readSuperFields(modal, true), balance: parseFloat(balanceInput.value) || 0 };
+
+            const projectionEl = group.querySelector(`.${CSS_CLASSES.SUPER_PROJECTION}`);
+            if (projectionEl) {
+                const p = SuperService.projection(draft);
+                projectionEl.textContent = p
+                    ? `Projected at ${p.retirementAge}: ${formatCurrency(p.value)} (${p.years.toFixed(1)} yrs at ${p.returnPct}% p.a. with ${formatCurrency(p.annualContribution)}/yr net contributions)`
+                    : 'Add a date of birth before the retirement age to project the balance.';
+            }
+
+            const returnInput = group.querySelector(`#${IDS.ASSET_SUPER_RETURN}`);
+            if (returnInput) returnInput.placeholder = SuperService.returnPctOf({ investmentOption: draft.investmentOption });
+
+            const capTable = group.querySelector(`.${CSS_CLASSES.SUPER_CAP_TABLE}`);
+            if (capTable) {
+                const cell = (use) => `<span class="${use.remaining < 0 ? CSS_CLASSES.SUPER_CAP_OVER : ''}">${formatCurrency(use.used)} / ${formatCurrency(use.cap)}</span>`;
+                capTable.innerHTML = `
+                    <div class="${CSS_CLASSES.SUPER_CONTRIBUTION_ROW}"><span>Year</span><span>Concessional</span><span>Non-Concessional</span></div>
+                    ${SuperService.capUsageByYear(draft).map(u => `
+                        <div class="${CSS_CLASSES.SUPER_CONTRIBUTION_ROW}"><span>${u.fy}</span>${cell(u.concessional)}${cell(u.nonConcessional)}</div>
+                    `).join('')}
+                `;
+            }
+        };
+
+        const render = () => {
+            list.innerHTML = this.contributions.length === 0
+                ? `<div class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}" style="padding: 8px 0;">No contributions yet. Each one is added to the balance history, net of contributions tax.</div>`
+                : [...this.contributions].reverse().map(c => `
+                    <div class="${CSS_CLASSES.SUPER_CONTRIBUTION_ROW}">
+                        <span>${formatFriendlyDate(c.date)}</span>
+                        <span>${SUPER_CONTRIBUTION_TYPE_LABELS[c.type]}</span>
+                        <span>${formatCurrency(c.amount)}</span>
+                        <button type="button" class="${CSS_CLASSES.SUPER_CONTRIBUTION_DELETE_BTN}" data-id="${c.id}" title="Remove contribution"><i class="fas ${UI_ICONS.CLOSE}"></i></button>
+                    </div>
+                `).join('');
+            renderSummary();
+        };
+
+        modal.querySelector(`#${IDS.BTN_ADD_SUPER_CONTRIBUTION}`)?.addEventListener('click', () => {
+            const dateInput = modal.querySelector(`#${IDS.SUPER_CONTRIBUTION_DATE}`);
+            const amountInput = modal.querySelector(`#${IDS.SUPER_CONTRIBUTION_AMOUNT}`);
+            const date = dateInput?.value || '';
+            const amount = parseFloat(amountInput?.value);
+            const type = modal.querySelector(`#${IDS.SUPER_CONTRIBUTION_TYPE}`)?.value || SUPER_CONTRIBUTION_TYPES.EMPLOYER;
+
+            if (!date || date > toIsoDate(new Date())) { ToastManager.error('Please enter a date up to today.'); return; }
+            if (!(amount > 0)) { ToastManager.error('Please enter a valid amount.'); return; }
+
+            // As with a history deposit, any balance typed so far is kept (opening the record on this date)
+            const typed = parseFloat(balanceInput.value);
+            const isOpening = this.balanceHistory.length === 0;
+            if (!isNaN(typed)) {
+                this.balanceHistory = CashHistoryService.reconcile(this.balanceHistory, typed, isOpening ? date : undefined);
+            }
+            const records = SuperService.addContribution({ contributions: this.contributions, balanceHistory: this.balanceHistory }, { date, type, amount });
+            this.contributions = records.contributions;
+            this.balanceHistory = records.balanceHistory;
+            if (amountInput) amountInput.value = '';
+            refreshHistory();
+            render();
+        });
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest(`.${CSS_CLASSES.SUPER_CONTRIBUTION_DELETE_BTN}`);
+            if (!btn) return;
+            const records = SuperService.removeContribution({ contributions: this.contributions, balanceHistory: this.balanceHistory }, btn.dataset.id);
+            this.contributions = records.contributions;
+            this.balanceHistory = records.balanceHistory;
+            refreshHistory();
+            render();
+        });
+
+        group.addEventListener('input', renderSummary);
+        group.addEventListener('change', renderSummary);
+        balanceInput.addEventListener('input', renderSummary);
+
+        render();
+    }
+
+    /**
+     * Balance history editor: adding or removing an entry updates the balance field to the
+     * resulting running balance.
+     * @param {HTMLElement} modal
+     * @returns {Function} Re-renders the list and balance after the history changes elsewhere
+     */
+    _bindBalanceHistory(modal) {
+        const list = modal.querySelector(`.${CSS_CLASSES.CASH_HISTORY_LIST}`);
+        const balanceInput = modal.querySelector(`#${IDS.ASSET_BALANCE}`);
+        if (!list || !balanceInput) return () => {};
+
+        const render = () => {
+            if (this.balanceHistory.length === 0) {
+                list.innerHTML = `<div class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}" style="padding: 8px 0;">No entries yet. Changing the balance records a revaluation.</div>`;
+                return;
+            }
+            list.innerHTML = [...this.balanceHistory].reverse().map(e => {
+                const sign = e.type === CASH_HISTORY_TYPES.DEPOSIT ? '+' : (e.type === CASH_HISTORY_TYPES.WITHDRAWAL ? '-' : '');
+                return `
+                    <div class="${CSS_CLASSES.CASH_HISTORY_ROW}">
+                        <span>${formatFriendlyDate(e.date)}</span>
+                        <span>${CASH_HISTORY_TYPE_LABELS[e.type]} ${sign}${formatCurrency(e.amount)}</span>
+                        <span>${formatCurrency(e.balance)}</span>
+                        <button type="button" class="${CSS_CLASSES.CASH_HISTORY_DELETE_BTN}" data-id="${e.id}" title="Remove entry"><i class="fas ${UI_ICONS.CLOSE}"></i></button>
+                    </div>
+                `;
+            }).join('');
+        };
+
+        const syncBalance = () => {
+            const latest = CashHistoryService.latestBalance(this.balanceHistory);
+            if (latest !== null) balanceInput.value = latest;
+        };
+
+        modal.querySelector(`#${IDS.BTN_ADD_HISTORY_ENTRY}`)?.addEventListener('click', () => {
+            const dateInput = modal.querySelector(`#${IDS.ASSET_HISTORY_DATE}`);
+            const amountInput = modal.querySelector(`#${IDS.ASSET_HISTORY_AMOUNT}`);
+            const date = dateInput?.value || '';
+            const amount = parseFloat(amountInput?.value);
+            const type = modal.querySelector(`#${IDS.ASSET_HISTORY_TYPE}`)?.value || CASH_HISTORY_TYPES.REVALUATION;
+
+            if (!date || date > toIsoDate(new Date())) { ToastManager.error('Please enter a date up to today.'); return; }
+            if (isNaN(amount) || amount < 0) { ToastManager.error('Please enter a valid amount.'); return; }
+
+            // Keep any balance typed so far: with no history it opens the record on the entry's date
+            const typed = parseFloat(balanceInput.value);
+            const isOpening = this.balanceHistory.length === 0;
+            if (!isNaN(typed) && !(isOpening && type === CASH_HISTORY_TYPES.REVALUATION)) {
+                this.balanceHistory = CashHistoryService.reconcile(this.balanceHistory, typed, isOpening ? date : undefined);
+            }
+            this.balanceHistory = CashHistoryService.addEntry(this.balanceHistory, { date, type, amount });
+            if (amountInput) amountInput.value = '';
+            syncBalance();
+            render();
+        });
+
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest(`.${CSS_CLASSES.CASH_HISTORY_DELETE_BTN}`);
+            if (!btn) return;
+            this.balanceHistory = CashHistoryService.removeEntry(this.balanceHistory, btn.dataset.id);
+            syncBalance();
+            render();
+        });
+
+        render();
+        return () => { syncBalance(); render(); };
     }
 
     _updateModalHeaderColor(modal) {
@@ -2,10 +2,12 @@ import { formatCurrency, formatPercent } from '../utils/formatters.js';
 import { CASH_CATEGORIES, CSS_CLASSES, UI_ICONS, ASSET_CUSTOM_COLORS, EVENTS } from '../utils/AppConstants.js';
 import { AppState } from '../state/AppState.js';
 import { navManager } from '../utils/NavigationManager.js';
+import { NetWorthService } from '../data/NetWorthService.js';
 
 /**
  * CashPieChart
  * Renders a premium, interactive SVG pie chart for cash asset breakdown.
+ * Slices are assets only; liabilities are listed below them and the centre shows the net value.
  */
 export class CashPieChart {
     constructor(assets) {
@@ -153,6 +155,10 @@ export class CashPieChart {
 
         const breakdown = this._getBreakdown();
         const total = breakdown.reduce((sum, b) => sum + b.val, 0);
+        const liabilities = this._getLiabilities();
+        const owed = liabilities.reduce((sum, l) => sum + l.val, 0);
+        const centerLabel = owed > 0 ? 'Net Value' : 'Assets Value';
+        const centerValue = total - owed;
 
         this.modal = document.createElement('div');
         this.modal.id = 'cash-pie-modal';
@@ -175,7 +181,18 @@ export class CashPieChart {
                     </div>
                 </div>
             `;
-        }).join('');
+        }).join('') + (liabilities.length > 0 ? `
+            <div style="padding: 10px 16px 6px; font-size: 0.7rem; color: var(--text-muted); text-transform: uppercase; font-weight: 800; letter-spacing: 1px;">Liabilities</div>
+            ${liabilities.map(l => `
+                <div style="display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; border-bottom: 1px solid rgba(255,255,255,0.05);">
+                    <div style="display: flex; align-items: center; gap: 12px;">
+                        <div style="width: 12px; height: 12px; border-radius: 3px; border: 1px solid ${l.color};"></div>
+                        <span style="font-weight: 600; font-size: 0.95rem;">${l.label}</span>
+                    </div>
+                    <span style="font-weight: 700; color: var(--color-negative);">-${formatCurrency(l.val)}</span>
+                </div>
+            `).join('')}
+        ` : '');
 
         this.modal.innerHTML = `
             <div class="${CSS_CLASSES.MODAL_OVERLAY}"></div>
@@ -197,8 +214,8 @@ export class CashPieChart {
                     <div class="pie-container-large" style="position: relative; width: 260px; height: 260px; display: flex; align-items: center; justify-content: center; margin: 10px 0;">
                         ${this._createPieSvg(breakdown, 240, 240, true)}
                         <div style="position: absolute; display: flex; flex-direction: column; align-items: center; pointer-events: none; width: 160px; text-align: center; justify-content: center; gap: 2px;">
-                            <span id="cash-pie-center-label" style="font-size: 0.7rem; color: var(--text-muted); text-transform: uppercase; font-weight: 800; letter-spacing: 1px; transition: all 0.2s ease;">Assets Value</span>
-                            <span id="cash-pie-center-value" style="font-size: 1.1rem; font-weight: 900; color: #fff; transition: all 0.2s ease; line-height: 1.1;">${formatCurrency(total)}</span>
+                            <span id="cash-pie-center-label" style="font-size: 0.7rem; color: var(--text-muted); text-transform: uppercase; font-weight: 800; letter-spacing: 1px; transition: all 0.2s ease;">${centerLabel}</span>
+                            <span id="cash-pie-center-value" style="font-size: 1.1rem; font-weight: 900; color: #fff; transition: all 0.2s ease; line-height: 1.1;">${formatCurrency(centerValue)}</span>
                             <span id="cash-pie-center-sub" style="font-size: 0.75rem; color: var(--text-muted); font-weight: 600; transition: all 0.2s ease; opacity: 0; transform: translateY(5px);"></span>
                         </div>
                     </div>
@@ -210,7 +227,7 @@ export class CashPieChart {
         `;
 
         document.body.appendChild(this.modal);
-        this._attachInteractivity(this.modal, total);
+        this._attachInteractivity(this.modal, total, centerLabel, centerValue);
 
         // Bind Close
         const close = () => {
@@ -256,14 +273,13 @@ export class CashPieChart {
     /**
      * Attaches interactivity to the pie slices.
      */
-    _attachInteractivity(modal, total) {
+    _attachInteractivity(modal, total, defaultLabel = 'Assets Value', defaultTotal = total) {
         const slices = modal.querySelectorAll('.pie-slice');
         const labelEl = modal.querySelector('#cash-pie-center-label');
         const valueEl = modal.querySelector('#cash-pie-center-value');
         const subEl = modal.querySelector('#cash-pie-center-sub');
 
-        const defaultLabel = "Assets Value";
-        const defaultValue = formatCurrency(total);
+        const defaultValue = formatCurrency(defaultTotal);
 
         const allInteractive = modal.querySelectorAll('.pie-slice, .interactive-row');
 
@@ -375,12 +391,12 @@ export class CashPieChart {
     _getBreakdown(byIndividual = false) {
         if (byIndividual) {
             return this.assets
-                .filter(a => !a.isHidden && parseFloat(a.balance) > 0)
+                .filter(a => !a.isHidden && !NetWorthService.isLiability(a) && NetWorthService.valueOf(a) > 0)
                 .map(asset => {
                     return {
                         id: asset.id,
                         label: asset.name,
-                        val: parseFloat(asset.balance),
+                        val: NetWorthService.valueOf(asset),
                         color: this._getAssetColor(asset)
                     };
                 })
@@ -390,8 +406,8 @@ export class CashPieChart {
         const breakdown = {};
         this.assets.forEach(asset => {
             const catId = asset.category || 'other';
-            const val = parseFloat(asset.balance || 0);
-            if (val <= 0 || asset.isHidden) return;
+            const val = NetWorthService.valueOf(asset);
+            if (val <= 0 || asset.isHidden || NetWorthService.isLiability(asset)) return;
 
             if (!breakdown[catId]) {
                 breakdown[catId] = {
@@ -407,6 +423,23 @@ export class CashPieChart {
         return Object.values(breakdown).sort((a, b) => b.val - a.val);
     }
 
+    /**
+     * Visible liabilities, largest first (amounts owed, positive).
+     * @returns {Array} Array of { id, label, val, color } objects.
+     */
+    _getLiabilities() {
+        return this.assets
+            .filter(a => !a.isHidden && NetWorthService.isLiability(a))
+            .map(asset => ({
+                id: asset.id,
+                label: asset.name,
+                val: Math.abs(NetWorthService.valueOf(asset)),
+                color: this._getAssetColor(asset)
+            }))
+            .filter(l => l.val > 0)
+            .sort((a, b) => b.val - a.val);
+    }
+
     /**
      * Matches CashViewRenderer's color resolution logic exactly.
      */
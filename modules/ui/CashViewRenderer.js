@@ -3,8 +3,11 @@
  * Responsible for rendering the Cash & Assets view HTML.
  * Strictly checks for CSS classes from AppConstants.
  */
-import { CASH_CATEGORIES, CSS_CLASSES, UI_ICONS, EVENTS, ASSET_CUSTOM_COLORS } from '../utils/AppConstants.js';
-import { formatCurrency } from '../utils/formatters.js';
+import { CASH_CATEGORIES, CSS_CLASSES, UI_ICONS, EVENTS, ASSET_CUSTOM_COLORS, CASH_MATURITY_NOTICE_DAYS, SUPER_INVESTMENT_OPTION_LABELS } from '../utils/AppConstants.js';
+import { formatCurrency, formatFriendlyDate } from '../utils/formatters.js';
+import { CashInterestService } from '../data/CashInterestService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
+import { SuperService } from '../data/SuperService.js';
 import { AppState } from '../state/AppState.js';
 import { CashPieChart } from './CashPieChart.js';
 
@@ -16,12 +19,13 @@ export class CashViewRenderer {
     /**
      * Renders the full Cash View: Total Header + Asset List.
      * @param {Array} assets - List of cash asset objects.
-     * @param {Number} totalValue - Calculated total value of all assets.
+     * @param {Number} totalValue - Calculated total value of all assets, net of liabilities.
      * @param {Boolean} isLoaded - Whether initial data load is complete. Defaults to false (show loading).
+     * @param {Object|null} summary - NetWorthService.summarize result (gross / liabilities / LVR line)
      */
-    renderCashView(assets, totalValue, isLoaded = false) {
+    renderCashView(assets, totalValue, isLoaded = false, summary = null) {
         if (!this.container) return;
-
+        this.summary = summary;
 
 
         this.container.innerHTML = '';
@@ -29,7 +33,7 @@ export class CashViewRenderer {
         this.container.classList.remove(CSS_CLASSES.HIDDEN); // Redundant if cleared, but safe
 
         // 1. Render Total Header
-        const header = this.createTotalHeader(totalValue, assets);
+        const header = this.createTotalHeader(totalValue, assets, summary);
         this.container.appendChild(header);
 
         // 2. Render List Container
@@ -86,14 +90,21 @@ export class CashViewRenderer {
      * Creates the Total Cash Header element.
      * @param {Number} totalValue 
      * @param {Array} assets
+     * @param {Object|null} summary - NetWorthService.summarize result
      * @returns {HTMLElement}
      */
-    createTotalHeader(totalValue, assets = []) {
+    createTotalHeader(totalValue, assets = [], summary = null) {
         const headerDiv = document.createElement('div');
         headerDiv.className = CSS_CLASSES.CASH_TOTAL_HEADER;
 
+        // With liabilities the header shows net value plus a gross / debt / LVR line
+        const hasLiabilities = summary && summary.liabilities > 0;
+        const netLine = hasLiabilities
+            ? `<span class="${CSS_CLASSES.CASH_NET_SUMMARY}">Assets ${formatCurrency(summary.grossAssets)} · Debt ${formatCurrency(summary.liabilities)}${summary.lvr !== null ? ` · LVR ${summary.lvr.toFixed(1)}%` : ''}</span>`
+            : '';
+
         const stripThickness = 9;
-        const baseCardHeight = 70;
+        const baseCardHeight = hasLiabilities ? 84 : 70;
 
         // Overlay & Layout
         headerDiv.innerHTML = `
@@ -103,8 +114,9 @@ export class CashViewRenderer {
             <div class="cash-dna-container" style="position: absolute; top: 0; left: 0; height: ${stripThickness}px; width: 100%; border-bottom: 1px solid rgba(255,255,255,0.1); z-index: 5;"></div>
             
             <div style="display: flex; flex-direction: column; justify-content: center; align-items: center; width: 100%; height: 100%; z-index: 1;">
-                <span class="cash-total-label" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: 0.6rem; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">Assets Value</span>
+                <span class="cash-total-label" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: 0.6rem; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">${hasLiabilities ? 'Net Value' : 'Assets Value'}</span>
                 <span class="cash-total-amount" style="font-size: 1.3rem; line-height: 1; font-weight: 800;">${formatCurrency(totalValue)}</span>
+                ${netLine}
             </div>
         `;
 
@@ -201,6 +213,10 @@ export class CashViewRenderer {
             .filter(c => c && c.id)
             .find(c => c.id === asset.category);
 
+        // Interest-bearing assets show their accrued value, liabilities a negative amount owed, both in the
+        // base currency (CashController supplies it)
+        const value = asset.accruedValue ?? (parseFloat(asset.balance) || 0);
+
         card.innerHTML = `
             <div class="cash-grid-category">
                 ${(catObj ? catObj.label : (asset.category || 'Cash').replace(/^user_/i, '').replace(/_/g, ' ')).toUpperCase()}
@@ -209,10 +225,11 @@ export class CashViewRenderer {
             <div class="cash-grid-name">
                 ${asset.name}
             </div>
-            <div class="cash-grid-balance ${asset.balance > 0 ? CSS_CLASSES.CASH_VALUE_POSITIVE : asset.balance < 0 ? CSS_CLASSES.CASH_VALUE_NEGATIVE : ''}" 
-                 style="${asset.balance === 0 ? 'color: var(--color-accent);' : ''}">
-                ${formatCurrency(asset.balance)}
+            <div class="cash-grid-balance ${value > 0 ? CSS_CLASSES.CASH_VALUE_POSITIVE : value < 0 ? CSS_CLASSES.CASH_VALUE_NEGATIVE : ''}" 
+                 style="${value === 0 ? 'color: var(--color-accent);' : ''}">
+                ${formatCurrency(value)}
             </div>
+            ${asset.isLiability ? this._renderLiabilityMeta(asset) : (SuperService.isSuper(asset) ? this._renderSuperMeta(asset) : this._renderInterestMeta(asset, value))}
             <div class="cash-grid-actions">
                 <button class="${CSS_CLASSES.ICON_BTN_GHOST} ${CSS_CLASSES.CASH_EYE_BTN}" title="${asset.isHidden ? "Show Asset" : "Hide Asset"}">
                     <i class="fas ${asset.isHidden ? UI_ICONS.EYE_SLASH : UI_ICONS.EYE}"></i>
@@ -244,6 +261,89 @@ export class CashViewRenderer {
         return card;
     }
 
+    /**
+     * Local-currency balance, rate, interest accrued so far and maturity countdown.
+     * @param {Object} asset - Processed asset (accruedValue / daysToMaturity from CashController)
+     * @param {Number} value - Accrued value (base currency)
+     * @returns {String} HTML, or '' when there is nothing to show
+     */
+    _renderInterestMeta(asset, value) {
+        const parts = [this._localAmount(asset)].filter(Boolean);
+        if (CashInterestService.isInterestBearing(asset)) {
+            const interest = value - CurrencyService.toBase(asset.balance, CurrencyService.currencyOf(asset));
+            parts.push(`${Number(asset.interestRate).toFixed(2)}% p.a.`);
+            parts.push(`+${formatCurrency(interest)} interest`);
+        }
+
+        const days = asset.daysToMaturity;
+        let isDue = false;
+        if (days !== null && days !== undefined) {
+            isDue = days >= 0 && days <= CASH_MATURITY_NOTICE_DAYS;
+            if (days > 0) parts.push(`Matures in ${days} day${days === 1 ? '' : 's'}`);
+            else if (days === 0) parts.push('Matures today');
+            else parts.push(`Matured ${formatFriendlyDate(asset.maturityDate)}`);
+        }
+
+        if (parts.length === 0) return '';
+        return `
+            <div class="${CSS_CLASSES.CASH_INTEREST_META} ${isDue ? CSS_CLASSES.CASH_MATURITY_DUE : ''}">
+                ${isDue ? `<i class="fas ${UI_ICONS.MATURITY}"></i> ` : ''}${parts.join(' · ')}
+            </div>`;
+    }
+
+    /**
+     * Rate, security and LVR for a liability.
+     * @param {Object} asset - Processed asset (isLiability from CashController)
+     * @returns {String} HTML, or '' when there is nothing to show
+     */
+    _renderLiabilityMeta(asset) {
+        const parts = [this._localAmount(asset)].filter(Boolean);
+        const rate = parseFloat(asset.interestRate) || 0;
+        if (rate > 0) parts.push(`${rate.toFixed(2)}% p.a.`);
+
+        // Hidden loans aren't in the summary, so they show their rate only
+        const loan = (this.summary?.loans || []).find(l => l.asset.id === asset.id);
+        if (loan?.security) parts.push(`Secured by ${loan.security}`);
+        if (loan && loan.lvr !== null) parts.push(`LVR ${loan.lvr.toFixed(1)}%`);
+
+        if (parts.length === 0) return '';
+        return `<div class="${CSS_CLASSES.CASH_INTEREST_META}">${parts.join(' · ')}</div>`;
+    }
+
+    /**
+     * Investment option, this financial year's concessional cap usage and the retirement projection.
+     * @param {Object} asset
+     * @returns {String} HTML, or '' when there is nothing to show
+     */
+    _renderSuperMeta(asset) {
+        const parts = [this._localAmount(asset)].filter(Boolean);
+        if (asset.investmentOption) parts.push(SUPER_INVESTMENT_OPTION_LABELS[asset.investmentOption] || asset.investmentOption);
+
+        const usage = SuperService.capUsage(asset);
+        const isOver = usage.concessional.remaining < 0 || usage.nonConcessional.remaining < 0;
+        if (usage.concessional.used > 0) parts.push(`Concessional ${usage.concessional.pct.toFixed(0)}% of cap`);
+        if (usage.nonConcessional.used > 0) parts.push(`Non-concessional ${usage.nonConcessional.pct.toFixed(0)}% of cap`);
+
+        const projection = SuperService.projection(asset);
+        if (projection) parts.push(`At ${projection.retirementAge}: ${formatCurrency(projection.value, CurrencyService.currencyOf(asset))}`);
+
+        if (parts.length === 0) return '';
+        return `
+            <div class="${CSS_CLASSES.CASH_INTEREST_META} ${isOver ? CSS_CLASSES.SUPER_CAP_OVER : ''}" title="${usage.fy}">
+                ${parts.join(' · ')}
+            </div>`;
+    }
+
+    /**
+     * The balance in the asset's own currency when it differs from the base currency.
+     * @param {Object} asset
+     * @returns {String|null}
+     */
+    _localAmount(asset) {
+        if (!CurrencyService.isForeign(asset)) return null;
+        return formatCurrency(parseFloat(asset.balance) || 0, CurrencyService.currencyOf(asset));
+    }
+
     /**
      * Generates a consistent color for a string from the custom color pool.
      * @param {String} str 
@@ -2,6 +2,8 @@ import { formatCurrency } from '../utils/formatters.js';
 import { UI_ICONS, CSS_CLASSES, IDS, KANGAROO_ICON_SRC } from '../utils/AppConstants.js';
 import { AppState } from '../state/AppState.js';
 import { navManager } from '../utils/NavigationManager.js';
+import { PerformanceService } from '../data/PerformanceService.js';
+import { BenchmarkOverlay, BENCHMARK_COLOR } from './BenchmarkOverlay.js';
 
 /**
  * Reusable Chart Component
@@ -19,6 +21,8 @@ export class ChartComponent {
         this.currentStyle = localStorage.getItem('asx_chart_style') || 'candle'; // Persist choice
         this.cachedData = null; // Store data to allow instant style switching
         this.resizeObserver = null;
+        this.benchmark = BenchmarkOverlay.getSelected();
+        this.benchmarkSeries = null;
 
         this.init();
     }
@@ -219,6 +223,7 @@ export class ChartComponent {
                             <span class="chart-period-high" style="background: rgba(6, 255, 79, 0.15); color: #06FF4F; padding: 2px 8px; border-radius: 4px; font-weight: 800; font-size: 0.7rem; border: 1px solid rgba(6, 255, 79, 0.2);">H: --</span>
                         </div>
                         <span class="chart-period-change" style="color:#a49393; font-weight:900; font-size: 0.9rem; margin-left: 2px;">--</span>
+                        <div class="chart-benchmark-stats" style="display: none;"></div>
                     </div>
                 </div>
                 <div class="${CSS_CLASSES.CHART_CONTROLS}">
@@ -229,6 +234,9 @@ export class ChartComponent {
                             <option value="line">Line</option>
                             <option value="area">Area</option>
                         </select>
+                        <select class="${CSS_CLASSES.CHART_SELECT}" id="chartBenchmark_${this.code}" title="Benchmark" style="color: ${BENCHMARK_COLOR}; max-width: 120px;">
+                            ${BenchmarkOverlay.renderOptions(this.benchmark)}
+                        </select>
                     </div>
                     <div class="chart-timeframe-row">
                         ${this._renderRangeButtons()}
@@ -254,6 +262,16 @@ export class ChartComponent {
         select.value = this.currentStyle; // Set initial value
         select.addEventListener('change', (e) => this.setStyle(e.target.value));
 
+        // Benchmark Selector
+        const benchmarkSelect = this.container.querySelector(`[id="chartBenchmark_${this.code}"]`);
+        if (benchmarkSelect) {
+            benchmarkSelect.addEventListener('change', (e) => {
+                this.benchmark = e.target.value;
+                BenchmarkOverlay.setSelected(this.benchmark);
+                this._loadBenchmark();
+            });
+        }
+
         // 5. Initial Load
         this.load(this.currentRange);
     }
@@ -320,6 +338,16 @@ export class ChartComponent {
         // Initial Series Creation
         this._createSeries(this.currentStyle);
 
+        // Benchmark Overlay (rebased to the first close of the range)
+        this.benchmarkSeries = this.chart.addLineSeries({
+            color: BENCHMARK_COLOR,
+            lineWidth: 2,
+            lineStyle: 2, // Dashed
+            lastValueVisible: false,
+            priceLineVisible: false,
+            crosshairMarkerVisible: false
+        });
+
         // Resize Observer
         this.resizeObserver = new ResizeObserver(entries => {
             if (!entries[0] || !entries[0].contentRect) return;
@@ -516,6 +544,7 @@ export class ChartComponent {
                     } catch (err) {
                         console.warn('Error updating chart data:', err);
                     }
+                    this._loadBenchmark();
                 }
             } else {
                 console.warn('Chart load failed:', res);
@@ -527,6 +556,36 @@ export class ChartComponent {
         }
     }
 
+    /**
+     * Overlays the selected benchmark rebased to this share's first close and shows
+     * alpha / beta / tracking error of the share against it for the loaded range.
+     */
+    async _loadBenchmark() {
+        const statsEl = this.container.querySelector('.chart-benchmark-stats');
+        if (!this.benchmarkSeries) return;
+
+        const symbol = this.benchmark;
+        const range = this.currentRange;
+        const data = this.cachedData || [];
+        if (!symbol || symbol === this.code || data.length === 0) {
+            this.benchmarkSeries.setData([]);
+            if (statsEl) statsEl.style.display = 'none';
+            return;
+        }
+
+        const bars = await BenchmarkOverlay.fetch(symbol, range);
+        if (!this.chart || !this.benchmarkSeries || symbol !== this.benchmark || range !== this.currentRange) return;
+
+        const first = data[0];
+        this.benchmarkSeries.setData(BenchmarkOverlay.rebase(bars, parseFloat(first.close), first.time));
+
+        if (statsEl) {
+            const stats = PerformanceService.compareToBenchmark(BenchmarkOverlay.toDaily(data), BenchmarkOverlay.toDaily(bars));
+            statsEl.innerHTML = BenchmarkOverlay.renderStats(stats, symbol);
+            statsEl.style.display = 'block';
+        }
+    }
+
     setRange(range) {
         // Just wrapper for load
         this.load(range);
@@ -0,0 +1,180 @@
+/**
+ * CorporateActionUI.js
+ * Corporate action modal opened from the share edit form: pick a split, consolidation or
+ * code change, review every record it will touch, then apply it as one atomic batch
+ * (EVENTS.REQUEST_CORPORATE_ACTION -> AppService.applyCorporateAction).
+ */
+
+import { CSS_CLASSES, UI_ICONS, IDS, EVENTS, CORPORATE_ACTION_TYPES, CORPORATE_ACTION_LABELS } from '../utils/AppConstants.js';
+import { AppState } from '../state/AppState.js';
+import { toIsoDate } from '../utils/formatters.js';
+import { navManager } from '../utils/NavigationManager.js';
+
+export class CorporateActionUI {
+
+    /**
+     * @param {Object} share - The share being edited (its code is the "from" side of the action).
+     * @param {Function} [onApplied] - Called after the action has been dispatched.
+     */
+    static showModal(share, onApplied = null) {
+        const fromCode = String(share?.shareName || share?.code || '').trim().toUpperCase();
+        if (!fromCode) return;
+
+        const existing = document.getElementById(IDS.CORPORATE_ACTION_MODAL);
+        if (existing) existing.remove();
+
+        const typeOptions = Object.values(CORPORATE_ACTION_TYPES).map(type =>
+            `<option value="${type}">${CORPORATE_ACTION_LABELS[type]}</option>`
+        ).join('');
+
+        const modal = document.createElement('div');
+        modal.id = IDS.CORPORATE_ACTION_MODAL;
+        modal.className = `${CSS_CLASSES.MODAL} ${CSS_CLASSES.HIDDEN}`;
+        modal.style.setProperty('z-index', '22500', 'important');
+        modal.innerHTML = `
+            <div class="${CSS_CLASSES.MODAL_OVERLAY}"></div>
+            <div class="${CSS_CLASSES.MODAL_CONTENT} ${CSS_CLASSES.MODAL_CONTENT_MEDIUM}" style="max-height: 85vh; display: flex; flex-direction: column;">
+                <div class="${CSS_CLASSES.MODAL_HEADER}">
+                    <div style="width: 100%;">
+                        <h2 class="${CSS_CLASSES.MODAL_TITLE}">Corporate Action</h2>
+                        <div class="${CSS_CLASSES.MODAL_SUBTITLE}">${fromCode}</div>
+                    </div>
+                    <div class="${CSS_CLASSES.MODAL_ACTIONS}" style="align-self: flex-start;">
+                        <button id="${IDS.CORPORATE_ACTION_APPLY}" class="${CSS_CLASSES.MODAL_ACTION_BTN} ${CSS_CLASSES.SAVE_BTN} ${CSS_CLASSES.GHOSTED}" title="Apply" disabled>
+                            <i class="fas ${UI_ICONS.SAVE}"></i>
+                        </button>
+                        <button class="${CSS_CLASSES.MODAL_CLOSE_BTN} ${CSS_CLASSES.MODAL_ACTION_BTN}" title="Close">
+                            <i class="fas ${UI_ICONS.CLOSE}"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="${CSS_CLASSES.MODAL_BODY}" style="flex: 1; overflow-y: auto; padding: 20px;">
+                    <div class="${CSS_CLASSES.FORM_GROUP}">
+                        <label for="${IDS.CORPORATE_ACTION_TYPE}">Action</label>
+                        <select id="${IDS.CORPORATE_ACTION_TYPE}" class="${CSS_CLASSES.FORM_CONTROL}">${typeOptions}</select>
+                    </div>
+                    <div class="${CSS_CLASSES.FORM_GROUP}" data-for="ratio">
+                        <label>Ratio (old : new units)</label>
+                        <div class="${CSS_CLASSES.CORP_ACTION_RATIO}">
+                            <input type="number" step="any" min="0" id="${IDS.CORPORATE_ACTION_RATIO_FROM}" class="${CSS_CLASSES.FORM_CONTROL}" value="1">
+                            <span>:</span>
+                            <input type="number" step="any" min="0" id="${IDS.CORPORATE_ACTION_RATIO_TO}" class="${CSS_CLASSES.FORM_CONTROL}" value="2">
+                        </div>
+                    </div>
+                    <div class="${CSS_CLASSES.FORM_GROUP} ${CSS_CLASSES.HIDDEN}" data-for="code">
+                        <label for="${IDS.CORPORATE_ACTION_NEW_CODE}">New Code</label>
+                        <input type="text" id="${IDS.CORPORATE_ACTION_NEW_CODE}" class="${CSS_CLASSES.FORM_CONTROL} uppercase-input" placeholder="e.g. ${fromCode}" autocomplete="off">
+                    </div>
+                    <div class="${CSS_CLASSES.FORM_GROUP}">
+                        <label for="${IDS.CORPORATE_ACTION_DATE}">Effective Date</label>
+                        <input type="date" id="${IDS.CORPORATE_ACTION_DATE}" class="${CSS_CLASSES.FORM_CONTROL}" value="${toIsoDate(new Date())}">
+                    </div>
+                    <div id="${IDS.CORPORATE_ACTION_PREVIEW}" class="${CSS_CLASSES.CORP_ACTION_PREVIEW}"></div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        requestAnimationFrame(() => {
+            modal.classList.remove(CSS_CLASSES.HIDDEN);
+            requestAnimationFrame(() => {
+                modal.classList.add(CSS_CLASSES.SHOW);
+            });
+        });
+
+        navManager.pushState(() => {
+            if (modal.parentElement) {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                setTimeout(() => {
+                    if (modal.parentElement) modal.remove();
+                }, 450);
+            }
+        });
+
+        const close = () => {
+            if (modal._isClosing) return;
+            modal._isClosing = true;
+
+            modal.classList.remove(CSS_CLASSES.SHOW);
+            modal.style.pointerEvents = 'none';
+
+            setTimeout(() => {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                if (modal.parentElement) modal.remove();
+            }, 450);
+            navManager.popStateSilently();
+        };
+        modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`).addEventListener('click', close);
+        modal.querySelector(`.${CSS_CLASSES.MODAL_OVERLAY}`).addEventListener('click', close);
+
+        const typeSelect = modal.querySelector(`#${IDS.CORPORATE_ACTION_TYPE}`);
+        const ratioFrom = modal.querySelector(`#${IDS.CORPORATE_ACTION_RATIO_FROM}`);
+        const ratioTo = modal.querySelector(`#${IDS.CORPORATE_ACTION_RATIO_TO}`);
+        const applyBtn = modal.querySelector(`#${IDS.CORPORATE_ACTION_APPLY}`);
+
+        const readInput = () => ({
+            type: typeSelect.value,
+            fromCode,
+            toCode: modal.querySelector(`#${IDS.CORPORATE_ACTION_NEW_CODE}`)?.value || '',
+            ratioFrom: ratioFrom.value,
+            ratioTo: ratioTo.value,
+            effectiveDate: modal.querySelector(`#${IDS.CORPORATE_ACTION_DATE}`)?.value || ''
+        });
+
+        const refresh = () => {
+            const isRename = typeSelect.value === CORPORATE_ACTION_TYPES.CODE_CHANGE;
+            modal.querySelector('[data-for="ratio"]')?.classList.toggle(CSS_CLASSES.HIDDEN, isRename);
+            modal.querySelector('[data-for="code"]')?.classList.toggle(CSS_CLASSES.HIDDEN, !isRename);
+
+            const result = AppState.controller?.appService?.previewCorporateAction(readInput()) || { plan: null, error: null };
+            const preview = modal.querySelector(`#${IDS.CORPORATE_ACTION_PREVIEW}`);
+            if (preview) preview.innerHTML = this._renderPreview(result);
+
+            const ready = !!result.plan && !result.error;
+            applyBtn.disabled = !ready;
+            applyBtn.classList.toggle(CSS_CLASSES.GHOSTED, !ready);
+        };
+
+        typeSelect.addEventListener('change', () => {
+            // Sensible starting ratio for the chosen direction
+            if (typeSelect.value === CORPORATE_ACTION_TYPES.SPLIT) { ratioFrom.value = 1; ratioTo.value = 2; }
+            if (typeSelect.value === CORPORATE_ACTION_TYPES.CONSOLIDATION) { ratioFrom.value = 10; ratioTo.value = 1; }
+            refresh();
+        });
+        modal.querySelectorAll('input').forEach(input => input.addEventListener('input', refresh));
+
+        applyBtn.addEventListener('click', () => {
+            if (applyBtn.disabled) return;
+            document.dispatchEvent(new CustomEvent(EVENTS.REQUEST_CORPORATE_ACTION, { detail: readInput() }));
+            close();
+            if (typeof onApplied === 'function') onApplied();
+        });
+
+        refresh();
+    }
+
+    /**
+     * Dry-run listing of every write the action will make.
+     * @param {{ plan: Object|null, error: string|null }} result - AppService.previewCorporateAction
+     * @returns {string} HTML
+     */
+    static _renderPreview({ plan, error }) {
+        if (error) return `<div class="${CSS_CLASSES.CORP_ACTION_WARNING}">${error}</div>`;
+        if (!plan) return '';
+
+        const items = [
+            ...plan.shareUpdates.map(u => `<li class="${CSS_CLASSES.CORP_ACTION_ITEM}"><strong>${u.code}</strong> ${u.changes.join(' · ') || 'Note added'}</li>`),
+            ...plan.shareDeletes.map(d => `<li class="${CSS_CLASSES.CORP_ACTION_ITEM}"><strong>${d.code}</strong> Duplicate record merged and removed</li>`),
+            ...plan.watchlistUpdates.map(w => `<li class="${CSS_CLASSES.CORP_ACTION_ITEM}"><strong>${w.name}</strong> Watchlist entry renamed</li>`),
+            plan.overrideMove ? `<li class="${CSS_CLASSES.CORP_ACTION_ITEM}"><strong>Dividends</strong> Override moved ${plan.overrideMove.from} → ${plan.overrideMove.to}</li>` : '',
+            plan.highWaterUpdate ? `<li class="${CSS_CLASSES.CORP_ACTION_ITEM}"><strong>Trailing stop</strong> High $${plan.highWaterUpdate.before.high} → $${plan.highWaterUpdate.mark.high}${plan.highWaterUpdate.from !== plan.highWaterUpdate.to ? ` (now ${plan.highWaterUpdate.to})` : ''}</li>` : ''
+        ].join('');
+
+        return `
+            <div class="${CSS_CLASSES.TEXT_MUTED}">${plan.summary}</div>
+            <ul>${items}</ul>
+            <div class="${CSS_CLASSES.TEXT_MUTED}">All changes are saved together and recorded in the audit trail. A note is added to each share's comments.</div>
+        `;
+    }
+}
@@ -4,8 +4,10 @@
  * Replaces simple "Download" settings with a robust management tool.
  */
 
-import { CSS_CLASSES, UI_ICONS, IDS, EVENTS, PORTFOLIO_ID } from '../utils/AppConstants.js';
+import { CSS_CLASSES, UI_ICONS, IDS, EVENTS, PORTFOLIO_ID, CGT_METHODS, CGT_METHOD_LABELS, SYNC_IMPORT_MODES } from '../utils/AppConstants.js';
 import { AppState } from '../state/AppState.js';
+import { TaxReportService } from '../data/TaxReportService.js';
+import { formatCurrency, getFinancialYear } from '../utils/formatters.js';
 import { ToastManager } from './ToastManager.js';
 import { navManager } from '../utils/NavigationManager.js';
 import { SyncManager } from '../controllers/SyncManager.js';
@@ -21,6 +23,13 @@ export class DataManagementUI {
         // Initial Tabs State
         let activeTab = 'export'; // 'export' | 'import'
 
+        // Financial years with realised disposals (independent of matching method)
+        const cgtYears = [...new Set(TaxReportService.getDisposals(AppState.data.shares || []).map(d => d.financialYear))].sort().reverse();
+
+        // Dividend statement years: the current FY and the five before it (default: last completed FY)
+        const currentFy = getFinancialYear(new Date());
+        const dividendYears = Array.from({ length: 6 }, (_, i) => getFinancialYear(`${currentFy.endYear - i}-06-30`).label);
+
         modal.innerHTML = `
             <div class="${CSS_CLASSES.MODAL_OVERLAY}"></div>
             <div class="${CSS_CLASSES.MODAL_CONTENT} ${CSS_CLASSES.MODAL_CONTENT_MEDIUM}" style="max-height: 85vh; display: flex; flex-direction: column;">
@@ -72,6 +81,51 @@ export class DataManagementUI {
                                 </button>
                             </div>
                         </div>
+
+                        <!-- Capital Gains Tax Report -->
+                        <div class="${CSS_CLASSES.SETTINGS_SECTION}" style="margin-top: 20px;">
+                            <h3 style="color: white; margin-bottom: 6px; font-size: 1rem;">Capital Gains Tax Report</h3>
+                            <p style="color: var(--text-muted); font-size: 0.8rem; line-height: 1.4; margin-bottom: 12px;">
+                                Matches sells to purchase parcels from each holding's transaction ledger and applies the 50% discount to parcels held over 12 months.
+                            </p>
+                            <div style="display: flex; gap: 10px; margin-bottom: 12px;">
+                                <select id="${IDS.DM_CGT_METHOD}" class="${CSS_CLASSES.FORM_CONTROL}" style="flex: 2; color: black !important;">
+                                    ${Object.values(CGT_METHODS).map(m => `<option value="${m}" style="color: black !important;">${CGT_METHOD_LABELS[m]}</option>`).join('')}
+                                </select>
+                                <select id="${IDS.DM_CGT_YEAR}" class="${CSS_CLASSES.FORM_CONTROL}" style="flex: 1; color: black !important;">
+                                    <option value="" style="color: black !important;">All Years</option>
+                                    ${cgtYears.map(fy => `<option value="${fy}" style="color: black !important;">${fy}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div style="display: flex; gap: 15px;">
+                                <button id="${IDS.DM_BTN_CGT_CSV}" style="flex: 1; display: flex; align-items: center; justify-content: center; gap: 8px; padding: 12px; background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 8px; color: white; cursor: pointer;">
+                                    <i class="fas fa-file-csv" style="color: var(--color-accent);"></i>
+                                    <span style="font-weight: 600;">CGT CSV</span>
+                                </button>
+                                <button id="${IDS.DM_BTN_CGT_PDF}" style="flex: 1; display: flex; align-items: center; justify-content: center; gap: 8px; padding: 12px; background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 8px; color: white; cursor: pointer;">
+                                    <i class="fas fa-file-pdf" style="color: var(--color-accent);"></i>
+                                    <span style="font-weight: 600;">CGT Print / PDF</span>
+                                </button>
+                            </div>
+                        </div>
+
+                        <!-- Dividend Income Statement -->
+                        <div class="${CSS_CLASSES.SETTINGS_SECTION}" style="margin-top: 20px;">
+                            <h3 style="color: white; margin-bottom: 6px; font-size: 1rem;">Dividend Income Statement</h3>
+                            <p style="color: var(--text-muted); font-size: 0.8rem; line-height: 1.4; margin-bottom: 12px;">
+                                Cash dividends, franking credits and grossed-up income based on the units you held on each ex-date.
+                            </p>
+                            <div style="display: flex; gap: 15px;">
+                                <select id="${IDS.DM_DIV_YEAR}" class="${CSS_CLASSES.FORM_CONTROL}" style="flex: 1; color: black !important;">
+                                    ${dividendYears.map((fy, i) => `<option value="${fy}" ${i === 1 ? 'selected' : ''} style="color: black !important;">${fy}</option>`).join('')}
+                                    <option value="" style="color: black !important;">All Years</option>
+                                </select>
+                                <button id="${IDS.DM_BTN_DIV_PDF}" style="flex: 1; display: flex; align-items: center; justify-content: center; gap: 8px; padding: 12px; background: var(--bg-secondary); border: 1px solid var(--border-color); border-radius: 8px; color: white; cursor: pointer;">
+                                    <i class="fas fa-file-invoice-dollar" style="color: var(--color-accent);"></i>
+                                    <span style="font-weight: 600;">Print Statement</span>
+                                </button>
+                            </div>
+                        </div>
                     </div>
 
                     <!-- TAB: IMPORT -->
@@ -87,12 +141,20 @@ export class DataManagementUI {
                             </div>
                         </div>
 
+                        <!-- Import Mode -->
+                        <div style="margin-bottom: 15px;">
+                            <select id="${IDS.DM_IMPORT_MODE}" class="${CSS_CLASSES.FORM_CONTROL}" style="color: black !important;">
+                                <option value="${SYNC_IMPORT_MODES.LATEST}" style="color: black !important;">Latest holdings (update unit counts &amp; cost bases)</option>
+                                <option value="${SYNC_IMPORT_MODES.FULL}" style="color: black !important;">Full trade history (replay every buy, sell, split &amp; DRP)</option>
+                            </select>
+                        </div>
+
                         <!-- Option A: File Upload (Primary) -->
                         <div class="import-option" style="background: rgba(255,255,255,0.03); border: 2px dashed var(--border-color); border-radius: 12px; padding: 40px 20px; margin-bottom: 20px; text-align: center; cursor: pointer; transition: all 0.2s;" id="dm-drop-zone">
                             <i class="fas fa-cloud-upload-alt" style="font-size: 2.5rem; color: var(--color-accent); margin-bottom: 15px; opacity: 0.8;"></i>
                             <div style="font-weight: 700; color: white; margin-bottom: 8px; font-size: 1.1rem;">Drop your CSV here</div>
                             <div style="font-size: 0.85rem; color: var(--text-muted); line-height: 1.4;">
-                                Supports Sharesight 'All Trades', 'Holdings' <br>and 'Performance' reports.
+                                Supports Sharesight 'All Trades', 'Holdings' and 'Performance' reports, <br>plus CommSec, SelfWealth, Stake and Pearler exports.
                             </div>
                             <input type="file" id="dm-file-input" accept=".csv" style="display: none;">
                         </div>
@@ -198,6 +260,29 @@ export class DataManagementUI {
             close();
         });
 
+        const readCgtOptions = () => ({
+            method: modal.querySelector(`#${IDS.DM_CGT_METHOD}`)?.value || CGT_METHODS.FIFO,
+            year: modal.querySelector(`#${IDS.DM_CGT_YEAR}`)?.value || ''
+        });
+
+        modal.querySelector(`#${IDS.DM_BTN_CGT_CSV}`).addEventListener('click', () => {
+            const { method, year } = readCgtOptions();
+            if (this._handleCgtCsvExport(method, year)) close();
+        });
+
+        modal.querySelector(`#${IDS.DM_BTN_CGT_PDF}`).addEventListener('click', () => {
+            const { method, year } = readCgtOptions();
+            if (this._handleCgtPdfExport(method, year)) close();
+        });
+
+        modal.querySelector(`#${IDS.DM_BTN_DIV_PDF}`).addEventListener('click', async (e) => {
+            const btn = e.currentTarget;
+            btn.disabled = true;
+            const printed = await this._handleDividendStatementExport(modal.querySelector(`#${IDS.DM_DIV_YEAR}`)?.value || '');
+            btn.disabled = false;
+            if (printed) close();
+        });
+
 
         // --- IMPORT HANDLERS ---
         const fileInput = modal.querySelector('#dm-file-input');
@@ -206,7 +291,8 @@ export class DataManagementUI {
         dropZone.addEventListener('click', () => fileInput.click());
         fileInput.addEventListener('change', (e) => {
             const file = e.target.files[0];
-            if (file) this._processFile(file);
+            const mode = modal.querySelector(`#${IDS.DM_IMPORT_MODE}`)?.value || SYNC_IMPORT_MODES.LATEST;
+            if (file) this._processFile(file, mode);
         });
 
         // Download Template
@@ -330,27 +416,416 @@ export class DataManagementUI {
         window.addEventListener('afterprint', cleanup);
     }
 
-    static _processFile(file) {
+    /**
+     * Builds the CGT report, optionally narrowed to one financial year.
+     * Loss carry-forward is always computed across every year first.
+     * @returns {Object|null} Report, or null (with a toast) when there is nothing to report.
+     */
+    static _buildCgtReport(method, year = '') {
+        const report = TaxReportService.buildCapitalGainsReport(AppState.data.shares || [], method);
+        const years = year ? report.years.filter(y => y.label === year) : report.years;
+        const foreignNote = this._foreignNote(report.foreignCodes);
+        if (!years.length) {
+            ToastManager.error(`No realised sales found. Record sells in a holding's transaction ledger first.${foreignNote ? ` ${foreignNote}` : ''}`);
+            return null;
+        }
+        return { ...report, years, foreignNote };
+    }
+
+    /**
+     * @param {string[]} codes - Foreign-currency ledgers a tax report left out
+     * @returns {string} '' when none were
+     */
+    static _foreignNote(codes) {
+        return codes?.length ? `${codes.join(', ')} excluded: holdings in other currencies are not converted to AUD.` : '';
+    }
+
+    static _handleCgtCsvExport(method, year = '') {
+        const report = this._buildCgtReport(method, year);
+        if (!report) return false;
+
+        const money = (v) => (v || 0).toFixed(2);
+        const lines = [
+            `"Capital Gains Tax Report","${CGT_METHOD_LABELS[method] || method}"`,
+            '',
+            ['Financial Year', 'Code', 'Acquired', 'Disposed', 'Units', 'Cost Base', 'Proceeds', 'Gain/Loss', 'Discount Eligible'].join(',')
+        ];
+
+        report.years.forEach(y => {
+            y.disposals.forEach(d => {
+                lines.push([
+                    `"${y.label}"`,
+                    `"${d.code}"`,
+                    `"${d.acquiredDate || ''}"`,
+                    `"${d.disposedDate || ''}"`,
+                    Number(d.quantity.toFixed(4)),
+                    money(d.costBase),
+                    money(d.proceeds),
+                    money(d.gain),
+                    d.discountEligible ? 'Yes' : 'No'
+                ].join(','));
+            });
+        });
+
+        lines.push('', ['Financial Year', 'Total Gains', 'Total Losses', 'Losses Brought Forward', 'Discountable Gains', 'Other Gains', 'CGT Discount', 'Net Capital Gain', 'Losses Carried Forward'].join(','));
+        report.years.forEach(y => {
+            lines.push([
+                `"${y.label}"`,
+                money(y.totalGains),
+                money(y.totalLosses),
+                money(y.lossesBroughtForward),
+                money(y.discountableGains),
+                money(y.otherGains),
+                money(y.discount),
+                money(y.netCapitalGain),
+                money(y.lossesCarriedForward)
+            ].join(','));
+        });
+
+        if (report.foreignNote) lines.push('', `"${report.foreignNote}"`);
+
+        this._downloadCsv(lines.join('\n'), `cgt_report_${year || 'all_years'}_${method}.csv`);
+        return true;
+    }
+
+    static _handleCgtPdfExport(method, year = '') {
+        const report = this._buildCgtReport(method, year);
+        if (!report) return false;
+
+        let printContainer = document.getElementById('print-export-container');
+        if (!printContainer) {
+            printContainer = document.createElement('div');
+            printContainer.id = 'print-export-container';
+            printContainer.className = CSS_CLASSES.PRINT_ONLY;
+            document.body.appendChild(printContainer);
+        }
+
+        const sections = report.years.map(y => {
+            const rows = y.disposals.map(d => `
+                <tr>
+                    <td>${d.code}</td><td>${d.acquiredDate || '-'}</td><td>${d.disposedDate || '-'}</td>
+                    <td>${Number(d.quantity.toFixed(4))}</td><td>${formatCurrency(d.costBase)}</td>
+                    <td>${formatCurrency(d.proceeds)}</td><td>${formatCurrency(d.gain)}</td>
+                    <td>${d.discountEligible ? 'Yes' : 'No'}</td>
+                </tr>`).join('');
+
+            return `
+                <h3>${y.label}${y.start ? ` (${y.start} to ${y.end})` : ''}</h3>
+                <table>
+                    <thead>
+                        <tr><th>Code</th><th>Acquired</th><th>Disposed</th><th>Units</th><th>Cost Base</th><th>Proceeds</th><th>Gain/Loss</th><th>12m+</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <table>
+                    <tbody>
+                        <tr><td>Total capital gains</td><td>${formatCurrency(y.totalGains)}</td></tr>
+                        <tr><td>Capital losses this year</td><td>${formatCurrency(y.totalLosses)}</td></tr>
+                        <tr><td>Losses brought forward</td><td>${formatCurrency(y.lossesBroughtForward)}</td></tr>
+                        <tr><td>CGT discount applied</td><td>${formatCurrency(y.discount)}</td></tr>
+                        <tr><th>Net capital gain</th><th>${formatCurrency(y.netCapitalGain)}</th></tr>
+                        <tr><td>Net capital losses carried forward</td><td>${formatCurrency(y.lossesCarriedForward)}</td></tr>
+                    </tbody>
+                </table>
+            `;
+        }).join('');
+
+        printContainer.innerHTML = `
+            <h2>Capital Gains Tax Report</h2>
+            <p>Parcel matching: ${CGT_METHOD_LABELS[method] || method}. Generated on: ${new Date().toLocaleString()}</p>
+            ${sections}
+            ${report.foreignNote ? `<p><em>${report.foreignNote}</em></p>` : ''}
+            <p><em>Estimate only, based on the transactions recorded in this app. Confirm figures with your tax adviser.</em></p>
+        `;
+
+        window.print();
+
+        const cleanup = () => {
+            printContainer.innerHTML = '';
+            window.removeEventListener('afterprint', cleanup);
+        };
+        window.addEventListener('afterprint', cleanup);
+        return true;
+    }
+
+    static async _handleDividendStatementExport(year = '') {
+        ToastManager.info('Preparing dividend statement...');
+        const statement = await TaxReportService.buildDividendStatement(AppState.data.shares || []);
+        const years = year ? statement.years.filter(y => y.label === year) : statement.years;
+        const excludedNote = [
+            statement.undatedCodes.length ? `${statement.undatedCodes.join(', ')} excluded: add a purchase date to include them.` : '',
+            this._foreignNote(statement.foreignCodes)
+        ].filter(Boolean).join(' ');
+        if (!years.length) {
+            ToastManager.error(`No dividends found for ${year || 'your holdings'}.${excludedNote ? ` ${excludedNote}` : ''}`);
+            return false;
+        }
+
+        let printContainer = document.getElementById('print-export-container');
+        if (!printContainer) {
+            printContainer = document.createElement('div');
+            printContainer.id = 'print-export-container';
+            printContainer.className = CSS_CLASSES.PRINT_ONLY;
+            document.body.appendChild(printContainer);
+        }
+
+        const sections = years.map(y => {
+            const rows = y.payments.map(p => `
+                <tr>
+                    <td>${p.code}</td><td>${p.exDate}</td><td>${p.payDate}${p.payDateEstimated ? ' (est.)' : ''}</td><td>${Number(p.units.toFixed(4))}</td>
+                    <td>$${p.amountPerShare.toFixed(4)}</td>
+                    <td>${p.franking === null ? 'Unknown' : `${Math.round(p.franking * 100)}%`}</td>
+                    <td>${formatCurrency(p.cashDividend)}</td><td>${formatCurrency(p.frankingCredit)}</td>
+                    <td>${formatCurrency(p.grossedUp)}</td>
+                </tr>`).join('');
+
+            return `
+                <h3>${y.label}${y.start ? ` (${y.start} to ${y.end})` : ''}</h3>
+                <table>
+                    <thead>
+                        <tr><th>Code</th><th>Ex-Date</th><th>Pay Date</th><th>Units</th><th>Per Share</th><th>Franking</th><th>Cash</th><th>Franking Credit</th><th>Grossed-Up</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <table>
+                    <tbody>
+                        <tr><td>Unfranked amount</td><td>${formatCurrency(y.unfrankedAmount)}</td></tr>
+                        <tr><td>Franked amount</td><td>${formatCurrency(y.frankedAmount)}</td></tr>
+                        <tr><td>Franking credits</td><td>${formatCurrency(y.frankingCredits)}</td></tr>
+                        <tr><th>Total cash dividends</th><th>${formatCurrency(y.cashDividends)}</th></tr>
+                        <tr><th>Grossed-up dividend income</th><th>${formatCurrency(y.grossedUpIncome)}</th></tr>
+                    </tbody>
+                </table>
+                ${y.hasUnknownFranking ? '<p><em>Some payments have unknown franking and are treated as unfranked. Set a franking override on the share to correct this.</em></p>' : ''}
+            `;
+        }).join('');
+
+        printContainer.innerHTML = `
+            <h2>Dividend Income Statement</h2>
+            <p>Generated on: ${new Date().toLocaleString()}</p>
+            ${sections}
+            ${excludedNote ? `<p><em>${excludedNote}</em></p>` : ''}
+            <p><em>Estimate only. Payments are allocated to financial years by pay date; dates marked (est.) were not announced and are taken as 28 days after the ex-date. Check against your share registry statements.</em></p>
+        `;
+
+        window.print();
+
+        const cleanup = () => {
+            printContainer.innerHTML = '';
+            window.removeEventListener('afterprint', cleanup);
+        };
+        window.addEventListener('afterprint', cleanup);
+        return true;
+    }
+
+    static _downloadCsv(csvContent, filename) {
+        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    static _processFile(file, mode = SYNC_IMPORT_MODES.LATEST) {
         const reader = new FileReader();
         reader.onload = (e) => {
-            this._simulateSyncWrapper(e.target.result);
+            this._simulateSyncWrapper(e.target.result, mode);
         };
         reader.readAsText(file);
     }
 
-    static _simulateSyncWrapper(csvText) {
+    static _simulateSyncWrapper(csvText, mode = SYNC_IMPORT_MODES.LATEST) {
+        // FULL MODE: Replay every trade (falls back to the latest-holdings sync for non-trade reports)
+        if (mode === SYNC_IMPORT_MODES.FULL) {
+            const replay = SyncManager.simulateTradeReplay(csvText);
+            if (replay.reportType === 'TRADES') {
+                const existing = document.getElementById('data-management-modal');
+                if (existing) existing.remove();
+                this._showTradeReplayResult(replay.plans, replay.ignored, replay.source);
+                return;
+            }
+            ToastManager.show('No trade dates found. Importing as a holdings snapshot instead.', 'info');
+        }
+
         // Calls the existing SyncManager which we will likely enhance next
-        const { matches, newShares, ignored } = SyncManager.simulateSync(csvText);
+        const { matches, newShares, ignored, source } = SyncManager.simulateSync(csvText);
 
         // Close self
         const existing = document.getElementById('data-management-modal');
         if (existing) existing.remove();
 
         // Show result
-        this._showSyncResult(matches, newShares, ignored);
+        this._showSyncResult(matches, newShares, ignored, source);
+    }
+
+    /**
+     * Dry-run diff for the full trade import: per code, the trades to be added, the rows
+     * already in the ledger, and units / average cost before and after the replay.
+     * Nothing is written until the user confirms.
+     */
+    static _showTradeReplayResult(plans = [], ignored = [], source = '') {
+        const modal = document.createElement('div');
+        modal.className = `${CSS_CLASSES.MODAL} ${CSS_CLASSES.HIDDEN}`;
+        modal.style.zIndex = '3000';
+
+        const pending = plans.filter(p => p.added.length > 0);
+        const tradeCount = pending.reduce((acc, p) => acc + p.added.length, 0);
+        const duplicateCount = plans.reduce((acc, p) => acc + p.duplicates, 0);
+        const fmtUnits = (u) => Number((u || 0).toFixed(4)).toLocaleString();
+
+        const renderPlanCard = (plan) => {
+            const badgeColor = plan.isNew ? '#4ade80' : (plan.added.length > 0 ? 'var(--color-accent)' : 'var(--text-muted)');
+            const badgeLabel = plan.isNew ? 'New Holding' : (plan.added.length > 0 ? `+${plan.added.length} Trades` : 'Up To Date');
+            const counts = [
+                plan.added.length > 0 ? `${plan.added.length} new` : '',
+                plan.duplicates > 0 ? `${plan.duplicates} already imported` : '',
+                plan.replacesLegacy ? 'replaces holding summary' : ''
+            ].filter(Boolean).join(' · ');
+
+            return `
+                <div class="sync-item-card" style="
+                    background: rgba(255, 255, 255, 0.03);
+                    border: 1px solid var(--border-color);
+                    border-left: 4px solid ${badgeColor};
+                    border-radius: 12px;
+                    padding: 16px;
+                    margin-bottom: 12px;
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    gap: 12px;
+                ">
+                    <div>
+                        <div style="font-weight: 800; font-size: 1.1rem; color: white; letter-spacing: 0.5px;">${plan.code}</div>
+                        <div style="font-size: 0.75rem; color: ${badgeColor}; font-weight: 600; text-transform: uppercase; letter-spacing: 1px; margin-top: 2px;">${badgeLabel}</div>
+                        <div style="font-size: 0.7rem; color: var(--text-muted); margin-top: 4px;">${counts}</div>
+                    </div>
+                    <div style="text-align: right; white-space: nowrap;">
+                        <div style="font-size: 0.95rem; font-weight: 700; color: white;">
+                            ${plan.isNew ? '' : `<span style="color: var(--text-muted); font-weight: 400;">${fmtUnits(plan.before.units)} →</span> `}${fmtUnits(plan.after.units)}
+                            <span style="font-size: 0.75rem; color: var(--text-muted); font-weight: 400;">Units</span>
+                        </div>
+                        <div style="font-size: 0.8rem; color: var(--text-muted); margin-top: 2px;">
+                            avg ${plan.isNew ? '' : `${formatCurrency(plan.before.averageCost)} → `}${formatCurrency(plan.after.averageCost)}
+                        </div>
+                    </div>
+                </div>
+            `;
+        };
+
+        modal.innerHTML = `
+            <div class="${CSS_CLASSES.MODAL_OVERLAY}" style="background: rgba(0,0,0,0.85); backdrop-filter: blur(5px);"></div>
+            <div class="${CSS_CLASSES.MODAL_CONTENT}" style="max-width: 500px; padding: 0; background: var(--bg-primary); border: 1px solid var(--border-color); overflow: hidden;">
+
+                <div style="padding: 24px; background: rgba(255,255,255,0.02);">
+                    <h3 style="color: white; margin: 0; font-size: 1.4rem; font-weight: 800;">Trade Import Preview</h3>
+                    <p style="color: var(--text-muted); font-size: 0.9rem; margin: 8px 0 0 0;">
+                        ${source ? `${source} export. ` : ''}${tradeCount} new trade${tradeCount === 1 ? '' : 's'} across ${pending.length} holding${pending.length === 1 ? '' : 's'}.
+                        ${duplicateCount > 0 ? `${duplicateCount} already in your ledger (matched on date, quantity and price) will be skipped.` : ''}
+                    </p>
+                </div>
+
+                <div style="max-height: 50vh; overflow-y: auto; padding: 20px; background: rgba(0,0,0,0.1);">
+                    ${plans.map(renderPlanCard).join('')}
+
+                    ${ignored.length > 0 ? `
+                        <div style="margin-top: 24px; font-size: 0.75rem; color: var(--text-muted); font-weight: 700; text-transform: uppercase; letter-spacing: 1.5px; margin-bottom: 12px;">Skipped Rows (${ignored.length})</div>
+                        <div style="background: rgba(0,0,0,0.2); border-radius: 8px; padding: 12px;">
+                            ${ignored.map(item => `
+                                <div style="font-size: 0.8rem; color: #ff8a8a; display: flex; justify-content: space-between; padding: 4px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+                                    <span style="font-weight: 700;">${item.code}</span>
+                                    <span style="opacity: 0.8;">${item.reason}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+
+                    ${plans.length === 0 && ignored.length === 0 ? '<div style="text-align: center; padding: 40px; color: var(--text-muted);"><i class="fas fa-search" style="font-size: 2rem; margin-bottom: 16px; opacity: 0.3;"></i><br>No trades found in this file.</div>' : ''}
+                </div>
+
+                <div style="padding: 20px; display: flex; gap: 12px; background: rgba(255,255,255,0.02);">
+                    <button id="res-cancel" class="standard-btn" style="flex: 1; background: rgba(255,255,255,0.05); color: white; border: 1px solid var(--border-color); padding: 12px; border-radius: 8px; font-weight: 600; cursor: pointer;">Cancel</button>
+                    ${tradeCount > 0 ? `<button id="res-commit" class="standard-btn" style="flex: 2; background: var(--color-accent); color: white; border: none; padding: 12px; border-radius: 8px; font-weight: 700; cursor: pointer; box-shadow: 0 4px 15px rgba(var(--color-accent-rgb), 0.3);">Import ${tradeCount} Trades</button>` : ''}
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        requestAnimationFrame(() => {
+            modal.classList.remove(CSS_CLASSES.HIDDEN);
+            requestAnimationFrame(() => {
+                modal.classList.add(CSS_CLASSES.SHOW);
+            });
+        });
+
+        navManager.pushState(() => {
+            if (modal.parentElement) {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                setTimeout(() => {
+                    if (modal.parentElement) modal.remove();
+                }, 450);
+            }
+        });
+
+        const closeModal = () => {
+            if (modal._isClosing) return;
+            modal._isClosing = true;
+
+            modal.classList.remove(CSS_CLASSES.SHOW);
+            modal.style.pointerEvents = 'none';
+
+            setTimeout(() => {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                if (modal.parentElement) modal.remove();
+            }, 450);
+            navManager.popStateSilently();
+        };
+
+        modal.querySelector('#res-cancel').addEventListener('click', closeModal);
+        modal.querySelector(`.${CSS_CLASSES.MODAL_OVERLAY}`).addEventListener('click', closeModal);
+
+        const commitBtn = modal.querySelector('#res-commit');
+        if (commitBtn) {
+            commitBtn.addEventListener('click', async () => {
+                commitBtn.disabled = true;
+                await this._commitTradeReplay(pending);
+                closeModal();
+            });
+        }
+    }
+
+    /**
+     * Writes replayed ledgers (and the holdings derived from them) for every plan with new trades.
+     * Each holding is written whole; re-importing after a failure skips the trades already saved.
+     * @param {Object[]} plans - From SyncManager.simulateTradeReplay
+     */
+    static async _commitTradeReplay(plans = []) {
+        if (!AppState.user) return;
+        const userId = AppState.user.uid;
+        ToastManager.show(`Importing trades for ${plans.length} holdings...`, 'info');
+
+        const writes = plans.map(plan => {
+            const derived = {
+                portfolioShares: Number(plan.after.units.toFixed(4)),
+                portfolioAvgPrice: Number(plan.after.averageCost.toFixed(4))
+            };
+            if (plan.after.lastBuyDate) derived.purchaseDate = plan.after.lastBuyDate;
+
+            return { shareId: plan.shareId || null, code: plan.code, transactions: plan.transactions, derived };
+        });
+
+        if (await userStore.saveTradeReplay(userId, writes)) {
+            ToastManager.show(`Imported ${plans.reduce((acc, p) => acc + p.added.length, 0)} trades.`, 'success');
+        } else {
+            ToastManager.error('Trade import failed part-way. Import the file again to finish: trades already imported are not added twice.');
+        }
     }
 
-    static _showSyncResult(matches = [], newShares = [], ignored = []) {
+    static _showSyncResult(matches = [], newShares = [], ignored = [], source = '') {
         const modal = document.createElement('div');
         modal.className = `${CSS_CLASSES.MODAL} ${CSS_CLASSES.HIDDEN}`;
         modal.style.zIndex = '3000';
@@ -433,7 +908,7 @@ export class DataManagementUI {
                 <div style="padding: 24px; background: rgba(255,255,255,0.02);">
                     <h3 style="color: white; margin: 0; font-size: 1.4rem; font-weight: 800;">Portfolio Sync Preview</h3>
                     <p style="color: var(--text-muted); font-size: 0.9rem; margin: 8px 0 0 0;">
-                        Applying ${totalItems} updates to your active holdings.
+                        ${source ? `${source} export. ` : ''}Applying ${totalItems} updates to your active holdings.
                     </p>
                 </div>
 
@@ -0,0 +1,153 @@
+/**
+ * DividendCalendarUI.js
+ * Full-screen dividend income calendar: a 12-month cash-flow forecast built
+ * from each holding's dividend history pattern (DividendService.getIncomeForecast).
+ */
+
+import { CSS_CLASSES, UI_ICONS, UI_LABELS, IDS, EVENTS } from '../utils/AppConstants.js';
+import { AppState } from '../state/AppState.js';
+import { DividendService } from '../data/DividendService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
+import { formatCurrency, formatFriendlyDate } from '../utils/formatters.js';
+import { navManager } from '../utils/NavigationManager.js';
+
+export class DividendCalendarUI {
+
+    /**
+     * Aggregates current holdings by code (hidden assets excluded).
+     * @returns {Array<{code: string, units: number, currency: string}>}
+     */
+    static getHoldings() {
+        const holdings = new Map();
+        (AppState.data.shares || []).forEach(s => {
+            if (AppState.hiddenAssets && AppState.hiddenAssets.has(String(s.id))) return;
+            const qty = parseFloat(s.portfolioShares) || 0;
+            const code = (s.shareName || s.code || '').trim().toUpperCase();
+            if (!code || qty <= 0) return;
+            const existing = holdings.get(code);
+            if (existing) existing.units += qty;
+            else holdings.set(code, { code, units: qty, currency: CurrencyService.currencyOf(s) });
+        });
+        return [...holdings.values()];
+    }
+
+    static async showModal() {
+        const existing = document.getElementById(IDS.DIVIDEND_CALENDAR_MODAL);
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = IDS.DIVIDEND_CALENDAR_MODAL;
+        modal.className = `${CSS_CLASSES.MODAL} ${CSS_CLASSES.HIDDEN}`;
+        modal.innerHTML = `
+            <div class="${CSS_CLASSES.MODAL_OVERLAY}"></div>
+            <div class="${CSS_CLASSES.MODAL_CONTENT} ${CSS_CLASSES.MODAL_CONTENT_MEDIUM}" style="max-height: 85vh; display: flex; flex-direction: column;">
+                <div class="${CSS_CLASSES.MODAL_HEADER}">
+                    <h2 class="${CSS_CLASSES.MODAL_TITLE}">Dividend Calendar</h2>
+                    <button class="${CSS_CLASSES.MODAL_CLOSE_BTN}" title="Close">
+                        <i class="fas ${UI_ICONS.CLOSE}"></i>
+                    </button>
+                </div>
+                <div class="${CSS_CLASSES.MODAL_BODY}" style="flex: 1; overflow-y: auto;">
+                    <div class="${CSS_CLASSES.DIV_LOADING}"><i class="fas fa-circle-notch"></i> Projecting dividend income...</div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        requestAnimationFrame(() => {
+            modal.classList.remove(CSS_CLASSES.HIDDEN);
+            requestAnimationFrame(() => {
+                modal.classList.add(CSS_CLASSES.SHOW);
+            });
+        });
+
+        navManager.pushState(() => {
+            if (modal.parentElement) {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                setTimeout(() => {
+                    if (modal.parentElement) modal.remove();
+                }, 450);
+            }
+        });
+
+        const close = () => {
+            if (modal._isClosing) return;
+            modal._isClosing = true;
+
+            modal.classList.remove(CSS_CLASSES.SHOW);
+            modal.style.pointerEvents = 'none';
+
+            setTimeout(() => {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                if (modal.parentElement) modal.remove();
+            }, 450);
+            navManager.popStateSilently();
+        };
+        modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`).addEventListener('click', close);
+        modal.querySelector(`.${CSS_CLASSES.MODAL_OVERLAY}`).addEventListener('click', close);
+
+        const forecast = await DividendService.getIncomeForecast(this.getHoldings(), 12);
+        const body = modal.querySelector(`.${CSS_CLASSES.MODAL_BODY}`);
+        if (!body || !modal.parentElement) return;
+        body.innerHTML = this._renderForecast(forecast);
+
+        body.querySelectorAll(`[data-code]`).forEach(row => {
+            row.addEventListener('click', () => {
+                close();
+                document.dispatchEvent(new CustomEvent(EVENTS.ASX_CODE_CLICK, { detail: { code: row.dataset.code } }));
+            });
+        });
+    }
+
+    static _renderForecast(forecast) {
+        if (!forecast.events.length) {
+            return `<div class="${CSS_CLASSES.DIV_LOADING}">No dividends expected from current holdings in the next 12 months.</div>`;
+        }
+
+        const maxMonth = Math.max(...forecast.months.map(m => m.cash + m.frankingCredits), 0.01);
+
+        const bars = forecast.months.map(m => `
+            <div class="${CSS_CLASSES.DIV_CAL_BAR_COL}" title="${m.label}: ${formatCurrency(m.cash)} cash, ${formatCurrency(m.frankingCredits)} franking">
+                <div class="${CSS_CLASSES.DIV_CAL_BAR_FRANKING}" style="height: ${(m.frankingCredits / maxMonth) * 100}%;"></div>
+                <div class="${CSS_CLASSES.DIV_CAL_BAR_CASH}" style="height: ${(m.cash / maxMonth) * 100}%;"></div>
+                <span class="${CSS_CLASSES.DIV_CAL_BAR_LABEL}">${m.label.substring(0, 3)}</span>
+            </div>
+        `).join('');
+
+        const months = forecast.months.filter(m => m.events.length > 0).map(m => `
+            <div class="${CSS_CLASSES.DIV_CAL_MONTH}">
+                <div class="${CSS_CLASSES.DIV_CAL_MONTH_HEADER}">
+                    <span>${m.label}</span>
+                    <span>${formatCurrency(m.cash)} <small class="${CSS_CLASSES.TEXT_MUTED}">+ ${formatCurrency(m.frankingCredits)} FC</small></span>
+                </div>
+                ${m.events.map(ev => `
+                    <div class="${CSS_CLASSES.DIV_CAL_EVENT}" data-code="${ev.code}">
+                        <div>
+                            <strong>${ev.code}</strong>
+                            ${ev.isProjected ? `<span class="${CSS_CLASSES.DIV_CAL_EST_TAG}">Est.</span>` : ''}
+                            <div class="${CSS_CLASSES.TEXT_MUTED}">Ex ${formatFriendlyDate(ev.exDate)} · Pay ${formatFriendlyDate(ev.payDate)}</div>
+                        </div>
+                        <div style="text-align: right;">
+                            <div>${formatCurrency(ev.cash)}</div>
+                            <div class="${CSS_CLASSES.TEXT_MUTED}">${Number(ev.units.toFixed(4))} × $${ev.amount.toFixed(4)}${ev.franking === null ? ' · franking unknown' : ` · ${Math.round(ev.franking * 100)}% franked`}</div>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        return `
+            <div class="${CSS_CLASSES.DIV_CAL_SUMMARY}">
+                <div><span>Next 12 Months</span><strong>${formatCurrency(forecast.totalCash)}${forecast.fxPending ? UI_LABELS.FX_PENDING_MARKER : ''}</strong></div>
+                <div><span>Franking Credits</span><strong>${formatCurrency(forecast.totalFranking)}</strong></div>
+                <div><span>Grossed-Up</span><strong>${formatCurrency(forecast.totalCash + forecast.totalFranking)}</strong></div>
+            </div>
+            <div class="${CSS_CLASSES.DIV_CAL_CHART}">${bars}</div>
+            ${months}
+            <div class="${CSS_CLASSES.TEXT_MUTED}" style="font-size: 0.7rem; margin-top: 12px;">
+                "Est." payments are projected from last year's pattern using your current units. Pay dates are estimated when not announced.
+            </div>
+        `;
+    }
+}
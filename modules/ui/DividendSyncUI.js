@@ -0,0 +1,179 @@
+/**
+ * DividendSyncUI.js
+ * Dividend sync status for every held ticker (last sync, status, history length),
+ * with per-ticker and bulk resync requests. Opened from Settings → Background Sync.
+ */
+
+import { CSS_CLASSES, UI_ICONS, IDS, UI_LABELS, DIVIDEND_SYNC_STATUS, DIVIDEND_SYNC_STATUS_LABELS } from '../utils/AppConstants.js';
+import { AppState } from '../state/AppState.js';
+import { DividendSyncService } from '../data/DividendSyncService.js';
+import { DividendCalendarUI } from './DividendCalendarUI.js';
+import { ToastManager } from './ToastManager.js';
+import { navManager } from '../utils/NavigationManager.js';
+
+/** Statuses the bulk action requests */
+const OUTDATED = [DIVIDEND_SYNC_STATUS.FAILED, DIVIDEND_SYNC_STATUS.NEVER, DIVIDEND_SYNC_STATUS.STALE];
+
+export class DividendSyncUI {
+
+    static async showModal() {
+        const existing = document.getElementById(IDS.DIVIDEND_SYNC_MODAL);
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = IDS.DIVIDEND_SYNC_MODAL;
+        modal.className = `${CSS_CLASSES.MODAL} ${CSS_CLASSES.HIDDEN}`;
+        modal.style.setProperty('z-index', '22500', 'important');
+        modal.innerHTML = `
+            <div class="${CSS_CLASSES.MODAL_OVERLAY}"></div>
+            <div class="${CSS_CLASSES.MODAL_CONTENT} ${CSS_CLASSES.MODAL_CONTENT_MEDIUM}" style="max-height: 85vh; display: flex; flex-direction: column;">
+                <div class="${CSS_CLASSES.MODAL_HEADER}">
+                    <div style="width: 100%;">
+                        <h2 class="${CSS_CLASSES.MODAL_TITLE}">Dividend Sync Status</h2>
+                        <div class="${CSS_CLASSES.MODAL_SUBTITLE}">Background sync runs every 30 minutes</div>
+                    </div>
+                    <div class="${CSS_CLASSES.MODAL_ACTIONS}" style="align-self: flex-start;">
+                        <button class="${CSS_CLASSES.MODAL_CLOSE_BTN} ${CSS_CLASSES.MODAL_ACTION_BTN}" title="${UI_LABELS.CLOSE}">
+                            <i class="fas ${UI_ICONS.CLOSE}"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="${CSS_CLASSES.MODAL_BODY}" style="flex: 1; overflow-y: auto; padding: 0 20px 20px;">
+                    <div id="${IDS.DIVIDEND_SYNC_BODY}">
+                        <div class="${CSS_CLASSES.DIV_SYNC_EMPTY}"><i class="fas ${UI_ICONS.SPINNER}"></i> Checking sync status...</div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        requestAnimationFrame(() => {
+            modal.classList.remove(CSS_CLASSES.HIDDEN);
+            requestAnimationFrame(() => {
+                modal.classList.add(CSS_CLASSES.SHOW);
+            });
+        });
+
+        navManager.pushState(() => {
+            if (modal.parentElement) {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                setTimeout(() => {
+                    if (modal.parentElement) modal.remove();
+                }, 450);
+            }
+        });
+
+        const close = () => {
+            if (modal._isClosing) return;
+            modal._isClosing = true;
+
+            modal.classList.remove(CSS_CLASSES.SHOW);
+            modal.style.pointerEvents = 'none';
+
+            setTimeout(() => {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                if (modal.parentElement) modal.remove();
+            }, 450);
+            navManager.popStateSilently();
+        };
+        modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`)?.addEventListener('click', close);
+        modal.querySelector(`.${CSS_CLASSES.MODAL_OVERLAY}`)?.addEventListener('click', close);
+
+        const body = modal.querySelector(`#${IDS.DIVIDEND_SYNC_BODY}`);
+        if (!body) return;
+
+        // Delegated: survives re-renders
+        body.addEventListener('click', async (e) => {
+            const resyncBtn = e.target.closest(`.${CSS_CLASSES.DIV_SYNC_RESYNC_BTN}`);
+            if (!resyncBtn || resyncBtn.disabled) return;
+
+            const codes = resyncBtn.id === IDS.BTN_RESYNC_OUTDATED
+                ? (body._rows || []).filter(r => OUTDATED.includes(r.status)).map(r => r.code)
+                : [resyncBtn.dataset.code];
+            resyncBtn.disabled = true;
+            await this._requestResync(codes);
+            await this._refresh(body, modal);
+        });
+
+        await this._refresh(body, modal);
+    }
+
+    static async _refresh(body, modal) {
+        const codes = DividendCalendarUI.getHoldings().map(h => h.code);
+        const rows = await DividendSyncService.getStatus(codes, AppState.user?.uid);
+        if (!document.contains(modal)) return;
+        body._rows = rows;
+        body.innerHTML = this.render(rows);
+    }
+
+    /**
+     * @param {Array<string>} codes
+     */
+    static async _requestResync(codes) {
+        if (codes.length === 0) return;
+        const userId = AppState.user?.uid;
+        if (!userId) {
+            ToastManager.error('Sign in to request a resync.');
+            return;
+        }
+        const result = await DividendSyncService.requestResync(codes, userId);
+        if (result.ok) {
+            ToastManager.success(codes.length === 1 ? `${codes[0]} queued for resync` : `${codes.length} tickers queued for resync`);
+        } else {
+            ToastManager.error(`Resync request failed: ${result.error}`);
+        }
+    }
+
+    /**
+     * @param {Array<Object>} rows - DividendSyncService.getStatus result
+     * @returns {string}
+     */
+    static render(rows) {
+        if (!rows || rows.length === 0) {
+            return `<div class="${CSS_CLASSES.DIV_SYNC_EMPTY}">No holdings to sync.</div>`;
+        }
+
+        const outdated = rows.filter(r => OUTDATED.includes(r.status)).length;
+        const counts = Object.values(DIVIDEND_SYNC_STATUS)
+            .map(status => ({ status, count: rows.filter(r => r.status === status).length }))
+            .filter(c => c.count > 0)
+            .map(c => `${c.count} ${DIVIDEND_SYNC_STATUS_LABELS[c.status].toLowerCase()}`)
+            .join(' · ');
+
+        const toolbar = `
+            <div class="${CSS_CLASSES.DIV_SYNC_TOOLBAR}">
+                <span>${counts}</span>
+                <button id="${IDS.BTN_RESYNC_OUTDATED}" class="${CSS_CLASSES.DIV_SYNC_RESYNC_BTN}" ${outdated === 0 ? 'disabled' : ''}>
+                    <i class="fas ${UI_ICONS.SYNC}"></i> Resync Outdated${outdated > 0 ? ` (${outdated})` : ''}
+                </button>
+            </div>
+        `;
+
+        return toolbar + `<div class="${CSS_CLASSES.DIV_SYNC_LIST}">${rows.map(row => `
+            <div class="${CSS_CLASSES.DIV_SYNC_ROW}" data-code="${row.code}" data-status="${row.status}">
+                <div class="${CSS_CLASSES.DIV_SYNC_MAIN}">
+                    <strong>${row.code}</strong>
+                    <span class="${CSS_CLASSES.DIV_SYNC_BADGE}">${DIVIDEND_SYNC_STATUS_LABELS[row.status]}</span>
+                    <div class="${CSS_CLASSES.DIV_SYNC_META}">${this._describe(row)}</div>
+                </div>
+                <button class="${CSS_CLASSES.DIV_SYNC_RESYNC_BTN}" data-code="${row.code}" title="Request resync" ${row.status === DIVIDEND_SYNC_STATUS.QUEUED ? 'disabled' : ''}>
+                    <i class="fas ${UI_ICONS.SYNC}"></i>
+                </button>
+            </div>
+        `).join('')}</div>`;
+    }
+
+    /** "Synced 12 Oct 2026 · 48 records" */
+    static _describe(row) {
+        const date = (value) => new Date(value).toLocaleDateString('en-AU', { day: 'numeric', month: 'short', year: 'numeric' });
+        const parts = [];
+
+        if (row.requestedAt) parts.push(`Requested ${row.requestedAt.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' })}`);
+        if (row.lastError) parts.push(`Failed ${row.lastAttempt ? date(row.lastAttempt) : ''}: ${row.lastError}`);
+        parts.push(row.lastSync ? `Synced ${date(row.lastSync)}` : 'Never synced');
+        if (row.lastSync) parts.push(`${row.historyCount} record${row.historyCount === 1 ? '' : 's'}`);
+
+        return parts.join(' · ');
+    }
+}
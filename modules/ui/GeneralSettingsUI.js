@@ -5,14 +5,17 @@
  * Constitution Compliant: Event Bus, Registry, Null Guards.
  */
 
-import { CSS_CLASSES, UI_ICONS, IDS, EVENTS, AI_DEFAULT_TEMPLATES, UI_LABELS, STORAGE_KEYS } from '../utils/AppConstants.js';
+import { CSS_CLASSES, UI_ICONS, IDS, EVENTS, AI_DEFAULT_TEMPLATES, UI_LABELS, STORAGE_KEYS, PIPELINES, PIPELINE_LABELS, PIPELINE_DESCRIPTIONS, CURRENCIES } from '../utils/AppConstants.js';
 import { AppState } from '../state/AppState.js';
+import { userStore } from '../data/DataService.js';
 import { ToastManager } from './ToastManager.js';
 import { navManager } from '../utils/NavigationManager.js';
 import { SecurityUI } from './SecurityUI.js';
 import { SecurityController } from '../controllers/SecurityController.js';
 import { DataManagementUI } from './DataManagementUI.js';
+import { DividendSyncUI } from './DividendSyncUI.js';
 import { VisualSettingsHUD } from './VisualSettingsHUD.js';
+import { CurrencyService } from '../data/CurrencyService.js';
 
 export class GeneralSettingsUI {
 
@@ -122,7 +125,43 @@ export class GeneralSettingsUI {
                         </div>
                     </div>
 
-                    <!-- 4. SECURITY -->
+                    <!-- 4. BACKGROUND SYNC -->
+                    <div class="settings-acc-section">
+                        <button class="settings-acc-trigger" data-section="pipelines">
+                            <div class="settings-acc-icon"><i class="fas ${UI_ICONS.SYNC}"></i></div>
+                            <span class="settings-acc-label">Background Sync</span>
+                            <i class="fas fa-chevron-right settings-acc-chevron"></i>
+                        </button>
+                        <div class="settings-acc-content" id="acc-content-pipelines">
+                            <div class="settings-acc-inner">
+                                ${this._renderPipelineRows()}
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- 5. CURRENCY -->
+                    <div class="settings-acc-section">
+                        <button class="settings-acc-trigger" data-section="currency">
+                            <div class="settings-acc-icon"><i class="fas fa-coins"></i></div>
+                            <span class="settings-acc-label">Currency</span>
+                            <i class="fas fa-chevron-right settings-acc-chevron"></i>
+                        </button>
+                        <div class="settings-acc-content" id="acc-content-currency">
+                            <div class="settings-acc-inner">
+                                <div class="settings-acc-row">
+                                    <div class="settings-acc-row-info">
+                                        <div class="settings-acc-row-title">Base Currency</div>
+                                        <div class="settings-acc-row-desc">Values, day change and returns convert to this at live rates</div>
+                                    </div>
+                                    <select id="${IDS.GEN_BASE_CURRENCY}" class="${CSS_CLASSES.FORM_CONTROL}" style="width: auto; color: black !important;">
+                                        ${Object.keys(CURRENCIES).map(code => `<option value="${code}" ${CurrencyService.baseCurrency() === code ? 'selected' : ''} style="color: black !important;">${code}</option>`).join('')}
+                                    </select>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- 6. SECURITY -->
                     <div class="settings-acc-section">
                         <button class="settings-acc-trigger" data-section="security">
                             <div class="settings-acc-icon"><i class="fas ${UI_ICONS.SHIELD}"></i></div>
@@ -157,6 +196,7 @@ export class GeneralSettingsUI {
 
         // --- BINDINGS ---
         this._bindAccordionEvents(modal, controller);
+        this._bindPipelineEvents(modal);
 
         // Show with animation (next frame)
         // v2.3 Animation: Reset before showing
@@ -232,6 +272,15 @@ export class GeneralSettingsUI {
             });
         }
 
+        const baseCurrencySelect = modal.querySelector(`#${IDS.GEN_BASE_CURRENCY}`);
+        if (baseCurrencySelect) {
+            baseCurrencySelect.addEventListener('change', (e) => {
+                AppState.saveBaseCurrency(e.target.value);
+                document.dispatchEvent(new CustomEvent(EVENTS.REFRESH_WATCHLIST));
+                ToastManager.success(`Base currency set to ${e.target.value}`);
+            });
+        }
+
         // AI Prompt Textareas
         modal.querySelectorAll('.settings-acc-textarea').forEach(tx => {
             tx.addEventListener('change', (e) => {
@@ -279,6 +328,130 @@ export class GeneralSettingsUI {
         });
     }
 
+    /**
+     * Background pipeline opt-ins, each with the status line its script last wrote.
+     * Inputs stay disabled until the registration has loaded.
+     */
+    static _renderPipelineRows() {
+        const row = (pipeline) => `
+            <div class="settings-acc-row">
+                <div class="settings-acc-row-info">
+                    <div class="settings-acc-row-title">${PIPELINE_LABELS[pipeline]}</div>
+                    <div class="settings-acc-row-desc">${PIPELINE_DESCRIPTIONS[pipeline]}</div>
+                    <div class="settings-acc-row-desc" id="${IDS.GEN_PIPELINE_STATUS_PREFIX}-${pipeline}">Loading...</div>
+                </div>
+                <div class="square-radio-wrapper">
+                    <input type="checkbox" id="${IDS.GEN_PIPELINE_TOGGLE_PREFIX}-${pipeline}" data-pipeline="${pipeline}" disabled>
+                    <div class="square-radio-visual"></div>
+                </div>
+            </div>
+        `;
+
+        return `
+            ${row(PIPELINES.DIVIDENDS)}
+            <button class="settings-acc-action-btn" id="${IDS.GEN_DIVIDEND_SYNC_STATUS_BTN}">
+                <i class="fas ${UI_ICONS.DIVIDENDS}"></i>
+                <div class="settings-acc-row-info">
+                    <div class="settings-acc-row-title">Dividend Sync Status</div>
+                    <div class="settings-acc-row-desc">Per-ticker sync state and resync requests</div>
+                </div>
+                <i class="fas fa-chevron-right acc-action-chevron"></i>
+            </button>
+            ${row(PIPELINES.MARKET_INDEX)}
+            <div class="settings-acc-row-info" style="padding-bottom: 6px;">
+                <div class="settings-acc-row-desc">Market Index address (a request: emails are routed to you once the inbox owner assigns it; unaddressed emails go to the owner only)</div>
+                <input type="email" id="${IDS.GEN_PIPELINE_MI_ADDRESS}" placeholder="you+marketindex@gmail.com" disabled
+                    style="width: 100%; margin-top: 6px; font-size: 0.8rem; padding: 10px 12px; border-radius: var(--radius-container); background: rgba(0, 0, 0, 0.25); border: 1px solid rgba(255, 255, 255, 0.08); color: var(--text-color, #e0e0e0);">
+            </div>
+        `;
+    }
+
+    /**
+     * Loads the user's pipeline registration, then saves each change back.
+     * @param {HTMLElement} modal
+     */
+    static async _bindPipelineEvents(modal) {
+        modal.querySelector(`#${IDS.GEN_DIVIDEND_SYNC_STATUS_BTN}`)?.addEventListener('click', () => {
+            DividendSyncUI.showModal();
+        });
+
+        const userId = AppState.user?.uid;
+        const toggles = Object.values(PIPELINES)
+            .map(pipeline => modal.querySelector(`#${IDS.GEN_PIPELINE_TOGGLE_PREFIX}-${pipeline}`))
+            .filter(Boolean);
+        const addressInput = modal.querySelector(`#${IDS.GEN_PIPELINE_MI_ADDRESS}`);
+
+        const setStatus = (pipeline, text, isError = false) => {
+            const el = modal.querySelector(`#${IDS.GEN_PIPELINE_STATUS_PREFIX}-${pipeline}`);
+            if (!el) return;
+            el.textContent = text;
+            el.style.color = isError ? 'var(--color-negative)' : '';
+        };
+
+        if (!userId) {
+            Object.values(PIPELINES).forEach(pipeline => setStatus(pipeline, 'Sign in to manage'));
+            return;
+        }
+
+        const registration = await userStore.getPipelineRegistration(userId);
+        if (!document.contains(modal)) return;
+
+        Object.values(PIPELINES).forEach(pipeline => {
+            const status = registration?.status?.[pipeline];
+            setStatus(pipeline, this._describePipelineStatus(pipeline, status), status?.ok === false);
+        });
+        toggles.forEach(toggle => {
+            toggle.checked = registration?.enabled?.[toggle.dataset.pipeline] === true;
+            toggle.disabled = false;
+        });
+        if (addressInput) {
+            addressInput.value = registration?.marketIndexAddress || '';
+            addressInput.disabled = false;
+        }
+
+        const save = async (message) => {
+            const enabled = {};
+            toggles.forEach(toggle => { enabled[toggle.dataset.pipeline] = toggle.checked; });
+            const result = await userStore.savePipelineRegistration(userId, {
+                enabled,
+                marketIndexAddress: addressInput?.value || ''
+            });
+            if (result.ok) ToastManager.success(message);
+        };
+
+        toggles.forEach(toggle => {
+            toggle.addEventListener('change', (e) => {
+                const label = PIPELINE_LABELS[e.target.dataset.pipeline];
+                save(`${label} ${e.target.checked ? 'Enabled' : 'Disabled'}`);
+            });
+        });
+        addressInput?.addEventListener('change', () => save('Market Index address requested'));
+    }
+
+    /**
+     * "Last run 19 Oct, 10:30 am · 23 tickers · 3 pending"
+     * @param {string} pipeline - PIPELINES value
+     * @param {Object} [status] - status.<pipeline> as written by the script
+     * @returns {string}
+     */
+    static _describePipelineStatus(pipeline, status) {
+        if (!status || !status.lastRun) return 'Not run yet';
+
+        const when = new Date(status.lastRun).toLocaleString('en-AU', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+        const parts = [`Last run ${when}`];
+
+        if (pipeline === PIPELINES.DIVIDENDS) {
+            parts.push(`${status.tickers || 0} tickers`);
+            if (status.pending > 0) parts.push(`${status.pending} pending`);
+            if (Array.isArray(status.failed) && status.failed.length > 0) parts.push(`failed: ${status.failed.join(', ')}`);
+        } else {
+            parts.push(`${status.alerts || 0} alerts, ${status.reports || 0} reports`);
+        }
+
+        if (status.message) parts.push(status.message);
+        return parts.join(' · ');
+    }
+
     /**
      * Smooth dismiss with animation.
      * @param {HTMLElement} modal 
@@ -1,12 +1,21 @@
 import { notificationStore } from '../state/NotificationStore.js';
-import { EVENTS } from '../utils/AppConstants.js';
+import { AppState } from '../state/AppState.js';
+import { EVENTS, IDS, CSS_CLASSES, UI_ICONS, MARKET_STREAM_TYPES, MARKET_STREAM_TYPE_LABELS, ANNOUNCEMENT_CATEGORY_LABELS } from '../utils/AppConstants.js';
+import { MarketIndexService } from '../data/MarketIndexService.js';
 import { navManager } from '../utils/NavigationManager.js';
 import { LinkHelper } from '../utils/LinkHelper.js';
 import { ToastManager } from './ToastManager.js';
 import { SwipeGestureHelper } from '../utils/SwipeGestureHelper.js';
 
+/** Filters a fresh open starts from */
+const DEFAULT_FILTERS = { query: '', code: '', type: MARKET_STREAM_TYPES.ALL, from: '', to: '' };
+
 export class MarketIndexController {
     constructor() {
+        this.filters = { ...DEFAULT_FILTERS };
+        this.showReadLater = false; // Read-later queue instead of the live stream
+        this._streamAlerts = []; // Last unfiltered stream passed to render()
+
         // Defer binding slightly to ensure DOM is ready
         setTimeout(() => this.init(), 100);
     }
@@ -35,9 +44,99 @@ export class MarketIndexController {
                 if (this.sidebarBtn) this.sidebarBtn.addEventListener('click', () => this.openModal());
             }, 1000);
         }
+        this._injectFilters();
         this.bindEvents();
     }
 
+    /**
+     * Search, code, type and date filters plus the read-later toggle, above the list.
+     */
+    _injectFilters() {
+        if (!this.listContainer || document.getElementById(IDS.MARKET_STREAM_SEARCH)) return;
+
+        const bar = document.createElement('div');
+        bar.className = CSS_CLASSES.MARKET_STREAM_FILTERS;
+        bar.innerHTML = `
+            <div class="${CSS_CLASSES.MARKET_STREAM_FILTER_ROW}">
+                <input type="search" id="${IDS.MARKET_STREAM_SEARCH}" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="Search announcements & reports..." autocomplete="off">
+                <button id="${IDS.MARKET_STREAM_READ_LATER}" class="${CSS_CLASSES.MARKET_STREAM_READ_LATER_BTN}" title="Read Later">
+                    <i class="fas ${UI_ICONS.READ_LATER}"></i> <span>0</span>
+                </button>
+            </div>
+            <div class="${CSS_CLASSES.MARKET_STREAM_FILTER_ROW}">
+                <select id="${IDS.MARKET_STREAM_CODE}" class="${CSS_CLASSES.FORM_CONTROL}" title="ASX Code">
+                    <option value="">All Codes</option>
+                </select>
+                <select id="${IDS.MARKET_STREAM_TYPE}" class="${CSS_CLASSES.FORM_CONTROL}" title="Type">
+                    ${Object.values(MARKET_STREAM_TYPES).map(type => `<option value="${type}">${MARKET_STREAM_TYPE_LABELS[type]}</option>`).join('')}
+                </select>
+                <input type="date" id="${IDS.MARKET_STREAM_FROM}" class="${CSS_CLASSES.FORM_CONTROL}" title="From">
+                <input type="date" id="${IDS.MARKET_STREAM_TO}" class="${CSS_CLASSES.FORM_CONTROL}" title="To">
+            </div>
+        `;
+        this.listContainer.parentElement?.insertBefore(bar, this.listContainer);
+        this.filterBar = bar;
+
+        const rerender = () => this.render(this._streamAlerts);
+        let searchTimer = null;
+        bar.querySelector(`#${IDS.MARKET_STREAM_SEARCH}`)?.addEventListener('input', (e) => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                this.filters.query = e.target.value.trim();
+                rerender();
+            }, 200);
+        });
+        [
+            [IDS.MARKET_STREAM_CODE, 'code'],
+            [IDS.MARKET_STREAM_TYPE, 'type'],
+            [IDS.MARKET_STREAM_FROM, 'from'],
+            [IDS.MARKET_STREAM_TO, 'to']
+        ].forEach(([id, key]) => {
+            bar.querySelector(`#${id}`)?.addEventListener('change', (e) => {
+                this.filters[key] = e.target.value;
+                rerender();
+            });
+        });
+        bar.querySelector(`#${IDS.MARKET_STREAM_READ_LATER}`)?.addEventListener('click', () => {
+            this.showReadLater = !this.showReadLater;
+            rerender();
+        });
+    }
+
+    /**
+     * Mirrors this.filters / this.showReadLater into the filter bar.
+     * @param {Array<Object>} source - Items the code list is built from
+     */
+    _syncFilterBar(source) {
+        if (!this.filterBar) return;
+
+        const search = this.filterBar.querySelector(`#${IDS.MARKET_STREAM_SEARCH}`);
+        if (search && document.activeElement !== search) search.value = this.filters.query;
+
+        const codeSelect = this.filterBar.querySelector(`#${IDS.MARKET_STREAM_CODE}`);
+        if (codeSelect) {
+            const codes = MarketIndexService.codesIn(source);
+            if (this.filters.code && !codes.includes(this.filters.code)) codes.unshift(this.filters.code);
+            codeSelect.innerHTML = `<option value="">All Codes</option>` +
+                codes.map(code => `<option value="${code}">${code}</option>`).join('');
+            codeSelect.value = this.filters.code;
+        }
+
+        const typeSelect = this.filterBar.querySelector(`#${IDS.MARKET_STREAM_TYPE}`);
+        if (typeSelect) typeSelect.value = this.filters.type;
+        const from = this.filterBar.querySelector(`#${IDS.MARKET_STREAM_FROM}`);
+        if (from) from.value = this.filters.from;
+        const to = this.filterBar.querySelector(`#${IDS.MARKET_STREAM_TO}`);
+        if (to) to.value = this.filters.to;
+
+        const readLaterBtn = this.filterBar.querySelector(`#${IDS.MARKET_STREAM_READ_LATER}`);
+        if (readLaterBtn) {
+            readLaterBtn.classList.toggle(CSS_CLASSES.ACTIVE, this.showReadLater);
+            const count = readLaterBtn.querySelector('span');
+            if (count) count.textContent = notificationStore.getReadLaterAnnouncements().length;
+        }
+    }
+
     bindEvents() {
         // Bind Events
         this.sidebarBtn?.addEventListener('click', () => this.openModal());
@@ -53,6 +152,13 @@ export class MarketIndexController {
             }
         });
 
+        // Read-later queue changed (here or on another device)
+        document.addEventListener(EVENTS.MARKET_READ_LATER_CHANGED, () => {
+            if (!this.modal.classList.contains('hidden')) {
+                this.render(this._streamAlerts);
+            }
+        });
+
         // Listen for State Updates (Mark as Read / Sync)
         document.addEventListener(EVENTS.NOTIFICATION_UPDATE, () => {
             // Update read/unread classes in place instead of full re-render
@@ -164,11 +270,9 @@ export class MarketIndexController {
         document.body.style.overflow = 'hidden';
 
         // v1156: Re-render with symbol filter if provided from a generic deep link
-        const alerts = notificationStore.getMarketIndexAlerts();
-        const filtered = targetSymbol 
-            ? alerts.filter(a => (a.code || '').replace(/.*[:]/, '').trim().toUpperCase() === targetSymbol)
-            : alerts;
-        this.render(filtered);
+        this.filters = { ...DEFAULT_FILTERS, code: targetSymbol || '' };
+        this.showReadLater = false;
+        this.render(notificationStore.getMarketIndexAlerts());
 
         // Register with NavigationManager for Back Button support
         navManager.pushState(() => {
@@ -229,6 +333,14 @@ export class MarketIndexController {
 
     dismissAlert(alertId) {
         if (!alertId) return;
+
+        // In the read-later view, dismissing means "done reading"
+        if (this.showReadLater) {
+            const item = this._itemsById?.get(alertId);
+            if (item) notificationStore.toggleReadLater(item);
+            return;
+        }
+
         notificationStore.dismissAnnouncement(alertId);
 
         const element = this.listContainer.querySelector(`.market-stream-item-wrapper[data-alert-id="${alertId}"]`);
@@ -246,13 +358,44 @@ export class MarketIndexController {
 
     render(alerts) {
         if (!this.listContainer) return;
+        this._streamAlerts = alerts || [];
 
-        // Filter out dismissed items
-        const rawAlerts = alerts || [];
-        const visibleAlerts = rawAlerts.filter(a => !notificationStore.dismissedAnnouncements.has(a.id || `${a.code}-${a.timestamp}`));
+        // Read-later entries are kept even once dismissed from the stream
+        const rawAlerts = this.showReadLater ? notificationStore.getReadLaterAnnouncements() : this._streamAlerts;
+        const undismissed = this.showReadLater
+            ? rawAlerts
+            : rawAlerts.filter(a => !notificationStore.dismissedAnnouncements.has(MarketIndexService.idOf(a)));
+        const visibleAlerts = MarketIndexService.filter(undismissed, this.filters);
+        this._syncFilterBar(undismissed);
+        this._itemsById = new Map(undismissed.map(a => [MarketIndexService.idOf(a), a]));
 
         console.log(`[MarketIndexController] Rendering: ${visibleAlerts.length} visible / ${rawAlerts.length} total. (${rawAlerts.length - visibleAlerts.length} filtered)`);
 
+        if (visibleAlerts.length === 0 && undismissed.length > 0) {
+            this.listContainer.innerHTML = `
+                <div class="empty-state" style="padding: 40px; text-align: center; color: var(--text-muted);">
+                    <i class="fas fa-filter" style="font-size: 24px; margin-bottom: 10px;"></i>
+                    <p>No items match your filters.</p>
+                    <button id="${IDS.MARKET_STREAM_CLEAR_FILTERS}" style="margin-top: 15px; padding: 8px 16px; border-radius: 6px; background: rgba(255,255,255,0.1); color: white; border: 1px solid rgba(255,255,255,0.2); cursor: pointer;">
+                        Clear Filters
+                    </button>
+                </div>`;
+            this.listContainer.querySelector(`#${IDS.MARKET_STREAM_CLEAR_FILTERS}`)?.addEventListener('click', () => {
+                this.filters = { ...DEFAULT_FILTERS };
+                this.render(this._streamAlerts);
+            });
+            return;
+        }
+
+        if (visibleAlerts.length === 0 && this.showReadLater) {
+            this.listContainer.innerHTML = `
+                <div class="empty-state" style="padding: 40px; text-align: center; color: var(--text-muted);">
+                    <i class="fas ${UI_ICONS.READ_LATER}" style="font-size: 24px; margin-bottom: 10px;"></i>
+                    <p>Nothing saved for later. Tap the bookmark on any item to save it.</p>
+                </div>`;
+            return;
+        }
+
         if (visibleAlerts.length === 0) {
             this.listContainer.innerHTML = `
                 <div class="empty-state" style="padding: 40px; text-align: center; color: var(--text-muted);">
@@ -275,8 +418,11 @@ export class MarketIndexController {
             return;
         }
 
+        const shares = AppState.data?.shares || [];
+        const watchlists = AppState.data?.watchlists || [];
+
         const html = visibleAlerts.map(alert => {
-            const id = alert.id || `${alert.code}-${alert.timestamp}`;
+            const id = MarketIndexService.idOf(alert);
             const date = new Date(alert.timestamp);
             let dateStr = '';
             if (!isNaN(date.getTime())) {
@@ -287,16 +433,17 @@ export class MarketIndexController {
             }
 
             // Extract ASX Code from Title if the provided code is missing, UNKNOWN, or just generic 'ASX'
-            let extractedCode = alert.code;
-            if ((!extractedCode || extractedCode === 'UNKNOWN' || extractedCode === 'ASX' || extractedCode === 'MARKET') && (alert.title || alert.headline)) {
-                const text = alert.title || alert.headline;
-                const match = text.match(/^\[?([A-Z]{3,4})\]?\b/);
-                if (match) extractedCode = match[1];
-            }
+            const extractedCode = MarketIndexService.codeOf(alert);
 
-            const isCompany = extractedCode && extractedCode !== 'UNKNOWN' && extractedCode !== 'ASX' && extractedCode !== 'MARKET';
+            const isCompany = !!extractedCode;
             const badgeClass = isCompany ? 'badge-company' : 'badge-report';
             const badgeText = isCompany ? extractedCode : 'MARKET';
+            const category = MarketIndexService.categoryOf(alert);
+
+            // Link to the matching share: held and/or the watchlists it sits in
+            const link = MarketIndexService.linkShare(extractedCode, shares, watchlists);
+            const linkText = link ? [link.held ? 'Held' : '', ...link.watchlists].filter(Boolean).join(' · ') || 'Tracked' : '';
+            const isSaved = notificationStore.isReadLater(id);
 
             // v1153: Ensure we prefer the direct announcement document link if available
             // If the link is generic (e.g. only company profile), and we have an ID like 6A...,
@@ -330,6 +477,8 @@ export class MarketIndexController {
                         <a href="${href}" target="${target}" class="market-stream-item" style="${readStyle1}">
                             <div class="stream-meta">
                                 <span class="stream-badge ${badgeClass}">${badgeText}</span>
+                                ${category ? `<span class="stream-badge ${CSS_CLASSES.ANNOUNCEMENT_CATEGORY_BADGE}" data-category="${category}">${ANNOUNCEMENT_CATEGORY_LABELS[category]}</span>` : ''}
+                                ${link ? `<span class="${CSS_CLASSES.STREAM_LINK_CHIP}" data-code="${extractedCode}" title="Open ${extractedCode}"><i class="fas fa-link"></i> ${linkText}</span>` : ''}
                                 <span class="stream-time">${dateStr}</span>
                             </div>
                             <div class="stream-title" style="color: var(--text-color);">${alert.title || alert.headline}</div>
@@ -347,6 +496,10 @@ export class MarketIndexController {
                             ` : ''}
                             
                             <div style="flex: 1;"></div>
+
+                            <button class="${CSS_CLASSES.READ_LATER_PILL} ${isSaved ? CSS_CLASSES.ACTIVE : ''}" data-id="${id}" title="${isSaved ? 'Remove from Read Later' : 'Read Later'}">
+                                <i class="${isSaved ? 'fas' : 'far'} ${UI_ICONS.READ_LATER}"></i>
+                            </button>
                             
                             <button class="announcement-pill" style="border: 1px solid rgba(var(--color-accent-rgb, 100, 150, 255), 0.4); border-radius: 4px; background: rgba(30, 30, 30, 0.9); color: var(--color-accent, #6496ff); padding: 0 10px; height: 26px; font-size: 0.75rem; cursor: pointer; font-weight: 600; display: inline-flex; align-items: center; justify-content: center; gap: 4px; transition: all 0.2s ease; box-shadow: 0 2px 4px rgba(0,0,0,0.2); box-sizing: border-box; line-height: 1;" title="Source Document">
                                 <i class="fas fa-satellite-dish" style="vertical-align: middle;"></i> Announcement
@@ -374,6 +527,8 @@ export class MarketIndexController {
             const analysisPill = wrapper.querySelector('.analysis-pill');
             const announcementPill = wrapper.querySelector('.announcement-pill');
             const dismissBtn = wrapper.querySelector('.stream-dismiss-btn');
+            const readLaterPill = wrapper.querySelector(`.${CSS_CLASSES.READ_LATER_PILL}`);
+            const linkChip = wrapper.querySelector(`.${CSS_CLASSES.STREAM_LINK_CHIP}`);
 
             // Initialize Swipe Gestures
             new SwipeGestureHelper(wrapper, {
@@ -396,14 +551,14 @@ export class MarketIndexController {
                 let isScrolling = false;
 
                 const handleTouchStart = (e) => {
-                    if (e.target.closest('.code-pill') || e.target.closest('.analysis-pill') || e.target.closest('.announcement-pill') || e.target.closest('.stream-dismiss-btn')) return;
+                    if (e.target.closest('.code-pill') || e.target.closest('.analysis-pill') || e.target.closest('.announcement-pill') || e.target.closest('.stream-dismiss-btn') || e.target.closest(`.${CSS_CLASSES.STREAM_LINK_CHIP}`)) return;
                     isScrolling = false;
                     startX = e.touches ? e.touches[0].clientX : e.clientX;
                     startY = e.touches ? e.touches[0].clientY : e.clientY;
                 };
 
                 const handleTouchEnd = (e) => {
-                    if (e.target.closest('.code-pill') || e.target.closest('.analysis-pill') || e.target.closest('.stream-dismiss-btn')) return;
+                    if (e.target.closest('.code-pill') || e.target.closest('.analysis-pill') || e.target.closest('.stream-dismiss-btn') || e.target.closest(`.${CSS_CLASSES.STREAM_LINK_CHIP}`)) return;
                     if (isScrolling) return;
 
                     const endX = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
@@ -491,6 +646,26 @@ export class MarketIndexController {
                 });
             }
 
+            // 4b. LINKED SHARE CHIP
+            if (linkChip) {
+                linkChip.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const code = linkChip.dataset.code;
+                    if (code) document.dispatchEvent(new CustomEvent(EVENTS.ASX_CODE_CLICK, { detail: { code } }));
+                });
+            }
+
+            // 4c. READ LATER (re-render comes via MARKET_READ_LATER_CHANGED)
+            if (readLaterPill) {
+                readLaterPill.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    const item = this._itemsById?.get(alertId);
+                    if (item) notificationStore.toggleReadLater(item);
+                });
+            }
+
             // 5. DISMISS BUTTON
             if (dismissBtn) {
                 dismissBtn.addEventListener('click', (e) => {
@@ -6,15 +6,16 @@
 
 import { notificationStore } from '../state/NotificationStore.js';
 import { AppState } from '../state/AppState.js';
-import { CSS_CLASSES, IDS, UI_ICONS, EVENTS, SECTOR_INDUSTRY_MAP, DASHBOARD_SYMBOLS, UI_LABELS, KANGAROO_ICON_SVG } from '../utils/AppConstants.js';
+import { CSS_CLASSES, IDS, UI_ICONS, EVENTS, SECTOR_INDUSTRY_MAP, DASHBOARD_SYMBOLS, UI_LABELS, KANGAROO_ICON_SVG, ALERT_RULE_INTENT, PROTECTIVE_ALERT_INTENTS, PERSONAL_ALERT_INTENTS, ALERT_SNOOZE_OPTIONS } from '../utils/AppConstants.js';
 import { navManager } from '../utils/NavigationManager.js';
-import { formatCurrency, formatPercent } from '../utils/formatters.js';
+import { formatCurrency, formatPercent, formatFriendlyDate } from '../utils/formatters.js';
 
 import { SnapshotUI } from './SnapshotUI.js';
 import { ToastManager } from './ToastManager.js';
 import { LinkHelper } from '../utils/LinkHelper.js';
 import { getBestShareMatch } from '../data/DataProcessor.js';
 import { SettingsUI } from './SettingsUI.js';
+import { AlertHistoryUI } from './AlertHistoryUI.js';
 import { StateAuditor } from '../state/StateAuditor.js';
 
 export class NotificationUI {
@@ -401,6 +402,9 @@ export class NotificationUI {
                             <i class="fas ${UI_ICONS.ANNOUNCEMENTS}"></i>
                             <span id="notif-announcement-badge" class="${CSS_CLASSES.BADGE} ${CSS_CLASSES.HIDDEN}" style="position: absolute; top: 4px; left: 24px; color: var(--color-accent); font-size: 0.65rem; font-weight: 700; background: var(--bg-color); border: 1px solid rgba(var(--color-accent-rgb), 0.3); border-radius: 50%; padding: 2px; min-width: 14px; height: 14px; display: flex; align-items: center; justify-content: center;">0</span>
                         </button>
+                        <button id="${IDS.BTN_ALERT_HISTORY}" title="${UI_LABELS.ALERT_HISTORY_TITLE}" style="width: 36px; height: 36px; display: flex; align-items: center; justify-content: center; background: none; border: none; cursor: pointer; color: var(--color-accent); font-size: 1.2rem;">
+                            <i class="fas ${UI_ICONS.HISTORY}"></i>
+                        </button>
                         <button id="${IDS.NOTIF_SETTINGS_BTN}" title="${UI_LABELS.NOTIFICATION_SETTINGS}" style="width: 36px; height: 36px; display: flex; align-items: center; justify-content: center; background: none; border: none; cursor: pointer; color: var(--color-accent); font-size: 1.2rem;">
                             <i class="fas ${UI_ICONS.PEN}"></i>
                         </button>
@@ -524,6 +528,12 @@ export class NotificationUI {
             });
         }
 
+        // Alert History Button
+        const historyBtn = modal.querySelector(`#${IDS.BTN_ALERT_HISTORY}`);
+        if (historyBtn) {
+            historyBtn.addEventListener('click', () => AlertHistoryUI.showModal());
+        }
+
         // Edit/Settings Button
         const settingsBtn = modal.querySelector(`#${IDS.NOTIF_SETTINGS_BTN}`);
         if (settingsBtn) {
@@ -596,6 +606,32 @@ export class NotificationUI {
             });
 
             list.addEventListener('click', (e) => {
+                // 0. Snooze Delegation (must not fall through to card navigation)
+                const snoozeOption = e.target.closest(`.${CSS_CLASSES.ALERT_SNOOZE_OPTION}`);
+                if (snoozeOption) {
+                    e.stopPropagation();
+                    const { code, snooze } = snoozeOption.dataset;
+                    if (code && notificationStore) {
+                        notificationStore.snoozeCode(code, snooze).then(until => {
+                            if (!until) return;
+                            const when = new Date(until).toLocaleString('en-AU', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+                            ToastManager.show(`${code} snoozed until ${when}`, 'info');
+                        });
+                    }
+                    return;
+                }
+                const snoozeBtn = e.target.closest(`.${CSS_CLASSES.ALERT_SNOOZE_BTN}`);
+                if (snoozeBtn) {
+                    e.stopPropagation();
+                    const menu = snoozeBtn.parentElement?.querySelector(`.${CSS_CLASSES.ALERT_SNOOZE_MENU}`);
+                    if (menu) menu.classList.toggle(CSS_CLASSES.HIDDEN);
+                    return;
+                }
+                if (e.target.closest(`.${CSS_CLASSES.ALERT_SNOOZE_MENU}`)) {
+                    e.stopPropagation();
+                    return;
+                }
+
                 // 1. Pin/Unpin Delegation
                 const btn = e.target.closest(`.${CSS_CLASSES.PIN_BTN}`);
                 if (btn) {
@@ -645,6 +681,16 @@ export class NotificationUI {
 
 
 
+    }
+
+    /**
+     * Personal triggers (price targets, compound alert rules, trailing stops and cost alerts) share the Target Alerts section.
+     * @param {Object} hit
+     * @returns {boolean}
+     */
+    static _isPersonalHit(hit) {
+        const intent = (hit?.intent || '').toLowerCase();
+        return intent === 'target' || intent === 'target-hit' || PERSONAL_ALERT_INTENTS.includes(intent);
     }
 
     static _updateList(modal) {
@@ -748,8 +794,8 @@ export class NotificationUI {
                 const isDown = (item.direction || '').toLowerCase() === 'down' || pct < 0;
                 const isHilo = (intent.includes('hilo') || intent.includes('52') || type.includes('hilo'));
 
-                // Rank 1: Targets ("standard a to z sort")
-                if (intent === 'target' || intent === 'target-hit') return 1;
+                // Rank 1: Targets & Rules ("standard a to z sort")
+                if (this._isPersonalHit(item)) return 1;
 
                 // Rank 2: Losers (User: "what should be displayed first is the highest percentage losers")
                 if (!isHilo && isDown) return 2;
@@ -874,8 +920,8 @@ export class NotificationUI {
         downStr += `<span style="${explainerStyle}">${UI_LABELS.LOSERS_EXPLAINER}</span>`;
 
         // Split local alerts into Target hits and movement hits for section separation
-        const wlTargets = sortedLocal.filter(h => h.intent === 'target' || h.intent === 'target-hit');
-        const wlOthers = sortedLocal.filter(h => h.intent !== 'target' && h.intent !== 'target-hit');
+        const wlTargets = sortedLocal.filter(h => this._isPersonalHit(h));
+        const wlOthers = sortedLocal.filter(h => !this._isPersonalHit(h));
 
         // Structure Definitions
         // 1. Calculate Total Alerts for Status Bar (Global + Local)
@@ -892,7 +938,7 @@ export class NotificationUI {
         this._updateStatusBar(modal);
 
         const sections = [
-            { id: 'target-alerts', title: 'Target Alerts', chipLabel: 'Targets', headerTitle: `<i class="fas fa-crosshairs" style="color: var(--color-accent); margin-right: 8px;"></i><span style="color: var(--text-color);">Target Alerts</span>`, subtitle: `<span style="color: var(--color-accent);">Your targets hit</span>`, hits: targetHits, type: 'custom', color: 'neutral' },
+            { id: 'target-alerts', title: 'Target Alerts', chipLabel: 'Targets', headerTitle: `<i class="fas fa-crosshairs" style="color: var(--color-accent); margin-right: 8px;"></i><span style="color: var(--text-color);">Target Alerts</span>`, subtitle: `<span style="color: var(--color-accent);">Your targets &amp; rules hit</span>`, hits: targetHits, type: 'custom', color: 'neutral' },
             { id: 'custom-movers', title: 'Watchlist Movers', chipLabel: 'Watchlist', headerTitle: `<i class="fas fa-binoculars" style="color: var(--color-accent); margin-right: 8px;"></i><span style="color: var(--text-color);">Watchlist Movers</span>`, subtitle: `<span style="color: var(--color-accent);">Your watchlist hits</span>`, hits: moversHits.list, type: 'custom', color: 'neutral' },
             { id: 'hilo-high', title: `${UI_LABELS.FIFTY_TWO_WEEK} <span style="color: var(--color-positive)">${UI_LABELS.HIGH}</span>`, chipLabel: `${UI_LABELS.FIFTY_TWO_WEEK} ${UI_LABELS.HIGH}`, subtitle: hiloStrHigh, hits: highHits, type: 'hilo-up', color: 'green' },
             { id: 'hilo-low', title: `${UI_LABELS.FIFTY_TWO_WEEK} <span style="color: var(--color-negative)">${UI_LABELS.LOW}</span>`, chipLabel: `${UI_LABELS.FIFTY_TWO_WEEK} ${UI_LABELS.LOW}`, subtitle: hiloStrLow, hits: lowHits, type: 'hilo-down', color: 'red' },
@@ -929,6 +975,10 @@ export class NotificationUI {
             }
         });
 
+        // TERM DEPOSIT MATURITY: Personal cash reminders sit above the share sections
+        const maturityList = this._renderMaturityList(notificationStore.getMaturityAlerts(), modal);
+        if (maturityList) list.appendChild(maturityList);
+
         // VIRTUAL LIST ORDER (Vertical Scroll Sequence): Targets, Watchlist, 52W High, 52W Low, Gainers, Losers
         // We iterate through the sections array directly to honor its defined order
         sections.forEach(sec => {
@@ -1187,6 +1237,43 @@ export class NotificationUI {
         });
     }
 
+    /**
+     * Cash assets maturing soon. Tapping a row closes the centre and opens the asset.
+     * @param {Array<Object>} alerts - NotificationStore.getMaturityAlerts result
+     * @param {HTMLElement} modal
+     * @returns {HTMLElement|null}
+     */
+    static _renderMaturityList(alerts, modal) {
+        if (!alerts || alerts.length === 0) return null;
+
+        const wrap = document.createElement('div');
+        wrap.className = CSS_CLASSES.MATURITY_ALERT_LIST;
+        wrap.innerHTML = alerts.map(alert => {
+            const when = alert.days === 0 ? 'Matures today' : `Matures in ${alert.days} day${alert.days === 1 ? '' : 's'}`;
+            return `
+                <div class="${CSS_CLASSES.MATURITY_ALERT_ROW}" data-asset-id="${alert.assetId}">
+                    <i class="fas ${UI_ICONS.MATURITY}"></i>
+                    <div style="flex: 1; min-width: 0;">
+                        <div style="font-weight: 700; color: var(--text-color);">${alert.name}</div>
+                        <div style="font-size: 0.75rem; color: var(--text-muted);">${when} · ${formatFriendlyDate(alert.maturityDate)}</div>
+                    </div>
+                    <span style="font-weight: 700; color: var(--text-color);">${formatCurrency(alert.value, alert.currency)}</span>
+                </div>
+            `;
+        }).join('');
+
+        wrap.addEventListener('click', async (e) => {
+            const row = e.target.closest(`.${CSS_CLASSES.MATURITY_ALERT_ROW}`);
+            if (!row || !row.dataset.assetId) return;
+            e.stopPropagation();
+            this._close(modal);
+            await navManager.whenSettled();
+            document.body.dispatchEvent(new CustomEvent(EVENTS.CASH_ASSET_SELECTED, { detail: { assetId: row.dataset.assetId } }));
+        });
+
+        return wrap;
+    }
+
     static _renderAccordion(section, rules = {}) {
         const { id, title, subtitle, hits, isSystem, headerTitle, type, color } = section; // Destructure new properties
         const count = hits.length;
@@ -1354,9 +1441,33 @@ export class NotificationUI {
             const isGainers = alertType === 'gainers' || intent === 'gainers';
             const isLosers = alertType === 'losers' || intent === 'losers';
             const isTarget = intent === 'target' || intent === 'target-hit';
+            const isRule = intent === ALERT_RULE_INTENT;
+
+            // 0. COMPOUND ALERT RULE: rule name, then each condition that fired
+            if (isRule) {
+                iconClass = UI_ICONS.ALERT_RULE;
+                const fired = (alertItem.fired || []).map(f => `<span class="${CSS_CLASSES.ALERT_RULE_FIRED}">${f}</span>`).join('');
+                text = `<span style="font-weight: 700;">${alertItem.ruleName || 'Alert rule'}</span>${fired}`;
+            }
+
+            // 0b. TRAILING STOP: stop level below the high-water mark
+            else if (intent === PROTECTIVE_ALERT_INTENTS.TRAILING_STOP) {
+                iconClass = UI_ICONS.TRAILING_STOP;
+                colorVar = 'var(--color-negative)';
+                text = `Stop ${formatCurrency(alertItem.stop)} <span class="${CSS_CLASSES.ALERT_RULE_FIRED}">${alertItem.stopPct}% below high ${formatCurrency(alertItem.high)}</span>`;
+            }
+
+            // 0c. % FROM AVERAGE COST
+            else if (intent === PROTECTIVE_ALERT_INTENTS.COST) {
+                iconClass = UI_ICONS.COST_ALERT;
+                const isUp = alertItem.type === 'up';
+                colorVar = isUp ? 'var(--color-positive)' : 'var(--color-negative)';
+                const move = Number(alertItem.movePct) || 0;
+                text = `${move >= 0 ? '+' : ''}${move.toFixed(1)}% vs cost <span class="${CSS_CLASSES.ALERT_RULE_FIRED}">${isUp ? 'Up' : 'Down'} ${alertItem.threshold}% alert • Avg ${formatCurrency(alertItem.cost)}</span>`;
+            }
 
             // 1. PRICE TARGET
-            if (isTarget) {
+            else if (isTarget) {
                 iconClass = 'fa-crosshairs'; // Target Icon
 
                 // --- DYNAMIC DATA ENRICHMENT (User Request) ---
@@ -1479,7 +1590,7 @@ export class NotificationUI {
                 const getRank = (m) => {
                     const i = (m.intent || '').toLowerCase();
                     const t = (m.type || '').toLowerCase();
-                    if (i === 'target' || i === 'target-hit') return 1;
+                    if (i === 'target' || i === 'target-hit' || PERSONAL_ALERT_INTENTS.includes(i)) return 1;
                     if (i.includes('hilo') || i.includes('52') || t.includes('hilo')) return 2;
                     return 3;
                 };
@@ -1530,7 +1641,7 @@ export class NotificationUI {
 
         // Card Border Class Logic
         let cardClass = CSS_CLASSES.CARD_NEUTRAL;
-        if (item.intent === 'target' || item.intent === 'target-hit') {
+        if (this._isPersonalHit(item)) {
             cardClass = CSS_CLASSES.CARD_TARGET;
         } else if (changePct > 0) {
             cardClass = CSS_CLASSES.CARD_UP;
@@ -1569,6 +1680,19 @@ export class NotificationUI {
             </a>`;
         }
 
+        // --- SNOOZE (hides this share's alerts for a while) ---
+        let snoozeHtml = '';
+        if (code) {
+            const options = ALERT_SNOOZE_OPTIONS.map(o =>
+                `<button type="button" class="${CSS_CLASSES.ALERT_SNOOZE_OPTION}" data-code="${cleanCode}" data-snooze="${o.id}">${o.label}</button>`
+            ).join('');
+            snoozeHtml = `
+            <button type="button" class="${CSS_CLASSES.ALERT_SNOOZE_BTN}" title="Snooze alerts" aria-label="Snooze ${cleanCode} alerts">
+                <i class="fas ${UI_ICONS.SNOOZE}"></i>
+            </button>
+            <div class="${CSS_CLASSES.ALERT_SNOOZE_MENU} ${CSS_CLASSES.HIDDEN}">${options}</div>`;
+        }
+
         //GRID LAYOUT IMPLEMENTATION
         return `
                 <div class="${CSS_CLASSES.NOTIFICATION_CARD_GRID} ${cardClass}" data-code="${code}" style="position: relative;">
@@ -1591,6 +1715,9 @@ export class NotificationUI {
 
                 <!--AI Button(Floating Bottom Right)-->
             ${smartAlertBtn}
+
+                <!--Snooze(Floating, left of AI Button)-->
+            ${snoozeHtml}
             </div>
             `;
     }
@@ -1836,8 +1963,8 @@ export class NotificationUI {
             ? notificationStore.getLocalAlerts()
             : { pinned: [], fresh: [] };
         const allLocal = [...(local.pinned || []), ...(local.fresh || [])];
-        const targetCount = allLocal.filter(h => h.intent === 'target' || h.intent === 'target-hit').length;
-        const moversCount = allLocal.filter(h => h.intent !== 'target' && h.intent !== 'target-hit').length;
+        const targetCount = allLocal.filter(h => this._isPersonalHit(h)).length;
+        const moversCount = allLocal.filter(h => !this._isPersonalHit(h)).length;
 
         const globalData = (notificationStore && typeof notificationStore.getGlobalAlerts === 'function')
             ? notificationStore.getGlobalAlerts(false)
@@ -1855,6 +1982,27 @@ export class NotificationUI {
         const isAll = (activeFilters === null || activeFilters === undefined);
         const activeCount = isAll ? totalIndustries : (Array.isArray(activeFilters) ? activeFilters.length : 0);
 
+        // Snoozed shares / quiet hours
+        const snoozedCodes = (notificationStore && typeof notificationStore.getActiveSnoozes === 'function')
+            ? Object.keys(notificationStore.getActiveSnoozes()).sort()
+            : [];
+        const isQuiet = !!(notificationStore && typeof notificationStore.isQuietHours === 'function' && notificationStore.isQuietHours());
+        let suppressionHtml = '';
+        if (snoozedCodes.length > 0) {
+            suppressionHtml += `
+                <span style="color: var(--text-muted); opacity: 0.3;">|</span>
+                <span id="${IDS.BTN_CLEAR_SNOOZES}" class="${CSS_CLASSES.ALERT_SNOOZE_CHIP}" title="Snoozed: ${snoozedCodes.join(', ')}. Tap to clear.">
+                    <i class="fas ${UI_ICONS.SNOOZE}"></i> ${snoozedCodes.length} SNOOZED <i class="fas ${UI_ICONS.CLOSE}"></i>
+                </span>`;
+        }
+        if (isQuiet) {
+            suppressionHtml += `
+                <span style="color: var(--text-muted); opacity: 0.3;">|</span>
+                <span class="${CSS_CLASSES.ALERT_SNOOZE_CHIP}" title="Quiet hours: alerts are listed but not badged">
+                    <i class="fas ${UI_ICONS.QUIET_HOURS}"></i> QUIET
+                </span>`;
+        }
+
         // SMART UI: Prominence through typography and spacing, no borders/backgrounds
         // User Request: "More relevant... under evaluated quality... click through"
         ribbon.style.cursor = 'pointer';
@@ -1876,6 +2024,7 @@ export class NotificationUI {
                     <span style="color: var(--text-dominant); font-weight: 700; letter-spacing: 0.5px; opacity: 0.9;">SECTORS</span>
                     <span><span style="color: var(--color-positive); font-weight: 700;">${activeCount}</span> <span style="color: var(--text-muted); opacity: 0.7;">/ ${totalIndustries}</span></span>
                 </span>
+                ${suppressionHtml}
             </div>
                 <div class="ribbon-right" style="padding-left: 10px;">
                     <i class="fas fa-chevron-right" style="font-size: 0.75rem; opacity: 0.5; color: var(--color-accent);"></i>
@@ -1886,6 +2035,10 @@ export class NotificationUI {
         // Make entire ribbon clickable
         ribbon.onclick = (e) => {
             e.stopPropagation();
+            if (e.target.closest(`#${IDS.BTN_CLEAR_SNOOZES}`)) {
+                notificationStore.clearSnooze().then(() => ToastManager.show('Snoozes cleared', 'success'));
+                return;
+            }
             this._toggleIntelligenceReport(modal);
         };
     }
@@ -1923,8 +2076,8 @@ export class NotificationUI {
             ? notificationStore.getLocalAlerts()
             : { pinned: [], fresh: [] };
         const allLocal = [...(local.pinned || []), ...(local.fresh || [])];
-        const targetCount = allLocal.filter(h => h.intent === 'target' || h.intent === 'target-hit').length;
-        const moversCount = allLocal.filter(h => h.intent !== 'target' && h.intent !== 'target-hit').length;
+        const targetCount = allLocal.filter(h => this._isPersonalHit(h)).length;
+        const moversCount = allLocal.filter(h => !this._isPersonalHit(h)).length;
         const globalData = (notificationStore && typeof notificationStore.getGlobalAlerts === 'function')
             ? notificationStore.getGlobalAlerts(false)
             : { movers: { up: [], down: [] }, hilo: { high: [], low: [] } };
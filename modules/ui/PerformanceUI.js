@@ -0,0 +1,170 @@
+/**
+ * PerformanceUI.js
+ * Returns modal: time-weighted (TWR) and money-weighted (XIRR) returns for the
+ * whole portfolio and each watchlist over PERFORMANCE_PERIODS (PerformanceService.getReport).
+ */
+
+import { CSS_CLASSES, UI_ICONS, IDS, PERFORMANCE_PERIODS } from '../utils/AppConstants.js';
+import { AppState } from '../state/AppState.js';
+import { PerformanceService } from '../data/PerformanceService.js';
+import { formatPercent, formatFriendlyDate } from '../utils/formatters.js';
+import { navManager } from '../utils/NavigationManager.js';
+
+const METRICS = {
+    TWR: 'twr',
+    XIRR: 'xirr'
+};
+
+export class PerformanceUI {
+
+    /**
+     * Loads (or reuses the cached) performance report for the current user data.
+     * @returns {Promise<Object|null>}
+     */
+    static async getReport() {
+        const api = AppState.controller?.dataService;
+        if (!api) return null;
+
+        return PerformanceService.getReport({
+            shares: AppState.data.shares || [],
+            watchlists: AppState.data.watchlists || [],
+            fetchHistory: (code, range) => api.fetchHistory(code, range),
+            livePrices: AppState.livePrices,
+            hiddenAssets: AppState.hiddenAssets
+        });
+    }
+
+    /**
+     * Formats a decimal return (0.1 = +10%) with a colour class.
+     * @returns {string} HTML
+     */
+    static formatReturn(rate) {
+        if (rate === null || rate === undefined || !Number.isFinite(rate)) {
+            return `<span class="${CSS_CLASSES.TEXT_MUTED}">-</span>`;
+        }
+        const cls = rate >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE;
+        return `<span class="${cls}">${rate < 0 ? '-' : ''}${formatPercent(rate * 100)}</span>`;
+    }
+
+    static async showModal() {
+        const existing = document.getElementById(IDS.PERFORMANCE_MODAL);
+        if (existing) existing.remove();
+
+        const modal = document.createElement('div');
+        modal.id = IDS.PERFORMANCE_MODAL;
+        modal.className = `${CSS_CLASSES.MODAL} ${CSS_CLASSES.HIDDEN}`;
+        modal.style.setProperty('z-index', '20500', 'important');
+        modal.innerHTML = `
+            <div class="${CSS_CLASSES.MODAL_OVERLAY}"></div>
+            <div class="${CSS_CLASSES.MODAL_CONTENT} ${CSS_CLASSES.MODAL_CONTENT_MEDIUM}" style="max-height: 85vh; display: flex; flex-direction: column;">
+                <div class="${CSS_CLASSES.MODAL_HEADER}">
+                    <h2 class="${CSS_CLASSES.MODAL_TITLE}">Performance</h2>
+                    <button class="${CSS_CLASSES.MODAL_CLOSE_BTN}" title="Close">
+                        <i class="fas ${UI_ICONS.CLOSE}"></i>
+                    </button>
+                </div>
+                <div class="${CSS_CLASSES.MODAL_BODY}" style="flex: 1; overflow-y: auto;">
+                    <div class="${CSS_CLASSES.DIV_LOADING}"><i class="fas fa-circle-notch"></i> Replaying transactions against price history...</div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        requestAnimationFrame(() => {
+            modal.classList.remove(CSS_CLASSES.HIDDEN);
+            requestAnimationFrame(() => {
+                modal.classList.add(CSS_CLASSES.SHOW);
+            });
+        });
+
+        navManager.pushState(() => {
+            if (modal.parentElement) {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                setTimeout(() => {
+                    if (modal.parentElement) modal.remove();
+                }, 450);
+            }
+        });
+
+        const close = () => {
+            if (modal._isClosing) return;
+            modal._isClosing = true;
+
+            modal.classList.remove(CSS_CLASSES.SHOW);
+            modal.style.pointerEvents = 'none';
+
+            setTimeout(() => {
+                modal.classList.add(CSS_CLASSES.HIDDEN);
+                if (modal.parentElement) modal.remove();
+            }, 450);
+            navManager.popStateSilently();
+        };
+        modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`).addEventListener('click', close);
+        modal.querySelector(`.${CSS_CLASSES.MODAL_OVERLAY}`).addEventListener('click', close);
+
+        let report = null;
+        try {
+            report = await this.getReport();
+        } catch (err) {
+            console.error('[PerformanceUI] Report failed:', err);
+        }
+
+        const body = modal.querySelector(`.${CSS_CLASSES.MODAL_BODY}`);
+        if (!body || !modal.parentElement) return;
+
+        const render = (metric) => {
+            body.innerHTML = this._renderReport(report, metric);
+            const select = body.querySelector(`#${IDS.PERFORMANCE_METRIC_SELECT}`);
+            if (select) select.addEventListener('change', () => render(select.value));
+        };
+        render(METRICS.TWR);
+    }
+
+    static _renderReport(report, metric) {
+        const foreign = report?.foreignCodes || [];
+        const foreignNote = foreign.length > 0 ? `${foreign.join(', ')} not included: holdings in other currencies have no exchange rate history.` : '';
+        if (!report || report.groups.length === 0) {
+            return `<div class="${CSS_CLASSES.DIV_LOADING}">No transactions recorded yet. Add buys and sells to your holdings to measure performance.${foreignNote ? `<br>${foreignNote}` : ''}</div>`;
+        }
+
+        const header = PERFORMANCE_PERIODS.map(p => `<th>${p.label}</th>`).join('');
+        const rows = report.groups.map((group, idx) => {
+            const cells = group.periods.map(p => {
+                const rate = metric === METRICS.XIRR ? p.xirr : (p.twrAnnualised ?? p.twr);
+                const title = metric === METRICS.XIRR
+                    ? 'Money-weighted, annualised'
+                    : (p.twrAnnualised !== null ? `Annualised (cumulative ${p.twr !== null ? (p.twr * 100).toFixed(2) : '-'}%)` : 'Cumulative');
+                return `<td class="${p.isPartial ? CSS_CLASSES.PERF_PARTIAL : ''}" title="${title}${p.isPartial ? ' · held for part of the period' : ''}">${this.formatReturn(rate)}</td>`;
+            }).join('');
+            return `<tr class="${idx === 0 ? CSS_CLASSES.PERF_ROW_TOTAL : ''}"><td>${group.name}</td>${cells}</tr>`;
+        }).join('');
+
+        const missing = [...new Set(report.groups.flatMap(g => g.missingHistory))];
+        const inception = report.groups[0].inceptionDate;
+
+        return `
+            <div class="${CSS_CLASSES.PERF_TOOLBAR}">
+                <span class="${CSS_CLASSES.TEXT_MUTED}">Since ${formatFriendlyDate(inception)}</span>
+                <select id="${IDS.PERFORMANCE_METRIC_SELECT}" class="${CSS_CLASSES.FORM_CONTROL}">
+                    <option value="${METRICS.TWR}" ${metric === METRICS.TWR ? 'selected' : ''}>Time-Weighted (TWR)</option>
+                    <option value="${METRICS.XIRR}" ${metric === METRICS.XIRR ? 'selected' : ''}>Money-Weighted (XIRR)</option>
+                </select>
+            </div>
+            <div class="${CSS_CLASSES.PERF_TABLE_WRAP}">
+                <table class="${CSS_CLASSES.PERF_TABLE}">
+                    <thead><tr><th></th>${header}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="${CSS_CLASSES.PERF_NOTE}">
+                ${metric === METRICS.XIRR
+                    ? 'XIRR measures your own return including the timing and size of your buys and sells, expressed per annum.'
+                    : 'TWR removes the effect of buys and sells, measuring how the holdings themselves performed. Periods over a year are annualised.'}
+                Includes cash dividends; reinvested (DRP) dividends are counted through the extra units. Faded values cover only part of the period.
+                ${missing.length > 0 ? `<br>No price history for ${missing.join(', ')}; valued at transaction prices.` : ''}
+                ${foreignNote ? `<br>${foreignNote}` : ''}
+            </div>
+        `;
+    }
+}
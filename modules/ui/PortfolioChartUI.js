@@ -1,14 +1,22 @@
 import { formatCurrency, formatPercent } from '../utils/formatters.js';
-import { UI_ICONS, CSS_CLASSES, IDS, EVENTS, CASH_CATEGORIES, PORTFOLIO_ID } from '../utils/AppConstants.js';
+import { UI_ICONS, CSS_CLASSES, IDS, EVENTS, CASH_CATEGORIES, PORTFOLIO_ID, TRANSACTION_TYPES } from '../utils/AppConstants.js';
 import { AppState } from '../state/AppState.js';
 import { navManager } from '../utils/NavigationManager.js';
 import { DataService, userStore } from '../data/DataService.js';
+import { getShareTransactions } from '../data/DataProcessor.js';
+import { PerformanceService } from '../data/PerformanceService.js';
+import { CashHistoryService } from '../data/CashHistoryService.js';
+import { NetWorthService } from '../data/NetWorthService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
+import { PerformanceUI } from './PerformanceUI.js';
+import { BenchmarkOverlay, BENCHMARK_COLOR } from './BenchmarkOverlay.js';
 
 /**
  * PortfolioChartUI
  * Handles the historical trend chart for the entire portfolio.
  * Implements "Backfill" logic to simulate history based on current holdings.
  * NOW INCLUDES: Cash & Asset integration with category breakdowns.
+ * Liabilities count negatively, so the total line is net worth and loan layers sit below zero.
  * v1151: Fixed double-counting of portfolio shares in total wealth.
  */
 export class PortfolioChartUI {
@@ -54,6 +62,10 @@ export class PortfolioChartUI {
 
         // Events Layer (Buys/Sells)
         this.showEvents = localStorage.getItem('ASX_NEXT_portfolioChartShowEvents') === 'true';
+
+        // Benchmark Overlay (rebased index line + alpha/beta/tracking error)
+        this.benchmark = BenchmarkOverlay.getSelected();
+        this.benchmarkSeries = null;
     }
 
     async render() {
@@ -124,6 +136,15 @@ export class PortfolioChartUI {
                         <!-- Dynamically populated -->
                     </div>
 
+                    <!-- Benchmark Comparison -->
+                    <div class="control-row benchmark-row" style="display:flex; gap:16px; justify-content:center; align-items:center; flex-wrap:wrap; padding: 0 16px;">
+                        <select id="portfolio-benchmark-select" title="Benchmark"
+                                style="background:rgba(255,255,255,0.05); border:1px solid rgba(255,255,255,0.1); border-radius:4px; padding:6px 10px; color:${BENCHMARK_COLOR}; font-size:0.8rem; font-weight:600; cursor:pointer; outline:none;">
+                            ${BenchmarkOverlay.renderOptions(this.benchmark)}
+                        </select>
+                        <div class="benchmark-stats" style="color:#fff;"></div>
+                    </div>
+
                     <!-- Timeframe Toggles -->
                     <div class="control-row timeframe-row" style="display:flex; gap:14px; justify-content:center; overflow-x:auto; padding: 4px 8px; -webkit-overflow-scrolling: touch; flex-shrink:0;">
                         ${['1d', '5d', '1m', '3m', '6m', '1y', '3y', '5y', '10y', 'max'].map(r => `
@@ -363,6 +384,16 @@ export class PortfolioChartUI {
             document.addEventListener('click', closeDropdown);
         }
 
+        // Benchmark Selector
+        const benchmarkSelect = this.modal.querySelector('#portfolio-benchmark-select');
+        if (benchmarkSelect) {
+            benchmarkSelect.addEventListener('change', () => {
+                this.benchmark = benchmarkSelect.value;
+                BenchmarkOverlay.setSelected(this.benchmark);
+                this._loadBenchmark();
+            });
+        }
+
         // Bind Collapse Toggle
         const collapseHandle = this.modal.querySelector('.controls-collapse-toggle');
         const controls = this.modal.querySelector('.portfolio-chart-controls');
@@ -465,6 +496,16 @@ export class PortfolioChartUI {
             priceFormat: accountingFormat
         });
 
+        // Benchmark Series (rebased to the portfolio's value at the start of the range)
+        this.benchmarkSeries = this.chart.addLineSeries({
+            color: BENCHMARK_COLOR,
+            lineWidth: 2,
+            lineStyle: 2, // Dashed
+            lastValueVisible: false,
+            priceLineVisible: false,
+            priceFormat: accountingFormat
+        });
+
         // Dynamic "Scrub" Price Line (Highlight box for mobile scrubbing)
         // This simulates the "Last Price" label but for the point under your finger.
         // We initialize it on the "Total" series by default.
@@ -589,7 +630,7 @@ export class PortfolioChartUI {
 
             // 2. Prepare Data Series
             const totalData = [];
-            const superData = [];
+            let superData = [];
             const sharesData = [];
             const cashData = [];
             const catBuffers = {};
@@ -638,6 +679,7 @@ export class PortfolioChartUI {
             // Calculate Current Totals
             let liveSharesVal = 0;
             let liveSuperVal = 0;
+            let liveSuperSharesVal = 0;
             let liveCashVal = 0;
             const liveCatVals = {};
 
@@ -665,7 +707,8 @@ export class PortfolioChartUI {
                     dedupedSharesMap.set(lookupKey, {
                         units,
                         watchlistIds: s.watchlistIds || (s.watchlistId ? [s.watchlistId] : []),
-                        shareName: lookupKey
+                        shareName: lookupKey,
+                        currency: CurrencyService.currencyOf(s)
                     });
                 }
             });
@@ -684,12 +727,15 @@ export class PortfolioChartUI {
                 }
 
                 const price = priceData?.live || 0;
-                const val = s.units * price;
+                const val = CurrencyService.toBase(s.units * price, s.currency);
                 if (val <= 0) return;
 
                 liveSharesVal += val;
                 const isSuper = (superWatchlistId && (s.watchlistIds || []).includes(superWatchlistId));
-                if (isSuper) liveSuperVal += val;
+                if (isSuper) {
+                    liveSuperVal += val;
+                    liveSuperSharesVal += val;
+                }
             });
 
             // Initialize liveCatVals for all known categories (to ensure they exist for the breakdown toggles)
@@ -706,7 +752,7 @@ export class PortfolioChartUI {
                 // Users often have a 'Shares' asset in their cash list as a placeholder/duplicate.
                 if (c.category === 'shares') return;
 
-                const bal = parseFloat(c.balance || 0);
+                const bal = NetWorthService.valueOf(c);
                 const cid = c.category || 'other';
                 liveCashVal += bal;
                 if (cid === 'super') liveSuperVal += bal;
@@ -730,9 +776,36 @@ export class PortfolioChartUI {
                 });
             }
 
+            // 4b. Balance History: categories holding assets with dated entries draw their
+            // recorded path (stepped) instead of snapshot values or a flat line. Super shares
+            // have no per-watchlist history, so the super layer adds them at today's value.
+            const visibleCash = rawCash.filter(c => !AppState.hiddenAssets.has(String(c.id)) && c.category !== 'shares');
+            const historyCats = new Set(visibleCash.filter(c => CashHistoryService.hasHistory(c)).map(c => c.category || 'other'));
+            if (historyCats.size > 0) {
+                const entryTimes = CashHistoryService.entryTimes(visibleCash);
+                const fromTs = startTs > 0 ? startTs : (entryTimes[0] || nowTs);
+                const times = [...new Set([fromTs, ...entryTimes, ...totalData.map(p => p.time), nowTs])]
+                    .filter(t => t >= fromTs && t <= nowTs)
+                    .sort((a, b) => a - b);
+
+                historyCats.forEach(cid => {
+                    const inCategory = visibleCash.filter(c => (c.category || 'other') === cid);
+                    const series = CashHistoryService.seriesFor(inCategory, times, c =>
+                        (NetWorthService.isLiability(c) ? -1 : 1) * CurrencyService.toBase(1, CurrencyService.currencyOf(c)));
+                    if (cid === 'super') {
+                        superData = series.map(p => ({ time: p.time, value: p.value + liveSuperSharesVal }));
+                    } else {
+                        catBuffers[cid] = series;
+                    }
+                });
+            }
+
             // 5. Push to Series
             if (this.series.total) this.series.total.setData(totalData);
-            if (this.series.super) this.series.super.setData(superData);
+            if (this.series.super) {
+                this.series.super.applyOptions({ lineType: historyCats.has('super') ? 1 : 0 }); // 1 = WithSteps
+                this.series.super.setData(superData);
+            }
             if (this.series.shares) this.series.shares.setData(sharesData);
 
             // 6. Breakdown Series
@@ -745,6 +818,7 @@ export class PortfolioChartUI {
                         priceFormat: { type: 'price', precision: 0, minMove: 1 }
                     });
                 }
+                this.categorySeries[catId].applyOptions({ lineType: historyCats.has(catId) ? 1 : 0 }); // 1 = WithSteps
                 this.categorySeries[catId].setData(catBuffers[catId]);
             });
 
@@ -759,12 +833,53 @@ export class PortfolioChartUI {
             this._updateStats(totalData, sharesData, superData);
 
             if (loading) loading.style.display = 'none';
+
+            this._loadBenchmark();
         } catch (e) {
             console.error('[PortfolioChartUI] Load Error:', e);
             if (loading) loading.style.display = 'none';
         }
     }
 
+    /**
+     * Draws the selected benchmark rebased to the visible portfolio line and shows
+     * alpha / beta / tracking error against the flow-adjusted (TWR) portfolio index,
+     * so deposits and withdrawals don't distort the comparison.
+     */
+    async _loadBenchmark() {
+        const statsEl = this.modal ? this.modal.querySelector('.benchmark-stats') : null;
+        if (!this.benchmarkSeries) return;
+
+        if (!this.benchmark) {
+            this.benchmarkSeries.setData([]);
+            if (statsEl) statsEl.innerHTML = '';
+            return;
+        }
+
+        const symbol = this.benchmark;
+        const range = this.range;
+        const [bars, report] = await Promise.all([
+            BenchmarkOverlay.fetch(symbol, range),
+            PerformanceUI.getReport().catch(() => null)
+        ]);
+        // Ignore stale responses (selection or range changed while loading, or modal closed)
+        if (!this.chart || !this.benchmarkSeries || symbol !== this.benchmark || range !== this.range) return;
+
+        const startTs = this._getRangeStartTs();
+        const baseLine = (this.visibleLayers.total ? this.lastData?.total : this.lastData?.shares) || [];
+        const base = baseLine.find(p => p.time >= startTs && p.value > 0);
+        this.benchmarkSeries.setData(base ? BenchmarkOverlay.rebase(bars, base.value, base.time) : []);
+
+        // Compare on calendar days (the TWR index is daily)
+        const group = (report?.groups || []).find(g => g.id === PORTFOLIO_ID);
+        const subject = BenchmarkOverlay.toDaily((group?.index || [])
+            .map(p => ({ time: Date.parse(p.date) / 1000, value: p.value }))
+            .filter(p => p.time >= startTs - 86400));
+        const benchmark = BenchmarkOverlay.toDaily(bars);
+
+        if (statsEl) statsEl.innerHTML = BenchmarkOverlay.renderStats(PerformanceService.compareToBenchmark(subject, benchmark), symbol);
+    }
+
     _getRangeStartTs() {
         const now = Math.floor(Date.now() / 1000);
         const day = 86400;
@@ -807,7 +922,7 @@ export class PortfolioChartUI {
             if (item.category === 'super') return; // Super is handled as a primary series
 
             const cid = item.category || 'cash';
-            map[cid] = (map[cid] || 0) + (parseFloat(item.balance) || 0);
+            map[cid] = (map[cid] || 0) + NetWorthService.valueOf(item);
         });
 
         return map;
@@ -1016,57 +1131,51 @@ export class PortfolioChartUI {
                 }
             }
 
-            // 5. Add Transaction Events (Buy/Sell) if enabled
+            // 5. Add Transaction Events (Ledger: Buy/Sell/DRP/Split) if enabled
             if (this.showEvents && label === 'Shares') {
                 const march3rd = new Date('2026-03-03').getTime() / 1000;
-                const portfolioShares = (AppState.data.shares || []).filter(s => 
-                    (parseInt(s.portfolioShares) || 0) > 0
-                );
-
-                portfolioShares.forEach(share => {
-                    const dateStr = share.purchaseDate || share.entryDate;
-                    if (!dateStr) return;
-
-                    // Normalize date to timestamp
-                    let ts;
-                    if (dateStr.includes('-')) {
-                        ts = new Date(dateStr).getTime() / 1000;
-                    } else if (dateStr.includes('/')) {
-                        const parts = dateStr.split('/');
-                        const d = parts[0].padStart(2, '0');
-                        const m = parts[1].padStart(2, '0');
-                        const y = parts[2];
-                        ts = new Date(`${y}-${m}-${d}`).getTime() / 1000;
-                    } else {
-                        ts = new Date(dateStr).getTime() / 1000;
-                    }
-
-                    if (isNaN(ts) || ts < march3rd) return;
-
-                    // SNAP: Find the closest timestamp in our chart data
-                    // This ensures the marker sits exactly on a data point
-                    let closest = data[0];
-                    let minDiff = Math.abs(data[0].time - ts);
-                    
-                    for (let i = 1; i < data.length; i++) {
-                        const diff = Math.abs(data[i].time - ts);
-                        if (diff < minDiff) {
-                            minDiff = diff;
-                            closest = data[i];
+                const eventStyles = {
+                    [TRANSACTION_TYPES.BUY]: { color: '#2196F3', text: 'BUY' },
+                    [TRANSACTION_TYPES.SELL]: { color: '#FF9800', text: 'SELL' },
+                    [TRANSACTION_TYPES.DRP]: { color: '#00BCD4', text: 'DRP' },
+                    [TRANSACTION_TYPES.SPLIT]: { color: '#9E9E9E', text: 'SPLIT' },
+                    [TRANSACTION_TYPES.CONSOLIDATION]: { color: '#9E9E9E', text: 'CONSOL' }
+                };
+
+                (AppState.data.shares || []).forEach(share => {
+                    const code = share.shareName || share.code;
+
+                    getShareTransactions(share).forEach(txn => {
+                        if (!txn.date) return;
+                        const ts = new Date(txn.date).getTime() / 1000;
+                        if (isNaN(ts) || ts < march3rd) return;
+
+                        // SNAP: Find the closest timestamp in our chart data
+                        // This ensures the marker sits exactly on a data point
+                        let closest = data[0];
+                        let minDiff = Math.abs(data[0].time - ts);
+
+                        for (let i = 1; i < data.length; i++) {
+                            const diff = Math.abs(data[i].time - ts);
+                            if (diff < minDiff) {
+                                minDiff = diff;
+                                closest = data[i];
+                            }
                         }
-                    }
-
-                    // Only show if the closest point is within 2 days (handles weekend buys etc)
-                    if (minDiff > 172800) return;
 
-                    const isSell = share.buySell === 'sell';
-                    markers.push({
-                        time: closest.time,
-                        position: 'inBar', // Sit exactly on the line
-                        color: isSell ? '#FF9800' : '#2196F3',
-                        shape: 'circle',
-                        text: `${share.code} ${isSell ? 'SELL' : 'BUY'}`,
-                        size: 0.8
+                        // Only show if the closest point is within 2 days (handles weekend buys etc)
+                        if (minDiff > 172800) return;
+
+                        const style = eventStyles[txn.type] || eventStyles[TRANSACTION_TYPES.BUY];
+                        const qty = parseFloat(txn.quantity) || 0;
+                        markers.push({
+                            time: closest.time,
+                            position: 'inBar', // Sit exactly on the line
+                            color: style.color,
+                            shape: 'circle',
+                            text: qty > 0 ? `${code} ${style.text} ${qty}` : `${code} ${style.text}`,
+                            size: 0.8
+                        });
                     });
                 });
             }
@@ -4,12 +4,13 @@
  * Handles Firestore Sync logic via UserStore.
  */
 
-import { CSS_CLASSES, IDS, UI_ICONS, EVENTS, SECTORS_LIST, SECTOR_INDUSTRY_MAP, STORAGE_KEYS, JUMPING_KANGAROO_ICON_SVG } from '../utils/AppConstants.js';
+import { CSS_CLASSES, IDS, UI_ICONS, EVENTS, SECTORS_LIST, SECTOR_INDUSTRY_MAP, STORAGE_KEYS, JUMPING_KANGAROO_ICON_SVG, ALERT_COOLDOWN_TYPES, ALERT_HISTORY_TYPE_LABELS, ALERT_SUPPRESSION_DEFAULTS } from '../utils/AppConstants.js';
 import { navManager } from '../utils/NavigationManager.js';
 import { userStore, DataService } from '../data/DataService.js';
 import { AppState } from '../state/AppState.js';
 import { ToastManager } from './ToastManager.js';
 import { notificationStore } from '../state/NotificationStore.js';
+import { AlertNotifier } from '../services/AlertNotifier.js';
 
 export class SettingsUI {
     static showModal(userId) {
@@ -82,7 +83,7 @@ export class SettingsUI {
                         box-sizing: border-box;
                     }
                     
-                    .pill-segment, .bulk-btn, .master-pill-segment, .pill-segment-movers, .pill-segment-hilo, .pill-segment-badge, .pill-segment-email, .pill-segment-override, .accordion-control-segment, .pill-segment-personal, .pill-segment-badge-scope, .pill-segment-accordion {
+                    .pill-segment, .bulk-btn, .master-pill-segment, .pill-segment-movers, .pill-segment-hilo, .pill-segment-badge, .pill-segment-email, .pill-segment-override, .accordion-control-segment, .pill-segment-personal, .pill-segment-badge-scope, .pill-segment-accordion, .pill-segment-quiet, .pill-segment-push {
                         flex: 1;
                         height: 100%;
                         display: flex;
@@ -112,7 +113,9 @@ export class SettingsUI {
                     .accordion-control-segment.active,
                     .pill-segment-personal.active,
                     .pill-segment-badge-scope.active,
-                    .pill-segment-accordion.active {
+                    .pill-segment-accordion.active,
+                    .pill-segment-quiet.active,
+                    .pill-segment-push.active {
                         background: var(--color-accent) !important;
                         color: white !important;
                     }
@@ -126,7 +129,9 @@ export class SettingsUI {
                     .accordion-control-segment:first-child,
                     .pill-segment-personal:first-child,
                     .pill-segment-badge-scope:first-child,
-                    .pill-segment-accordion:first-child {
+                    .pill-segment-accordion:first-child,
+                    .pill-segment-quiet:first-child,
+                    .pill-segment-push:first-child {
                         border-right: none !important;
                     }
 
@@ -506,7 +511,19 @@ export class SettingsUI {
                 <input type="checkbox" id="toggle-personalEnabled" class="hidden">
             </div>
 
-            <!-- 6. Daily Email -->
+            <!-- 6. System Notifications (per device) -->
+            <div class="${CSS_CLASSES.DETAIL_ROW}" style="justify-content: space-between; align-items: center; margin-bottom: 20px;">
+                <div style="display: flex; flex-direction: column; gap: 0;">
+                    <span class="${CSS_CLASSES.DETAIL_LABEL}" style="color: white; font-weight: 700; font-size: 0.82rem;">System Notifications</span>
+                    <div style="font-size: 0.65rem; opacity: 0.5; color: var(--text-muted); margin-bottom: 2px; margin-top: -1px;">Pop-up alerts on this device while the app is in the background</div>
+                </div>
+                <div class="pill-container large-pill push-pill-selector" style="width: 100px;">
+                    <span class="${CSS_CLASSES.PILL_SEGMENT_PUSH}" data-value="true">On</span>
+                    <span class="${CSS_CLASSES.PILL_SEGMENT_PUSH}" data-value="false">Off</span>
+                </div>
+            </div>
+
+            <!-- 7. Daily Email -->
             <div class="${CSS_CLASSES.DETAIL_ROW}" style="justify-content: space-between; align-items: center; margin-bottom: 15px;">
                  <span class="${CSS_CLASSES.DETAIL_LABEL}" style="color: white; font-weight: 700; font-size: 0.82rem;">Daily Email</span>
                  <div class="pill-container large-pill pill-selector-email" style="width: 100px;">
@@ -526,6 +543,61 @@ export class SettingsUI {
         container.appendChild(notifCard);
 
 
+        // --- 2b. QUIET HOURS & COOLDOWNS ---
+        const cooldownRows = ALERT_COOLDOWN_TYPES.map(type => `
+                <div class="${CSS_CLASSES.DETAIL_LABEL} ${CSS_CLASSES.TEXT_XXS}">${ALERT_HISTORY_TYPE_LABELS[type]}</div>
+                <input type="number" id="${IDS.PREF_COOLDOWN_PREFIX}-${type}-hours" class="settings-input-dark standard-input compact-input" min="0" max="${ALERT_SUPPRESSION_DEFAULTS.MAX_COOLDOWN_HOURS}" step="0.5" placeholder="Off">
+                <input type="number" id="${IDS.PREF_COOLDOWN_PREFIX}-${type}-step" class="settings-input-dark standard-input compact-input" min="0" step="0.5" placeholder="Off">
+        `).join('');
+
+        const quietCard = document.createElement('div');
+        quietCard.className = CSS_CLASSES.DETAIL_CARD;
+        quietCard.innerHTML = `
+            <div class="${CSS_CLASSES.DETAIL_CARD_HEADER}" style="border-bottom: none;">
+                <h3 class="${CSS_CLASSES.DETAIL_LABEL}" style="text-decoration: none; border-bottom: none; color: white; font-size: 1.1rem; display: flex; align-items: center; gap: 8px;">
+                    <i class="fas ${UI_ICONS.QUIET_HOURS}" style="color: var(--color-accent); width: 18px; text-align: center;"></i> Quiet Hours & Cooldowns
+                </h3>
+            </div>
+
+            <!-- 1. Quiet Hours -->
+            <div class="${CSS_CLASSES.DETAIL_ROW}" style="justify-content: space-between; align-items: center; margin-bottom: 12px;">
+                <div style="display: flex; flex-direction: column; gap: 0;">
+                    <span class="${CSS_CLASSES.DETAIL_LABEL}" style="color: white; font-weight: 700; font-size: 0.82rem;">Quiet Hours</span>
+                    <div style="font-size: 0.65rem; opacity: 0.5; color: var(--text-muted); margin-bottom: 2px; margin-top: -1px;">Alerts stay listed but nothing badges</div>
+                </div>
+                <div class="pill-container large-pill quiet-pill-selector" style="width: 100px;">
+                    <span class="${CSS_CLASSES.PILL_SEGMENT_QUIET}" data-value="true">On</span>
+                    <span class="${CSS_CLASSES.PILL_SEGMENT_QUIET}" data-value="false">Off</span>
+                </div>
+                <input type="checkbox" id="${IDS.PREF_QUIET_ENABLED}" class="hidden">
+            </div>
+
+            <div class="${CSS_CLASSES.DETAIL_ROW}" style="align-items: center; gap: 10px; margin-bottom: 24px;">
+                <div style="flex: 1;">
+                    <div class="${CSS_CLASSES.DETAIL_LABEL} ${CSS_CLASSES.TEXT_XXS}" style="text-align: center;">From</div>
+                    <input type="time" id="${IDS.PREF_QUIET_START}" class="settings-input-dark standard-input compact-input" value="${ALERT_SUPPRESSION_DEFAULTS.QUIET_START}">
+                </div>
+                <div style="flex: 1;">
+                    <div class="${CSS_CLASSES.DETAIL_LABEL} ${CSS_CLASSES.TEXT_XXS}" style="text-align: center;">Until</div>
+                    <input type="time" id="${IDS.PREF_QUIET_END}" class="settings-input-dark standard-input compact-input" value="${ALERT_SUPPRESSION_DEFAULTS.QUIET_END}">
+                </div>
+            </div>
+
+            <!-- 2. Cooldowns -->
+            <div style="display: flex; flex-direction: column; gap: 0; margin-bottom: 10px;">
+                <span class="${CSS_CLASSES.DETAIL_LABEL}" style="color: white; font-weight: 700; font-size: 0.82rem;">Cooldowns</span>
+                <div style="font-size: 0.65rem; opacity: 0.5; color: var(--text-muted); margin-bottom: 2px; margin-top: -1px;">Same share and type won't re-badge until the hours pass or the move extends by the step %</div>
+            </div>
+            <div class="${CSS_CLASSES.ALERT_COOLDOWN_GRID}">
+                <div></div>
+                <div class="${CSS_CLASSES.DETAIL_LABEL} ${CSS_CLASSES.TEXT_XXS}">Hours</div>
+                <div class="${CSS_CLASSES.DETAIL_LABEL} ${CSS_CLASSES.TEXT_XXS}">Step %</div>
+                ${cooldownRows}
+            </div>
+        `;
+        container.appendChild(quietCard);
+
+
         // MOVED TO TOP
 
 
@@ -736,6 +808,17 @@ export class SettingsUI {
         // Email
         updateCheck('pref-emailAddr', prefs.alertEmailRecipients || '');
 
+        // Quiet Hours & Cooldowns
+        const quietHours = rules.quietHours || {};
+        updateCheck(IDS.PREF_QUIET_ENABLED, quietHours.enabled === true);
+        updateCheck(IDS.PREF_QUIET_START, quietHours.start || ALERT_SUPPRESSION_DEFAULTS.QUIET_START);
+        updateCheck(IDS.PREF_QUIET_END, quietHours.end || ALERT_SUPPRESSION_DEFAULTS.QUIET_END);
+        ALERT_COOLDOWN_TYPES.forEach(type => {
+            const cooldown = rules.cooldowns?.[type] || {};
+            updateCheck(`${IDS.PREF_COOLDOWN_PREFIX}-${type}-hours`, cooldown.hours > 0 ? cooldown.hours : null);
+            updateCheck(`${IDS.PREF_COOLDOWN_PREFIX}-${type}-step`, cooldown.stepPct > 0 ? cooldown.stepPct : null);
+        });
+
 
 
         // Initial Sector Population
@@ -824,7 +907,16 @@ export class SettingsUI {
                 hiloEnabled: getCheck('toggle-hiloEnabled'),
                 personalEnabled: getCheck('toggle-personalEnabled'),
                 up: harvestRules('up'),
-                down: harvestRules('down')
+                down: harvestRules('down'),
+                quietHours: {
+                    enabled: getCheck(IDS.PREF_QUIET_ENABLED) === true,
+                    start: modal.querySelector(`#${IDS.PREF_QUIET_START}`)?.value || ALERT_SUPPRESSION_DEFAULTS.QUIET_START,
+                    end: modal.querySelector(`#${IDS.PREF_QUIET_END}`)?.value || ALERT_SUPPRESSION_DEFAULTS.QUIET_END
+                },
+                cooldowns: Object.fromEntries(ALERT_COOLDOWN_TYPES.map(type => [type, {
+                    hours: getNum(`${IDS.PREF_COOLDOWN_PREFIX}-${type}-hours`) || 0,
+                    stepPct: getNum(`${IDS.PREF_COOLDOWN_PREFIX}-${type}-step`) || 0
+                }]))
             }
         };
     }
@@ -1016,6 +1108,16 @@ export class SettingsUI {
             pill.classList.toggle(CSS_CLASSES.ACTIVE, pill.dataset.value === prefs.badgeScope);
         });
 
+        const pushEnabled = AlertNotifier.isEnabled();
+        modal.querySelectorAll(`.${CSS_CLASSES.PILL_SEGMENT_PUSH}`).forEach(pill => {
+            pill.classList.toggle(CSS_CLASSES.ACTIVE, pill.dataset.value === String(pushEnabled));
+        });
+
+        const quietEnabled = rules.quietHours?.enabled === true;
+        modal.querySelectorAll(`.${CSS_CLASSES.PILL_SEGMENT_QUIET}`).forEach(pill => {
+            pill.classList.toggle(CSS_CLASSES.ACTIVE, pill.dataset.value === String(quietEnabled));
+        });
+
         const totalIndustries = Object.values(SECTOR_INDUSTRY_MAP).flat().length;
         modal.querySelectorAll('.master-pill-segment').forEach(seg => {
             const action = seg.dataset.action;
@@ -1402,8 +1504,21 @@ export class SettingsUI {
                 }
             }
 
+            // A0b. System Notifications (device-local: not part of the saved preferences)
+            const pushPill = e.target.closest(`.${CSS_CLASSES.PILL_SEGMENT_PUSH}`);
+            if (pushPill) {
+                const wanted = pushPill.dataset.value === 'true';
+                AlertNotifier.setEnabled(wanted).then(enabled => {
+                    modal.querySelectorAll(`.${CSS_CLASSES.PILL_SEGMENT_PUSH}`).forEach(p => {
+                        p.classList.toggle(CSS_CLASSES.ACTIVE, p.dataset.value === String(enabled));
+                    });
+                    if (enabled === wanted) ToastManager.show(enabled ? 'System Notifications Enabled' : 'System Notifications Disabled', 'success');
+                });
+                return;
+            }
+
             // A. Alert/Monitoring Pill Selectors
-            const pill = e.target.closest('.pill-segment-badge, .pill-segment-email, .pill-segment-override, .movers-pill-selector span, .hilo-pill-selector span, .personal-pill-selector span, .pill-segment-badge-scope');
+            const pill = e.target.closest('.pill-segment-badge, .pill-segment-email, .pill-segment-override, .movers-pill-selector span, .hilo-pill-selector span, .personal-pill-selector span, .pill-segment-badge-scope, .pill-segment-quiet');
             if (pill) {
                 const isBadgeScope = pill.classList.contains(CSS_CLASSES.PILL_SEGMENT_BADGE_SCOPE);
                 const val = isBadgeScope ? pill.dataset.value : (pill.dataset.value === 'true');
@@ -1432,6 +1547,10 @@ export class SettingsUI {
                 else if (pill.closest('.movers-pill-selector')) { targetId = 'toggle-moversEnabled'; contextMsg = 'Movers Filter updated'; }
                 else if (pill.closest('.hilo-pill-selector')) { targetId = 'toggle-hiloEnabled'; contextMsg = '52w High/Low Filter updated'; }
                 else if (pill.closest('.personal-pill-selector')) { targetId = 'toggle-personalEnabled'; contextMsg = 'Personal Filter updated'; }
+                else if (pill.classList.contains(CSS_CLASSES.PILL_SEGMENT_QUIET)) {
+                    targetId = IDS.PREF_QUIET_ENABLED;
+                    contextMsg = val ? 'Quiet Hours Enabled' : 'Quiet Hours Disabled';
+                }
 
                 if (targetId) {
                     const hiddenInput = modal.querySelector(`#${targetId}`);
@@ -1,9 +1,14 @@
 import { AppState } from '../state/AppState.js';
 import { formatCurrency, formatPercent } from '../utils/formatters.js';
-import { UI_ICONS, HTML_TEMPLATES, CSS_CLASSES, IDS, EVENTS, USER_MESSAGES, PORTFOLIO_ID, REGISTRY_OPTIONS } from '../utils/AppConstants.js';
+import { UI_ICONS, HTML_TEMPLATES, CSS_CLASSES, IDS, EVENTS, USER_MESSAGES, PORTFOLIO_ID, REGISTRY_OPTIONS, TRANSACTION_TYPES, TRANSACTION_TYPE_LABELS, ALERT_RULE_METRICS, ALERT_RULE_METRIC_LABELS, ALERT_RULE_OPERATORS, ALERT_RULE_DEFAULTS, CURRENCIES, BASE_CURRENCY_DEFAULT } from '../utils/AppConstants.js';
+import { getShareTransactions, deriveHoldings } from '../data/DataProcessor.js';
+import { AlertRuleService } from '../data/AlertRuleService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
 import { ToastManager } from './ToastManager.js';
 import { navManager } from '../utils/NavigationManager.js';
 import { KeyboardModalHandler } from '../utils/KeyboardModalHandler.js';
+import { CorporateActionUI } from './CorporateActionUI.js';
+import { notificationStore } from '../state/NotificationStore.js';
 
 /**
  * ShareFormUI.js
@@ -59,6 +64,8 @@ export class ShareFormUI {
         this._bindWatchlistDropdown(modal);
         this._bindCustomInputs(modal);
         this._bindCommentsLogic(modal, shareData);
+        this._bindLedgerLogic(modal, shareData);
+        this._bindAlertRuleLogic(modal, shareData);
         this._bindSearchEvents(modal);
         this._bindSearchResults(modal);
         this._bindPreviewUpdate(modal);
@@ -114,6 +121,7 @@ export class ShareFormUI {
                     modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`)?.click();
                 }
             });
+            this._wireCorporateActionBtn(modal, shareData);
         }
 
         // 4. Show Modal
@@ -357,6 +365,7 @@ export class ShareFormUI {
                     modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`)?.click();
                 }
             });
+            this._wireCorporateActionBtn(modal, existingShare);
         }
 
         // 4. Populate form fields
@@ -367,6 +376,12 @@ export class ShareFormUI {
         const avgPriceInput = modal.querySelector(`#${IDS.PORTFOLIO_AVG_PRICE}`);
         if (avgPriceInput) avgPriceInput.value = existingShare.portfolioAvgPrice || '';
 
+        const ledgerList = modal.querySelector(`#${IDS.TRANSACTION_LEDGER_LIST}`);
+        if (ledgerList) {
+            ledgerList.replaceChildren(...getShareTransactions(existingShare).map(txn => this._createLedgerRow(modal, txn)));
+            this._syncLedgerDerived(modal);
+        }
+
         const enteredPriceInput = modal.querySelector(`#${IDS.ENTERED_PRICE}`);
         if (enteredPriceInput) enteredPriceInput.value = existingShare.enteredPrice || existingShare.entryPrice || '';
 
@@ -376,6 +391,27 @@ export class ShareFormUI {
             entryDateInput.value = this._normalizeDateForInput(existingShare.entryDate || existingShare.purchaseDate);
         }
 
+        const currencySelect = modal.querySelector(`#${IDS.SHARE_CURRENCY}`);
+        if (currencySelect) {
+            const currency = CurrencyService.currencyOf(existingShare);
+            currencySelect.value = currency;
+            modal.querySelector(`#${IDS.PURCHASE_FX_CONTAINER}`)?.classList.toggle(CSS_CLASSES.HIDDEN, currency === BASE_CURRENCY_DEFAULT);
+            const fxInput = modal.querySelector(`#${IDS.PURCHASE_FX_RATE}`);
+            if (fxInput) fxInput.value = existingShare.purchaseFxRate || '';
+        }
+
+        const drpToggle = modal.querySelector(`#${IDS.DRP_ENABLED}`);
+        if (drpToggle) {
+            drpToggle.checked = !!existingShare.drpEnabled;
+            modal.querySelector(`#${IDS.DRP_INPUTS_CONTAINER}`)?.classList.toggle(CSS_CLASSES.HIDDEN, !existingShare.drpEnabled);
+            const drpDiscountInput = modal.querySelector(`#${IDS.DRP_DISCOUNT}`);
+            if (drpDiscountInput) drpDiscountInput.value = existingShare.drpDiscount || '';
+            const drpSinceInput = modal.querySelector(`#${IDS.DRP_SINCE}`);
+            if (drpSinceInput) drpSinceInput.value = this._normalizeDateForInput(existingShare.drpSince);
+            const drpFractionalInput = modal.querySelector(`#${IDS.DRP_FRACTIONAL}`);
+            if (drpFractionalInput) drpFractionalInput.checked = !!existingShare.drpFractional;
+        }
+
         const simulatedToggle = modal.querySelector(`#${IDS.SIMULATED_ACTIVE}`);
         const simulatedContainer = modal.querySelector('#simulatedInputsContainer');
         const qtyInput = modal.querySelector(`#${IDS.SIMULATED_QTY}`);
@@ -433,6 +469,23 @@ export class ShareFormUI {
             });
         }
 
+        // Alert Rules & Protective Alerts
+        [
+            [IDS.TRAILING_STOP_PCT, existingShare.trailingStopPct],
+            [IDS.COST_ALERT_DOWN_PCT, existingShare.costAlertDownPct],
+            [IDS.COST_ALERT_UP_PCT, existingShare.costAlertUpPct]
+        ].forEach(([id, value]) => {
+            const input = modal.querySelector(`#${id}`);
+            if (input) input.value = value || '';
+        });
+        const stopStatus = modal.querySelector(`#${IDS.TRAILING_STOP_STATUS}`);
+        if (stopStatus) stopStatus.innerHTML = this._renderTrailingStopStatus(existingShare);
+
+        const ruleList = modal.querySelector(`#${IDS.ALERT_RULE_LIST}`);
+        if (ruleList) {
+            ruleList.replaceChildren(...(existingShare.alertRules || []).map(rule => this._createAlertRuleCard(modal, rule)));
+        }
+
         // Dividends
         const divInput = modal.querySelector(`#${IDS.DIVIDEND_AMOUNT}`);
         if (divInput) divInput.value = existingShare.dividendAmount || '';
@@ -609,6 +662,9 @@ export class ShareFormUI {
                         <div id="${IDS.MODAL_SUBTITLE}" class="${CSS_CLASSES.MODAL_SUBTITLE}">${escapeHtml(initialSubtitle)}</div>
                     </div>
                     <div class="${CSS_CLASSES.MODAL_ACTIONS}" style="align-self: flex-start;">
+                        <button id="${IDS.CORPORATE_ACTION_BTN}" class="${CSS_CLASSES.MODAL_ACTION_BTN} ${CSS_CLASSES.HIDDEN}" title="Split / Consolidation / Code Change">
+                            <i class="fas ${UI_ICONS.CORPORATE_ACTION}"></i>
+                        </button>
                         <button id="${IDS.DELETE_BTN}" class="${CSS_CLASSES.MODAL_ACTION_BTN} ${CSS_CLASSES.DELETE_BTN} ${CSS_CLASSES.HIDDEN}" title="Delete">
                             <i class="fas ${UI_ICONS.DELETE}"></i>
                         </button>
@@ -672,6 +728,55 @@ export class ShareFormUI {
                                     <label for="${IDS.PORTFOLIO_AVG_PRICE}">Average Cost Price ($)</label>
                                     <input type="number" id="${IDS.PORTFOLIO_AVG_PRICE}" step="0.01" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="0.00" value="${shareData?.portfolioAvgPrice || ''}">
                                 </div>
+                                <div class="${CSS_CLASSES.FORM_GROUP}">
+                                    <label for="${IDS.SHARE_CURRENCY}">Trading Currency</label>
+                                    <select id="${IDS.SHARE_CURRENCY}" class="${CSS_CLASSES.FORM_CONTROL}" style="color: black !important;">
+                                        ${Object.entries(CURRENCIES).map(([code, label]) => `<option value="${code}" ${CurrencyService.currencyOf(shareData) === code ? 'selected' : ''} style="color: black !important;">${code} · ${label}</option>`).join('')}
+                                    </select>
+                                </div>
+                                <div id="${IDS.PURCHASE_FX_CONTAINER}" class="${CSS_CLASSES.FORM_GROUP} ${CurrencyService.currencyOf(shareData) === BASE_CURRENCY_DEFAULT ? CSS_CLASSES.HIDDEN : ''}">
+                                    <label for="${IDS.PURCHASE_FX_RATE}">Exchange Rate at Purchase <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.ITALIC}" style="font-size: 0.8em;">(units per 1 AUD, optional)</span></label>
+                                    <input type="number" id="${IDS.PURCHASE_FX_RATE}" step="0.0001" min="0" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="e.g. 0.6500" value="${shareData?.purchaseFxRate || ''}">
+                                </div>
+                                <div class="${CSS_CLASSES.FORM_GROUP}">
+                                    <label>Transactions</label>
+                                    <div id="${IDS.TRANSACTION_LEDGER_LIST}" class="${CSS_CLASSES.LEDGER_LIST}"></div>
+                                    <div id="${IDS.TRANSACTION_LEDGER_SUMMARY}" class="${CSS_CLASSES.LEDGER_SUMMARY}"></div>
+                                    <div class="${CSS_CLASSES.NOTES_FOOTER}">
+                                        <button type="button" id="${IDS.BTN_ADD_TRANSACTION}" class="${CSS_CLASSES.BTN_ADD_SIMPLE}" title="Add Transaction">
+                                            <i class="fas ${UI_ICONS.ADD}"></i>
+                                        </button>
+                                    </div>
+                                </div>
+
+                                <!-- Dividend Reinvestment Plan Switch -->
+                                <div class="${CSS_CLASSES.FORM_GROUP}" style="display: flex; align-items: center; justify-content: space-between;">
+                                    <label for="${IDS.DRP_ENABLED}" style="margin-bottom: 0; cursor: pointer;">Dividend Reinvestment (DRP)</label>
+                                    <label class="switch-small">
+                                        <input type="checkbox" id="${IDS.DRP_ENABLED}" ${shareData?.drpEnabled ? 'checked' : ''}>
+                                        <span class="slider-small round"></span>
+                                    </label>
+                                </div>
+                                <div id="${IDS.DRP_INPUTS_CONTAINER}" class="${shareData?.drpEnabled ? '' : CSS_CLASSES.HIDDEN}" style="margin-bottom: 24px; display: flex; flex-direction: column; gap: 12px;">
+                                    <div class="${CSS_CLASSES.FORM_GROUP}" style="margin-bottom: 0;">
+                                        <label for="${IDS.DRP_DISCOUNT}">DRP Price Discount (%)</label>
+                                        <input type="number" id="${IDS.DRP_DISCOUNT}" step="0.1" min="0" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="0.0" value="${shareData?.drpDiscount || ''}">
+                                    </div>
+                                    <div class="${CSS_CLASSES.FORM_GROUP}" style="margin-bottom: 0;">
+                                        <label for="${IDS.DRP_SINCE}">Participating Since (required if the purchase date is unknown)</label>
+                                        <input type="date" id="${IDS.DRP_SINCE}" class="${CSS_CLASSES.FORM_CONTROL}" value="${this._normalizeDateForInput(shareData?.drpSince)}">
+                                    </div>
+                                    <div style="display: flex; align-items: center; justify-content: space-between;">
+                                        <label for="${IDS.DRP_FRACTIONAL}" style="margin-bottom: 0; cursor: pointer;">Allot Fractional Units</label>
+                                        <label class="switch-small">
+                                            <input type="checkbox" id="${IDS.DRP_FRACTIONAL}" ${shareData?.drpFractional ? 'checked' : ''}>
+                                            <span class="slider-small round"></span>
+                                        </label>
+                                    </div>
+                                    <div class="${CSS_CLASSES.TEXT_MUTED}" style="font-size: 0.75rem;">
+                                        Reinvested units are added to Transactions automatically on each pay date.${shareData?.drpResidualCash ? ` Residual cash carried forward: ${formatCurrency(shareData.drpResidualCash)}.` : ''}
+                                    </div>
+                                </div>
                                 <div class="${CSS_CLASSES.FORM_GROUP}">
                                     <label for="${IDS.SHARE_SIGHT_CODE}">Sharesight Code <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.ITALIC}" style="font-size: 0.8em;">(Optional)</span></label>
                                     <input type="text" id="${IDS.SHARE_SIGHT_CODE}" class="${CSS_CLASSES.FORM_CONTROL} validate-trigger" placeholder="e.g. 12345" value="${shareData?.shareSightCode || ''}">
@@ -784,6 +889,39 @@ export class ShareFormUI {
                             </div>
                         </div>
 
+                        <div class="${CSS_CLASSES.ACCORDION_ITEM}" data-section="alerts">
+                            <div class="${CSS_CLASSES.ACCORDION_HEADER}">
+                                <span>Alert Rules</span>
+                                <i class="fas ${UI_ICONS.CHEVRON_DOWN}"></i>
+                            </div>
+                            <div class="${CSS_CLASSES.ACCORDION_CONTENT}">
+                                <div class="${CSS_CLASSES.FORM_GROUP}">
+                                    <label for="${IDS.TRAILING_STOP_PCT}">Trailing Stop (% below highest close)</label>
+                                    <input type="number" id="${IDS.TRAILING_STOP_PCT}" step="0.1" min="0" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="Off" value="${shareData?.trailingStopPct || ''}">
+                                    <div id="${IDS.TRAILING_STOP_STATUS}" class="${CSS_CLASSES.LEDGER_SUMMARY}">${this._renderTrailingStopStatus(shareData)}</div>
+                                </div>
+                                <div class="${CSS_CLASSES.TOGGLE_ROW}">
+                                    <div class="${CSS_CLASSES.FORM_GROUP}" style="flex: 1;">
+                                        <label for="${IDS.COST_ALERT_DOWN_PCT}">Down From Cost (%)</label>
+                                        <input type="number" id="${IDS.COST_ALERT_DOWN_PCT}" step="0.1" min="0" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="Off" value="${shareData?.costAlertDownPct || ''}">
+                                    </div>
+                                    <div class="${CSS_CLASSES.FORM_GROUP}" style="flex: 1;">
+                                        <label for="${IDS.COST_ALERT_UP_PCT}">Up From Cost (%)</label>
+                                        <input type="number" id="${IDS.COST_ALERT_UP_PCT}" step="0.1" min="0" class="${CSS_CLASSES.FORM_CONTROL}" placeholder="Off" value="${shareData?.costAlertUpPct || ''}">
+                                    </div>
+                                </div>
+                                <div class="${CSS_CLASSES.FORM_GROUP}">
+                                    <label>Rules fire when every condition holds</label>
+                                    <div id="${IDS.ALERT_RULE_LIST}" class="${CSS_CLASSES.ALERT_RULE_LIST}"></div>
+                                    <div class="${CSS_CLASSES.NOTES_FOOTER}">
+                                        <button type="button" id="${IDS.BTN_ADD_ALERT_RULE}" class="${CSS_CLASSES.BTN_ADD_SIMPLE}" title="Add Alert Rule">
+                                            <i class="fas ${UI_ICONS.ADD}"></i>
+                                        </button>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+
                         <div class="${CSS_CLASSES.ACCORDION_ITEM}" data-section="dividends">
                             <div class="${CSS_CLASSES.ACCORDION_HEADER}">
                                 <span>Dividends</span>
@@ -1004,6 +1142,8 @@ export class ShareFormUI {
                             if (input.type === 'number') input.value = '';
                             else if (input.type === 'date' || input.type === 'text') input.value = '';
                         });
+                        holdingsSection.querySelector(`#${IDS.TRANSACTION_LEDGER_LIST}`)?.replaceChildren();
+                        ShareFormUI._syncLedgerDerived(modal);
                     }
                 }
 
@@ -1053,6 +1193,30 @@ export class ShareFormUI {
             });
         }
 
+        // Currency Bindings: a purchase rate only applies to shares traded outside AUD
+        const currencySelect = modal.querySelector(`#${IDS.SHARE_CURRENCY}`);
+        if (currencySelect) {
+            currencySelect.addEventListener('change', () => {
+                modal.querySelector(`#${IDS.PURCHASE_FX_CONTAINER}`)?.classList.toggle(CSS_CLASSES.HIDDEN, currencySelect.value === BASE_CURRENCY_DEFAULT);
+                ShareFormUI._validateForm(modal);
+            });
+        }
+        modal.querySelector(`#${IDS.PURCHASE_FX_RATE}`)?.addEventListener('input', () => ShareFormUI._validateForm(modal));
+
+        // DRP Bindings
+        const drpToggle = modal.querySelector(`#${IDS.DRP_ENABLED}`);
+        if (drpToggle) {
+            drpToggle.addEventListener('change', () => {
+                modal.querySelector(`#${IDS.DRP_INPUTS_CONTAINER}`)?.classList.toggle(CSS_CLASSES.HIDDEN, !drpToggle.checked);
+                const sinceInput = modal.querySelector(`#${IDS.DRP_SINCE}`);
+                if (drpToggle.checked && sinceInput && !sinceInput.value) {
+                    sinceInput.value = new Date().toISOString().substring(0, 10);
+                }
+                ShareFormUI._validateForm(modal);
+            });
+        }
+        modal.querySelector(`#${IDS.DRP_FRACTIONAL}`)?.addEventListener('change', () => ShareFormUI._validateForm(modal));
+
         // Simulated Position Bindings
         const simulatedToggle = modal.querySelector(`#${IDS.SIMULATED_ACTIVE}`);
         const simulatedContainer = modal.querySelector('#simulatedInputsContainer');
@@ -1156,6 +1320,392 @@ export class ShareFormUI {
         if (area && area.children.length === 0) addNote();
     }
 
+    /**
+     * Binds the Holdings transaction ledger (buy, sell, DRP, split, consolidation).
+     * While the ledger has rows, Units Held / Average Cost are derived from it and read-only.
+     */
+    static _bindLedgerLogic(modal, shareData = null) {
+        const btn = modal.querySelector(`#${IDS.BTN_ADD_TRANSACTION}`);
+        const list = modal.querySelector(`#${IDS.TRANSACTION_LEDGER_LIST}`);
+        if (!list) return;
+
+        if (btn) {
+            btn.addEventListener('click', () => {
+                const priceInput = modal.querySelector(`#${IDS.PORTFOLIO_AVG_PRICE}`);
+                const row = this._createLedgerRow(modal, {
+                    type: TRANSACTION_TYPES.BUY,
+                    date: new Date().toISOString().substring(0, 10),
+                    quantity: '',
+                    price: list.children.length === 0 ? (priceInput?.value || '') : '',
+                    brokerage: ''
+                });
+                list.appendChild(row);
+                this._syncLedgerDerived(modal);
+                ShareFormUI._validateForm(modal);
+            });
+        }
+
+        // Pre-fill existing ledger (legacy holdings appear as a single opening buy)
+        getShareTransactions(shareData).forEach(txn => {
+            list.appendChild(this._createLedgerRow(modal, txn));
+        });
+        this._syncLedgerDerived(modal);
+    }
+
+    /**
+     * Builds one editable ledger row.
+     * @param {HTMLElement} modal
+     * @param {Object} txn
+     * @returns {HTMLElement}
+     */
+    static _createLedgerRow(modal, txn) {
+        const row = document.createElement('div');
+        row.className = CSS_CLASSES.LEDGER_ROW;
+        row.dataset.txnId = (txn.id && !txn.isSynthetic) ? txn.id : `txn_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+        if (txn.isAccrued) {
+            row.dataset.accrued = 'true';
+            row.title = 'Reinvested automatically (DRP). Editing this row makes it a manual entry.';
+        }
+
+        const typeOptions = Object.values(TRANSACTION_TYPES)
+            .map(t => `<option value="${t}" ${txn.type === t ? 'selected' : ''} style="color: black !important;">${TRANSACTION_TYPE_LABELS[t]}</option>`)
+            .join('');
+
+        row.innerHTML = `
+            <select class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD}" data-field="type" style="color: black !important;">${typeOptions}</select>
+            <input type="date" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD}" data-field="date" value="${escapeHtml(txn.date || '')}">
+            <input type="number" step="any" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD}" data-field="quantity" placeholder="Qty" value="${txn.quantity ?? ''}">
+            <input type="number" step="0.0001" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD}" data-field="price" placeholder="Price $" value="${txn.price ?? ''}">
+            <input type="number" step="0.01" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD}" data-field="brokerage" placeholder="Brokerage $" value="${txn.brokerage || ''}">
+            <select class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD} ${CSS_CLASSES.LEDGER_LOT_PICK}" data-field="lotTxnId" data-selected="${escapeHtml(txn.lotTxnId || '')}" title="Parcel sold (used by the Manual Parcel Pick CGT method)" style="color: black !important;"></select>
+            <div class="${CSS_CLASSES.LEDGER_RATIO}">
+                <input type="number" step="any" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD}" data-field="ratioFrom" placeholder="Old" value="${txn.ratioFrom ?? ''}">
+                <span>:</span>
+                <input type="number" step="any" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.LEDGER_FIELD}" data-field="ratioTo" placeholder="New" value="${txn.ratioTo ?? ''}">
+            </div>
+            <button type="button" class="${CSS_CLASSES.LEDGER_REMOVE_BTN}" title="Remove Transaction">
+                <i class="fas ${UI_ICONS.CLOSE}"></i>
+            </button>
+        `;
+
+        const applyTypeLayout = () => {
+            const type = row.querySelector('[data-field="type"]').value;
+            const isRatio = type === TRANSACTION_TYPES.SPLIT || type === TRANSACTION_TYPES.CONSOLIDATION;
+            ['quantity', 'price', 'brokerage'].forEach(f => {
+                row.querySelector(`[data-field="${f}"]`).classList.toggle(CSS_CLASSES.HIDDEN, isRatio);
+            });
+            row.querySelector(`.${CSS_CLASSES.LEDGER_RATIO}`).classList.toggle(CSS_CLASSES.HIDDEN, !isRatio);
+            row.querySelector('[data-field="lotTxnId"]').classList.toggle(CSS_CLASSES.HIDDEN, type !== TRANSACTION_TYPES.SELL);
+        };
+        applyTypeLayout();
+
+        row.querySelectorAll(`.${CSS_CLASSES.LEDGER_FIELD}`).forEach(input => {
+            const onChange = () => {
+                if (input.dataset.field !== 'lotTxnId') delete row.dataset.accrued;
+                if (input.dataset.field === 'type') applyTypeLayout();
+                this._syncLedgerDerived(modal);
+                ShareFormUI._validateForm(modal);
+            };
+            input.addEventListener('input', onChange);
+            input.addEventListener('change', onChange);
+        });
+
+        row.querySelector(`.${CSS_CLASSES.LEDGER_REMOVE_BTN}`).addEventListener('click', () => {
+            row.remove();
+            this._syncLedgerDerived(modal);
+            ShareFormUI._validateForm(modal);
+        });
+
+        return row;
+    }
+
+    /**
+     * Current trailing stop level for a saved share (high-water mark from NotificationStore).
+     * @param {Object|null} share
+     * @returns {string} HTML
+     */
+    static _renderTrailingStopStatus(share) {
+        const pct = parseFloat(share?.trailingStopPct) || 0;
+        const code = String(share?.shareName || '').toUpperCase();
+        const mark = code ? notificationStore?.highWaterMarks?.[code] : null;
+        if (!(pct > 0) || !mark || !(mark.high > 0)) {
+            return `<span class="${CSS_CLASSES.LEDGER_EMPTY}">Tracks the highest close from when the stop is saved. Holdings only for cost alerts.</span>`;
+        }
+        return `<span>High ${formatCurrency(mark.high)} since ${mark.since}</span><span>Stop ${formatCurrency(mark.high * (1 - pct / 100))}</span>`;
+    }
+
+    /**
+     * Binds the compound alert rule builder. Each rule card holds AND-ed condition rows.
+     */
+    static _bindAlertRuleLogic(modal, shareData = null) {
+        const btn = modal.querySelector(`#${IDS.BTN_ADD_ALERT_RULE}`);
+        const list = modal.querySelector(`#${IDS.ALERT_RULE_LIST}`);
+        if (!list) return;
+
+        if (btn) {
+            btn.addEventListener('click', () => {
+                list.appendChild(this._createAlertRuleCard(modal, {
+                    enabled: true,
+                    conditions: [{ metric: ALERT_RULE_METRICS.PRICE_VS_MA, op: ALERT_RULE_OPERATORS.BELOW, value: '', period: ALERT_RULE_DEFAULTS.PERIOD }]
+                }));
+                ShareFormUI._validateForm(modal);
+            });
+        }
+
+        (shareData?.alertRules || []).forEach(rule => {
+            list.appendChild(this._createAlertRuleCard(modal, rule));
+        });
+    }
+
+    /**
+     * Builds one alert rule card: name, enabled switch and its condition rows.
+     * @param {HTMLElement} modal
+     * @param {Object} rule
+     * @returns {HTMLElement}
+     */
+    static _createAlertRuleCard(modal, rule) {
+        const card = document.createElement('div');
+        card.className = CSS_CLASSES.ALERT_RULE_CARD;
+        card.dataset.ruleId = rule.id || `rule_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`;
+
+        card.innerHTML = `
+            <div class="${CSS_CLASSES.ALERT_RULE_HEADER}">
+                <input type="text" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.ALERT_RULE_NAME}" placeholder="Rule name (optional)" maxlength="60" value="${escapeHtml(rule.name || '')}">
+                <label class="switch-small" title="Rule enabled">
+                    <input type="checkbox" data-field="enabled" ${rule.enabled !== false ? 'checked' : ''}>
+                    <span class="slider-small round"></span>
+                </label>
+                <button type="button" class="${CSS_CLASSES.ALERT_RULE_REMOVE_BTN}" title="Remove Rule">
+                    <i class="fas ${UI_ICONS.CLOSE}"></i>
+                </button>
+            </div>
+            <div data-role="conditions"></div>
+            <button type="button" class="${CSS_CLASSES.BTN_TEXT_SMALL} ${CSS_CLASSES.ALERT_RULE_ADD_CONDITION}">
+                <i class="fas ${UI_ICONS.ADD}"></i> AND condition
+            </button>
+        `;
+
+        const conditions = card.querySelector('[data-role="conditions"]');
+        (rule.conditions || []).forEach(c => conditions.appendChild(this._createAlertConditionRow(modal, c)));
+
+        card.querySelector(`.${CSS_CLASSES.ALERT_RULE_ADD_CONDITION}`).addEventListener('click', () => {
+            conditions.appendChild(this._createAlertConditionRow(modal, { metric: ALERT_RULE_METRICS.DAY_CHANGE_PCT, op: ALERT_RULE_OPERATORS.BELOW, value: '' }));
+            ShareFormUI._validateForm(modal);
+        });
+
+        card.querySelector(`.${CSS_CLASSES.ALERT_RULE_REMOVE_BTN}`).addEventListener('click', () => {
+            card.remove();
+            ShareFormUI._validateForm(modal);
+        });
+
+        card.querySelectorAll(`.${CSS_CLASSES.ALERT_RULE_NAME}, [data-field="enabled"]`).forEach(input => {
+            input.addEventListener('input', () => ShareFormUI._validateForm(modal));
+            input.addEventListener('change', () => ShareFormUI._validateForm(modal));
+        });
+
+        return card;
+    }
+
+    /**
+     * Builds one condition row (metric, above/below, value, lookback days).
+     * @param {HTMLElement} modal
+     * @param {Object} condition
+     * @returns {HTMLElement}
+     */
+    static _createAlertConditionRow(modal, condition) {
+        const row = document.createElement('div');
+        row.className = CSS_CLASSES.ALERT_RULE_CONDITION;
+
+        const metricOptions = Object.values(ALERT_RULE_METRICS)
+            .map(m => `<option value="${m}" ${condition.metric === m ? 'selected' : ''} style="color: black !important;">${ALERT_RULE_METRIC_LABELS[m]}</option>`)
+            .join('');
+
+        row.innerHTML = `
+            <select class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.ALERT_RULE_FIELD}" data-field="metric" style="color: black !important;">${metricOptions}</select>
+            <select class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.ALERT_RULE_FIELD}" data-field="op" style="color: black !important;">
+                <option value="${ALERT_RULE_OPERATORS.BELOW}" ${condition.op !== ALERT_RULE_OPERATORS.ABOVE ? 'selected' : ''} style="color: black !important;">Below</option>
+                <option value="${ALERT_RULE_OPERATORS.ABOVE}" ${condition.op === ALERT_RULE_OPERATORS.ABOVE ? 'selected' : ''} style="color: black !important;">Above</option>
+            </select>
+            <input type="number" step="any" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.ALERT_RULE_FIELD}" data-field="value" value="${condition.value ?? ''}">
+            <input type="number" step="1" min="2" max="${ALERT_RULE_DEFAULTS.MAX_PERIOD}" class="${CSS_CLASSES.FORM_CONTROL} ${CSS_CLASSES.ALERT_RULE_FIELD}" data-field="period" placeholder="Days" title="Lookback (trading days)" value="${condition.period ?? ALERT_RULE_DEFAULTS.PERIOD}">
+            <button type="button" class="${CSS_CLASSES.LEDGER_REMOVE_BTN}" title="Remove Condition">
+                <i class="fas ${UI_ICONS.CLOSE}"></i>
+            </button>
+        `;
+
+        const placeholders = {
+            [ALERT_RULE_METRICS.PRICE]: 'Price $',
+            [ALERT_RULE_METRICS.DAY_CHANGE_PCT]: 'e.g. -3',
+            [ALERT_RULE_METRICS.PRICE_VS_MA]: 'Offset % (0)',
+            [ALERT_RULE_METRICS.VOLUME_VS_AVG]: 'e.g. 2'
+        };
+        const applyMetricLayout = () => {
+            const metric = row.querySelector('[data-field="metric"]').value;
+            const usesPeriod = metric === ALERT_RULE_METRICS.PRICE_VS_MA || metric === ALERT_RULE_METRICS.VOLUME_VS_AVG;
+            row.querySelector('[data-field="period"]').classList.toggle(CSS_CLASSES.HIDDEN, !usesPeriod);
+            row.querySelector('[data-field="value"]').placeholder = placeholders[metric] || '';
+        };
+        applyMetricLayout();
+
+        row.querySelectorAll(`.${CSS_CLASSES.ALERT_RULE_FIELD}`).forEach(input => {
+            const onChange = () => {
+                if (input.dataset.field === 'metric') applyMetricLayout();
+                ShareFormUI._validateForm(modal);
+            };
+            input.addEventListener('input', onChange);
+            input.addEventListener('change', onChange);
+        });
+
+        row.querySelector(`.${CSS_CLASSES.LEDGER_REMOVE_BTN}`).addEventListener('click', () => {
+            row.remove();
+            ShareFormUI._validateForm(modal);
+        });
+
+        return row;
+    }
+
+    /**
+     * Reads the rule cards back into rules. Incomplete conditions are dropped
+     * (AlertRuleService.normalizeRule), as are rules left without any.
+     * @param {HTMLElement} modal
+     * @returns {Array<Object>}
+     */
+    static _readAlertRules(modal) {
+        const cards = modal.querySelectorAll(`#${IDS.ALERT_RULE_LIST} .${CSS_CLASSES.ALERT_RULE_CARD}`);
+        return [...cards].map(card => AlertRuleService.normalizeRule({
+            id: card.dataset.ruleId,
+            name: card.querySelector(`.${CSS_CLASSES.ALERT_RULE_NAME}`)?.value || '',
+            enabled: card.querySelector('[data-field="enabled"]')?.checked !== false,
+            conditions: [...card.querySelectorAll(`.${CSS_CLASSES.ALERT_RULE_CONDITION}`)].map(row => {
+                const field = (name) => row.querySelector(`[data-field="${name}"]`)?.value ?? '';
+                return { metric: field('metric'), op: field('op'), value: field('value'), period: field('period') };
+            })
+        })).filter(Boolean);
+    }
+
+    /**
+     * Shows the corporate action button for a saved share. The action is written
+     * straight to Firestore, so the (now stale) edit form is closed once it is applied.
+     * @param {HTMLElement} modal
+     * @param {Object} share
+     */
+    static _wireCorporateActionBtn(modal, share) {
+        const btn = modal.querySelector(`#${IDS.CORPORATE_ACTION_BTN}`);
+        if (!btn || !share || !share.id) return;
+
+        // Replace to drop any listener from a previous Add -> Edit switch
+        const freshBtn = btn.cloneNode(true);
+        btn.replaceWith(freshBtn);
+        freshBtn.classList.remove(CSS_CLASSES.HIDDEN);
+        freshBtn.addEventListener('click', () => {
+            CorporateActionUI.showModal(share, () => {
+                modal.querySelector(`.${CSS_CLASSES.MODAL_CLOSE_BTN}`)?.click();
+            });
+        });
+    }
+
+    /**
+     * Reads the ledger rows back into transaction objects (oldest first).
+     * @param {HTMLElement} modal
+     * @returns {Array<Object>}
+     */
+    static _readLedgerRows(modal) {
+        const rows = modal.querySelectorAll(`#${IDS.TRANSACTION_LEDGER_LIST} .${CSS_CLASSES.LEDGER_ROW}`);
+        const num = (row, field) => parseFloat(row.querySelector(`[data-field="${field}"]`)?.value) || 0;
+
+        return [...rows].map(row => {
+            const type = row.querySelector('[data-field="type"]').value;
+            const txn = {
+                id: row.dataset.txnId,
+                type: type,
+                date: row.querySelector('[data-field="date"]').value || ''
+            };
+            if (type === TRANSACTION_TYPES.SPLIT || type === TRANSACTION_TYPES.CONSOLIDATION) {
+                txn.ratioFrom = num(row, 'ratioFrom');
+                txn.ratioTo = num(row, 'ratioTo');
+            } else {
+                txn.quantity = num(row, 'quantity');
+                txn.price = num(row, 'price');
+                txn.brokerage = num(row, 'brokerage');
+                const lotTxnId = row.querySelector('[data-field="lotTxnId"]')?.value;
+                if (type === TRANSACTION_TYPES.SELL && lotTxnId) txn.lotTxnId = lotTxnId;
+                if (row.dataset.accrued) txn.isAccrued = true;
+            }
+            return txn;
+        }).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Rebuilds each sell row's parcel picker from the buy / DRP rows dated on or before the sale.
+     * A pick that no longer matches a parcel reverts to Auto.
+     * @param {HTMLElement} modal
+     */
+    static _refreshLotPickers(modal) {
+        const rows = [...modal.querySelectorAll(`#${IDS.TRANSACTION_LEDGER_LIST} .${CSS_CLASSES.LEDGER_ROW}`)];
+        const field = (row, name) => row.querySelector(`[data-field="${name}"]`)?.value || '';
+
+        const parcels = rows
+            .filter(row => [TRANSACTION_TYPES.BUY, TRANSACTION_TYPES.DRP].includes(field(row, 'type')))
+            .map(row => ({
+                id: row.dataset.txnId,
+                date: field(row, 'date'),
+                label: `${field(row, 'date') || 'Undated'} · ${TRANSACTION_TYPE_LABELS[field(row, 'type')]} ${field(row, 'quantity') || 0} @ $${field(row, 'price') || 0}`
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        rows.forEach(row => {
+            const picker = row.querySelector('[data-field="lotTxnId"]');
+            if (!picker) return;
+
+            // First render restores the saved pick; afterwards the live selection wins
+            const selected = picker.dataset.ready ? picker.value : (picker.dataset.selected || '');
+            const sellDate = field(row, 'date');
+            const eligible = parcels.filter(p => !sellDate || !p.date || p.date <= sellDate);
+
+            picker.innerHTML = `<option value="" style="color: black !important;">Auto parcel</option>` + eligible
+                .map(p => `<option value="${escapeHtml(p.id)}" style="color: black !important;">${escapeHtml(p.label)}</option>`)
+                .join('');
+            picker.value = eligible.some(p => p.id === selected) ? selected : '';
+            picker.dataset.ready = 'true';
+        });
+    }
+
+    /**
+     * Mirrors the ledger-derived holdings into the Units / Average Cost inputs and summary line.
+     * @param {HTMLElement} modal
+     */
+    static _syncLedgerDerived(modal) {
+        const unitsInput = modal.querySelector(`#${IDS.PORTFOLIO_SHARES}`);
+        const avgInput = modal.querySelector(`#${IDS.PORTFOLIO_AVG_PRICE}`);
+        const summary = modal.querySelector(`#${IDS.TRANSACTION_LEDGER_SUMMARY}`);
+        this._refreshLotPickers(modal);
+        const transactions = this._readLedgerRows(modal);
+        const hasLedger = transactions.length > 0;
+
+        [unitsInput, avgInput].forEach(input => {
+            if (input) input.readOnly = hasLedger;
+        });
+
+        if (!hasLedger) {
+            if (summary) summary.innerHTML = `<span class="${CSS_CLASSES.LEDGER_EMPTY}">No transactions recorded. Units and cost above are used as-is.</span>`;
+            return;
+        }
+
+        const holdings = deriveHoldings(transactions);
+        if (unitsInput) unitsInput.value = Number(holdings.units.toFixed(4));
+        if (avgInput) avgInput.value = holdings.averageCost ? Number(holdings.averageCost.toFixed(4)) : '';
+
+        if (summary) {
+            const realised = holdings.realisedPnL;
+            const realisedClass = realised > 0 ? CSS_CLASSES.TEXT_POSITIVE : (realised < 0 ? CSS_CLASSES.TEXT_NEGATIVE : CSS_CLASSES.TEXT_MUTED);
+            summary.innerHTML = `
+                <span>Cost Base: ${formatCurrency(holdings.costBase)}</span>
+                <span class="${realisedClass}">Realised P/L: ${realised < 0 ? '-' : ''}${formatCurrency(Math.abs(realised))}</span>
+                ${holdings.oversoldUnits > 0 ? `<span class="${CSS_CLASSES.TEXT_WARNING}"><i class="fas ${UI_ICONS.EXCLAMATION_TRIANGLE}"></i> ${Number(holdings.oversoldUnits.toFixed(4))} units sold beyond the holding are ignored</span>` : ''}
+            `;
+        }
+    }
+
     static _bindSearchEvents(modal) {
         const input = modal.querySelector(`#${IDS.SHARE_NAME}`);
         const list = modal.querySelector(`#${IDS.SUGGESTION_LIST}`);
@@ -1421,6 +1971,10 @@ export class ShareFormUI {
                 });
             }
         });
+        // LEDGER: Holdings are derived from the transaction history when one exists
+        const transactions = this._readLedgerRows(modal);
+        const holdings = transactions.length > 0 ? deriveHoldings(transactions) : null;
+
         const rawId = getVal('shareId');
         const dataId = currentData?.id;
         const resolvedId = rawId || dataId || null;
@@ -1432,11 +1986,18 @@ export class ShareFormUI {
             targetDirection: getVal(IDS.TARGET_DIRECTION_INPUT) || 'below',
             buySell: getVal(IDS.BUY_SELL_INPUT) || 'buy',
             starRating: parseInt(getVal(IDS.STAR_RATING_INPUT)) || 0,
-            portfolioShares: getNum(IDS.PORTFOLIO_SHARES),
-            portfolioAvgPrice: getNum(IDS.PORTFOLIO_AVG_PRICE),
+            portfolioShares: holdings ? Number(holdings.units.toFixed(4)) : getNum(IDS.PORTFOLIO_SHARES),
+            portfolioAvgPrice: holdings ? Number(holdings.averageCost.toFixed(4)) : getNum(IDS.PORTFOLIO_AVG_PRICE),
+            transactions: transactions,
+            alertRules: this._readAlertRules(modal),
+            trailingStopPct: getNum(IDS.TRAILING_STOP_PCT),
+            costAlertDownPct: getNum(IDS.COST_ALERT_DOWN_PCT),
+            costAlertUpPct: getNum(IDS.COST_ALERT_UP_PCT),
             shareSightCode: getVal(IDS.SHARE_SIGHT_CODE) || '',
             shareRegistry: getVal(IDS.SHARE_REGISTRY) || '',
-            purchaseDate: getVal(IDS.PURCHASE_DATE) || '',
+            currency: getVal(IDS.SHARE_CURRENCY) || BASE_CURRENCY_DEFAULT,
+            purchaseFxRate: getVal(IDS.SHARE_CURRENCY) && getVal(IDS.SHARE_CURRENCY) !== BASE_CURRENCY_DEFAULT ? getNum(IDS.PURCHASE_FX_RATE) : null,
+            purchaseDate: (holdings && holdings.lastBuyDate) || getVal(IDS.PURCHASE_DATE) || '',
             enteredPrice: getNum(IDS.ENTERED_PRICE),
             entryPrice: getNum(IDS.ENTERED_PRICE),
             entryDate: getVal(IDS.ENTRY_DATE) || '',
@@ -1446,6 +2007,10 @@ export class ShareFormUI {
             frankedYield: getNum(IDS.FRANKED_YIELD),
             comments: comments,
             watchlists: selectedWatchlists,
+            drpEnabled: modal.querySelector(`#${IDS.DRP_ENABLED}`)?.checked || false,
+            drpDiscount: getNum(IDS.DRP_DISCOUNT),
+            drpSince: getVal(IDS.DRP_SINCE) || '',
+            drpFractional: modal.querySelector(`#${IDS.DRP_FRACTIONAL}`)?.checked || false,
             simulatedActive: modal.querySelector(`#${IDS.SIMULATED_ACTIVE}`)?.checked || false,
             simulatedQty: parseFloat(modal.querySelector(`#${IDS.SIMULATED_QTY}`)?.value) || 0,
             simulatedValue: parseFloat(modal.querySelector(`#${IDS.SIMULATED_VALUE}`)?.value) || 0
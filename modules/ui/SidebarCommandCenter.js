@@ -5,6 +5,7 @@ import { notificationStore } from '../state/NotificationStore.js'; // FIX: Inter
 import { ToastManager } from './ToastManager.js';
 import { VisualSettingsHUD } from './VisualSettingsHUD.js';
 import { AuthService } from '../auth/AuthService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
 
 
 
@@ -115,8 +116,9 @@ export class SidebarCommandCenter {
                 const currentPrice = live.live !== undefined ? live.live : (share.lastPrice || 0);
                 const prevClose = live.prevClose !== undefined ? live.prevClose : (share.previousClose || share.lastPrice || 0);
 
-                const val = units * currentPrice;
-                const prevVal = units * prevClose;
+                const fx = CurrencyService.rate(CurrencyService.currencyOf(share)) || { now: 1, previous: 1 };
+                const val = units * currentPrice * fx.now;
+                const prevVal = units * prevClose * fx.previous;
 
                 totalVal += val;
                 totalDayChange += (val - prevVal);
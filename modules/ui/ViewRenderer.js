@@ -7,7 +7,7 @@
 
 import { formatCurrency, formatPercent, formatFriendlyDate } from '../utils/formatters.js';
 import { AppState } from '../state/AppState.js';
-import { SORT_OPTIONS, UI_ICONS, UI_LABELS, USER_MESSAGES, RESEARCH_LINKS_TEMPLATE, CSS_CLASSES, IDS, EVENTS, SUMMARY_TYPES, STORAGE_KEYS, PORTFOLIO_ID, SIMULATIONS_WATCHLIST_ID, KANGAROO_ICON_SRC, KANGAROO_ICON_SVG, VIEW_MODES, FALLBACK_SECTOR_MAP, GEMINI_PROMPTS, REGISTRY_LINKS } from '../utils/AppConstants.js';
+import { SORT_OPTIONS, UI_ICONS, UI_LABELS, USER_MESSAGES, RESEARCH_LINKS_TEMPLATE, CSS_CLASSES, IDS, EVENTS, SUMMARY_TYPES, STORAGE_KEYS, PORTFOLIO_ID, SIMULATIONS_WATCHLIST_ID, KANGAROO_ICON_SRC, KANGAROO_ICON_SVG, VIEW_MODES, FALLBACK_SECTOR_MAP, GEMINI_PROMPTS, REGISTRY_LINKS, ALERT_HISTORY_LIMITS, ANNOUNCEMENT_CATEGORY_LABELS, ANNOUNCEMENT_DETAIL_PREVIEW } from '../utils/AppConstants.js';
 import { WidgetPanel } from './WidgetPanel.js';
 import { LinkHelper } from '../utils/LinkHelper.js';
 import { ToastManager } from './ToastManager.js';
@@ -17,6 +17,11 @@ import { MiniChartPreview, ChartModal } from './ChartModal.js';
 import { SparklinePreview } from './SparklinePreview.js';
 import { SharePieChart } from './SharePieChart.js';
 import { DividendService } from '../data/DividendService.js';
+import { PerformanceService } from '../data/PerformanceService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
+import { PerformanceUI } from './PerformanceUI.js';
+import { AlertHistoryUI } from './AlertHistoryUI.js';
+import { notificationStore } from '../state/NotificationStore.js';
 
 export class ViewRenderer {
     constructor() {
@@ -185,15 +190,16 @@ export class ViewRenderer {
             if (sumContainer) {
                 // Portfolio Value
                 const valNode = sumContainer.querySelector(`[data-type="${SUMMARY_TYPES.VALUE}"] .${CSS_CLASSES.METRIC_VALUE_LARGE}`);
-                if (valNode) valNode.textContent = formatCurrency(summaryMetrics.totalValue);
+                if (valNode) valNode.textContent = this._holdingMoney(summaryMetrics.totalValue, summaryMetrics);
 
                 // Day Change
                 const dayNode = sumContainer.querySelector(`[data-type="${SUMMARY_TYPES.DAY_CHANGE}"]`);
                 if (dayNode) {
+                    dayNode.title = this._fxImpactTitle(summaryMetrics.dayFxImpact);
                     const lNode = dayNode.querySelector(`.${CSS_CLASSES.METRIC_VALUE_LARGE}`);
                     const pNode = dayNode.querySelector(`.${CSS_CLASSES.METRIC_PERCENT_SMALL}`);
                     if (lNode) {
-                        lNode.textContent = formatCurrency(Math.abs(summaryMetrics.dayChangeValue));
+                        lNode.textContent = formatCurrency(Math.abs(summaryMetrics.dayChangeValue), CurrencyService.baseCurrency());
                         lNode.className = `${CSS_CLASSES.METRIC_VALUE_LARGE} ${summaryMetrics.dayChangeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}`;
                     }
                     if (pNode) {
@@ -208,7 +214,7 @@ export class ViewRenderer {
                     const glNode = gainNode.querySelector(`.${CSS_CLASSES.METRIC_VALUE_LARGE}`);
                     const gpNode = gainNode.querySelector(`.${CSS_CLASSES.METRIC_PERCENT_SMALL}`);
                     if (glNode) {
-                        glNode.textContent = formatCurrency(Math.abs(summaryMetrics.dayGain || 0));
+                        glNode.textContent = formatCurrency(Math.abs(summaryMetrics.dayGain || 0), CurrencyService.baseCurrency());
                     }
                     if (gpNode) {
                         gpNode.textContent = formatPercent(summaryMetrics.dayGainPercent || 0);
@@ -221,7 +227,7 @@ export class ViewRenderer {
                     const llNode = lossNode.querySelector(`.${CSS_CLASSES.METRIC_VALUE_LARGE}`);
                     const lpNode = lossNode.querySelector(`.${CSS_CLASSES.METRIC_PERCENT_SMALL}`);
                     if (llNode) {
-                        llNode.textContent = formatCurrency(Math.abs(summaryMetrics.dayLoss || 0));
+                        llNode.textContent = formatCurrency(Math.abs(summaryMetrics.dayLoss || 0), CurrencyService.baseCurrency());
                     }
                     if (lpNode) {
                         lpNode.textContent = formatPercent(summaryMetrics.dayLossPercent || 0);
@@ -231,11 +237,12 @@ export class ViewRenderer {
                 // Total Capital Gain
                 const capNode = sumContainer.querySelector(`[data-type="${SUMMARY_TYPES.CAPITAL_GAIN}"]`);
                 if (capNode) {
+                    capNode.title = this._fxImpactTitle(summaryMetrics.gainFxImpact);
                     const clNode = capNode.querySelector(`.${CSS_CLASSES.METRIC_VALUE_LARGE}`);
                     const cpNode = capNode.querySelector(`.${CSS_CLASSES.METRIC_PERCENT_SMALL}`);
                     const isTotalPos = summaryMetrics.totalReturn >= 0;
                     if (clNode) {
-                        clNode.textContent = formatCurrency(Math.abs(summaryMetrics.totalReturn || 0));
+                        clNode.textContent = formatCurrency(Math.abs(summaryMetrics.totalReturn || 0), CurrencyService.baseCurrency());
                         clNode.className = `${CSS_CLASSES.METRIC_VALUE_LARGE} ${isTotalPos ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}`;
                     }
                     if (cpNode) {
@@ -258,6 +265,7 @@ export class ViewRenderer {
             const price = item.currentPrice || 0;
             const changePercent = item.dayChangePercent || 0;
             const changeValue = isPortfolioView ? (item.dayChangeValue || 0) : (item.dayChangePerShare || 0);
+            const formatChange = (amount) => (isPortfolioView ? this._holdingMoney(amount, item) : this._priceMoney(amount, item));
 
             nodes.forEach(node => {
                 const targetNode = node.classList.contains(CSS_CLASSES.CARD) || node.tagName.toLowerCase() === 'tr' ? node : node.closest(`.${CSS_CLASSES.CARD}, tr`);
@@ -278,12 +286,12 @@ export class ViewRenderer {
 
                 // Update Price
                 const priceNode = targetNode.querySelector(`.${CSS_CLASSES.CARD_PRICE}`);
-                if (priceNode) priceNode.textContent = formatCurrency(price);
+                if (priceNode) priceNode.textContent = this._priceMoney(price, item);
 
                 // Update Change Value & Percent
                 const valNode = targetNode.querySelector(`.${CSS_CLASSES.CHANGE_VALUE}`);
                 if (valNode) {
-                    valNode.textContent = formatCurrency(Math.abs(changeValue));
+                    valNode.textContent = formatChange(Math.abs(changeValue));
                     valNode.className = `${CSS_CLASSES.CHANGE_VALUE} ${changeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}`;
                 }
 
@@ -300,19 +308,19 @@ export class ViewRenderer {
                     const capitalGain = item.capitalGain || 0;
 
                     const valuationNode = targetNode.querySelector(`.${CSS_CLASSES.SIM_VALUATION_VAL}`);
-                    if (valuationNode) valuationNode.textContent = formatCurrency(value);
+                    if (valuationNode) valuationNode.textContent = this._holdingMoney(value, item);
 
                     const pnlNode = targetNode.querySelector(`.${CSS_CLASSES.SIM_PNL_VAL}`);
                     if (pnlNode) {
-                        pnlNode.textContent = formatCurrency(Math.abs(capitalGain));
+                        pnlNode.textContent = this._holdingMoney(Math.abs(capitalGain), item);
                         pnlNode.className = `${CSS_CLASSES.SIM_PNL_VAL} ${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD} ${capitalGain >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}`;
                     }
                 }
 
                 // Table View Special Handling
                 if (targetNode.tagName.toLowerCase() === 'tr' && targetNode.cells.length >= 3) {
-                    targetNode.cells[1].textContent = formatCurrency(price);
-                    targetNode.cells[2].innerHTML = `${formatCurrency(Math.abs(changeValue))} (${formatPercent(changePercent)})`;
+                    targetNode.cells[1].textContent = this._priceMoney(price, item);
+                    targetNode.cells[2].innerHTML = `${formatChange(Math.abs(changeValue))} (${formatPercent(changePercent)})`;
                     targetNode.cells[2].className = `${CSS_CLASSES.DESKTOP_ONLY} ${changeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE} ${CSS_CLASSES.CHANGE_VALUE}`;
                 }
 
@@ -493,6 +501,7 @@ export class ViewRenderer {
         const isPortfolioView = AppState.watchlist.id === PORTFOLIO_ID || AppState.isPortfolioVisible || AppState.watchlist.id === SIMULATIONS_WATCHLIST_ID;
 
         const changeValue = isPortfolioView ? (item.dayChangeValue || 0) : (item.dayChangePerShare || 0);
+        const formatChange = (amount) => (isPortfolioView ? this._holdingMoney(amount, item) : this._priceMoney(amount, item));
 
         let trendClass = CSS_CLASSES.TREND_UP;
         if (changePercent < 0) {
@@ -566,9 +575,9 @@ export class ViewRenderer {
                         <span>${item.code}</span>
                     </div>
                 </td>
-                <td>${formatCurrency(price)}</td>
+                <td>${this._priceMoney(price, item)}</td>
                 <td class="${CSS_CLASSES.DESKTOP_ONLY} ${changeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE} ${CSS_CLASSES.CHANGE_VALUE}">
-                    ${formatCurrency(Math.abs(changeValue))} (${formatPercent(changePercent)})
+                    ${formatChange(Math.abs(changeValue))} (${formatPercent(changePercent)})
                 </td>
                 ${extraCells}
             </tr>
@@ -583,6 +592,7 @@ export class ViewRenderer {
 
         // In NON-portfolio views, we always use per-share change
         const changeValue = isPortfolioView ? (item.dayChangeValue || 0) : (item.dayChangePerShare || 0);
+        const formatChange = (amount) => (isPortfolioView ? this._holdingMoney(amount, item) : this._priceMoney(amount, item));
 
         let trendClass = CSS_CLASSES.TREND_UP;
         let caretClass = UI_ICONS.CARET_UP;
@@ -628,10 +638,10 @@ export class ViewRenderer {
                                 <span class="${CSS_CLASSES.CARD_CODE}" data-code="${item.code}">${item.code}</span>
                             </div>
                         </div>
-                        <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.TEXT_CENTER} ${CSS_CLASSES.FLEX_2}">${formatCurrency(price)}</span>
+                        <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.TEXT_CENTER} ${CSS_CLASSES.FLEX_2}">${this._priceMoney(price, item)}</span>
                         <div class="${CSS_CLASSES.CARD_CHANGE_COL} ${CSS_CLASSES.FLEX_COLUMN} ${CSS_CLASSES.ALIGN_END}">
                             <span class="${CSS_CLASSES.CHANGE_VALUE} ${displayChangeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">
-                                ${formatCurrency(Math.abs(displayChangeValue))}
+                                ${this._holdingMoney(Math.abs(displayChangeValue), item)}
                             </span>
                             <span class="${CSS_CLASSES.CHANGE_PERCENT} ${CSS_CLASSES.TEXT_SM} ${changePercent >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">
                                 ${formatPercent(changePercent)}
@@ -642,12 +652,12 @@ export class ViewRenderer {
                     <div class="${CSS_CLASSES.CARD_BODY_SECTION} ${CSS_CLASSES.W_FULL} ${CSS_CLASSES.MT_TINY} ${CSS_CLASSES.PT_SMALL} ${CSS_CLASSES.BORDER_TOP_NONE}" style="position:relative; z-index:1;">
                         <div class="${CSS_CLASSES.DETAIL_ROW} ${CSS_CLASSES.FLEX_ROW} ${CSS_CLASSES.JUSTIFY_BETWEEN} ${CSS_CLASSES.PY_TINY}">
                             <span class="${CSS_CLASSES.DETAIL_LABEL}">Current Value</span>
-                            <span class="${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD}">${formatCurrency(value)}</span>
+                            <span class="${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD}">${this._holdingMoney(value, item)}</span>
                         </div>
                         <div class="${CSS_CLASSES.DETAIL_ROW} ${CSS_CLASSES.FLEX_ROW} ${CSS_CLASSES.JUSTIFY_BETWEEN} ${CSS_CLASSES.PY_TINY}">
                             <span class="${CSS_CLASSES.DETAIL_LABEL}">Capital Gain</span>
                             <span class="${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD} ${capitalGain >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">
-                                ${formatCurrency(Math.abs(capitalGain))}
+                                ${this._holdingMoney(Math.abs(capitalGain), item)}
                             </span>
                         </div>
                     </div>
@@ -725,9 +735,9 @@ export class ViewRenderer {
 
                         <!-- Right Column: Value & Change -->
                         <div class="card-right-col">
-                            <span class="${CSS_CLASSES.CARD_PRICE}">${formatCurrency(price)}</span>
+                            <span class="${CSS_CLASSES.CARD_PRICE}">${this._priceMoney(price, item)}</span>
                             <div class="card-change-stack">
-                                <span class="${CSS_CLASSES.CHANGE_VALUE} ${changeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">${formatCurrency(Math.abs(changeValue))}</span>
+                                <span class="${CSS_CLASSES.CHANGE_VALUE} ${changeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">${formatChange(Math.abs(changeValue))}</span>
                                 <span class="${CSS_CLASSES.CHANGE_PERCENT} ${changePercent >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">
                                     (${formatPercent(changePercent)})
                                 </span>
@@ -747,7 +757,7 @@ export class ViewRenderer {
                 const costPrice = item.costPrice || 0;
                 // Only show if we have a valid cost price (optional check, but good for UI cleanliness)
                 if (costPrice > 0) {
-                    costPriceHtml = `<span class="${CSS_CLASSES.TEXT_SM} ${CSS_CLASSES.GHOSTED} ${CSS_CLASSES.TEXT_RIGHT} ${CSS_CLASSES.ML_AUTO}" title="Avg Cost Price">${formatCurrency(costPrice)}</span>`;
+                    costPriceHtml = `<span class="${CSS_CLASSES.TEXT_SM} ${CSS_CLASSES.GHOSTED} ${CSS_CLASSES.TEXT_RIGHT} ${CSS_CLASSES.ML_AUTO}" title="Avg Cost Price">${this._priceMoney(costPrice, item)}</span>`;
                 }
             }
 
@@ -760,12 +770,12 @@ export class ViewRenderer {
                         </div>
                         
                         <div class="${CSS_CLASSES.FLEX_ROW} ${CSS_CLASSES.JUSTIFY_START} ${CSS_CLASSES.ALIGN_BASELINE} ${CSS_CLASSES.W_FULL} ${CSS_CLASSES.MT_TINY}">
-                            <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.PRIMARY_TEXT} ${CSS_CLASSES.TEXT_LG} ${CSS_CLASSES.TEXT_LEFT}">${formatCurrency(price)}</span>
+                            <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.PRIMARY_TEXT} ${CSS_CLASSES.TEXT_LG} ${CSS_CLASSES.TEXT_LEFT}">${this._priceMoney(price, item)}</span>
                             ${costPriceHtml}
                         </div>
                     </div>
                     <div class="${CSS_CLASSES.SNAPSHOT_FOOTER}">
-                        <span class="${CSS_CLASSES.CHANGE_VALUE} ${CSS_CLASSES.TEXT_SM}">${formatCurrency(Math.abs(changeValue))}</span>
+                        <span class="${CSS_CLASSES.CHANGE_VALUE} ${CSS_CLASSES.TEXT_SM}">${formatChange(Math.abs(changeValue))}</span>
                         <span class="${CSS_CLASSES.CHANGE_PERCENT} ${CSS_CLASSES.TEXT_SM}">${formatPercent(changePercent)}</span>
                     </div>
                 </div>
@@ -778,10 +788,10 @@ export class ViewRenderer {
                             <span class="${CSS_CLASSES.CARD_CODE} ${CSS_CLASSES.TEXT_LG} ${CSS_CLASSES.CODE_PILL} ${CSS_CLASSES.JUSTIFY_START}" style="font-size: 1rem;" data-code="${item.code}">${item.code}</span>
                             <img src="https://files.marketindex.com.au/xasx/96x96-png/${item.code.toLowerCase()}.png" class="favicon-icon" onerror="this.src='${KANGAROO_ICON_SRC}'" alt="">
                         </div>
-                        <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.PRIMARY_TEXT} ${CSS_CLASSES.TEXT_LG} ${CSS_CLASSES.MT_TINY} ${CSS_CLASSES.TEXT_LEFT}">${formatCurrency(price)}</span>
+                        <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.PRIMARY_TEXT} ${CSS_CLASSES.TEXT_LG} ${CSS_CLASSES.MT_TINY} ${CSS_CLASSES.TEXT_LEFT}">${this._priceMoney(price, item)}</span>
                     </div>
                     <div class="${CSS_CLASSES.SNAPSHOT_FOOTER}">
-                        <span class="${CSS_CLASSES.CHANGE_VALUE} ${CSS_CLASSES.TEXT_SM}">${formatCurrency(Math.abs(changeValue))}</span>
+                        <span class="${CSS_CLASSES.CHANGE_VALUE} ${CSS_CLASSES.TEXT_SM}">${formatChange(Math.abs(changeValue))}</span>
                         <span class="${CSS_CLASSES.CHANGE_PERCENT} ${CSS_CLASSES.TEXT_SM}">${formatPercent(changePercent)}</span>
                     </div>
                 </div>
@@ -826,10 +836,10 @@ export class ViewRenderer {
                             <span class="${CSS_CLASSES.CARD_CODE}" data-code="${item.code}">${item.code}</span>
                         </div>
                     </div>
-                    <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.TEXT_CENTER} ${CSS_CLASSES.FLEX_2}">${formatCurrency(price)}</span>
+                    <span class="${CSS_CLASSES.CARD_PRICE} ${CSS_CLASSES.TEXT_CENTER} ${CSS_CLASSES.FLEX_2}">${this._priceMoney(price, item)}</span>
                     <div class="${CSS_CLASSES.CARD_CHANGE_COL} ${CSS_CLASSES.FLEX_COLUMN} ${CSS_CLASSES.ALIGN_END}">
                         <span class="${CSS_CLASSES.CHANGE_VALUE} ${displayChangeValue >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">
-                            ${formatCurrency(Math.abs(displayChangeValue))}
+                            ${this._holdingMoney(Math.abs(displayChangeValue), item)}
                         </span>
                         <span class="${CSS_CLASSES.CHANGE_PERCENT} ${CSS_CLASSES.TEXT_SM} ${changePercent >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">
                             ${formatPercent(changePercent)}
@@ -840,12 +850,12 @@ export class ViewRenderer {
                 <div class="${CSS_CLASSES.CARD_BODY_SECTION} ${CSS_CLASSES.W_FULL} ${CSS_CLASSES.MT_TINY} ${CSS_CLASSES.PT_SMALL} ${CSS_CLASSES.BORDER_TOP_NONE}" style="position:relative; z-index:1;">
                     <div class="${CSS_CLASSES.DETAIL_ROW} ${CSS_CLASSES.FLEX_ROW} ${CSS_CLASSES.JUSTIFY_BETWEEN} ${CSS_CLASSES.PY_TINY}">
                         <span class="${CSS_CLASSES.DETAIL_LABEL}">Current Value</span>
-                        <span class="${CSS_CLASSES.SIM_VALUATION_VAL} ${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD}">${formatCurrency(value)}</span>
+                        <span class="${CSS_CLASSES.SIM_VALUATION_VAL} ${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD}">${this._holdingMoney(value, item)}</span>
                     </div>
                     <div class="${CSS_CLASSES.DETAIL_ROW} ${CSS_CLASSES.FLEX_ROW} ${CSS_CLASSES.JUSTIFY_BETWEEN} ${CSS_CLASSES.PY_TINY}">
                         <span class="${CSS_CLASSES.DETAIL_LABEL}">Capital Gain</span>
                         <span class="${CSS_CLASSES.SIM_PNL_VAL} ${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD} ${capitalGain >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}">
-                            ${formatCurrency(Math.abs(capitalGain))}
+                            ${this._holdingMoney(Math.abs(capitalGain), item)}
                         </span>
                     </div>
                 </div>
@@ -860,6 +870,37 @@ export class ViewRenderer {
         `;
     }
 
+    /**
+     * A price or per-share amount, in the share's own currency.
+     * @param {number} amount
+     * @param {Object} item - Processed share
+     * @returns {string}
+     */
+    _priceMoney(amount, item) {
+        return formatCurrency(amount, CurrencyService.currencyOf(item));
+    }
+
+    /**
+     * A holding amount in the base currency, marked while the share's exchange rate is
+     * still loading (until then the amount is unconverted).
+     * @param {number} amount
+     * @param {Object} item - Processed share
+     * @returns {string}
+     */
+    _holdingMoney(amount, item) {
+        return `${formatCurrency(amount, CurrencyService.baseCurrency())}${item?.fxPending ? UI_LABELS.FX_PENDING_MARKER : ''}`;
+    }
+
+    /**
+     * Tooltip for a summary figure that includes currency moves on foreign holdings.
+     * @param {number} impact - FX part of the figure (base currency)
+     * @returns {string} '' when there is none
+     */
+    _fxImpactTitle(impact) {
+        if (Math.abs(impact || 0) < 0.005) return '';
+        return `Includes FX impact of ${formatCurrency(impact, CurrencyService.baseCurrency())}`;
+    }
+
     renderSummary(metrics, shares = []) {
         // 1. Create Container
         const container = document.createElement('div');
@@ -943,12 +984,12 @@ export class ViewRenderer {
                  <div class="share-dna-container" style="position: absolute; top: 0; left: 0; height: ${stripThickness}px; width: 100%; border-bottom: 1px solid rgba(255,255,255,0.1); z-index: 5;"></div>
                  
                  <span class="${CSS_CLASSES.METRIC_LABEL}" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: ${labelSize}; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">Portfolio Value</span>
-                 <span class="${CSS_CLASSES.METRIC_VALUE_LARGE}" style="font-size: ${mainValueSize}; line-height: 1; font-weight: 800;">${formatCurrency(metrics.totalValue)}</span>
+                 <span class="${CSS_CLASSES.METRIC_VALUE_LARGE}" style="font-size: ${mainValueSize}; line-height: 1; font-weight: 800;">${this._holdingMoney(metrics.totalValue, metrics)}</span>
              </div>
 
              <div class="${CSS_CLASSES.SUMMARY_CARD} ${CSS_CLASSES.CLICKABLE}" 
                   style="background: ${dayChangeGradient} !important; ${changeBorderStyle}; display: flex !important; flex-direction: column !important; justify-content: center !important; align-items: center !important; padding: ${10 + stripThickness}px 20px 6px !important; min-height: ${baseCardHeight}px; max-height: ${baseCardHeight}px; ${cardCommon}"
-                  data-type="${SUMMARY_TYPES.DAY_CHANGE}"
+                  data-type="${SUMMARY_TYPES.DAY_CHANGE}" title="${this._fxImpactTitle(metrics.dayFxImpact)}"
                   onmouseenter="this.style.transform='scale(1.02)'; this.style.zIndex='10';"
                   onmouseleave="this.style.transform='scale(1)'; this.style.zIndex='1';">
                   
@@ -957,7 +998,7 @@ export class ViewRenderer {
                   <span class="${CSS_CLASSES.METRIC_LABEL}" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: ${labelSize}; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">Day Change</span>
                   <div style="display: flex; align-items: baseline; gap: 4px; justify-content: center;">
                       <span class="${CSS_CLASSES.METRIC_VALUE_LARGE} ${(metrics.dayChangeValue >= 0) ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}" style="font-size: ${mainValueSize}; line-height: 1; font-weight: 800;">
-                          ${formatCurrency(Math.abs(metrics.dayChangeValue))}
+                          ${formatCurrency(Math.abs(metrics.dayChangeValue), CurrencyService.baseCurrency())}
                       </span>
                       <span class="${CSS_CLASSES.METRIC_PERCENT_SMALL} ${(metrics.dayChangePercent >= 0) ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}" style="font-size: 0.75rem; font-weight: 700;">
                           ${formatPercent(metrics.dayChangePercent)}
@@ -976,7 +1017,7 @@ export class ViewRenderer {
                 <span class="${CSS_CLASSES.METRIC_LABEL}" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: ${labelSize}; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">Day Gain</span>
                 <div style="display: flex; align-items: baseline; gap: 4px; justify-content: center;">
                     <span class="${CSS_CLASSES.METRIC_VALUE_LARGE} ${CSS_CLASSES.TEXT_POSITIVE}" style="font-size: ${mainValueSize}; line-height: 1; font-weight: 800;">
-                        ${formatCurrency(Math.abs(metrics.dayGain || 0))}
+                        ${formatCurrency(Math.abs(metrics.dayGain || 0), CurrencyService.baseCurrency())}
                     </span>
                     <span class="${CSS_CLASSES.METRIC_PERCENT_SMALL} ${CSS_CLASSES.TEXT_POSITIVE}" style="font-size: 0.75rem; font-weight: 700;">
                         ${formatPercent(metrics.dayGainPercent || 0)}
@@ -995,7 +1036,7 @@ export class ViewRenderer {
                 <span class="${CSS_CLASSES.METRIC_LABEL}" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: ${labelSize}; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">Day Loss</span>
                 <div style="display: flex; align-items: baseline; gap: 4px; justify-content: center;">
                     <span class="${CSS_CLASSES.METRIC_VALUE_LARGE} ${CSS_CLASSES.TEXT_NEGATIVE}" style="font-size: ${mainValueSize}; line-height: 1; font-weight: 800;">
-                        ${formatCurrency(Math.abs(metrics.dayLoss || 0))}
+                        ${formatCurrency(Math.abs(metrics.dayLoss || 0), CurrencyService.baseCurrency())}
                     </span>
                     <span class="${CSS_CLASSES.METRIC_PERCENT_SMALL} ${CSS_CLASSES.TEXT_NEGATIVE}" style="font-size: 0.75rem; font-weight: 700;">
                         ${formatPercent(metrics.dayLossPercent || 0)}
@@ -1005,7 +1046,7 @@ export class ViewRenderer {
 
             <div class="${CSS_CLASSES.SUMMARY_CARD} ${CSS_CLASSES.CLICKABLE}" 
                  style="background: ${capitalGainGradient} !important; ${returnBorderStyle}; display: flex !important; flex-direction: column !important; justify-content: center !important; align-items: center !important; padding: ${10 + stripThickness}px 20px 6px !important; min-height: ${baseCardHeight}px; max-height: ${baseCardHeight}px; ${cardCommon}"
-                 data-type="${SUMMARY_TYPES.CAPITAL_GAIN}"
+                 data-type="${SUMMARY_TYPES.CAPITAL_GAIN}" title="${this._fxImpactTitle(metrics.gainFxImpact)}"
                  onmouseenter="this.style.transform='scale(1.02)'; this.style.zIndex='10';"
                  onmouseleave="this.style.transform='scale(1)'; this.style.zIndex='1';">
                 
@@ -1014,13 +1055,30 @@ export class ViewRenderer {
                 <span class="${CSS_CLASSES.METRIC_LABEL}" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: ${labelSize}; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">Total Capital Gain</span>
                 <div style="display: flex; align-items: baseline; gap: 4px; justify-content: center;">
                     <span class="${CSS_CLASSES.METRIC_VALUE_LARGE} ${isTotalPos ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}" style="font-size: ${mainValueSize}; line-height: 1; font-weight: 800;">
-                        ${formatCurrency(Math.abs(metrics.totalReturn))}
+                        ${formatCurrency(Math.abs(metrics.totalReturn), CurrencyService.baseCurrency())}
                     </span>
                     <span class="${CSS_CLASSES.METRIC_PERCENT_SMALL} ${isTotalPos ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE}" style="font-size: 0.75rem; font-weight: 700;">
                         ${formatPercent(metrics.totalReturnPercent)}
                     </span>
                 </div>
             </div>
+
+            ${AppState.watchlist.id !== SIMULATIONS_WATCHLIST_ID ? `
+            <div class="${CSS_CLASSES.SUMMARY_CARD} ${CSS_CLASSES.CLICKABLE}" 
+                 style="background: ${neutralGradient} !important; ${valueBorderStyle}; display: flex !important; flex-direction: column !important; justify-content: center !important; align-items: center !important; padding: ${10 + stripThickness}px 20px 6px !important; min-height: ${baseCardHeight}px; max-height: ${baseCardHeight}px; ${cardCommon}"
+                 data-type="${SUMMARY_TYPES.RETURNS}"
+                 onmouseenter="this.style.transform='scale(1.02)'; this.style.zIndex='10';"
+                 onmouseleave="this.style.transform='scale(1)'; this.style.zIndex='1';">
+                
+                <div style="position: absolute; top: 0; left: 0; width: 100%; height: 50%; background: linear-gradient(to bottom, rgba(255,255,255,0.03), transparent); pointer-events: none;"></div>
+                
+                <span class="${CSS_CLASSES.METRIC_LABEL}" style="margin: 0 0 2px 0; text-transform: uppercase; font-size: ${labelSize}; letter-spacing: 1px; opacity: 0.8; font-weight: 600;">1Y Return (TWR)</span>
+                <div style="display: flex; align-items: baseline; gap: 4px; justify-content: center;">
+                    <span class="${CSS_CLASSES.METRIC_VALUE_LARGE}" style="font-size: ${mainValueSize}; line-height: 1; font-weight: 800;">-</span>
+                    <span class="${CSS_CLASSES.METRIC_PERCENT_SMALL}" style="font-size: 0.75rem; font-weight: 700;"></span>
+                </div>
+            </div>
+            ` : ''}
         `;
 
         // Add Click Listeners
@@ -1031,6 +1089,10 @@ export class ViewRenderer {
             });
         });
 
+        // Returns card is filled in once the ledger has been replayed against price history
+        const returnsCard = container.querySelector(`[data-type="${SUMMARY_TYPES.RETURNS}"]`);
+        if (returnsCard) this._hydrateReturnsCard(returnsCard);
+
         // TRIGGER BINDING: Portfolio Value Card -> Widget Panel (Long hold)
         const valueCard = container.querySelector(`[data-type="${SUMMARY_TYPES.VALUE}"]`);
         if (valueCard) {
@@ -1048,6 +1110,32 @@ export class ViewRenderer {
         }
     }
 
+    /**
+     * Fills the RETURNS summary card with the portfolio's 1Y time-weighted return
+     * (and XIRR alongside). The report is cached, so re-renders are cheap.
+     * @param {HTMLElement} card
+     */
+    async _hydrateReturnsCard(card) {
+        try {
+            const report = await PerformanceUI.getReport();
+            const period = PerformanceService.getPeriod(report, PORTFOLIO_ID, '1Y');
+            if (!period || !card.isConnected) return;
+
+            const lNode = card.querySelector(`.${CSS_CLASSES.METRIC_VALUE_LARGE}`);
+            const pNode = card.querySelector(`.${CSS_CLASSES.METRIC_PERCENT_SMALL}`);
+            if (lNode && period.twr !== null) {
+                lNode.textContent = `${period.twr < 0 ? '-' : ''}${formatPercent(period.twr * 100)}`;
+                lNode.classList.add(period.twr >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE);
+            }
+            if (pNode && period.xirr !== null) {
+                pNode.textContent = `XIRR ${period.xirr < 0 ? '-' : ''}${formatPercent(period.xirr * 100)}`;
+                pNode.classList.add(period.xirr >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE);
+            }
+        } catch (e) {
+            console.warn('[ViewRenderer] Returns card failed:', e);
+        }
+    }
+
     renderStockDetailsModal(stock) {
         this._currentDetailsStock = stock;
         const existingModal = document.getElementById(IDS.STOCK_DETAILS_MODAL);
@@ -1073,6 +1161,18 @@ export class ViewRenderer {
         const capitalGain = stock.capitalGain || 0;
         const isGainPos = capitalGain >= 0;
 
+        // Prices are in the share's currency, holding figures in the base currency
+        const priceCcy = CurrencyService.currencyOf(stock);
+        const baseCcy = CurrencyService.baseCurrency();
+        const isForeign = priceCcy !== baseCcy;
+        const fxRow = (label, amount) => `
+                                <div class="${CSS_CLASSES.DETAIL_ROW}">
+                                    <span class="${CSS_CLASSES.DETAIL_LABEL}">${label}</span>
+                                    <span class="${CSS_CLASSES.DETAIL_VALUE} ${amount > 0 ? CSS_CLASSES.POSITIVE : (amount < 0 ? CSS_CLASSES.NEGATIVE : CSS_CLASSES.NEUTRAL)}">
+                                        ${formatCurrency(Math.abs(amount), baseCcy)}
+                                    </span>
+                                </div>`;
+
         // Watchlist Membership Text
         const watchlistsText = stock.watchlistNames && stock.watchlistNames.length > 0
             ? `In: ${stock.watchlistNames.join(' / ')} `
@@ -1083,7 +1183,7 @@ export class ViewRenderer {
         const isPos = change > 0;
         const isNeg = change < 0;
         const isNeu = change === 0;
-        const changeStr = formatCurrency(Math.abs(change));
+        const changeStr = formatCurrency(Math.abs(change), priceCcy);
         const pctStr = formatPercent(stock.pctChange || stock.dayChangePercent);
 
         // Resolve Sector
@@ -1212,7 +1312,7 @@ export class ViewRenderer {
                                 </div>
                                 <div class="${CSS_CLASSES.PRICE_PREVIEW} ${CSS_CLASSES.W_FULL} ${CSS_CLASSES.BORDER_NONE} ${CSS_CLASSES.BG_TRANSPARENT} ${CSS_CLASSES.GAP_SMALL} ${CSS_CLASSES.MB_0} ${CSS_CLASSES.FLEX_COLUMN}">
                                     <div class="${CSS_CLASSES.PREVIEW_ROW_MAIN} ${CSS_CLASSES.MB_TINY}">
-                                        <span class="${CSS_CLASSES.PREVIEW_PRICE} ${CSS_CLASSES.PREVIEW_PRICE_LARGE}">${formatCurrency(stock.live || currentPrice)}</span>
+                                        <span class="${CSS_CLASSES.PREVIEW_PRICE} ${CSS_CLASSES.PREVIEW_PRICE_LARGE}">${formatCurrency(stock.live || currentPrice, priceCcy)}</span>
                                         <span class="${CSS_CLASSES.PREVIEW_CHANGE} ${isPos ? CSS_CLASSES.PREVIEW_CHANGE_POS : CSS_CLASSES.PREVIEW_CHANGE_NEG}">
                                             ${changeStr} (${pctStr})
                                         </span>
@@ -1222,19 +1322,20 @@ export class ViewRenderer {
                                     <div class="${CSS_CLASSES.DETAIL_ROW} ${CSS_CLASSES.PT_TINY} ${CSS_CLASSES.MB_SMALL}">
                                         <span class="${CSS_CLASSES.DETAIL_LABEL}">Net Impact</span>
                                         <span class="${CSS_CLASSES.DETAIL_VALUE} ${stock.dayChangeValue > 0 ? CSS_CLASSES.POSITIVE : (stock.dayChangeValue < 0 ? CSS_CLASSES.NEGATIVE : CSS_CLASSES.NEUTRAL)}">
-                                            ${formatCurrency(Math.abs(stock.dayChangeValue || 0))}
+                                            ${formatCurrency(Math.abs(stock.dayChangeValue || 0), baseCcy)}
                                         </span>
                                     </div>
+                                    ${isForeign ? fxRow('of which FX', stock.dayFxImpact || 0) : ''}
                                     ` : ''}
 
                                     <div class="${CSS_CLASSES.PREVIEW_ROW_SUB}">
                                         <div class="${CSS_CLASSES.STAT_COL} ${CSS_CLASSES.ALIGN_START}">
                                             <span class="${CSS_CLASSES.STAT_LABEL}">52W Low</span>
-                                            <span class="${CSS_CLASSES.STAT_VAL} ${CSS_CLASSES.TEXT_MD} ${CSS_CLASSES.TEXT_WHITE}">${safeVal(stock.low, formatCurrency)}</span>
+                                            <span class="${CSS_CLASSES.STAT_VAL} ${CSS_CLASSES.TEXT_MD} ${CSS_CLASSES.TEXT_WHITE}">${safeVal(stock.low, v => formatCurrency(v, priceCcy))}</span>
                                         </div>
                                         <div class="${CSS_CLASSES.STAT_COL} ${CSS_CLASSES.ALIGN_CENTER}">
                                             <span class="${CSS_CLASSES.STAT_LABEL}">52W High</span>
-                                            <span class="${CSS_CLASSES.STAT_VAL} ${CSS_CLASSES.TEXT_MD} ${CSS_CLASSES.TEXT_WHITE}">${safeVal(stock.high, formatCurrency)}</span>
+                                            <span class="${CSS_CLASSES.STAT_VAL} ${CSS_CLASSES.TEXT_MD} ${CSS_CLASSES.TEXT_WHITE}">${safeVal(stock.high, v => formatCurrency(v, priceCcy))}</span>
                                         </div>
                                         <div class="${CSS_CLASSES.STAT_COL} ${CSS_CLASSES.ALIGN_END}">
                                             <span class="${CSS_CLASSES.STAT_LABEL}">P/E Ratio</span>
@@ -1284,13 +1385,13 @@ export class ViewRenderer {
 
                                 <div class="${CSS_CLASSES.DETAIL_ROW}">
                                     <span class="${CSS_CLASSES.DETAIL_LABEL}">Unit Cost</span>
-                                    <span class="${CSS_CLASSES.DETAIL_VALUE}">${formatCurrency(avgPrice)}</span>
+                                    <span class="${CSS_CLASSES.DETAIL_VALUE}">${formatCurrency(avgPrice, priceCcy)}</span>
                                 </div>
 
                                 <div class="${CSS_CLASSES.DETAIL_ROW}">
                                     <span class="${CSS_CLASSES.DETAIL_LABEL}">Unit Margin</span>
                                         <span class="${CSS_CLASSES.DETAIL_VALUE} ${((stock.live || currentPrice) - avgPrice) > 0 ? CSS_CLASSES.POSITIVE : (((stock.live || currentPrice) - avgPrice) < 0 ? CSS_CLASSES.NEGATIVE : CSS_CLASSES.NEUTRAL)}">
-                                            ${formatCurrency(Math.abs((stock.live || currentPrice) - avgPrice))} 
+                                            ${formatCurrency(Math.abs((stock.live || currentPrice) - avgPrice), priceCcy)} 
                                             (${formatPercent((((stock.live || currentPrice) - avgPrice) / (avgPrice || 1)) * 100)})
                                         </span>
                                 </div>
@@ -1298,20 +1399,37 @@ export class ViewRenderer {
                                 <div class="${CSS_CLASSES.DETAIL_ROW}">
                                     <span class="${CSS_CLASSES.DETAIL_LABEL}">Net Return</span>
                                         <span class="${CSS_CLASSES.DETAIL_VALUE} ${capitalGain > 0 ? CSS_CLASSES.POSITIVE : (capitalGain < 0 ? CSS_CLASSES.NEGATIVE : CSS_CLASSES.NEUTRAL)}">
-                                            ${formatCurrency(Math.abs(capitalGain))} 
+                                            ${formatCurrency(Math.abs(capitalGain), baseCcy)} 
                                             (${formatPercent((capitalGain / (costBasis || 1)) * 100)})
                                         </span>
                                 </div>
+                                ${isForeign ? fxRow('of which FX', stock.gainFxImpact || 0) : ''}
 
                                 <div class="${CSS_CLASSES.DETAIL_ROW}">
                                     <span class="${CSS_CLASSES.DETAIL_LABEL}">Net Cost</span>
-                                    <span class="${CSS_CLASSES.DETAIL_VALUE}">${formatCurrency(costBasis)}</span>
+                                    <span class="${CSS_CLASSES.DETAIL_VALUE}">${formatCurrency(costBasis, baseCcy)}</span>
+                                </div>
+
+                                ${stock.realisedPnL ? `
+                                <div class="${CSS_CLASSES.DETAIL_ROW}">
+                                    <span class="${CSS_CLASSES.DETAIL_LABEL}">Realised P/L</span>
+                                    <span class="${CSS_CLASSES.DETAIL_VALUE} ${stock.realisedPnL > 0 ? CSS_CLASSES.POSITIVE : CSS_CLASSES.NEGATIVE}">
+                                        ${stock.realisedPnL < 0 ? '-' : ''}${formatCurrency(Math.abs(stock.realisedPnL), baseCcy)}
+                                    </span>
+                                </div>
+                                ` : ''}
+
+                                ${stock.oversoldUnits > 0 ? `
+                                <div class="${CSS_CLASSES.DETAIL_ROW}">
+                                    <span class="${CSS_CLASSES.DETAIL_LABEL} ${CSS_CLASSES.TEXT_WARNING}"><i class="fas ${UI_ICONS.EXCLAMATION_TRIANGLE}"></i> Oversold</span>
+                                    <span class="${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.TEXT_WARNING}" title="Sells exceed the units held. The excess is ignored; check the transaction ledger.">${Number(stock.oversoldUnits.toFixed(4))} units unmatched</span>
                                 </div>
+                                ` : ''}
 
                                 <div class="${CSS_CLASSES.DETAIL_ROW}">
                                     <span class="${CSS_CLASSES.DETAIL_LABEL}">Net Value</span>
                                     <span class="${CSS_CLASSES.DETAIL_VALUE} ${CSS_CLASSES.FONT_BOLD_700} ${capitalGain > 0 ? CSS_CLASSES.POSITIVE : (capitalGain < 0 ? CSS_CLASSES.NEGATIVE : CSS_CLASSES.NEUTRAL)}">
-                                        ${formatCurrency(totalValue)}
+                                        ${formatCurrency(totalValue, baseCcy)}
                                     </span>
                                 </div>
 
@@ -1415,6 +1533,21 @@ export class ViewRenderer {
                             </div>
                             ` : ''}
 
+                            <!-- Card 4b: Key Announcements (Conditional) -->
+                            ${this._renderKeyAnnouncementsCard(stock, trendBgClass)}
+
+                            <!-- Card 4c: Alert History (Async Hydrated) -->
+                            <div class="${CSS_CLASSES.DETAIL_CARD} ${CSS_CLASSES.CURSOR_POINTER} ${trendBgClass}" id="alertHistoryCard_${stock.code}" title="View full alert history">
+                                <div class="${CSS_CLASSES.DETAIL_CARD_HEADER}">
+                                    <h3 class="${CSS_CLASSES.DETAIL_LABEL}">
+                                        <i class="fas ${UI_ICONS.HISTORY}"></i> ${UI_LABELS.ALERT_HISTORY_TITLE}
+                                    </h3>
+                                </div>
+                                <div class="${CSS_CLASSES.ALERT_HISTORY_LIST}">
+                                    <div class="${CSS_CLASSES.ALERT_HISTORY_EMPTY}"><i class="fas ${UI_ICONS.SPINNER}"></i> Loading history...</div>
+                                </div>
+                            </div>
+
                             <!-- Card 5: Comments (Conditional) -->
                             ${stock.comments && stock.comments.length > 0 ? `
                                 <div class="${CSS_CLASSES.DETAIL_CARD} ${CSS_CLASSES.CURSOR_POINTER} ${trendBgClass}" data-action="deep-link" data-id="${stock.id}" data-section="notes">
@@ -1723,6 +1856,16 @@ export class ViewRenderer {
             this._hydrateDividendCard(divHeroCard, stock, currentPrice);
         }
 
+        // Alert History Card — Async Hydration, tap opens the full (searchable) history
+        const alertHistoryCard = modal.querySelector(`[id="alertHistoryCard_${stock.code}"]`);
+        if (alertHistoryCard) {
+            alertHistoryCard.addEventListener('click', (e) => {
+                if (e.target.closest('a')) return; // Announcement links open normally
+                AlertHistoryUI.showModal({ code: stock.code });
+            });
+            this._hydrateAlertHistoryCard(alertHistoryCard, stock);
+        }
+
         // Back Button functionality
         const detailsBackBtn = modal.querySelector('#details-back-btn');
         if (detailsBackBtn) {
@@ -1755,6 +1898,66 @@ export class ViewRenderer {
             : `<span class="${CSS_CLASSES.SORT_ICON}"><i class="fas ${UI_ICONS.SORT_DOWN}"></i></span>`;
     }
 
+    /**
+     * Key Announcements Card
+     * Latest price-sensitive, trading halt and capital raise announcements for the share,
+     * straight from the Market Index stream. Links open the announcement.
+     *
+     * @param {Object} stock - The stock data object from AppState
+     * @param {string} trendBgClass - Card background class matching the other detail cards
+     * @returns {string} Card HTML, or '' when nothing is tagged
+     */
+    _renderKeyAnnouncementsCard(stock, trendBgClass) {
+        const items = notificationStore.getTaggedAnnouncements(stock.code || stock.shareName, ANNOUNCEMENT_DETAIL_PREVIEW);
+        if (items.length === 0) return '';
+
+        return `
+            <div class="${CSS_CLASSES.DETAIL_CARD} ${trendBgClass}">
+                <div class="${CSS_CLASSES.DETAIL_CARD_HEADER}">
+                    <h3 class="${CSS_CLASSES.DETAIL_LABEL}">
+                        <i class="fas ${UI_ICONS.ANNOUNCEMENTS}"></i> ${UI_LABELS.KEY_ANNOUNCEMENTS_TITLE}
+                    </h3>
+                </div>
+                <div class="${CSS_CLASSES.KEY_ANNOUNCEMENT_LIST}">
+                    ${items.map(item => {
+                        const title = String(item.headline || item.title || '').replace(/<[^>]*>/g, '').replace(/[<>]/g, '');
+                        const href = /^https?:\/\//i.test(item.link || '') ? item.link : '';
+                        return `
+                        <a class="${CSS_CLASSES.KEY_ANNOUNCEMENT_ITEM}" ${href ? `href="${href}" target="_blank" rel="noopener"` : ''}>
+                            <div>
+                                <span class="stream-badge ${CSS_CLASSES.ANNOUNCEMENT_CATEGORY_BADGE}" data-category="${item.category}">${ANNOUNCEMENT_CATEGORY_LABELS[item.category]}</span>
+                                <span class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_XXS}">${formatFriendlyDate(item.timestamp)}</span>
+                            </div>
+                            <div class="${CSS_CLASSES.KEY_ANNOUNCEMENT_TITLE}">${title}</div>
+                        </a>`;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Async Alert History Card Hydration
+     * Shows the most recent alerts recorded for the share.
+     *
+     * @param {HTMLElement} container - The div#alertHistoryCard_{code} element
+     * @param {Object} stock - The stock data object from AppState
+     */
+    async _hydrateAlertHistoryCard(container, stock) {
+        const list = container.querySelector(`.${CSS_CLASSES.ALERT_HISTORY_LIST}`);
+        if (!list) return;
+        try {
+            const entries = await notificationStore.getAlertHistory({ code: stock.code || stock.shareName });
+            const preview = entries.slice(0, ALERT_HISTORY_LIMITS.DETAIL_PREVIEW);
+            const more = entries.length - preview.length;
+            list.innerHTML = AlertHistoryUI.renderList(preview, { showCode: false }) +
+                (more > 0 ? `<div class="${CSS_CLASSES.TEXT_MUTED} ${CSS_CLASSES.TEXT_SM}">+${more} more — tap to view all</div>` : '');
+        } catch (e) {
+            console.warn('[ViewRenderer] Alert history unavailable:', e);
+            list.innerHTML = AlertHistoryUI.renderList([]);
+        }
+    }
+
     /**
      * Async Dividend Card Hydration
      * Calls DividendService.analyze() and renders the Dividend Hero card.
@@ -3248,7 +3451,7 @@ export class ViewRenderer {
             else if (colorBasis === 0) colorClass = CSS_CLASSES.TEXT_COFFEE;
 
             // Formatting based on field
-            let formattedVal = formatCurrency(val);
+            let formattedVal = this._holdingMoney(val, share);
             if (valueField === 'dayChangePercent') {
                 formattedVal = formatPercent(val);
             }
@@ -3261,14 +3464,14 @@ export class ViewRenderer {
                 const dailyChangePct   = share.dayChangePercent || 0;      // e.g. 1.52%
 
                 // formatCurrency preserves native sign; formatPercent strips sign (color = direction)
-                const subtext = `${formatCurrency(perShareChange)} (${formatPercent(dailyChangePct)})`;
+                const subtext = `${this._priceMoney(perShareChange, share)} (${formatPercent(dailyChangePct)})`;
                 const subtextClass = positionDayChange >= 0 ? CSS_CLASSES.TEXT_POSITIVE : CSS_CLASSES.TEXT_NEGATIVE;
 
                 return `
                     <div class="${CSS_CLASSES.SUMMARY_DETAIL_ROW}" data-code="${share.code}" data-id="${share.id}">
                         <span class="${CSS_CLASSES.SUMMARY_DETAIL_CODE}">${share.code}</span>
                         <div class="${CSS_CLASSES.SUMMARY_DETAIL_RIGHT}">
-                            <span class="${CSS_CLASSES.SUMMARY_DETAIL_VALUE} ${subtextClass}">${formatCurrency(positionDayChange)}</span>
+                            <span class="${CSS_CLASSES.SUMMARY_DETAIL_VALUE} ${subtextClass}">${this._holdingMoney(positionDayChange, share)}</span>
                             <span class="${CSS_CLASSES.SUMMARY_DETAIL_SUBTEXT} ${subtextClass}">${subtext}</span>
                         </div>
                     </div>
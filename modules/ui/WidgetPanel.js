@@ -5,23 +5,28 @@
  *
  * DESIGN NOTE: Cash items with category === 'shares' are EXCLUDED from cash
  * calculations to prevent double-counting (they mirror AppState.data.shares).
- * This matches PortfolioChartUI.js logic.
+ * This matches PortfolioChartUI.js logic. Liabilities (NetWorthService) are
+ * kept out of the asset buckets and subtracted from the net total.
  */
 import { AppState } from '../state/AppState.js';
 import { notificationStore } from '../state/NotificationStore.js';
 import { CSS_CLASSES, IDS, EVENTS, UI_ICONS, UI_LABELS, DASHBOARD_SYMBOLS, DASHBOARD_LINKS, CASH_WATCHLIST_ID } from '../utils/AppConstants.js';
 import { formatCurrency, formatPercent } from '../utils/formatters.js';
 import { LinkHelper } from '../utils/LinkHelper.js';
+import { DividendService } from '../data/DividendService.js';
+import { NetWorthService } from '../data/NetWorthService.js';
+import { CurrencyService } from '../data/CurrencyService.js';
 
 export const WIDGET_MODULES = [
     { id: 'day_performance', label: 'Day Performance', description: "Today's portfolio gain/loss detail", icon: 'fa-calendar-day', renderer: '_renderDayPerformance', default: true },
     { id: 'dashboard_snapshot', label: 'Dashboard Snapshot', description: 'Live indexes, currencies & commodities', icon: 'fa-globe', renderer: '_renderDashboardSnapshot', default: true },
-    { id: 'portfolio_summary', label: 'Wealth Summary', description: 'Total wealth: Shares, Super, Cash & Assets', icon: 'fa-wallet', renderer: '_renderPortfolioSummary', default: true },
+    { id: 'portfolio_summary', label: 'Wealth Summary', description: 'Net wealth: Shares, Super, Cash & Assets less liabilities', icon: 'fa-wallet', renderer: '_renderPortfolioSummary', default: true },
     { id: 'market_movers', label: 'Market Movers', description: 'Top 6 biggest movers on the ASX', icon: 'fa-rocket', renderer: '_renderMarketMovers', default: true },
     { id: 'notifications', label: 'Latest Alerts', description: 'Most recent price alerts & notifications', icon: 'fa-bell', renderer: '_renderNotifications', default: true },
     { id: 'top_movers', label: 'Watchlist Movers', description: 'Top daily % movers in your portfolio', icon: 'fa-bolt', renderer: '_renderTopMovers', default: false },
     { id: 'top_holdings', label: 'Top Holdings', description: 'Your largest positions by value', icon: 'fa-trophy', renderer: '_renderTopHoldings', default: false },
     { id: 'cash_breakdown', label: 'Cash & Assets', description: 'Breakdown of non-share assets', icon: 'fa-piggy-bank', renderer: '_renderCashBreakdown', default: false },
+    { id: 'dividend_calendar', label: 'Dividend Calendar', description: 'Expected dividend income over the next 12 months', icon: 'fa-calendar-alt', renderer: '_renderDividendCalendar', default: false },
     { id: 'watchlist_summary', label: 'Watchlists', description: 'Quick view of your watchlists', icon: 'fa-list', renderer: '_renderWatchlistSummary', default: false },
     { id: 'market_snapshot', label: 'Market Snapshot', description: 'ASX 200 index overview', icon: 'fa-chart-line', renderer: '_renderMarketSnapshot', default: false }
 ];
@@ -57,6 +62,7 @@ export class WidgetPanel {
         this.container = null;
         this.overlay = null;
         this.isInitialized = false;
+        this.dividendForecast = null; // { key, data, loading }
     }
 
     init(container) {
@@ -276,6 +282,7 @@ export class WidgetPanel {
                                             <span style="font-size: 1.45rem; font-weight: 800; color: ${this._getCategoryColor('other')};">${formatCurrency(stats.otherValue)}</span>
                                         </div>
                                     </div>
+                                    ${this._renderNetWorthLine(stats)}
                                 ` : `
                                     <div style="font-size: 0.75rem; color: rgba(255,255,255,0.6); font-weight: 700; text-transform: uppercase;">Day Change</div>
                                 `}
@@ -342,6 +349,14 @@ export class WidgetPanel {
             };
         }
 
+        const calendarLink = this.container.querySelector(`#${IDS.WIDGET_DIVIDEND_CALENDAR_LINK}`);
+        if (calendarLink) {
+            calendarLink.onclick = () => {
+                this.toggle();
+                document.dispatchEvent(new CustomEvent(EVENTS.OPEN_DIVIDEND_CALENDAR));
+            };
+        }
+
         const heroCard = this.container.querySelector(`#${IDS.WIDGET_PORTFOLIO_HERO}`);
         if (heroCard) {
             heroCard.onclick = () => {
@@ -372,7 +387,8 @@ export class WidgetPanel {
         let otherValue = 0;
 
         cashItems.forEach(c => {
-            const val = parseFloat(c.balance) || 0;
+            if (NetWorthService.isLiability(c)) return;
+            const val = NetWorthService.valueOf(c);
             const category = (c.category || '').toLowerCase();
             if (category === 'super') superValue += val;
             else if (category === 'cash_in_bank' || category === 'cash' || category === 'term_deposit') cashInBankValue += val;
@@ -380,7 +396,9 @@ export class WidgetPanel {
         });
 
         const cashValue = superValue + cashInBankValue + otherValue;
-        const totalValue = shareValue + cashValue;
+        const { liabilities, lvr } = NetWorthService.summarize(cashItems, { shareValue });
+        const grossAssets = shareValue + cashValue;
+        const totalValue = grossAssets - liabilities;
         const prevShareValue = shareValue - dayChange;
         const dayPct = prevShareValue > 0 ? ((dayChange / prevShareValue) * 100) : 0;
 
@@ -397,6 +415,9 @@ export class WidgetPanel {
             cashInBankValue,
             otherValue,
             cashValue,
+            grossAssets,
+            liabilities,
+            lvr,
             dayChange,
             dayPct,
             isUp: dayChange >= 0,
@@ -429,7 +450,7 @@ export class WidgetPanel {
             if (existing) {
                 existing.units += units;
             } else {
-                dedupMap.set(code, { code, units });
+                dedupMap.set(code, { code, units, currency: CurrencyService.currencyOf(s) });
             }
         });
 
@@ -440,14 +461,16 @@ export class WidgetPanel {
             const change = parseFloat(liveData.change) || 0;
             const pctChange = parseFloat(liveData.pctChange) || 0;
 
+            // Prices stay in the share's currency; holding figures convert to the base currency
             results.push({
                 code: item.code,
                 units: item.units,
+                currency: item.currency,
                 price,
-                value: price * item.units,
+                value: CurrencyService.toBase(price * item.units, item.currency),
                 change,
                 pctChange,
-                dayChangeValue: change * item.units
+                dayChangeValue: CurrencyService.toBase(change * item.units, item.currency)
             });
         });
         return results;
@@ -593,6 +616,7 @@ export class WidgetPanel {
                         <span class="value" style="color: ${otherColor}; font-size: 1.25rem; font-weight: 800;">${formatCurrency(stats.otherValue)}</span>
                     </div>
                 </div>
+                ${this._renderNetWorthLine(stats)}
                 ${stats.shareValue > 0 ? `
                     <div class="${CSS_CLASSES.WIDGET_DAY_CHANGE} ${dayClass}" style="margin-top: 12px; padding-top: 10px; border-top: 1px solid rgba(255,255,255,0.05); display: flex; justify-content: space-between; align-items: center;">
                         <span style="font-size: 0.75rem; opacity: 0.6; text-transform: uppercase; font-weight: 700;">Market Move</span>
@@ -606,6 +630,21 @@ export class WidgetPanel {
         `;
     }
 
+    /**
+     * Gross assets, liabilities and LVR under the wealth breakdown ('' without liabilities,
+     * where the headline total already is the gross figure).
+     */
+    _renderNetWorthLine(stats) {
+        if (!(stats.liabilities > 0)) return '';
+        return `
+            <div style="display: flex; justify-content: space-between; gap: 10px; width: 100%; margin: 10px 0 14px; font-size: 0.75rem; font-weight: 700; color: rgba(255,255,255,0.6);">
+                <span>Gross ${formatCurrency(stats.grossAssets)}</span>
+                <span style="color: var(--color-negative);">Debt -${formatCurrency(stats.liabilities)}</span>
+                ${stats.lvr !== null ? `<span>LVR ${stats.lvr.toFixed(1)}%</span>` : ''}
+            </div>
+        `;
+    }
+
     /**
      * Dashboard Snapshot — personalized selection from dashboard data.
      * Users pick which items to show via widgetDashboardItems preference.
@@ -836,7 +875,7 @@ export class WidgetPanel {
         const cashItems = this._getCashItems();
         if (!cashItems.length) return `<div class="${CSS_CLASSES.WIDGET_EMPTY}">No cash assets</div>`;
 
-        const totalCash = cashItems.reduce((acc, c) => acc + (parseFloat(c.balance) || 0), 0);
+        const totalCash = cashItems.reduce((acc, c) => acc + NetWorthService.valueOf(c), 0);
         return `
             <div class="${CSS_CLASSES.WIDGET_ROW}" style="padding: 10px 18px;">
                 <div style="display: flex; justify-content: space-between; align-items: center;">
@@ -848,12 +887,58 @@ export class WidgetPanel {
                 <div class="${CSS_CLASSES.WIDGET_ROW}" style="display: flex; justify-content: space-between; align-items: center; padding: 10px 18px; cursor: pointer;" 
                      onclick="document.dispatchEvent(new CustomEvent('${EVENTS.REQUEST_QUICK_NAV}', { detail: { watchlistId: '${CASH_WATCHLIST_ID}' } }))">
                     <span class="label" style="font-size: 0.8rem; color: rgba(255,255,255,0.6); flex: 1; text-align: left;">${c.name || c.category}</span>
-                    <span class="value" style="font-weight: 600; font-size: 0.85rem; color: #fff; flex: 1; text-align: right;">${formatCurrency(parseFloat(c.balance) || 0)}</span>
+                    <span class="value" style="font-weight: 600; font-size: 0.85rem; color: ${NetWorthService.isLiability(c) ? 'var(--color-negative)' : '#fff'}; flex: 1; text-align: right;">${formatCurrency(NetWorthService.valueOf(c))}</span>
                 </div>
             `).join('')}
         `;
     }
 
+    _renderDividendCalendar() {
+        const holdings = this._getPortfolioHoldings().map(h => ({ code: h.code, units: h.units, currency: h.currency }));
+        if (!holdings.length) return `<div class="${CSS_CLASSES.WIDGET_EMPTY}">No portfolio holdings</div>`;
+
+        // Forecast is async (cached dividend history); re-render once it lands, and again once a pending rate loads
+        const key = holdings.map(h => `${h.code}:${h.units}:${h.currency}:${CurrencyService.rate(h.currency) ? '' : 'fx'}`).sort().join('|')
+            + `|${CurrencyService.baseCurrency()}`;
+        if (!this.dividendForecast || this.dividendForecast.key !== key) {
+            this.dividendForecast = { key, data: null, loading: true };
+            DividendService.getIncomeForecast(holdings, 12).then(data => {
+                if (this.dividendForecast?.key !== key) return;
+                this.dividendForecast = { key, data, loading: false };
+                this.render();
+            });
+        }
+
+        const forecast = this.dividendForecast.data;
+        if (!forecast) {
+            return `<div class="${CSS_CLASSES.DIV_LOADING}"><i class="fas fa-circle-notch"></i> Projecting income...</div>`;
+        }
+        if (!forecast.events.length) return `<div class="${CSS_CLASSES.WIDGET_EMPTY}">No dividends expected</div>`;
+
+        const upcoming = forecast.events.slice(0, 4);
+        return `
+            <div class="${CSS_CLASSES.WIDGET_ROW}" style="padding: 10px 18px;">
+                <div style="display: flex; justify-content: space-between; align-items: center;">
+                    <span style="font-weight: 800; font-size: 0.85rem; color: #fff; flex: 1; text-align: left;">Next 12 Months</span>
+                    <span style="font-weight: 700; font-size: 0.9rem; color: var(--color-accent); flex: 1; text-align: right;">${formatCurrency(forecast.totalCash)}${forecast.fxPending ? UI_LABELS.FX_PENDING_MARKER : ''}</span>
+                </div>
+                <div style="font-size: 0.7rem; color: rgba(255,255,255,0.5); text-align: right; margin-top: 2px;">+ ${formatCurrency(forecast.totalFranking)} franking credits</div>
+            </div>
+            ${upcoming.map(ev => `
+                <div class="${CSS_CLASSES.WIDGET_ROW}" style="display: flex; justify-content: space-between; align-items: center; padding: 10px 18px; cursor: pointer;"
+                     onclick="document.dispatchEvent(new CustomEvent('${EVENTS.ASX_CODE_CLICK}', { detail: { code: '${ev.code}' } }))">
+                    <span class="code" style="font-weight: 800; font-size: 0.85rem; color: #fff; flex: 1; text-align: left;">${ev.code}</span>
+                    <span class="label" style="font-size: 0.75rem; color: rgba(255,255,255,0.6); flex: 1; text-align: center;">${new Date(ev.payDate).toLocaleDateString('en-AU', { day: 'numeric', month: 'short' })}${ev.isProjected ? ' (est.)' : ''}</span>
+                    <span class="value" style="font-weight: 700; font-size: 0.85rem; color: #fff; flex: 1; text-align: right;">${formatCurrency(ev.cash)}</span>
+                </div>
+            `).join('')}
+            <div class="${CSS_CLASSES.WIDGET_ROW}" id="${IDS.WIDGET_DIVIDEND_CALENDAR_LINK}" style="display: flex; justify-content: space-between; align-items: center; padding: 10px 18px; cursor: pointer;">
+                <span style="font-size: 0.8rem; font-weight: 700; color: var(--color-accent);">Full Calendar</span>
+                <i class="fas fa-chevron-right" style="font-size: 0.7rem; opacity: 0.3;"></i>
+            </div>
+        `;
+    }
+
     _renderWatchlistSummary() {
         const watchlists = AppState.data.watchlists || [];
         const allShares = AppState.data.shares || [];
@@ -26,6 +26,35 @@ export const DASHBOARD_SYMBOLS = [
     'GLD', 'SLV', 'OIL', 'NICKEL'
 ];
 
+/* Benchmarks offered first in chart overlays (any DASHBOARD_SYMBOLS entry may also be chosen) */
+export const BENCHMARK_DEFAULTS = Object.freeze({
+    '^AXJO': 'ASX 200',
+    '^AORD': 'All Ords',
+    'XKO': 'ASX 300'
+});
+
+/* Currencies shares and cash assets may be held in. Values convert to the user's base currency. */
+export const BASE_CURRENCY_DEFAULT = 'AUD';
+export const CURRENCIES = Object.freeze({
+    AUD: 'Australian Dollar',
+    USD: 'US Dollar',
+    GBP: 'British Pound',
+    EUR: 'Euro',
+    JPY: 'Japanese Yen',
+    NZD: 'New Zealand Dollar',
+    THB: 'Thai Baht'
+});
+
+/* Feed symbol quoting each currency per 1 AUD (streamed with DASHBOARD_SYMBOLS) */
+export const FX_RATE_SYMBOLS = Object.freeze({
+    USD: 'AUDUSD=X',
+    GBP: 'AUDGBP=X',
+    EUR: 'AUDEUR=X',
+    JPY: 'AUDJPY=X',
+    NZD: 'AUDNZD=X',
+    THB: 'AUDTHB=X'
+});
+
 /* Pennystock Blacklist for AI Briefing (Excluded from AI calculations to prevent skewing) */
 export const BRIEFING_BLACKLIST = [
     'FBR'
@@ -97,10 +126,12 @@ export const STORAGE_KEYS = {
     BORDER_PREFS: 'ASX_NEXT_borderPrefs',
     QUICK_NAV: 'ASX_NEXT_quickNav',
     ACCENT_COLOR: 'ASX_NEXT_accentColor',
+    CHART_BENCHMARK: 'ASX_NEXT_chartBenchmark',
     ACCENT_OPACITY: 'ASX_NEXT_accentOpacity',
     CARD_CHART_OPACITY: 'ASX_NEXT_cardChartOpacity',
     AI_PROMPT_TEMPLATES: 'ASX_NEXT_aiPromptTemplates',
     ONE_TAP_RESEARCH: 'ASX_NEXT_oneTapResearch',
+    BASE_CURRENCY: 'ASX_NEXT_baseCurrency',
     GEMINI_SUMMARIES: 'ASX_NEXT_geminiSummaries',
     VIEW_MODE: 'ASX_NEXT_viewMode', // Global fallback/Legacy
     VIEW_CONFIGS: 'ASX_NEXT_viewConfigs', // Per-watchlist Map
@@ -114,7 +145,21 @@ export const STORAGE_KEYS = {
     CALC_PREFS: 'ASX_NEXT_calcPrefs',
 
     // Dividend Manual Overrides
-    DIVIDEND_OVERRIDES: 'ASX_NEXT_dividendOverrides'
+    DIVIDEND_OVERRIDES: 'ASX_NEXT_dividendOverrides',
+
+    // Alert History: entry IDs already written (avoids rewriting on every recalculation)
+    ALERT_HISTORY_RECORDED: 'ASX_NEXT_alertHistoryRecorded',
+    ALERT_HISTORY_PRUNED: 'ASX_NEXT_alertHistoryPruned', // Day (YYYY-MM-DD) retention last ran
+
+    // Alert Cooldowns: last badged surfacing per share/type (code|type -> { t, at, price })
+    ALERT_COOLDOWNS: 'ASX_NEXT_alertCooldowns',
+
+    // System Notifications (per device: browser permission is per device too)
+    SYSTEM_NOTIFICATIONS: 'ASX_NEXT_systemNotifications',
+    ALERT_NOTIFIED: 'ASX_NEXT_alertNotified', // Alert IDs already raised as system notifications
+
+    // Market Index read-later queue (local mirror of preferences.readLaterMarketAlerts)
+    MARKET_READ_LATER: 'ASX_NEXT_marketReadLater'
 };
 
 export const EVENTS = {
@@ -130,6 +175,7 @@ export const EVENTS = {
     // Share/Asset Events
     REQUEST_EDIT_SHARE: 'request-edit-share',
     REQUEST_DELETE_SHARE: 'REQUEST_DELETE_SHARE',
+    REQUEST_CORPORATE_ACTION: 'request-corporate-action',
     SHARE_TOGGLE_VISIBILITY: 'share-toggle-visibility',
     ASX_CODE_CLICK: 'ASX_CODE_CLICK',
     REQUEST_DELETE_CASH_ASSET: 'REQUEST_DELETE_CASH_ASSET',
@@ -175,6 +221,9 @@ export const EVENTS = {
     TOGGLE_SHARE_MUTE: 'toggle-share-mute', // Added for Constitution Compliance
     OPEN_SETTINGS: 'open-settings',
     OPEN_GENERAL_SETTINGS: 'open-general-settings',
+    ALERT_HISTORY_UPDATED: 'alert-history-updated', // New entries written to the alert history
+    ALERT_SNOOZES_CHANGED: 'alert-snoozes-changed', // A share was snoozed or a snooze was cleared
+    MARKET_READ_LATER_CHANGED: 'market-read-later-changed', // Read-later queue changed (locally or from another device)
     PIN_ALERT: 'pin-alert',
     UNPIN_ALERT: 'unpin-alert',
     SAVE_SCANNER_SETTINGS: 'save-scanner-settings',
@@ -200,7 +249,8 @@ export const EVENTS = {
 
     // Dividend Overrides
     DIV_OVERRIDE_CLICK: 'DIV_OVERRIDE_CLICK',
-    DIV_OVERRIDE_SAVE: 'DIV_OVERRIDE_SAVE'
+    DIV_OVERRIDE_SAVE: 'DIV_OVERRIDE_SAVE',
+    OPEN_DIVIDEND_CALENDAR: 'open-dividend-calendar'
 };
 
 export const SORT_OPTIONS = {
@@ -447,6 +497,15 @@ export const UI_ICONS = {
     SYNC: 'fa-sync-alt',
     ANNOUNCEMENTS: 'fa-satellite-dish',
     CALCULATOR: 'fa-calculator',
+    CORPORATE_ACTION: 'fa-exchange-alt',
+    ALERT_RULE: 'fa-sliders-h',
+    TRAILING_STOP: 'fa-shield-alt',
+    COST_ALERT: 'fa-balance-scale-left',
+    TARGET_ALERT: 'fa-crosshairs',
+    SNOOZE: 'fa-clock',
+    QUIET_HOURS: 'fa-moon',
+    READ_LATER: 'fa-bookmark',
+    MATURITY: 'fa-hourglass-end',
 
     SIMULATED: 'fa-flask'
 };
@@ -493,7 +552,11 @@ export const USER_MESSAGES = {
     RENAME_SYSTEM_VIEW: 'Cannot rename System views.',
     RENAME_RESTRICTED: 'Cannot rename this view. Please create a new watchlist to enable renaming.',
     CONFIRM_DELETE_ALL: 'CRITICAL: This will permanently delete ALL your shares, watchlists, and settings. This action cannot be undone. Are you sure?',
-    DATA_WIPED: 'All data has been deleted.'
+    DATA_WIPED: 'All data has been deleted.',
+    CORPORATE_ACTION_APPLIED: 'Corporate action applied to {0} record(s).', // {0} = count
+    CORPORATE_ACTION_FAILED: 'Corporate action failed. No records were changed.',
+    CORPORATE_ACTION_NOTHING: 'No records reference this code.',
+    CORPORATE_ACTION_ALREADY_APPLIED: 'This split or consolidation is already in the ledger for {0}.' // {0} = code
 };
 
 export const RESEARCH_LINKS_TEMPLATE = Object.freeze([
@@ -552,7 +615,329 @@ export const CASH_CATEGORIES = [
     { id: 'crypto', label: 'Crypto' },
     { id: 'shares', label: 'Shares' },
     { id: 'super', label: 'Superannuation' },
-    { id: 'personal', label: 'Personal' }
+    { id: 'personal', label: 'Personal' },
+    { id: 'mortgage', label: 'Mortgage' },
+    { id: 'margin_loan', label: 'Margin Loan' },
+    { id: 'personal_loan', label: 'Personal Loan' },
+    { id: 'credit_card', label: 'Credit Card' }
+];
+
+// Liability categories: the balance is the amount owed and subtracts from net worth
+export const LIABILITY_CATEGORY_IDS = ['mortgage', 'margin_loan', 'personal_loan', 'credit_card'];
+
+// securedBy value for a loan against the share portfolio (otherwise the securing asset's ID)
+export const LIABILITY_SECURITY_PORTFOLIO = 'portfolio';
+
+// Interest-bearing cash assets (optional on any asset; term deposits also carry a maturity date)
+export const CASH_COMPOUNDING = {
+    AT_MATURITY: 'maturity', // Simple interest, paid at maturity
+    DAILY: 'daily',
+    MONTHLY: 'monthly',
+    QUARTERLY: 'quarterly',
+    ANNUALLY: 'annually'
+};
+
+export const CASH_COMPOUNDING_LABELS = {
+    [CASH_COMPOUNDING.AT_MATURITY]: 'At Maturity (Simple)',
+    [CASH_COMPOUNDING.DAILY]: 'Daily',
+    [CASH_COMPOUNDING.MONTHLY]: 'Monthly',
+    [CASH_COMPOUNDING.QUARTERLY]: 'Quarterly',
+    [CASH_COMPOUNDING.ANNUALLY]: 'Annually'
+};
+
+// Compounding periods per year (simple interest has none)
+export const CASH_COMPOUNDING_PERIODS = {
+    [CASH_COMPOUNDING.DAILY]: 365,
+    [CASH_COMPOUNDING.MONTHLY]: 12,
+    [CASH_COMPOUNDING.QUARTERLY]: 4,
+    [CASH_COMPOUNDING.ANNUALLY]: 1
+};
+
+export const CASH_MATURITY_NOTICE_DAYS = 7; // Maturity alert fires this many days ahead
+
+export const CASH_ALERT_INTENTS = {
+    MATURITY: 'maturity'
+};
+
+// Dated balance history on cash assets (revaluations, deposits, withdrawals)
+export const CASH_HISTORY_TYPES = {
+    REVALUATION: 'revaluation', // Balance set to the amount
+    DEPOSIT: 'deposit',
+    WITHDRAWAL: 'withdrawal'
+};
+
+export const CASH_HISTORY_TYPE_LABELS = {
+    [CASH_HISTORY_TYPES.REVALUATION]: 'Revaluation',
+    [CASH_HISTORY_TYPES.DEPOSIT]: 'Deposit',
+    [CASH_HISTORY_TYPES.WITHDRAWAL]: 'Withdrawal'
+};
+
+export const CASH_HISTORY_LIMIT = 500; // Entries kept per asset (oldest folded into an opening balance)
+
+// Superannuation accounts (assets in the super category)
+export const SUPER_CATEGORY_ID = 'super';
+
+export const SUPER_CONTRIBUTION_TYPES = {
+    EMPLOYER: 'employer', // Super guarantee (concessional)
+    SALARY_SACRIFICE: 'salary_sacrifice', // Concessional
+    PERSONAL: 'personal' // After-tax (non-concessional)
+};
+
+export const SUPER_CONTRIBUTION_TYPE_LABELS = {
+    [SUPER_CONTRIBUTION_TYPES.EMPLOYER]: 'Employer',
+    [SUPER_CONTRIBUTION_TYPES.SALARY_SACRIFICE]: 'Salary Sacrifice',
+    [SUPER_CONTRIBUTION_TYPES.PERSONAL]: 'Personal'
+};
+
+// Types counted against the concessional cap (the rest count against the non-concessional cap)
+export const SUPER_CONCESSIONAL_TYPES = [SUPER_CONTRIBUTION_TYPES.EMPLOYER, SUPER_CONTRIBUTION_TYPES.SALARY_SACRIFICE];
+
+// Annual caps and contributions tax as at FY2024-25. The ATO indexes these: verify against
+// ato.gov.au each year. Every account can override the caps in its edit modal.
+export const SUPER_CAP_DEFAULTS = {
+    CONCESSIONAL: 30000,
+    NON_CONCESSIONAL: 120000
+};
+export const SUPER_CONTRIBUTIONS_TAX_PCT = 15; // Deducted by the fund from concessional contributions
+
+export const SUPER_INVESTMENT_OPTIONS = {
+    HIGH_GROWTH: 'high_growth',
+    GROWTH: 'growth',
+    BALANCED: 'balanced',
+    CONSERVATIVE: 'conservative',
+    CASH: 'cash'
+};
+
+export const SUPER_INVESTMENT_OPTION_LABELS = {
+    [SUPER_INVESTMENT_OPTIONS.HIGH_GROWTH]: 'High Growth',
+    [SUPER_INVESTMENT_OPTIONS.GROWTH]: 'Growth',
+    [SUPER_INVESTMENT_OPTIONS.BALANCED]: 'Balanced',
+    [SUPER_INVESTMENT_OPTIONS.CONSERVATIVE]: 'Conservative',
+    [SUPER_INVESTMENT_OPTIONS.CASH]: 'Cash'
+};
+
+// Illustrative long-run returns (% p.a., after fees) used when an account has no assumed return of its own
+export const SUPER_OPTION_RETURN_PCT = {
+    [SUPER_INVESTMENT_OPTIONS.HIGH_GROWTH]: 7.5,
+    [SUPER_INVESTMENT_OPTIONS.GROWTH]: 7,
+    [SUPER_INVESTMENT_OPTIONS.BALANCED]: 6,
+    [SUPER_INVESTMENT_OPTIONS.CONSERVATIVE]: 4.5,
+    [SUPER_INVESTMENT_OPTIONS.CASH]: 3
+};
+
+export const SUPER_RETIREMENT_AGE_DEFAULT = 67;
+
+// Transaction Ledger (per-share parcel history)
+export const TRANSACTION_TYPES = {
+    BUY: 'buy',
+    SELL: 'sell',
+    DRP: 'drp',
+    SPLIT: 'split',
+    CONSOLIDATION: 'consolidation'
+};
+
+export const TRANSACTION_TYPE_LABELS = {
+    [TRANSACTION_TYPES.BUY]: 'Buy',
+    [TRANSACTION_TYPES.SELL]: 'Sell',
+    [TRANSACTION_TYPES.DRP]: 'DRP',
+    [TRANSACTION_TYPES.SPLIT]: 'Split',
+    [TRANSACTION_TYPES.CONSOLIDATION]: 'Consolidation'
+};
+
+// Capital Gains (sell-to-parcel matching methods)
+export const CGT_METHODS = {
+    FIFO: 'fifo',
+    LIFO: 'lifo',
+    HIGHEST_COST: 'highest',
+    MANUAL: 'manual'
+};
+
+export const CGT_METHOD_LABELS = {
+    [CGT_METHODS.FIFO]: 'First In, First Out',
+    [CGT_METHODS.LIFO]: 'Last In, First Out',
+    [CGT_METHODS.HIGHEST_COST]: 'Highest Cost First',
+    [CGT_METHODS.MANUAL]: 'Manual Parcel Pick'
+};
+
+// Portfolio Sync import modes (Data Management > Portfolio Sync)
+export const SYNC_IMPORT_MODES = {
+    LATEST: 'latest',   // Latest purchase / holdings snapshot per code
+    FULL: 'full'        // Replay every trade into the transaction ledger
+};
+
+// Corporate Actions (applied across every record that references a code)
+export const CORPORATE_ACTION_TYPES = {
+    SPLIT: 'split',
+    CONSOLIDATION: 'consolidation',
+    CODE_CHANGE: 'code_change'
+};
+
+export const CORPORATE_ACTION_LABELS = {
+    [CORPORATE_ACTION_TYPES.SPLIT]: 'Share Split',
+    [CORPORATE_ACTION_TYPES.CONSOLIDATION]: 'Consolidation',
+    [CORPORATE_ACTION_TYPES.CODE_CHANGE]: 'Code / Name Change'
+};
+
+// Compound Alert Rules (Share Form > Alert Rules). Every condition in a rule must hold for it to fire.
+export const ALERT_RULE_INTENT = 'rule';
+
+export const ALERT_RULE_METRICS = {
+    PRICE: 'price',                 // Last price vs $ value
+    DAY_CHANGE_PCT: 'day_change',   // Day change % vs value
+    PRICE_VS_MA: 'price_ma',        // Last price vs N-day moving average
+    VOLUME_VS_AVG: 'volume_avg'     // Day volume vs value x N-day average volume
+};
+
+export const ALERT_RULE_METRIC_LABELS = {
+    [ALERT_RULE_METRICS.PRICE]: 'Price ($)',
+    [ALERT_RULE_METRICS.DAY_CHANGE_PCT]: 'Day Change (%)',
+    [ALERT_RULE_METRICS.PRICE_VS_MA]: 'Price vs Moving Avg',
+    [ALERT_RULE_METRICS.VOLUME_VS_AVG]: 'Volume vs Avg (x)'
+};
+
+export const ALERT_RULE_OPERATORS = {
+    ABOVE: 'above',
+    BELOW: 'below'
+};
+
+// Protective alerts on holdings (Share Form > Alert Rules)
+export const PROTECTIVE_ALERT_INTENTS = {
+    TRAILING_STOP: 'trailing-stop', // x% below the highest close since the stop was set
+    COST: 'cost'                    // N% down / up from average cost
+};
+
+// Personal triggers: exempt from sector / zombie filters like price targets, still muted by the share mute
+export const PERSONAL_ALERT_INTENTS = [ALERT_RULE_INTENT, PROTECTIVE_ALERT_INTENTS.TRAILING_STOP, PROTECTIVE_ALERT_INTENTS.COST];
+
+export const ALERT_RULE_DEFAULTS = {
+    PERIOD: 20,        // Days for moving average / average volume
+    MAX_PERIOD: 200,   // Longest lookback the 1y history can support
+    HISTORY_RANGE: '1y'
+};
+
+// Alert History (persistent log of every alert that fired, one entry per alert per day)
+export const ALERT_HISTORY_TYPES = {
+    TARGET: 'target',             // Price targets, compound rules and protective alerts
+    MOVER: 'mover',
+    HILO: 'hilo',                 // 52-week high / low
+    MARKET_INDEX: 'market-index', // Market Index announcements
+    CASH: 'cash'                  // Term deposit maturities
+};
+
+export const ALERT_HISTORY_TYPE_LABELS = {
+    [ALERT_HISTORY_TYPES.TARGET]: 'Targets & Rules',
+    [ALERT_HISTORY_TYPES.MOVER]: 'Movers',
+    [ALERT_HISTORY_TYPES.HILO]: '52-Week',
+    [ALERT_HISTORY_TYPES.MARKET_INDEX]: 'Market Index',
+    [ALERT_HISTORY_TYPES.CASH]: 'Cash'
+};
+
+export const ALERT_HISTORY_LIMITS = {
+    FETCH: 500,          // Newest entries loaded for the full history view (and per share)
+    DETAIL_PREVIEW: 5,   // Entries shown on the stock detail card
+    RETENTION_DAYS: 365, // Older entries are deleted (checked once a day per device)
+    RECORDED_IDS: 1000   // Written entry IDs remembered to skip rewrites
+};
+
+// Alert Suppression (snooze, quiet hours, per-type cooldowns)
+export const ALERT_SNOOZE_OPTIONS = [
+    { id: '1h', label: '1h', hours: 1 },
+    { id: '4h', label: '4h', hours: 4 },
+    { id: 'tomorrow', label: 'Tomorrow', hours: null } // Until local midnight
+];
+
+// Alert types a cooldown can be set for (scannerRules.cooldowns.<type>)
+export const ALERT_COOLDOWN_TYPES = [ALERT_HISTORY_TYPES.TARGET, ALERT_HISTORY_TYPES.MOVER, ALERT_HISTORY_TYPES.HILO];
+
+export const ALERT_SUPPRESSION_DEFAULTS = {
+    QUIET_START: '22:00',
+    QUIET_END: '07:00',
+    COOLDOWN_HOURS: 0,     // 0 = off
+    COOLDOWN_STEP_PCT: 0,  // 0 = only the cooldown window lifts it
+    MAX_COOLDOWN_HOURS: 72
+};
+
+// System notifications for fired alerts (Notifications API)
+export const SYSTEM_NOTIFICATION_CONFIG = {
+    TAG: 'asx-alerts',              // One grouped notification, replaced on each delivery
+    ICON: 'notification_icon.svg',
+    MAX_LINES: 4,                   // Alerts listed in a grouped notification before "+N more"
+    MAX_REMEMBERED: 500             // Delivered alert IDs kept to avoid repeats after reload
+};
+
+// Background pipelines a user can opt into (registry: pipeline_registry/{uid})
+export const PIPELINES = {
+    DIVIDENDS: 'dividends',     // Dividend history sync (Apps Script, every 30 min)
+    MARKET_INDEX: 'marketIndex' // Market Index email ingestion (Apps Script, every 10 min)
+};
+
+export const PIPELINE_LABELS = {
+    [PIPELINES.DIVIDENDS]: 'Dividend History Sync',
+    [PIPELINES.MARKET_INDEX]: 'Market Index Emails'
+};
+
+export const PIPELINE_DESCRIPTIONS = {
+    [PIPELINES.DIVIDENDS]: 'Keep dividend history for your holdings up to date',
+    [PIPELINES.MARKET_INDEX]: 'Turn Market Index emails into announcements and reports'
+};
+
+// Market Index stream filters
+export const MARKET_STREAM_TYPES = {
+    ALL: 'all',
+    ALERT: 'alert',   // Company announcements (extractAlert_)
+    REPORT: 'report'  // Market wraps and reports (extractReport_)
+};
+
+export const MARKET_STREAM_TYPE_LABELS = {
+    [MARKET_STREAM_TYPES.ALL]: 'All Types',
+    [MARKET_STREAM_TYPES.ALERT]: 'Company',
+    [MARKET_STREAM_TYPES.REPORT]: 'Reports'
+};
+
+export const MARKET_READ_LATER_LIMIT = 100; // Oldest saved items drop off beyond this
+
+// Market Index announcement categories, highest priority first.
+// Values are written by the GAS pipeline (categorizeSubject_) - keep in sync.
+export const ANNOUNCEMENT_CATEGORIES = {
+    HALT: 'halt',
+    CAPITAL_RAISE: 'capitalRaise',
+    PRICE_SENSITIVE: 'priceSensitive'
+};
+
+export const ANNOUNCEMENT_CATEGORY_LABELS = {
+    [ANNOUNCEMENT_CATEGORIES.HALT]: 'Trading Halt',
+    [ANNOUNCEMENT_CATEGORIES.CAPITAL_RAISE]: 'Capital Raise',
+    [ANNOUNCEMENT_CATEGORIES.PRICE_SENSITIVE]: 'Price Sensitive'
+};
+
+export const ANNOUNCEMENT_DETAIL_PREVIEW = 3; // Tagged announcements shown on the stock detail card
+
+// Per-ticker state of the background dividend sync (DividendSyncService.getStatus)
+export const DIVIDEND_SYNC_STATUS = {
+    QUEUED: 'queued', // Resync requested, waiting for the next run
+    FAILED: 'failed', // Last attempt failed
+    NEVER: 'never',   // Never synced
+    STALE: 'stale',   // Synced, but older than the stale threshold
+    SYNCED: 'synced'
+};
+
+export const DIVIDEND_SYNC_STATUS_LABELS = {
+    [DIVIDEND_SYNC_STATUS.QUEUED]: 'Queued',
+    [DIVIDEND_SYNC_STATUS.FAILED]: 'Failed',
+    [DIVIDEND_SYNC_STATUS.NEVER]: 'Never Synced',
+    [DIVIDEND_SYNC_STATUS.STALE]: 'Outdated',
+    [DIVIDEND_SYNC_STATUS.SYNCED]: 'Synced'
+};
+
+// Performance reporting periods (TWR / XIRR), in display order
+export const PERFORMANCE_PERIODS = [
+    { id: '1M', label: '1M' },
+    { id: '3M', label: '3M' },
+    { id: 'YTD', label: 'YTD' },
+    { id: 'FY', label: 'FY' },
+    { id: '1Y', label: '1Y' },
+    { id: '3Y', label: '3Y' },
+    { id: 'INCEPTION', label: 'Since Inception' }
 ];
 
 export const SUMMARY_TYPES = {
@@ -560,7 +945,8 @@ export const SUMMARY_TYPES = {
     DAY_CHANGE: 'DAY_CHANGE',
     WINNERS: 'WINNERS',
     LOSERS: 'LOSERS',
-    CAPITAL_GAIN: 'CAPITAL_GAIN'
+    CAPITAL_GAIN: 'CAPITAL_GAIN',
+    RETURNS: 'RETURNS'
 };
 
 export const CSS_CLASSES = {
@@ -776,6 +1162,24 @@ export const CSS_CLASSES = {
     CASH_VIEW_TWO_COLUMN: 'cash-view-two-column',
     CASH_VIEW_THREE_COLUMN: 'cash-view-three-column',
     CASH_BORDER_PREFIX: 'cash-border-',
+    CASH_INTEREST_GROUP: 'cash-interest-group',
+    CASH_INTEREST_META: 'cash-interest-meta',
+    CASH_MATURITY_DUE: 'cash-maturity-due',
+    MATURITY_ALERT_LIST: 'maturity-alert-list',
+    MATURITY_ALERT_ROW: 'maturity-alert-row',
+    CASH_HISTORY_GROUP: 'cash-history-group',
+    CASH_LIABILITY_GROUP: 'cash-liability-group',
+    CASH_NET_SUMMARY: 'cash-net-summary',
+    CASH_HISTORY_LIST: 'cash-history-list',
+    CASH_HISTORY_ROW: 'cash-history-row',
+    CASH_HISTORY_DELETE_BTN: 'cash-history-delete-btn',
+    CASH_SUPER_GROUP: 'cash-super-group',
+    SUPER_CONTRIBUTION_LIST: 'super-contribution-list',
+    SUPER_CONTRIBUTION_ROW: 'super-contribution-row',
+    SUPER_CONTRIBUTION_DELETE_BTN: 'super-contribution-delete-btn',
+    SUPER_CAP_TABLE: 'super-cap-table',
+    SUPER_CAP_OVER: 'super-cap-over',
+    SUPER_PROJECTION: 'super-projection',
 
     // Dashboard / Sparklines
     DASHBOARD_CONTAINER: 'dashboard-container',
@@ -1221,6 +1625,8 @@ export const CSS_CLASSES = {
     PILL_SEGMENT_BADGE: 'pill-segment-badge',
     PILL_SEGMENT_BADGE_SCOPE: 'pill-segment-badge-scope',
     PILL_SEGMENT_EMAIL: 'pill-segment-email',
+    PILL_SEGMENT_QUIET: 'pill-segment-quiet',
+    PILL_SEGMENT_PUSH: 'pill-segment-push',
     PILL_SEGMENT_OVERRIDE: 'pill-segment-override',
     PILL_SEGMENT_HILO: 'pill-segment-hilo',
     PILL_SEGMENT_MOVERS: 'pill-segment-movers',
@@ -1273,6 +1679,32 @@ export const CSS_CLASSES = {
     DIV_STALE_INDICATOR: 'div-stale-indicator',
     DIV_CONSISTENCY_ROW: 'div-consistency-row',
 
+    // Dividend Calendar (Widget + Modal)
+    DIV_CAL_SUMMARY: 'div-cal-summary',
+    DIV_CAL_CHART: 'div-cal-chart',
+    DIV_CAL_BAR_COL: 'div-cal-bar-col',
+    DIV_CAL_BAR_CASH: 'div-cal-bar-cash',
+    DIV_CAL_BAR_FRANKING: 'div-cal-bar-franking',
+    DIV_CAL_BAR_LABEL: 'div-cal-bar-label',
+    DIV_CAL_MONTH: 'div-cal-month',
+    DIV_CAL_MONTH_HEADER: 'div-cal-month-header',
+    DIV_CAL_EVENT: 'div-cal-event',
+    DIV_CAL_EST_TAG: 'div-cal-est-tag',
+
+    // Performance (TWR / XIRR)
+    PERF_TOOLBAR: 'perf-toolbar',
+    PERF_TABLE_WRAP: 'perf-table-wrap',
+    PERF_TABLE: 'perf-table',
+    PERF_ROW_TOTAL: 'perf-row-total',
+    PERF_PARTIAL: 'perf-partial',
+    PERF_NOTE: 'perf-note',
+
+    // Corporate Actions
+    CORP_ACTION_PREVIEW: 'corp-action-preview',
+    CORP_ACTION_ITEM: 'corp-action-item',
+    CORP_ACTION_WARNING: 'corp-action-warning',
+    CORP_ACTION_RATIO: 'corp-action-ratio',
+
     // Calculator Classes
     CALC_KEYPAD: 'calc-keypad',
     CALC_KEY: 'calc-key',
@@ -1452,6 +1884,65 @@ export const CSS_CLASSES = {
 
 
 
+    // Transaction Ledger (Share Form)
+    LEDGER_LIST: 'ledger-list',
+    LEDGER_ROW: 'ledger-row',
+    LEDGER_FIELD: 'ledger-field',
+    LEDGER_RATIO: 'ledger-ratio',
+    LEDGER_REMOVE_BTN: 'ledger-remove-btn',
+    LEDGER_SUMMARY: 'ledger-summary',
+    LEDGER_EMPTY: 'ledger-empty',
+    LEDGER_LOT_PICK: 'ledger-lot-pick',
+
+    // Compound Alert Rules (Share Form)
+    ALERT_RULE_LIST: 'alert-rule-list',
+    ALERT_RULE_CARD: 'alert-rule-card',
+    ALERT_RULE_HEADER: 'alert-rule-header',
+    ALERT_RULE_NAME: 'alert-rule-name',
+    ALERT_RULE_CONDITION: 'alert-rule-condition',
+    ALERT_RULE_FIELD: 'alert-rule-field',
+    ALERT_RULE_ADD_CONDITION: 'alert-rule-add-condition',
+    ALERT_RULE_REMOVE_BTN: 'alert-rule-remove-btn',
+    ALERT_RULE_FIRED: 'alert-rule-fired',
+
+    // Alert History
+    ALERT_HISTORY_TOOLBAR: 'alert-history-toolbar',
+    ALERT_HISTORY_LIST: 'alert-history-list',
+    ALERT_HISTORY_DAY: 'alert-history-day',
+    ALERT_HISTORY_ROW: 'alert-history-row',
+    ALERT_HISTORY_ICON: 'alert-history-icon',
+    ALERT_HISTORY_MAIN: 'alert-history-main',
+    ALERT_HISTORY_META: 'alert-history-meta',
+    ALERT_HISTORY_EMPTY: 'alert-history-empty',
+
+    // Alert Snooze / Quiet Hours / Cooldowns
+    ALERT_SNOOZE_BTN: 'alert-snooze-btn',
+    ALERT_SNOOZE_MENU: 'alert-snooze-menu',
+    ALERT_SNOOZE_OPTION: 'alert-snooze-option',
+    ALERT_SNOOZE_CHIP: 'alert-snooze-chip',
+    ALERT_COOLDOWN_GRID: 'alert-cooldown-grid',
+
+    // Market Index Stream Filters & Read Later
+    MARKET_STREAM_FILTERS: 'market-stream-filters',
+    MARKET_STREAM_FILTER_ROW: 'market-stream-filter-row',
+    MARKET_STREAM_READ_LATER_BTN: 'market-stream-read-later-btn',
+    STREAM_LINK_CHIP: 'stream-link-chip',
+    READ_LATER_PILL: 'read-later-pill',
+    ANNOUNCEMENT_CATEGORY_BADGE: 'announcement-category-badge',
+    KEY_ANNOUNCEMENT_LIST: 'key-announcement-list',
+    KEY_ANNOUNCEMENT_ITEM: 'key-announcement-item',
+    KEY_ANNOUNCEMENT_TITLE: 'key-announcement-title',
+
+    // Dividend Sync Status
+    DIV_SYNC_TOOLBAR: 'div-sync-toolbar',
+    DIV_SYNC_LIST: 'div-sync-list',
+    DIV_SYNC_ROW: 'div-sync-row',
+    DIV_SYNC_MAIN: 'div-sync-main',
+    DIV_SYNC_META: 'div-sync-meta',
+    DIV_SYNC_BADGE: 'div-sync-badge',
+    DIV_SYNC_RESYNC_BTN: 'div-sync-resync-btn',
+    DIV_SYNC_EMPTY: 'div-sync-empty',
+
     // Simulated Cards
     SIMULATED_CARD: 'simulated-card',
     SIM_VALUATION_VAL: 'sim-valuation-val',
@@ -1511,6 +2002,23 @@ export const IDS = {
     DYNAMIC_COMMENTS_AREA: 'dynamicCommentsArea',
     BTN_ADD_COMMENT: 'btnAddComment',
     PURCHASE_DATE: 'purchaseDate',
+    TRANSACTION_LEDGER_LIST: 'transactionLedgerList',
+    TRANSACTION_LEDGER_SUMMARY: 'transactionLedgerSummary',
+    BTN_ADD_TRANSACTION: 'btnAddTransaction',
+    ALERT_RULE_LIST: 'alertRuleList',
+    BTN_ADD_ALERT_RULE: 'btnAddAlertRule',
+    TRAILING_STOP_PCT: 'trailingStopPct',
+    COST_ALERT_DOWN_PCT: 'costAlertDownPct',
+    COST_ALERT_UP_PCT: 'costAlertUpPct',
+    TRAILING_STOP_STATUS: 'trailingStopStatus',
+    DRP_ENABLED: 'drpEnabled',
+    DRP_INPUTS_CONTAINER: 'drpInputsContainer',
+    DRP_DISCOUNT: 'drpDiscount',
+    DRP_SINCE: 'drpSince',
+    DRP_FRACTIONAL: 'drpFractional',
+    SHARE_CURRENCY: 'shareCurrency',
+    PURCHASE_FX_RATE: 'purchaseFxRate',
+    PURCHASE_FX_CONTAINER: 'purchaseFxContainer',
     ENTERED_PRICE: 'enteredPrice',
     ENTRY_DATE: 'entryDate',
     SIMULATED_ACTIVE: 'simulatedActive',
@@ -1518,6 +2026,7 @@ export const IDS = {
     SIMULATED_VALUE: 'simulatedValue',
     SAVE_BTN: 'addShareSaveBtn',
     DELETE_BTN: 'addShareDeleteBtn',
+    CORPORATE_ACTION_BTN: 'addShareCorporateActionBtn',
     BTN_EDIT_SHARE: 'btn-edit-share',
     BTN_DELETE_SHARE: 'btn-delete-share',
     HEADER_MOVEMENT_COUNTS: 'header-movement-counts',
@@ -1528,6 +2037,35 @@ export const IDS = {
     WIDGET_CLOSE_TRIGGER: 'widget-close-trigger',
     WIDGET_PORTFOLIO_HERO: 'widget-portfolio-hero',
     WIDGET_OVERLAY: 'widget-overlay',
+    WIDGET_DIVIDEND_CALENDAR_LINK: 'widget-dividend-calendar-link',
+    DIVIDEND_CALENDAR_MODAL: 'dividend-calendar-modal',
+    PERFORMANCE_MODAL: 'performance-modal',
+    PERFORMANCE_METRIC_SELECT: 'performance-metric-select',
+    CORPORATE_ACTION_MODAL: 'corporate-action-modal',
+    CORPORATE_ACTION_TYPE: 'corporateActionType',
+    CORPORATE_ACTION_NEW_CODE: 'corporateActionNewCode',
+    CORPORATE_ACTION_RATIO_FROM: 'corporateActionRatioFrom',
+    CORPORATE_ACTION_RATIO_TO: 'corporateActionRatioTo',
+    CORPORATE_ACTION_DATE: 'corporateActionDate',
+    CORPORATE_ACTION_PREVIEW: 'corporateActionPreview',
+    CORPORATE_ACTION_APPLY: 'corporateActionApply',
+    ALERT_HISTORY_MODAL: 'alert-history-modal',
+    ALERT_HISTORY_SEARCH: 'alertHistorySearch',
+    ALERT_HISTORY_TYPE: 'alertHistoryType',
+    ALERT_HISTORY_RESULTS: 'alertHistoryResults',
+    BTN_ALERT_HISTORY: 'btn-alert-history',
+    BTN_CLEAR_SNOOZES: 'btn-clear-snoozes',
+    MARKET_STREAM_SEARCH: 'market-stream-search',
+    MARKET_STREAM_CODE: 'market-stream-code',
+    MARKET_STREAM_TYPE: 'market-stream-type',
+    MARKET_STREAM_FROM: 'market-stream-from',
+    MARKET_STREAM_TO: 'market-stream-to',
+    MARKET_STREAM_READ_LATER: 'market-stream-read-later',
+    MARKET_STREAM_CLEAR_FILTERS: 'market-stream-clear-filters',
+    DIVIDEND_SYNC_MODAL: 'dividend-sync-modal',
+    DIVIDEND_SYNC_BODY: 'dividendSyncBody',
+    BTN_RESYNC_OUTDATED: 'btn-resync-outdated',
+    GEN_DIVIDEND_SYNC_STATUS_BTN: 'gen-dividend-sync-status-btn',
 
     // Search Discovery
     DISCOVERY_MODAL: 'discovery-modal',
@@ -1581,6 +2119,26 @@ export const IDS = {
     CATEGORY_OPTIONS: 'category-options',
     ASSET_NAME: 'asset-name',
     ASSET_BALANCE: 'asset-balance',
+    ASSET_INTEREST_RATE: 'asset-interest-rate',
+    ASSET_COMPOUNDING: 'asset-compounding',
+    ASSET_START_DATE: 'asset-start-date',
+    ASSET_MATURITY_DATE: 'asset-maturity-date',
+    ASSET_HISTORY_DATE: 'asset-history-date',
+    ASSET_SECURED_BY: 'asset-secured-by',
+    ASSET_CURRENCY: 'asset-currency',
+    ASSET_SUPER_OPTION: 'asset-super-option',
+    ASSET_SUPER_RETURN: 'asset-super-return',
+    ASSET_SUPER_BIRTH_DATE: 'asset-super-birth-date',
+    ASSET_SUPER_RETIREMENT_AGE: 'asset-super-retirement-age',
+    ASSET_SUPER_CONCESSIONAL_CAP: 'asset-super-concessional-cap',
+    ASSET_SUPER_NON_CONCESSIONAL_CAP: 'asset-super-non-concessional-cap',
+    SUPER_CONTRIBUTION_DATE: 'super-contribution-date',
+    SUPER_CONTRIBUTION_TYPE: 'super-contribution-type',
+    SUPER_CONTRIBUTION_AMOUNT: 'super-contribution-amount',
+    BTN_ADD_SUPER_CONTRIBUTION: 'btn-add-super-contribution',
+    ASSET_HISTORY_TYPE: 'asset-history-type',
+    ASSET_HISTORY_AMOUNT: 'asset-history-amount',
+    BTN_ADD_HISTORY_ENTRY: 'btn-add-history-entry',
     COMMENTS_LIST_CONTAINER: 'comments-list-container',
     MODAL_SUBTITLE: 'modalSubtitle',
     RENAME_WATCHLIST_BTN: 'rename-watchlist-btn',
@@ -1596,7 +2154,12 @@ export const IDS = {
     PREF_DOWN_DOLLAR: 'down-dollarVal',
     PREF_EXCLUDE_PORTFOLIO: 'toggle-pref-excludePortfolio',
     PREF_BADGE_SCOPE: 'toggle-pref-badgeScope',
+    GEN_BASE_CURRENCY: 'gen-base-currency',
     PREF_EMAIL_ADDR: 'pref-emailAddr',
+    PREF_QUIET_ENABLED: 'toggle-quietHoursEnabled',
+    PREF_QUIET_START: 'pref-quietStart',
+    PREF_QUIET_END: 'pref-quietEnd',
+    PREF_COOLDOWN_PREFIX: 'pref-cooldown', // + -<type>-hours / -<type>-step
     TOGGLE_DAILY_EMAIL: 'toggle-pref-dailyEmail',
     PREF_GRADIENT_STRENGTH: 'toggle-pref-gradientStrength',
 
@@ -1744,6 +2307,9 @@ export const IDS = {
     GEN_CHANGE_PIN_BTN: 'gen-change-pin-btn',
     GEN_DATA_MGMT_ROW: 'gen-data-mgmt-row',
     GEN_DELETE_ROW: 'gen-delete-row',
+    GEN_PIPELINE_TOGGLE_PREFIX: 'gen-pipeline-toggle', // + '-' + PIPELINES value
+    GEN_PIPELINE_STATUS_PREFIX: 'gen-pipeline-status', // + '-' + PIPELINES value
+    GEN_PIPELINE_MI_ADDRESS: 'gen-pipeline-mi-address',
     BORDER_SELECTOR_MODAL: 'border-selector-modal',
     BORDER_BOX_WIDGET: 'border-box-widget',
     SAVE_BORDERS_BTN: 'save-borders-btn',
@@ -1775,6 +2341,15 @@ export const IDS = {
     AI_SUMMARY_MODAL: 'ai-summary-modal',
     AI_PROMPT_EDITOR: 'ai-prompt-editor-container',
 
+    // Data Management (Tax Reports)
+    DM_CGT_METHOD: 'dm-cgt-method',
+    DM_CGT_YEAR: 'dm-cgt-year',
+    DM_BTN_CGT_CSV: 'dm-btn-cgt-csv',
+    DM_BTN_CGT_PDF: 'dm-btn-cgt-pdf',
+    DM_DIV_YEAR: 'dm-div-year',
+    DM_BTN_DIV_PDF: 'dm-btn-div-pdf',
+    DM_IMPORT_MODE: 'dm-import-mode',
+
 
 };
 
@@ -1784,6 +2359,9 @@ export const UI_LABELS = {
     DAILY_BRIEFING_TITLE: 'Daily Brief',
     ANNOUNCEMENTS_TITLE: 'Announcements',
     NOTIFICATION_SETTINGS: 'Notification Settings',
+    ALERT_HISTORY_TITLE: 'Alert History',
+    KEY_ANNOUNCEMENTS_TITLE: 'Key Announcements',
+    FX_PENDING_MARKER: ' (FX pending)', // Holding amount not yet converted: its exchange rate has not loaded
     DISMISS_BADGE: 'Dismiss Badge',
     CLOSE: 'Close',
     LOADING_NOTIFICATIONS: 'Loading notifications...',
@@ -0,0 +1,159 @@
+/**
+ * BrokerCsvParsers.js
+ * Pluggable parsers for Australian broker transaction / holdings CSV exports.
+ *
+ * Each parser declares a header `signature` used by CsvParserService.detectBroker: normalised
+ * column names (lower case, symbols stripped, so "Avg. Price ($)" is "avg price"), where an
+ * inner array lists alternatives. `mapRow` projects one record (normalised header -> value)
+ * onto the Sharesight-style row used by the sync flow:
+ *   { Code, Date, Type, Quantity, Price, Brokerage }
+ * mapRow returns null for non-trade lines (cash movements etc.) or { skip: reason } for
+ * rows the user should know were dropped.
+ *
+ * To support another broker, append a parser to BROKER_PARSERS.
+ */
+
+/** Parses a money/number cell such as "$1,234.50" or "(12.00)" */
+const toNumber = (val) => {
+    const str = String(val ?? '').trim();
+    if (!str) return NaN;
+    const negative = /^\(.*\)$/.test(str) || str.startsWith('-');
+    const n = parseFloat(str.replace(/[^\d.]/g, ''));
+    return negative ? -n : n;
+};
+
+/** First non-empty value among the given normalised columns */
+const pick = (record, ...keys) => {
+    for (const key of keys) {
+        const val = record[key];
+        if (val !== undefined && String(val).trim() !== '') return String(val).trim();
+    }
+    return '';
+};
+
+/** Maps broker side / action wording onto the Sharesight trade types */
+const toTradeType = (raw) => {
+    const side = String(raw || '').trim().toLowerCase();
+    if (['b', 'buy', 'bought', 'purchase'].includes(side) || side.startsWith('buy')) return 'Buy';
+    if (['s', 'sell', 'sold', 'sale'].includes(side) || side.startsWith('sell')) return 'Sell';
+    return null;
+};
+
+/** Rows quoted in a foreign currency cannot be valued against the ASX feed */
+const isForeignCurrency = (record) => {
+    const currency = pick(record, 'currency', 'ccy').toUpperCase();
+    return !!currency && currency !== 'AUD';
+};
+
+export const BROKER_PARSERS = [
+    {
+        id: 'commsec_transactions',
+        label: 'CommSec Transactions',
+        reportType: 'TRADES',
+        signature: ['date', 'reference', 'details', 'debit', 'credit'],
+        mapRow(record) {
+            // Details: "B 100 CBA @ 105.500000" / "S 50 BHP @ 45.20"
+            const match = pick(record, 'details').match(/^([BS])\s+([\d,]+)\s+([A-Z0-9]+)\s+@\s+([\d.,]+)/i);
+            if (!match) return null;
+
+            const type = toTradeType(match[1]);
+            const quantity = toNumber(match[2]);
+            const price = toNumber(match[4]);
+            // Settlement amount includes brokerage: debit = value + fee (buys), credit = value - fee (sells)
+            const gross = quantity * price;
+            const settled = Math.abs(toNumber(pick(record, type === 'Buy' ? 'debit' : 'credit')));
+            const brokerage = settled > 0 ? Math.max(0, type === 'Buy' ? settled - gross : gross - settled) : 0;
+
+            return {
+                Code: match[3].toUpperCase(),
+                Date: pick(record, 'date'),
+                Type: type,
+                Quantity: String(quantity),
+                Price: String(price),
+                Brokerage: brokerage.toFixed(2)
+            };
+        }
+    },
+    {
+        id: 'commsec_holdings',
+        label: 'CommSec Holdings',
+        reportType: 'HOLDINGS',
+        signature: ['code', 'avail units', 'purchase', 'mkt value'],
+        mapRow(record) {
+            const code = pick(record, 'code');
+            if (!code) return null;
+            return {
+                Code: code.toUpperCase(),
+                Quantity: String(toNumber(pick(record, 'avail units'))),
+                Price: String(toNumber(pick(record, 'purchase')))
+            };
+        }
+    },
+    {
+        id: 'selfwealth',
+        label: 'SelfWealth',
+        reportType: 'TRADES',
+        signature: ['trade date', 'action', 'code', 'units', ['average price', 'price'], 'brokerage'],
+        mapRow(record) {
+            const code = pick(record, 'code');
+            const type = toTradeType(pick(record, 'action'));
+            if (!code) return null;
+            if (!type) return { skip: `Unsupported action "${pick(record, 'action')}"`, Code: code.toUpperCase() };
+            return {
+                Code: code.toUpperCase(),
+                Date: pick(record, 'trade date'),
+                Type: type,
+                Quantity: String(Math.abs(toNumber(pick(record, 'units')))),
+                Price: String(Math.abs(toNumber(pick(record, 'average price', 'price')))),
+                Brokerage: String(Math.abs(toNumber(pick(record, 'brokerage'))) || 0)
+            };
+        }
+    },
+    {
+        id: 'stake',
+        label: 'Stake',
+        reportType: 'TRADES',
+        signature: ['trade date', 'symbol', 'side', ['units', 'quantity'], ['avg price', 'effective price', 'price']],
+        mapRow(record) {
+            const code = pick(record, 'symbol');
+            const type = toTradeType(pick(record, 'side'));
+            if (!code) return null;
+            if (isForeignCurrency(record)) return { skip: 'Not an ASX trade (foreign currency)', Code: code.toUpperCase() };
+            if (!type) return { skip: `Unsupported side "${pick(record, 'side')}"`, Code: code.toUpperCase() };
+            const fees = Math.abs(toNumber(pick(record, 'fees', 'brokerage', 'brokerage fee'))) || 0;
+            const gst = Math.abs(toNumber(pick(record, 'gst'))) || 0;
+            return {
+                Code: code.toUpperCase(),
+                Date: pick(record, 'trade date'),
+                Type: type,
+                Quantity: String(Math.abs(toNumber(pick(record, 'units', 'quantity')))),
+                Price: String(Math.abs(toNumber(pick(record, 'avg price', 'effective price', 'price')))),
+                Brokerage: (fees + gst).toFixed(2)
+            };
+        }
+    },
+    {
+        id: 'pearler',
+        label: 'Pearler',
+        reportType: 'TRADES',
+        signature: [['date', 'trade date'], 'ticker', ['type', 'transaction type'], ['quantity', 'units'], ['price', 'unit price']],
+        mapRow(record) {
+            const code = pick(record, 'ticker');
+            const rawType = pick(record, 'type', 'transaction type');
+            const type = toTradeType(rawType);
+            if (!code) return null;
+            if (isForeignCurrency(record)) return { skip: 'Not an ASX trade (foreign currency)', Code: code.toUpperCase() };
+            if (!type) return { skip: `Unsupported type "${rawType}"`, Code: code.toUpperCase() };
+            const exchange = pick(record, 'exchange').toUpperCase();
+            if (exchange && exchange !== 'ASX') return { skip: `Not an ASX trade (${exchange})`, Code: code.toUpperCase() };
+            return {
+                Code: code.toUpperCase(),
+                Date: pick(record, 'date', 'trade date'),
+                Type: type,
+                Quantity: String(Math.abs(toNumber(pick(record, 'quantity', 'units')))),
+                Price: String(Math.abs(toNumber(pick(record, 'price', 'unit price')))),
+                Brokerage: String(Math.abs(toNumber(pick(record, 'brokerage', 'fees'))) || 0)
+            };
+        }
+    }
+];
@@ -2,7 +2,58 @@
  * CsvParserService.js
  * Utility to parse Sharesight "All Trades" CSV data client-side.
  */
+import { TRANSACTION_TYPES } from './AppConstants.js';
+import { BROKER_PARSERS } from './BrokerCsvParsers.js';
+
+/**
+ * Sharesight trade types -> ledger types. Split-like rows (Split, Bonus, Consolidate) carry the
+ * change in units rather than a ratio; SyncManager converts them using the units held at the time.
+ */
+const TRADE_TYPE_MAP = {
+    'buy': TRANSACTION_TYPES.BUY,
+    'opening balance': TRANSACTION_TYPES.BUY,
+    'merge (buy)': TRANSACTION_TYPES.BUY,
+    'sell': TRANSACTION_TYPES.SELL,
+    'merge (sell)': TRANSACTION_TYPES.SELL,
+    'drp': TRANSACTION_TYPES.DRP,
+    'drrp': TRANSACTION_TYPES.DRP,
+    'dividend reinvestment': TRANSACTION_TYPES.DRP,
+    'split': TRANSACTION_TYPES.SPLIT,
+    'bonus': TRANSACTION_TYPES.SPLIT,
+    'consolidate': TRANSACTION_TYPES.CONSOLIDATION,
+    'consolidation': TRANSACTION_TYPES.CONSOLIDATION
+};
+
 export const CsvParserService = {
+    /**
+     * Parses a trade date as written by Sharesight and most brokers.
+     * Accepts YYYY-MM-DD, YYYY/MM/DD, DD/MM/YYYY and anything Date() understands.
+     * @param {string} dateStr
+     * @returns {Date|null}
+     */
+    _parseDate(dateStr) {
+        if (!dateStr) return null;
+        let date;
+        if (dateStr.includes('/')) {
+            const parts = dateStr.split(/[\/\s]/).map(Number);
+            if (parts[0] > 1900) date = new Date(parts[0], parts[1] - 1, parts[2]); // YYYY/MM/DD
+            else date = new Date(parts[2], parts[1] - 1, parts[0]); // DD/MM/YYYY
+        } else {
+            date = new Date(dateStr);
+        }
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    /**
+     * Local calendar date as YYYY-MM-DD (no UTC shift for midnight-local dates).
+     * @param {Date} date
+     * @returns {string}
+     */
+    _toIsoDay(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
     /**
      * Helper to split a CSV/TSV line correctly, handling quoted values.
      */
@@ -37,6 +88,84 @@ export const CsvParserService = {
         return result.map(v => v.replace(/,/g, '')); // Strip commas for numeric parsing later
     },
 
+    /**
+     * Normalises a header cell for broker signature matching ("Avg. Price ($)" -> "avg price").
+     * @param {string} header
+     * @returns {string}
+     */
+    _normalizeHeader(header) {
+        return String(header || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    },
+
+    /**
+     * Finds the broker export a file came from by matching header signatures
+     * (BROKER_PARSERS) against the first 20 lines.
+     * @param {string} csvText
+     * @returns {{ parser: Object, headerIndex: number, delimiter: string }|null}
+     */
+    detectBroker(csvText) {
+        if (!csvText) return null;
+        const lines = csvText.split(/\r?\n/).filter(line => line.trim().length > 0);
+        let best = null;
+
+        for (let i = 0; i < Math.min(lines.length, 20); i++) {
+            for (const delimiter of [',', '\t', ';']) {
+                if (!lines[i].includes(delimiter)) continue;
+                const headers = this._splitLine(lines[i], delimiter).map(h => this._normalizeHeader(h));
+
+                BROKER_PARSERS.forEach(parser => {
+                    const matched = parser.signature.every(col => (Array.isArray(col) ? col : [col]).some(c => headers.includes(c)));
+                    // Prefer the most specific signature when several match
+                    if (matched && (!best || parser.signature.length > best.parser.signature.length)) {
+                        best = { parser, headerIndex: i, delimiter };
+                    }
+                });
+            }
+            if (best) break;
+        }
+        return best;
+    },
+
+    /**
+     * Parses any supported export: a detected broker format, otherwise the flexible
+     * Sharesight / template parser.
+     * @param {string} csvText
+     * @returns {{ headers: string[], rows: Object[], type: string|null, source: string, skipped: Object[] }}
+     */
+    parseTrades(csvText) {
+        const detected = this.detectBroker(csvText);
+        if (!detected) {
+            return { ...this.parseSharesightTrades(csvText), source: 'Sharesight', skipped: [] };
+        }
+
+        const { parser, headerIndex, delimiter } = detected;
+        const lines = csvText.split(/\r?\n/).filter(line => line.trim().length > 0);
+        const rawHeaders = this._splitLine(lines[headerIndex], delimiter);
+        const keys = rawHeaders.map(h => this._normalizeHeader(h));
+        const rows = [];
+        const skipped = [];
+
+        lines.slice(headerIndex + 1).forEach(line => {
+            const values = this._splitLine(line, delimiter);
+            if (values.length < 2) return;
+
+            const record = {};
+            keys.forEach((key, i) => {
+                if (key && record[key] === undefined) record[key] = values[i];
+            });
+
+            const row = parser.mapRow(record);
+            if (!row) return;
+            if (row.skip) {
+                skipped.push({ code: row.Code || '?', reason: row.skip });
+                return;
+            }
+            rows.push(row);
+        });
+
+        return { headers: rawHeaders, rows, type: parser.reportType, source: parser.label, skipped };
+    },
+
     parseSharesightTrades(csvText) {
         if (!csvText) return { headers: [], rows: [] };
 
@@ -200,22 +329,8 @@ export const CsvParserService = {
             }
 
             // Normalization for date
-            let date;
-            if (dateStr) {
-                if (dateStr.includes('/')) {
-                    const parts = dateStr.split('/').map(Number);
-                    if (parts[0] > 1900) date = new Date(parts[0], parts[1] - 1, parts[2]); // YYYY/MM/DD
-                    else date = new Date(parts[2], parts[1] - 1, parts[0]); // DD/MM/YYYY
-                } else {
-                    date = new Date(dateStr);
-                }
-            } else {
-                // No date? Maybe just default to now or skip date logic?
-                // The prompt was "flaky uploads". If date is missing, we should probably still accept the Qty/Price update.
-                date = new Date(0); // Epoch
-            }
-
-            if (isNaN(date.getTime())) date = new Date(0);
+            // No date (or an unreadable one) still accepts the Qty/Price update, ranked as oldest.
+            const date = this._parseDate(dateStr) || new Date(0);
 
             // Standardize column names (Cost base might be missing currency suffix, or using Template 'Buy Price')
             const quantity = parseFloat(String(row['Quantity'] || '0').replace(/[^\d\.]/g, ''));
@@ -260,6 +375,62 @@ export const CsvParserService = {
         return latest;
     },
 
+    /**
+     * Converts every trade row into a ledger transaction (full import mode), oldest first.
+     * Unlike getLatestPurchases nothing is collapsed: sells, earlier buys, DRPs and
+     * split-like rows are all kept. Split-like rows keep their signed unit change in
+     * `unitDelta` until SyncManager turns it into a ratio.
+     * @param {Object[]} rows - Rows from parseSharesightTrades
+     * @returns {{ trades: Object[], skipped: Object[] }} trades: [{ code, date, type, quantity, price, brokerage, unitDelta }]
+     */
+    getTradeTransactions(rows) {
+        const trades = [];
+        const skipped = [];
+        const num = (val) => parseFloat(String(val ?? '').replace(/[^\d\.\-]/g, ''));
+
+        (rows || []).forEach(row => {
+            const code = String(row['Code'] || '').toUpperCase().replace(/^ASX:|\.AX$/g, '').trim();
+            const rawType = String(row['Type'] || 'Buy').trim();
+            const type = TRADE_TYPE_MAP[rawType.toLowerCase()]
+                || (rawType.toLowerCase().includes('buy') ? TRANSACTION_TYPES.BUY : null)
+                || (rawType.toLowerCase().includes('sell') ? TRANSACTION_TYPES.SELL : null);
+            const date = this._parseDate(row['Date']);
+            const quantity = num(row['Quantity']);
+
+            if (!code || code.length < 2) return;
+            if (!type) {
+                skipped.push({ code, reason: `Unsupported trade type "${rawType}"` });
+                return;
+            }
+            if (!date) {
+                skipped.push({ code, reason: 'Missing or unreadable trade date' });
+                return;
+            }
+            if (isNaN(quantity) || quantity === 0) {
+                skipped.push({ code, reason: `${rawType} with no quantity` });
+                return;
+            }
+
+            const isRatio = type === TRANSACTION_TYPES.SPLIT || type === TRANSACTION_TYPES.CONSOLIDATION;
+            const price = num(row['Price'] || row['Unit Price'] || row['Average Price']);
+            const brokerage = num(row['Brokerage']);
+
+            trades.push({
+                code,
+                date: this._toIsoDay(date),
+                type,
+                quantity: isRatio ? 0 : Math.abs(quantity),
+                price: isRatio || isNaN(price) ? 0 : Math.abs(price),
+                brokerage: isNaN(brokerage) ? 0 : Math.abs(brokerage),
+                // Consolidation rows are usually exported as a negative unit change
+                unitDelta: isRatio ? (type === TRANSACTION_TYPES.CONSOLIDATION ? -Math.abs(quantity) : quantity) : 0
+            });
+        });
+
+        trades.sort((a, b) => a.date.localeCompare(b.date));
+        return { trades, skipped };
+    },
+
     /**
      * Extracts current holdings (quantities) from a Holdings Report.
      * @param {Object[]} rows 
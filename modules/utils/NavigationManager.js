@@ -47,11 +47,7 @@ class NavigationManager {
 
         // Eager Lock: Wait for any existing history movements (pop/push) to settle.
         // This prevents 'Double Push' or 'Push-during-Back' race conditions.
-        let attempts = 0;
-        while ((this._isLocked || this._isHandlingPop || this.ignoreCount > 0) && attempts < 10) {
-            await new Promise(r => setTimeout(r, 50));
-            attempts++;
-        }
+        await this.whenSettled();
 
         this.popStack.push(popCallback);
         this.currentStateId++;
@@ -61,6 +57,19 @@ class NavigationManager {
         window.history.pushState({ stateId: newStateId, type: 'ui-state' }, '');
     }
 
+    /**
+     * Resolves once pending history movements (pop/push) have settled, or after ~500ms.
+     * Used before opening UI from outside a normal tap (e.g. a system notification click)
+     * so the new view's history entry lands on a stable stack.
+     */
+    async whenSettled() {
+        let attempts = 0;
+        while ((this._isLocked || this._isHandlingPop || this.ignoreCount > 0) && attempts < 10) {
+            await new Promise(r => setTimeout(r, 50));
+            attempts++;
+        }
+    }
+
     /**
      * Manually triggers a history back event without firing callbacks.
      * Used when the UI element is closed via code instead of the browser's back button.
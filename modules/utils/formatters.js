@@ -3,7 +3,11 @@
  * Utility functions for formatting numbers.
  */
 
-export const formatCurrency = (value) => {
+/**
+ * @param {number} value
+ * @param {string} [currency] - ISO code; prices and totals are AUD unless a holding or base currency says otherwise
+ */
+export const formatCurrency = (value, currency = 'AUD') => {
     if (typeof value !== 'number') return '$0.00';
 
     // Auto-expand precision for sub-dollar penny stocks (e.g. $0.004)
@@ -11,14 +15,14 @@ export const formatCurrency = (value) => {
     if (absValue !== 0 && absValue < 1.0) {
         const formatted = new Intl.NumberFormat('en-AU', {
             style: 'currency',
-            currency: 'AUD',
+            currency,
             minimumFractionDigits: 2,
             maximumFractionDigits: 3
         }).format(value);
         return formatted;
     }
 
-    return new Intl.NumberFormat('en-AU', { style: 'currency', currency: 'AUD' }).format(value);
+    return new Intl.NumberFormat('en-AU', { style: 'currency', currency }).format(value);
 };
 
 export const formatPercent = (value) => {
@@ -48,3 +52,64 @@ export const formatFriendlyDate = (dateStr) => {
 
     return `${day}${suffix(day)} ${month} ${year}`;
 };
+
+/**
+ * Normalizes mixed date inputs to a sortable YYYY-MM-DD string.
+ * Handles ISO strings, DD/MM/YYYY, Date objects, epoch ms and Firestore { seconds } stamps.
+ * @returns {string} '' if the input cannot be parsed.
+ */
+export const toIsoDate = (dateLike) => {
+    if (!dateLike) return '';
+
+    if (typeof dateLike === 'string') {
+        if (/^\d{4}-\d{2}-\d{2}/.test(dateLike)) return dateLike.substring(0, 10);
+        if (dateLike.includes('/')) {
+            const p = dateLike.split('/');
+            if (p.length === 3) return `${p[2].substring(0, 4)}-${p[1].padStart(2, '0')}-${p[0].padStart(2, '0')}`;
+        }
+    }
+
+    let date;
+    if (dateLike instanceof Date) date = dateLike;
+    else if (typeof dateLike === 'object' && dateLike.seconds) date = new Date(dateLike.seconds * 1000);
+    else date = new Date(dateLike);
+
+    if (isNaN(date.getTime())) return '';
+    const y = date.getFullYear();
+    const m = String(date.getMonth() + 1).padStart(2, '0');
+    const d = String(date.getDate()).padStart(2, '0');
+    return `${y}-${m}-${d}`;
+};
+
+/**
+ * Resolves the Australian financial year (1 July - 30 June) containing a date.
+ * @returns {Object|null} { endYear, label: 'FY2024-25', start: 'YYYY-07-01', end: 'YYYY-06-30' }
+ */
+export const getFinancialYear = (dateLike) => {
+    const iso = toIsoDate(dateLike);
+    if (!iso) return null;
+
+    const year = parseInt(iso.substring(0, 4), 10);
+    const month = parseInt(iso.substring(5, 7), 10);
+    const endYear = month >= 7 ? year + 1 : year;
+
+    return {
+        endYear,
+        label: `FY${endYear - 1}-${String(endYear).slice(-2)}`,
+        start: `${endYear - 1}-07-01`,
+        end: `${endYear}-06-30`
+    };
+};
+
+/**
+ * Shifts a YYYY-MM-DD date by whole years / months / days (UTC, no DST drift).
+ * Month-end overflow clamps (e.g. 29 Feb + 1y -> 28 Feb).
+ * @returns {string} YYYY-MM-DD
+ */
+export const shiftIsoDate = (isoDate, { years = 0, months = 0, days = 0 } = {}) => {
+    const [y, m, d] = isoDate.split('-').map(n => parseInt(n, 10));
+    const target = new Date(Date.UTC(y + years, m - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(d, lastDay) + days);
+    return target.toISOString().split('T')[0];
+};
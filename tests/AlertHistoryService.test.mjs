@@ -0,0 +1,65 @@
+/**
+ * AlertHistoryService.test.mjs
+ * History entries: classification, deterministic per-day IDs, snapshots and search.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertHistoryService } from '../modules/data/AlertHistoryService.js';
+import { ALERT_HISTORY_TYPES, PROTECTIVE_ALERT_INTENTS } from '../modules/utils/AppConstants.js';
+
+const FIRED = new Date(2024, 5, 20, 11, 30).getTime();
+
+test('intents map onto history types; unknown intents are not recorded', () => {
+    assert.equal(AlertHistoryService.classify('target-hit'), ALERT_HISTORY_TYPES.TARGET);
+    assert.equal(AlertHistoryService.classify('gainers'), ALERT_HISTORY_TYPES.MOVER);
+    assert.equal(AlertHistoryService.classify('hilo-high'), ALERT_HISTORY_TYPES.HILO);
+    assert.equal(AlertHistoryService.classify('something-else'), null);
+    assert.equal(AlertHistoryService.buildEntry({ code: 'BHP', intent: 'something-else' }), null);
+});
+
+test('the same alert on the same day always gets the same ID', () => {
+    const hit = { code: 'bhp', intent: 'up', pct: 5.2, price: 45, t: FIRED };
+    const first = AlertHistoryService.buildEntry(hit, { up: { percentThreshold: 3 } });
+    const later = AlertHistoryService.buildEntry({ ...hit, t: FIRED + 3600000, price: 46 });
+    const nextDay = AlertHistoryService.buildEntry({ ...hit, t: FIRED + 86400000 });
+
+    assert.equal(first.id, later.id);
+    assert.notEqual(first.id, nextDay.id);
+    assert.equal(first.entry.day, '2024-06-20');
+    assert.equal(first.entry.direction, 'up');
+    assert.deepEqual(first.entry.snapshot, { percentThreshold: 3, dollarThreshold: null, minPrice: null });
+});
+
+test('protective alerts keep the rule state they fired on', () => {
+    const { entry } = AlertHistoryService.buildEntry({
+        code: 'CBA',
+        intent: PROTECTIVE_ALERT_INTENTS.TRAILING_STOP,
+        price: 90,
+        high: 100,
+        stop: 90,
+        stopPct: 10,
+        t: FIRED
+    });
+    assert.deepEqual(entry.snapshot, { high: 100, stop: 90, stopPct: 10 });
+    assert.match(AlertHistoryService.describe(entry), /^Trailing stop .*10% below high/);
+});
+
+test('search filters by code, type and text, newest first', () => {
+    const entries = [
+        { code: 'BHP', type: ALERT_HISTORY_TYPES.MOVER, direction: 'up', firedAt: 1, snapshot: {} },
+        { code: 'BHP', type: ALERT_HISTORY_TYPES.MARKET_INDEX, title: 'Quarterly report', firedAt: 3, snapshot: {} },
+        { code: 'CBA', type: ALERT_HISTORY_TYPES.MOVER, direction: 'down', firedAt: 2, snapshot: {} }
+    ];
+    assert.deepEqual(AlertHistoryService.search(entries).map(e => e.firedAt), [3, 2, 1]);
+    assert.deepEqual(AlertHistoryService.search(entries, { code: 'bhp' }).map(e => e.firedAt), [3, 1]);
+    assert.deepEqual(AlertHistoryService.search(entries, { type: ALERT_HISTORY_TYPES.MOVER }).map(e => e.code), ['CBA', 'BHP']);
+    assert.deepEqual(AlertHistoryService.search(entries, { query: 'quarterly' }).map(e => e.firedAt), [3]);
+});
+
+test('entries group into days in order', () => {
+    const groups = AlertHistoryService.groupByDay([
+        { day: '2024-06-21' }, { day: '2024-06-21' }, { day: '2024-06-20' }
+    ]);
+    assert.deepEqual(groups.map(g => [g.day, g.entries.length]), [['2024-06-21', 2], ['2024-06-20', 1]]);
+});
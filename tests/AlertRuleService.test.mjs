@@ -0,0 +1,98 @@
+/**
+ * AlertRuleService.test.mjs
+ * Compound rules: normalisation, indicators from completed sessions and AND evaluation.
+ * Protective alerts: trailing stop high-water marks and % from cost.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertRuleService } from '../modules/data/AlertRuleService.js';
+import { ALERT_RULE_METRICS as M, ALERT_RULE_OPERATORS as OP } from '../modules/utils/AppConstants.js';
+
+const DAY_S = 86400;
+const NOW = new Date('2024-06-20T02:00:00Z');
+
+/** Daily bars ending the day before NOW, plus today's partial bar */
+const bars = (closes, volume = 1000) => {
+    const todayS = Date.parse('2024-06-20T00:00:00Z') / 1000;
+    return [...closes, 999].map((close, i, all) => ({ time: todayS - (all.length - 1 - i) * DAY_S, close, volume }));
+};
+
+test('normalizeRule drops unusable conditions and clamps periods', () => {
+    const rule = AlertRuleService.normalizeRule({
+        name: '<b>Dip</b> buy',
+        conditions: [
+            { metric: M.PRICE, op: OP.BELOW, value: '0' },
+            { metric: 'bogus', op: OP.ABOVE, value: 1 },
+            { metric: M.PRICE_VS_MA, op: OP.BELOW, value: '', period: 900 },
+            { metric: M.DAY_CHANGE_PCT, op: 'sideways', value: '-3' }
+        ]
+    });
+    assert.equal(rule.name, 'bDip/b buy');
+    assert.equal(rule.enabled, true);
+    assert.deepEqual(rule.conditions, [
+        { metric: M.PRICE_VS_MA, op: OP.BELOW, value: 0, period: 200 },
+        { metric: M.DAY_CHANGE_PCT, op: OP.BELOW, value: -3 }
+    ]);
+    assert.equal(AlertRuleService.normalizeRule({ conditions: [{ metric: M.PRICE, value: -1 }] }), null);
+});
+
+test('indicators skip today\'s partial bar and need a full window', () => {
+    const { ma, avgVolume } = AlertRuleService.computeIndicators(bars([10, 11, 12, 13]), [2, 4, 5], NOW);
+    assert.equal(ma[2], 12.5);
+    assert.equal(ma[4], 11.5);
+    assert.equal(ma[5], undefined);
+    assert.equal(avgVolume[4], 1000);
+});
+
+test('a rule fires only when every condition holds', () => {
+    const rule = AlertRuleService.normalizeRule({
+        conditions: [
+            { metric: M.PRICE_VS_MA, op: OP.BELOW, value: -5, period: 4 },
+            { metric: M.DAY_CHANGE_PCT, op: OP.BELOW, value: -3 },
+            { metric: M.VOLUME_VS_AVG, op: OP.ABOVE, value: 2, period: 4 }
+        ]
+    });
+    const indicators = AlertRuleService.computeIndicators(bars([10, 10, 10, 10]), [4], NOW);
+
+    const hit = AlertRuleService.evaluate(rule, { price: 9, pctChange: -4, volume: 2500 }, indicators);
+    assert.equal(hit.hit, true);
+    assert.equal(hit.fired.length, 3);
+
+    assert.equal(AlertRuleService.evaluate(rule, { price: 9, pctChange: -4, volume: 1500 }, indicators).hit, false);
+    assert.equal(AlertRuleService.evaluate(rule, { price: 9.6, pctChange: -4, volume: 2500 }, indicators).hit, false);
+});
+
+test('conditions on indicators that have not loaded are unmet', () => {
+    const rule = AlertRuleService.normalizeRule({ conditions: [{ metric: M.PRICE_VS_MA, op: OP.ABOVE, value: 0, period: 20 }] });
+    assert.equal(AlertRuleService.evaluate(rule, { price: 50, pctChange: 0, volume: 0 }, null).hit, false);
+});
+
+test('cost alerts compare the price with the average cost of the holding', () => {
+    const share = { portfolioShares: 100, portfolioAvgPrice: 20, costAlertDownPct: 10, costAlertUpPct: 25 };
+    assert.deepEqual(
+        [AlertRuleService.evaluateCostAlert(share, 18).direction, AlertRuleService.evaluateCostAlert(share, 25).direction],
+        ['down', 'up']
+    );
+    assert.equal(AlertRuleService.evaluateCostAlert(share, 19).hit, false);
+    assert.equal(AlertRuleService.evaluateCostAlert({ ...share, portfolioShares: 0 }, 10).hit, false);
+});
+
+test('a trailing stop mark is seeded at the price and only raised by later closes', () => {
+    const seeded = AlertRuleService.advanceHighWater(null, { price: 10, prevClose: 9, today: '2024-06-20' });
+    assert.deepEqual(seeded, { mark: { high: 10, since: '2024-06-20', updated: '2024-06-20' }, changed: true });
+
+    // Same day: yesterday's close predates the stop
+    assert.equal(AlertRuleService.advanceHighWater(seeded.mark, { price: 12, prevClose: 11, today: '2024-06-20' }).changed, false);
+
+    const raised = AlertRuleService.advanceHighWater(seeded.mark, { price: 12, prevClose: 11, today: '2024-06-21' });
+    assert.equal(raised.mark.high, 11);
+    assert.equal(raised.mark.since, '2024-06-20');
+});
+
+test('a trailing stop fires at or below the high less the trailing distance', () => {
+    const mark = { high: 20 };
+    assert.deepEqual(AlertRuleService.evaluateTrailingStop(mark, 10, 18), { hit: true, stop: 18 });
+    assert.equal(AlertRuleService.evaluateTrailingStop(mark, 10, 18.5).hit, false);
+    assert.equal(AlertRuleService.evaluateTrailingStop(null, 10, 1).hit, false);
+});
@@ -0,0 +1,69 @@
+/**
+ * AlertSuppressionService.test.mjs
+ * Quiet hours, snoozes and per-type cooldowns.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AlertSuppressionService } from '../modules/data/AlertSuppressionService.js';
+import { ALERT_HISTORY_TYPES, ALERT_SUPPRESSION_DEFAULTS } from '../modules/utils/AppConstants.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const at = (hh, mm = 0) => new Date(2024, 5, 20, hh, mm);
+
+test('quiet hours may wrap midnight and are off unless enabled', () => {
+    const overnight = { enabled: true, start: '22:00', end: '07:00' };
+    assert.equal(AlertSuppressionService.isQuietHours(overnight, at(23)), true);
+    assert.equal(AlertSuppressionService.isQuietHours(overnight, at(6, 59)), true);
+    assert.equal(AlertSuppressionService.isQuietHours(overnight, at(7)), false);
+    assert.equal(AlertSuppressionService.isQuietHours({ enabled: true, start: '12:00', end: '13:00' }, at(12, 30)), true);
+    assert.equal(AlertSuppressionService.isQuietHours({ ...overnight, enabled: false }, at(23)), false);
+});
+
+test('the next quiet boundary is the nearer of start and end', () => {
+    const overnight = { enabled: true, start: '22:00', end: '07:00' };
+    assert.equal(AlertSuppressionService.nextQuietBoundary(overnight, at(12)), at(22).getTime());
+    assert.equal(AlertSuppressionService.nextQuietBoundary(overnight, at(23)), new Date(2024, 5, 21, 7).getTime());
+    assert.equal(AlertSuppressionService.nextQuietBoundary({ enabled: false }, at(12)), null);
+});
+
+test('snoozes run for the option length or until midnight, and expire', () => {
+    const now = at(15).getTime();
+    assert.equal(AlertSuppressionService.snoozeUntil('1h', now), now + HOUR_MS);
+    assert.equal(AlertSuppressionService.snoozeUntil('tomorrow', now), new Date(2024, 5, 21).getTime());
+    assert.equal(AlertSuppressionService.snoozeUntil('bogus', now), null);
+    assert.deepEqual(AlertSuppressionService.activeSnoozes({ bhp: now + 1, CBA: now - 1 }, now), { BHP: now + 1 });
+});
+
+test('cooldowns are clamped per type', () => {
+    const cooldowns = AlertSuppressionService.normalizeCooldowns({ [ALERT_HISTORY_TYPES.MOVER]: { hours: 500, stepPct: -1 } });
+    assert.deepEqual(cooldowns[ALERT_HISTORY_TYPES.MOVER], { hours: ALERT_SUPPRESSION_DEFAULTS.MAX_COOLDOWN_HOURS, stepPct: 0 });
+    assert.deepEqual(cooldowns[ALERT_HISTORY_TYPES.TARGET], { hours: 0, stepPct: 0 });
+});
+
+test('a re-surfacing alert stays quiet until the window passes or the move extends', () => {
+    const cooldown = { hours: 2, stepPct: 3 };
+    const now = at(10).getTime();
+    const first = AlertSuppressionService.evaluateCooldown(null, { t: 'a', price: 100, direction: 'up' }, cooldown, now);
+    assert.deepEqual(first, { suppressed: false, state: { t: 'a', at: now, price: 100 } });
+
+    // Same surfacing is stable
+    assert.equal(AlertSuppressionService.evaluateCooldown(first.state, { t: 'a', price: 100 }, cooldown, now + HOUR_MS).suppressed, false);
+
+    const again = { t: 'b', price: 101, direction: 'up' };
+    assert.equal(AlertSuppressionService.evaluateCooldown(first.state, again, cooldown, now + HOUR_MS).suppressed, true);
+    assert.equal(AlertSuppressionService.evaluateCooldown(first.state, again, cooldown, now + 2 * HOUR_MS).suppressed, false);
+    assert.equal(AlertSuppressionService.evaluateCooldown(first.state, { ...again, price: 103 }, cooldown, now + HOUR_MS).suppressed, false);
+
+    // For a falling alert the move extends downwards
+    assert.equal(AlertSuppressionService.evaluateCooldown(first.state, { t: 'c', price: 96, direction: 'down' }, cooldown, now + HOUR_MS).suppressed, false);
+});
+
+test('stale cooldown states are pruned', () => {
+    const now = at(12).getTime();
+    const kept = AlertSuppressionService.pruneCooldowns({
+        'BHP|mover': { at: now - HOUR_MS },
+        'CBA|mover': { at: now - (ALERT_SUPPRESSION_DEFAULTS.MAX_COOLDOWN_HOURS + 1) * HOUR_MS }
+    }, now);
+    assert.deepEqual(Object.keys(kept), ['BHP|mover']);
+});
@@ -0,0 +1,71 @@
+/**
+ * CashHistoryService.test.mjs
+ * Dated balance history: running balances, reconciliation, values over time and interest.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CashHistoryService } from '../modules/data/CashHistoryService.js';
+import { CashInterestService } from '../modules/data/CashInterestService.js';
+import { CASH_HISTORY_TYPES as T, CASH_HISTORY_LIMIT } from '../modules/utils/AppConstants.js';
+
+const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} !~ ${expected}`);
+const at = (iso) => Math.floor(new Date(`${iso}T12:00:00`).getTime() / 1000);
+
+const HISTORY = [
+    { id: 'w', date: '2024-03-01', type: T.WITHDRAWAL, amount: 200 },
+    { id: 'r', date: '2024-01-01', type: T.REVALUATION, amount: 1000 },
+    { id: 'd', date: '2024-02-01', type: T.DEPOSIT, amount: -500 },
+    { id: 'x', date: 'someday', type: T.DEPOSIT, amount: 1 }
+];
+
+test('entries sort by date, drop invalid rows and carry running balances', () => {
+    const history = CashHistoryService.normalize(HISTORY);
+    assert.deepEqual(history.map(e => [e.id, e.amount, e.balance]), [['r', 1000, 1000], ['d', 500, 1500], ['w', 200, 1300]]);
+    assert.equal(CashHistoryService.latestBalance(history), 1300);
+    assert.equal(CashHistoryService.latestBalance([]), null);
+    assert.deepEqual(CashHistoryService.removeEntry(history, 'd').map(e => e.balance), [1000, 800]);
+});
+
+test('history beyond the limit folds into an opening revaluation', () => {
+    const long = Array.from({ length: CASH_HISTORY_LIMIT + 1 }, (_, i) => ({ id: `e${i}`, date: '2024-01-01', type: T.DEPOSIT, amount: 1 }));
+    const history = CashHistoryService.normalize(long);
+    assert.equal(history.length, CASH_HISTORY_LIMIT);
+    assert.deepEqual([history[0].type, history[0].amount], [T.REVALUATION, 2]);
+    assert.equal(CashHistoryService.latestBalance(history), CASH_HISTORY_LIMIT + 1);
+});
+
+test('a directly edited balance is recorded as a revaluation on that day', () => {
+    const history = CashHistoryService.normalize(HISTORY);
+    assert.equal(CashHistoryService.reconcile(history, 1300, '2024-04-01').length, 3);
+
+    const edited = CashHistoryService.reconcile(history, '1250.004', '2024-04-01');
+    assert.deepEqual(edited.at(-1), { id: edited.at(-1).id, date: '2024-04-01', type: T.REVALUATION, amount: 1250, balance: 1250 });
+});
+
+test('values over time follow the entries in force', () => {
+    const asset = { balance: 1300, balanceHistory: HISTORY };
+    assert.equal(CashHistoryService.balanceAt(asset, at('2023-12-01')), 1000); // Opening revaluation
+    assert.equal(CashHistoryService.balanceAt(asset, at('2024-02-15')), 1500);
+    assert.equal(CashHistoryService.balanceAt(asset, at('2024-06-01')), 1300);
+    assert.equal(CashHistoryService.balanceAt({ balance: '42' }, at('2020-01-01')), 42);
+
+    const opensWithDeposit = { balanceHistory: [{ date: '2024-02-01', type: T.DEPOSIT, amount: 50 }] };
+    const series = CashHistoryService.seriesFor([asset, opensWithDeposit], [at('2024-01-15'), at('2024-02-15')], () => 2);
+    assert.deepEqual(series.map(p => p.value), [2000, 3100]);
+    assert.equal(CashHistoryService.entryTimes([asset, opensWithDeposit]).length, 3);
+});
+
+test('interest accrues on the balance in force, from the later of the start and the entry', () => {
+    const saver = { balance: 1000, interestRate: 5, startDate: '2023-01-01' };
+    near(CashHistoryService.balanceAt(saver, at('2024-01-01')), 1050);
+
+    // A revaluation to the statement balance already includes the interest earned so far
+    const revalued = { ...saver, balance: 1050, balanceHistory: [{ date: '2024-01-01', type: T.REVALUATION, amount: 1050 }] };
+    assert.equal(CashInterestService.accrualStart(revalued), '2024-01-01');
+    near(CashHistoryService.balanceAt(revalued, at('2024-12-31')), 1050 * 1.05);
+    near(CashInterestService.accruedValue(revalued, new Date(2024, 11, 31)), 1050 * 1.05);
+
+    // Before the first entry its opening balance accrues from the start
+    near(CashHistoryService.balanceAt(revalued, at('2023-07-02')), 1050 * (1 + 0.05 * 182 / 365));
+});
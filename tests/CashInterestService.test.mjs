@@ -0,0 +1,62 @@
+/**
+ * CashInterestService.test.mjs
+ * Interest accrual (simple and compounding), maturity caps and notices.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CashInterestService } from '../modules/data/CashInterestService.js';
+import { NetWorthService } from '../modules/data/NetWorthService.js';
+import { CASH_COMPOUNDING } from '../modules/utils/AppConstants.js';
+
+const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} !~ ${expected}`);
+const day = (iso) => new Date(`${iso}T12:00:00`);
+
+const deposit = { category: 'term_deposit', balance: 1000, interestRate: 5, startDate: '2023-01-01' };
+
+test('assets without a rate, a start date or on the liability side hold their balance', () => {
+    assert.equal(CashInterestService.isInterestBearing(deposit), true);
+    assert.equal(CashInterestService.isInterestBearing({ ...deposit, interestRate: 0 }), false);
+    assert.equal(CashInterestService.isInterestBearing({ ...deposit, startDate: '' }), false);
+    assert.equal(CashInterestService.isInterestBearing({ ...deposit, category: 'mortgage' }), false);
+    assert.equal(CashInterestService.accruedValue({ balance: '250.5' }), 250.5);
+});
+
+test('simple interest accrues linearly and compounding compounds completed periods', () => {
+    near(CashInterestService.accruedValue(deposit, day('2024-01-01')), 1050);
+    near(CashInterestService.accruedValue(deposit, day('2023-07-02')), 1000 * (1 + 0.05 * 182 / 365));
+
+    const annual = { ...deposit, compounding: CASH_COMPOUNDING.ANNUALLY };
+    // 730 days: two whole years (2024 is a leap year)
+    near(CashInterestService.accruedValue(annual, day('2024-12-31')), 1102.5);
+
+    const monthly = { ...deposit, compounding: CASH_COMPOUNDING.MONTHLY };
+    near(CashInterestService.accruedValue(monthly, day('2024-01-01')), 1000 * Math.pow(1 + 0.05 / 12, 12));
+});
+
+test('accrual stops at maturity and never runs before the start', () => {
+    const term = { ...deposit, maturityDate: '2024-01-01' };
+    near(CashInterestService.accruedValue(term, day('2026-06-30')), 1050);
+    near(CashInterestService.maturityValue(term), 1050);
+    assert.equal(CashInterestService.maturityValue(deposit), null);
+    assert.equal(CashInterestService.accruedValue(deposit, day('2022-12-01')), 1000);
+});
+
+test('deposits maturing within the notice window are listed soonest first', () => {
+    const assets = [
+        { ...deposit, id: 'a', maturityDate: '2024-01-06' },
+        { ...deposit, id: 'b', maturityDate: '2024-01-02' },
+        { ...deposit, id: 'c', maturityDate: '2024-03-01' },
+        { ...deposit, id: 'd', maturityDate: '2023-12-31' }
+    ];
+    const soon = CashInterestService.maturingSoon(assets, day('2024-01-01'), 7);
+    assert.deepEqual(soon.map(m => [m.asset.id, m.days]), [['b', 1], ['a', 5]]);
+    assert.equal(soon[0].noticeFrom, new Date(2023, 11, 26).getTime());
+});
+
+test('net worth values interest-bearing assets with their accrued interest', () => {
+    const asset = { ...deposit, startDate: '2000-01-01', maturityDate: '2001-01-01' };
+    near(NetWorthService.valueOf(asset), CashInterestService.maturityValue(asset));
+    assert.ok(NetWorthService.valueOf(asset) > 1000);
+    assert.equal(NetWorthService.valueOf({ category: 'credit_card', balance: 500, interestRate: 20, startDate: '2000-01-01' }), -500);
+});
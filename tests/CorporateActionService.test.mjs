@@ -0,0 +1,55 @@
+/**
+ * CorporateActionService.test.mjs
+ * Write plans for splits, consolidations and code changes.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CorporateActionService } from '../modules/data/CorporateActionService.js';
+import { CORPORATE_ACTION_TYPES, TRANSACTION_TYPES } from '../modules/utils/AppConstants.js';
+
+const holding = {
+    id: 's1',
+    shareName: 'ABC',
+    targetPrice: 30,
+    transactions: [{ id: 'b1', type: TRANSACTION_TYPES.BUY, date: '2024-01-10', quantity: 100, price: 20, brokerage: 0 }]
+};
+const highWaterMarks = { ABC: { high: 24, since: '2024-02-01', updated: '2024-05-01' } };
+
+const plan = (input, data) => {
+    const { action } = CorporateActionService.normalize({ effectiveDate: '2024-06-01', ...input });
+    return CorporateActionService.buildPlan(action, data);
+};
+
+test('a split appends a ledger row and rescales per-share prices', () => {
+    const p = plan({ type: CORPORATE_ACTION_TYPES.SPLIT, fromCode: 'ABC', ratioFrom: 1, ratioTo: 2 }, { shares: [holding] });
+    const [update] = p.shareUpdates;
+
+    assert.equal(p.error, null);
+    assert.equal(update.data.portfolioShares, 200);
+    assert.equal(update.data.portfolioAvgPrice, 10);
+    assert.equal(update.data.targetPrice, 15);
+    assert.equal(update.data.transactions.at(-1).type, TRANSACTION_TYPES.SPLIT);
+});
+
+test('the trailing stop high-water mark is rescaled by the ratio', () => {
+    const p = plan({ type: CORPORATE_ACTION_TYPES.CONSOLIDATION, fromCode: 'ABC', ratioFrom: 4, ratioTo: 1 }, { shares: [holding], highWaterMarks });
+    assert.deepEqual(p.highWaterUpdate, {
+        from: 'ABC',
+        to: 'ABC',
+        before: highWaterMarks.ABC,
+        mark: { ...highWaterMarks.ABC, high: 96 }
+    });
+    assert.equal(CorporateActionService.countWrites(p), 2);
+});
+
+test('a code change moves the high-water mark to the new code', () => {
+    const p = plan({ type: CORPORATE_ACTION_TYPES.CODE_CHANGE, fromCode: 'ABC', toCode: 'XYZ' }, { shares: [holding], highWaterMarks });
+    assert.equal(p.shareUpdates[0].data.shareName, 'XYZ');
+    assert.deepEqual([p.highWaterUpdate.from, p.highWaterUpdate.to, p.highWaterUpdate.mark.high], ['ABC', 'XYZ', 24]);
+});
+
+test('codes without a mark plan no high-water update', () => {
+    const p = plan({ type: CORPORATE_ACTION_TYPES.SPLIT, fromCode: 'ABC', ratioFrom: 1, ratioTo: 2 }, { shares: [holding] });
+    assert.equal(p.highWaterUpdate, null);
+});
@@ -0,0 +1,116 @@
+/**
+ * CsvParserService.test.mjs
+ * Sharesight trade import: header detection, row mapping and ledger conversion.
+ * Broker exports: signature detection, brokerage derivation and skipped rows.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CsvParserService } from '../modules/utils/CsvParserService.js';
+import { TRANSACTION_TYPES } from '../modules/utils/AppConstants.js';
+
+const SHARESIGHT_TRADES = [
+    'All Trades Report',
+    'Market,Code,Name,Date,Type,Quantity,Price,Brokerage',
+    'ASX,BHP,BHP Group,15/03/2023,Buy,"1,000",45.20,19.95',
+    'ASX,BHP,BHP Group,2024-02-01,Sell,-400,48.10,19.95',
+    'ASX,CBA,Commonwealth Bank,2023-05-02,DRP,3,101.5,0',
+    'ASX,XYZ,Split Co,2023-06-01,Split,100,,',
+    'ASX,ABC,Odd Co,2023-06-01,Capital Return,10,1,0',
+    'ASX,DEF,No Date Co,,Buy,10,1,0',
+    'Total,,,,,,,'
+].join('\n');
+
+test('finds the header row below a report title and maps columns', () => {
+    const { rows, type } = CsvParserService.parseSharesightTrades(SHARESIGHT_TRADES);
+    assert.equal(type, 'TRADES');
+    assert.equal(rows.length, 6);
+    assert.equal(rows[0].Code, 'BHP');
+    // Quoted thousands separators are stripped
+    assert.equal(rows[0].Quantity, '1000');
+});
+
+test('day-first and ISO dates both parse to the local calendar day', () => {
+    assert.equal(CsvParserService._toIsoDay(CsvParserService._parseDate('15/03/2023')), '2023-03-15');
+    assert.equal(CsvParserService._toIsoDay(CsvParserService._parseDate('2023/03/15')), '2023-03-15');
+    assert.equal(CsvParserService._parseDate('not a date'), null);
+});
+
+test('trade rows become ledger transactions, oldest first', () => {
+    const { rows } = CsvParserService.parseSharesightTrades(SHARESIGHT_TRADES);
+    const { trades, skipped } = CsvParserService.getTradeTransactions(rows);
+
+    assert.deepEqual(trades.map(t => [t.code, t.type, t.date]), [
+        ['BHP', TRANSACTION_TYPES.BUY, '2023-03-15'],
+        ['CBA', TRANSACTION_TYPES.DRP, '2023-05-02'],
+        ['XYZ', TRANSACTION_TYPES.SPLIT, '2023-06-01'],
+        ['BHP', TRANSACTION_TYPES.SELL, '2024-02-01']
+    ]);
+    const sell = trades.find(t => t.type === TRANSACTION_TYPES.SELL);
+    assert.equal(sell.quantity, 400);
+    assert.equal(sell.brokerage, 19.95);
+
+    const split = trades.find(t => t.type === TRANSACTION_TYPES.SPLIT);
+    assert.equal(split.quantity, 0);
+    assert.equal(split.unitDelta, 100);
+
+    assert.deepEqual(skipped.map(s => s.code), ['ABC', 'DEF']);
+});
+
+test('CommSec transactions derive brokerage from the settlement amount', () => {
+    const csv = [
+        'Date,Reference,Details,Debit($),Credit($),Balance($)',
+        '12/01/2024,C123,B 100 CBA @ 105.500000,10569.95,,-10569.95',
+        '20/02/2024,C124,S 50 CBA @ 110.00,,5480.05,-5089.90',
+        '21/02/2024,D1,Direct Credit 123 DIVIDEND,,50.00,-5039.90'
+    ].join('\n');
+    const { rows, source, type } = CsvParserService.parseTrades(csv);
+
+    assert.equal(source, 'CommSec Transactions');
+    assert.equal(type, 'TRADES');
+    assert.deepEqual(rows.map(r => [r.Type, r.Quantity, r.Price, r.Brokerage]), [
+        ['Buy', '100', '105.5', '19.95'],
+        ['Sell', '50', '110', '19.95']
+    ]);
+});
+
+test('SelfWealth actions map to trades and unknown actions are reported', () => {
+    const csv = [
+        'Trade Date,Settlement Date,Action,Reference,Code,Name,Units,Average Price,Consideration,Brokerage,Total',
+        '2024-03-01,2024-03-05,Buy,1,VAS,Vanguard,10,95.10,951.00,9.50,960.50',
+        '2024-03-02,2024-03-06,Transfer In,2,VGS,Vanguard,5,110.00,550.00,0,550.00'
+    ].join('\n');
+    const { rows, skipped, source } = CsvParserService.parseTrades(csv);
+
+    assert.equal(source, 'SelfWealth');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].Brokerage, '9.5');
+    assert.deepEqual(skipped, [{ code: 'VGS', reason: 'Unsupported action "Transfer In"' }]);
+});
+
+test('Stake and Pearler skip trades outside the ASX', () => {
+    const stake = [
+        'Trade Date,Symbol,Side,Units,Avg. Price,Fees,GST,Currency',
+        '2024-04-01,BHP,Buy,10,45.00,3.00,0.30,AUD',
+        '2024-04-02,AAPL,Buy,1,170.00,3.00,0,USD'
+    ].join('\n');
+    const stakeResult = CsvParserService.parseTrades(stake);
+    assert.equal(stakeResult.source, 'Stake');
+    assert.deepEqual(stakeResult.rows.map(r => [r.Code, r.Brokerage]), [['BHP', '3.30']]);
+    assert.deepEqual(stakeResult.skipped.map(s => s.code), ['AAPL']);
+
+    const pearler = [
+        'Date,Ticker,Exchange,Type,Quantity,Price,Brokerage',
+        '2024-05-01,A200,ASX,Buy,20,130.00,6.50',
+        '2024-05-02,VTI,NYSE,Buy,2,250.00,6.50'
+    ].join('\n');
+    const pearlerResult = CsvParserService.parseTrades(pearler);
+    assert.equal(pearlerResult.source, 'Pearler');
+    assert.deepEqual(pearlerResult.rows.map(r => r.Code), ['A200']);
+    assert.deepEqual(pearlerResult.skipped, [{ code: 'VTI', reason: 'Not an ASX trade (NYSE)' }]);
+});
+
+test('files without a broker signature fall back to the Sharesight parser', () => {
+    assert.equal(CsvParserService.detectBroker(SHARESIGHT_TRADES), null);
+    assert.equal(CsvParserService.parseTrades(SHARESIGHT_TRADES).source, 'Sharesight');
+});
@@ -0,0 +1,81 @@
+/**
+ * CurrencyService.test.mjs
+ * Currency lookup, AUD cross rates, holding conversion with FX impact and pending rates.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CurrencyService } from '../modules/data/CurrencyService.js';
+import { AppState } from '../modules/state/AppState.js';
+
+const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} !~ ${expected}`);
+
+const FEED = new Map([
+    ['AUDUSD=X', { live: 0.65, pctChange: 0 }],
+    ['AUDGBP=X', { live: 0.5, pctChange: 0 }]
+]);
+
+test('items default to AUD and the base currency follows the preference', (t) => {
+    assert.equal(CurrencyService.currencyOf({ currency: 'usd' }), 'USD');
+    assert.equal(CurrencyService.currencyOf({ currency: 'XYZ' }), 'AUD');
+    assert.equal(CurrencyService.currencyOf(null), 'AUD');
+
+    const saved = AppState.preferences.baseCurrency;
+    t.after(() => { AppState.preferences.baseCurrency = saved; });
+
+    AppState.preferences.baseCurrency = 'GBP';
+    assert.equal(CurrencyService.baseCurrency(), 'GBP');
+    assert.equal(CurrencyService.isForeign({}), true);
+    assert.equal(CurrencyService.isForeign({ currency: 'GBP' }), false);
+
+    AppState.preferences.baseCurrency = 'bogus';
+    assert.equal(CurrencyService.baseCurrency(), 'AUD');
+});
+
+test('any pair converts through the AUD crosses', () => {
+    assert.deepEqual(CurrencyService.rate('USD', 'USD', FEED), { now: 1, previous: 1 });
+    near(CurrencyService.rate('USD', 'AUD', FEED).now, 1 / 0.65);
+    near(CurrencyService.rate('USD', 'GBP', FEED).now, 0.5 / 0.65);
+    near(CurrencyService.rate('AUD', 'USD', FEED).now, 0.65);
+    assert.equal(CurrencyService.rate('EUR', 'AUD', FEED), null);
+
+    // The previous close backs out the day's change
+    const moved = new Map([['AUDUSD=X', { live: 0.66, pctChange: 10 }]]);
+    near(CurrencyService.rate('AUD', 'USD', moved).previous, 0.6);
+});
+
+test('amounts without a rate yet stay unconverted', () => {
+    near(CurrencyService.toBase(65, 'USD', FEED), 100);
+    assert.equal(CurrencyService.toBase('40', 'EUR', FEED), 40);
+    assert.equal(CurrencyService.toBase(undefined, 'USD', FEED), 0);
+});
+
+test('holdings convert at today\'s rate with the cost at the purchase rate', () => {
+    const converted = CurrencyService.convertHolding({ value: 650, previousValue: 650, cost: 520 }, 'USD', 0.8, FEED);
+    near(converted.value, 1000);
+    near(converted.costBasis, 650);
+    near(converted.gainFxImpact, 150);
+    assert.equal(converted.dayChangeValue, 0);
+    assert.equal(converted.fxPending, false);
+
+    // No purchase rate: cost converts at today's rate and the gain carries no FX impact
+    const unrecorded = CurrencyService.convertHolding({ value: 650, previousValue: 650, cost: 520 }, 'USD', null, FEED);
+    near(unrecorded.costBasis, 800);
+    assert.equal(unrecorded.gainFxImpact, 0);
+});
+
+test('a day\'s FX move is split out of the day change', () => {
+    const moved = new Map([['AUDUSD=X', { live: 0.5, pctChange: -50 / 3 }]]); // 0.6 at the previous close
+    const converted = CurrencyService.convertHolding({ value: 66, previousValue: 60, cost: 60 }, 'USD', null, moved);
+    near(converted.dayFxImpact, 60 * (2 - 1 / 0.6));
+    near(converted.dayChangeValue, 132 - 100);
+});
+
+test('holdings whose rate has not loaded are flagged pending', () => {
+    const pending = CurrencyService.convertHolding({ value: 100, previousValue: 90, cost: 80 }, 'EUR', 0.6, FEED);
+    assert.deepEqual(
+        [pending.value, pending.dayChangeValue, pending.costBasis, pending.gainFxImpact, pending.fxPending],
+        [100, 10, 80, 0, true]
+    );
+    assert.equal(CurrencyService.convertHolding({ value: 1, previousValue: 1, cost: 1 }, 'AUD', null, new Map()).fxPending, false);
+});
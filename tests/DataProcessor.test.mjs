@@ -0,0 +1,84 @@
+/**
+ * DataProcessor.test.mjs
+ * Ledger replay: parcels, brokerage, splits, realised P/L and oversold sells.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveHoldings, getShareTransactions } from '../modules/data/DataProcessor.js';
+import { TRANSACTION_TYPES, CGT_METHODS } from '../modules/utils/AppConstants.js';
+
+const buy = (id, date, quantity, price, brokerage = 0) => ({ id, type: TRANSACTION_TYPES.BUY, date, quantity, price, brokerage });
+const sell = (id, date, quantity, price, brokerage = 0, lotTxnId) => ({ id, type: TRANSACTION_TYPES.SELL, date, quantity, price, brokerage, lotTxnId });
+
+test('buys build parcels with brokerage in the cost base', () => {
+    const h = deriveHoldings([buy('b1', '2024-01-10', 100, 10, 10), buy('b2', '2024-03-01', 50, 12)]);
+    assert.equal(h.units, 150);
+    assert.equal(h.costBase, 1010 + 600);
+    assert.equal(h.averageCost, 1610 / 150);
+    assert.equal(h.lots.length, 2);
+    assert.equal(h.lastBuyDate, '2024-03-01');
+});
+
+test('sells consume parcels FIFO and net brokerage from proceeds', () => {
+    const h = deriveHoldings([
+        buy('b1', '2024-01-10', 100, 10),
+        buy('b2', '2024-03-01', 100, 20),
+        sell('s1', '2024-06-01', 150, 15, 15)
+    ]);
+    assert.equal(h.units, 50);
+    assert.equal(h.costBase, 50 * 20);
+    // Proceeds 150 x 15 - 15 = 2235; cost 1000 + 1000 = 2000
+    assert.ok(Math.abs(h.realisedPnL - 235) < 1e-9);
+    assert.deepEqual(h.disposals.map(d => d.buyTxnId), ['b1', 'b2']);
+    assert.equal(h.oversoldUnits, 0);
+});
+
+test('a loss is reported as a negative realised P/L', () => {
+    const h = deriveHoldings([buy('b1', '2024-01-10', 100, 10), sell('s1', '2024-02-10', 100, 8)]);
+    assert.equal(h.realisedPnL, -200);
+    assert.equal(h.units, 0);
+});
+
+test('a sell can pick its parcel (MANUAL) and falls back to FIFO', () => {
+    const ledger = [
+        buy('b1', '2024-01-10', 100, 10),
+        buy('b2', '2024-03-01', 100, 20),
+        sell('s1', '2024-06-01', 120, 25, 0, 'b2')
+    ];
+    const h = deriveHoldings(ledger, { method: CGT_METHODS.MANUAL });
+    assert.deepEqual(h.disposals.map(d => [d.buyTxnId, d.quantity]), [['b2', 100], ['b1', 20]]);
+    assert.equal(h.units, 80);
+});
+
+test('splits rescale open parcels and keep their total cost', () => {
+    const h = deriveHoldings([
+        buy('b1', '2024-01-10', 100, 10),
+        { id: 'x1', type: TRANSACTION_TYPES.SPLIT, date: '2024-05-01', ratioFrom: 1, ratioTo: 2 }
+    ]);
+    assert.equal(h.units, 200);
+    assert.equal(h.costBase, 1000);
+    assert.equal(h.averageCost, 5);
+});
+
+test('asOfDate replays only transactions up to that day', () => {
+    const ledger = [buy('b1', '2024-01-10', 100, 10), sell('s1', '2024-06-01', 40, 12)];
+    assert.equal(deriveHoldings(ledger, { asOfDate: '2024-05-31' }).units, 100);
+    assert.equal(deriveHoldings(ledger, { asOfDate: '2024-06-01' }).units, 60);
+});
+
+test('units sold beyond the holding are reported, not held negative', () => {
+    const h = deriveHoldings([buy('b1', '2024-01-10', 100, 10), sell('s1', '2024-02-10', 130, 12)]);
+    assert.equal(h.units, 0);
+    assert.equal(h.oversoldUnits, 30);
+    assert.equal(h.realisedPnL, 200);
+});
+
+test('legacy holdings migrate to a synthetic opening buy', () => {
+    const [opening] = getShareTransactions({ portfolioShares: '250', portfolioAvgPrice: '4.2', purchaseDate: '2023-08-01' });
+    assert.equal(opening.type, TRANSACTION_TYPES.BUY);
+    assert.equal(opening.quantity, 250);
+    assert.equal(opening.price, 4.2);
+    assert.equal(opening.date, '2023-08-01');
+    assert.equal(opening.isSynthetic, true);
+});
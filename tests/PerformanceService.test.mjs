@@ -0,0 +1,55 @@
+/**
+ * PerformanceService.test.mjs
+ * Return math (XIRR, TWR) and split-adjusted valuation of ledger positions.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerformanceService } from '../modules/data/PerformanceService.js';
+import { DividendService } from '../modules/data/DividendService.js';
+import { TRANSACTION_TYPES } from '../modules/utils/AppConstants.js';
+
+const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} !~ ${expected}`);
+
+test('xirr solves the annual rate of dated flows', () => {
+    near(PerformanceService.xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 1100 }]), 0.1);
+    near(PerformanceService.xirr([{ date: '2023-01-01', amount: -1000 }, { date: '2024-01-01', amount: 800 }]), -0.2);
+});
+
+test('xirr needs both a contribution and a return', () => {
+    assert.equal(PerformanceService.xirr([{ date: '2023-01-01', amount: -1000 }]), null);
+    assert.equal(PerformanceService.xirr([]), null);
+});
+
+test('time-weighted return ignores the size of contributions', () => {
+    // +10% on day 1, then a large buy that also returns +10%
+    const twr = PerformanceService.timeWeightedReturn(1000, [
+        { value: 1100, inflow: 0, outflow: 0 },
+        { value: 12100, inflow: 9900, outflow: 0 }
+    ]);
+    near(twr, 0.21);
+    assert.equal(PerformanceService.timeWeightedReturn(0, [{ value: 0, inflow: 0, outflow: 0 }]), null);
+});
+
+test('pre-split units are restated in post-split terms', async (t) => {
+    t.mock.method(DividendService, 'getPaidDividends', async () => []);
+    const share = {
+        id: 's1',
+        shareName: 'XYZ',
+        transactions: [
+            { id: 'b1', type: TRANSACTION_TYPES.BUY, date: '2024-01-10', quantity: 100, price: 20, brokerage: 0 },
+            { id: 'x1', type: TRANSACTION_TYPES.SPLIT, date: '2024-06-01', ratioFrom: 1, ratioTo: 2 }
+        ]
+    };
+    const position = await PerformanceService._buildPosition(share, '2024-12-31');
+
+    assert.equal(position.unitsOn('2024-02-01'), 200);
+    assert.equal(position.unitsOn('2024-07-01'), 200);
+
+    // Without history the ledger buy price is split-adjusted to match
+    const prices = PerformanceService._buildPriceLookup([], position, 0, '2024-12-31');
+    assert.equal(prices.closeOn('2024-02-01'), 10);
+
+    const series = PerformanceService._buildSeries([position], new Map([['XYZ', prices]]));
+    assert.equal(series.valueOn('2024-02-01'), 2000);
+});
@@ -0,0 +1,101 @@
+/**
+ * SuperService.test.mjs
+ * Contributions and their deposits, cap usage per financial year and the retirement projection.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SuperService } from '../modules/data/SuperService.js';
+import {
+    SUPER_CONTRIBUTION_TYPES as C, SUPER_CAP_DEFAULTS, SUPER_CONTRIBUTIONS_TAX_PCT,
+    SUPER_INVESTMENT_OPTIONS, SUPER_OPTION_RETURN_PCT, SUPER_RETIREMENT_AGE_DEFAULT, CASH_HISTORY_TYPES as T
+} from '../modules/utils/AppConstants.js';
+
+const near = (actual, expected, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${actual} !~ ${expected}`);
+const NET = 1 - SUPER_CONTRIBUTIONS_TAX_PCT / 100;
+
+const CONTRIBUTIONS = [
+    { id: 'b', date: '2024-07-01', type: C.SALARY_SACRIFICE, amount: 1000 },
+    { id: 'a', date: '2024-06-30', type: C.EMPLOYER, amount: '2000.005' },
+    { id: 'c', date: '2024-08-15', type: C.PERSONAL, amount: 5000 },
+    { id: 'x', date: '2024-08-15', type: 'bonus', amount: 10 },
+    { id: 'y', date: 'soon', type: C.PERSONAL, amount: 10 },
+    { id: 'z', date: '2024-08-15', type: C.PERSONAL, amount: 0 }
+];
+
+test('contributions sort by date and drop invalid rows', () => {
+    assert.deepEqual(
+        SuperService.normalizeContributions(CONTRIBUTIONS).map(c => [c.id, c.amount]),
+        [['a', 2000.01], ['b', 1000], ['c', 5000]]
+    );
+    assert.deepEqual(SuperService.normalizeContributions(null), []);
+});
+
+test('concessional contributions are credited net of contributions tax', () => {
+    assert.equal(SuperService.isConcessional({ type: C.EMPLOYER }), true);
+    assert.equal(SuperService.isConcessional({ type: C.PERSONAL }), false);
+    near(SuperService.netAmount({ type: C.SALARY_SACRIFICE, amount: 1000 }), 1000 * NET);
+    assert.equal(SuperService.netAmount({ type: C.PERSONAL, amount: 1000 }), 1000);
+});
+
+test('each contribution is a deposit in the balance history with the same ID', () => {
+    const opening = [{ id: 'o', date: '2024-01-01', type: T.REVALUATION, amount: 50000 }];
+    const added = SuperService.addContribution({ contributions: [], balanceHistory: opening }, { date: '2024-02-01', type: C.EMPLOYER, amount: 1000 });
+    const [contribution] = added.contributions;
+    const deposit = added.balanceHistory.at(-1);
+    assert.deepEqual([deposit.id, deposit.type, deposit.amount, deposit.balance], [contribution.id, T.DEPOSIT, 1000 * NET, 50000 + 1000 * NET]);
+
+    const removed = SuperService.removeContribution(added, contribution.id);
+    assert.deepEqual(removed.contributions, []);
+    assert.deepEqual(removed.balanceHistory.map(e => e.id), ['o']);
+
+    // A deposit already folded into the opening balance stays part of it
+    const folded = SuperService.removeContribution({ contributions: added.contributions, balanceHistory: opening }, contribution.id);
+    assert.deepEqual([folded.contributions.length, folded.balanceHistory.length], [0, 1]);
+});
+
+test('cap usage counts gross amounts per financial year against the account or default caps', () => {
+    const asset = { contributions: CONTRIBUTIONS };
+    const fy25 = SuperService.capUsage(asset, 'FY2024-25');
+    assert.deepEqual(fy25.concessional, {
+        used: 1000,
+        cap: SUPER_CAP_DEFAULTS.CONCESSIONAL,
+        remaining: SUPER_CAP_DEFAULTS.CONCESSIONAL - 1000,
+        pct: (1000 / SUPER_CAP_DEFAULTS.CONCESSIONAL) * 100
+    });
+    assert.equal(fy25.nonConcessional.used, 5000);
+    assert.equal(SuperService.capUsage(asset, 'FY2023-24').concessional.used, 2000.01);
+
+    const over = SuperService.capUsage({ ...asset, concessionalCap: '500', nonConcessionalCap: 0 }, 'FY2024-25');
+    assert.equal(over.concessional.remaining, -500);
+    assert.equal(over.nonConcessional.cap, SUPER_CAP_DEFAULTS.NON_CONCESSIONAL);
+
+    const years = SuperService.capUsageByYear(asset, new Date(2025, 9, 1));
+    assert.deepEqual(years.map(y => y.fy), ['FY2025-26', 'FY2024-25', 'FY2023-24']);
+});
+
+test('the projection repeats the last twelve months of net contributions', () => {
+    const asOf = new Date(2025, 5, 30);
+    const asset = { balance: 100000, birthDate: '1985-06-30', contributions: CONTRIBUTIONS, assumedReturn: 0 };
+    assert.equal(SuperService.annualContribution(asset, asOf), 1000 * NET + 5000); // 30 June 2024 falls outside
+
+    const flat = SuperService.projection(asset, asOf);
+    assert.equal(flat.retirementAge, SUPER_RETIREMENT_AGE_DEFAULT);
+    near(flat.age + flat.years, SUPER_RETIREMENT_AGE_DEFAULT);
+    near(flat.value, 100000 + flat.annualContribution * flat.years);
+
+    const growing = SuperService.projection({ ...asset, assumedReturn: 5 }, asOf);
+    const growth = Math.pow(1.05, growing.years);
+    near(growing.value, 100000 * growth + growing.annualContribution * (growth - 1) / 0.05);
+});
+
+test('the assumed return defaults to the investment option, and the projection needs a future retirement', () => {
+    assert.equal(SuperService.returnPctOf({ investmentOption: SUPER_INVESTMENT_OPTIONS.GROWTH }), SUPER_OPTION_RETURN_PCT[SUPER_INVESTMENT_OPTIONS.GROWTH]);
+    assert.equal(SuperService.returnPctOf({}), SUPER_OPTION_RETURN_PCT[SUPER_INVESTMENT_OPTIONS.BALANCED]);
+    assert.equal(SuperService.returnPctOf({ assumedReturn: '0' }), 0);
+
+    const asOf = new Date(2025, 5, 30);
+    assert.equal(SuperService.projection({ balance: 1 }, asOf), null);
+    assert.equal(SuperService.projection({ balance: 1, birthDate: '1950-01-01' }, asOf), null);
+    assert.equal(SuperService.projection({ balance: 1, birthDate: '1990-01-01', retirementAge: 60 }, asOf).retirementAge, 60);
+});
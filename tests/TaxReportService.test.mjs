@@ -0,0 +1,133 @@
+/**
+ * TaxReportService.test.mjs
+ * Capital gains: parcel matching, the 12-month discount and loss ordering / carry-forward.
+ * Dividend statement: entitlement-date units, franking split and undated ledgers.
+ * Both: foreign-currency ledgers are left out and reported.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaxReportService } from '../modules/data/TaxReportService.js';
+import { DividendService } from '../modules/data/DividendService.js';
+import { TRANSACTION_TYPES, CGT_METHODS } from '../modules/utils/AppConstants.js';
+
+const buy = (id, date, quantity, price) => ({ id, type: TRANSACTION_TYPES.BUY, date, quantity, price, brokerage: 0 });
+const sell = (id, date, quantity, price) => ({ id, type: TRANSACTION_TYPES.SELL, date, quantity, price, brokerage: 0 });
+const share = (id, code, transactions) => ({ id, shareName: code, transactions });
+
+test('the discount needs more than 12 months between acquisition and disposal', () => {
+    assert.equal(TaxReportService.isDiscountEligible('2023-03-15', '2024-03-15'), false);
+    assert.equal(TaxReportService.isDiscountEligible('2023-03-15', '2024-03-16'), true);
+    assert.equal(TaxReportService.isDiscountEligible('', '2024-03-16'), false);
+});
+
+test('disposals follow the chosen parcel matching method', () => {
+    const shares = [share('s1', 'BHP', [
+        buy('b1', '2022-01-10', 100, 10),
+        buy('b2', '2023-01-10', 100, 30),
+        sell('x1', '2023-06-01', 100, 20)
+    ])];
+    const fifo = TaxReportService.getDisposals(shares, CGT_METHODS.FIFO);
+    const lifo = TaxReportService.getDisposals(shares, CGT_METHODS.LIFO);
+    const highest = TaxReportService.getDisposals(shares, CGT_METHODS.HIGHEST_COST);
+
+    assert.equal(fifo[0].gain, 1000);
+    assert.equal(fifo[0].discountEligible, true);
+    assert.equal(lifo[0].gain, -1000);
+    assert.equal(lifo[0].discountEligible, false);
+    assert.equal(highest[0].buyTxnId, 'b2');
+    assert.equal(fifo[0].financialYear, 'FY2022-23');
+});
+
+test('losses offset non-discountable gains before the discount is taken', () => {
+    const shares = [
+        share('s1', 'AAA', [buy('a1', '2020-01-01', 100, 10), sell('a2', '2023-08-01', 100, 30)]), // +2000, discountable
+        share('s2', 'BBB', [buy('b1', '2023-07-10', 100, 10), sell('b2', '2023-09-01', 100, 20)]), // +1000, not discountable
+        share('s3', 'CCC', [buy('c1', '2023-07-10', 100, 20), sell('c2', '2023-10-01', 100, 5)])   // -1500
+    ];
+    const [year] = TaxReportService.buildCapitalGainsReport(shares, CGT_METHODS.FIFO).years;
+
+    assert.equal(year.label, 'FY2023-24');
+    assert.equal(year.totalGains, 3000);
+    assert.equal(year.totalLosses, 1500);
+    // 1500 of losses clears the 1000 short-term gain, then 500 of the discountable 2000
+    assert.equal(year.discount, 750);
+    assert.equal(year.netCapitalGain, 750);
+    assert.equal(year.lossesCarriedForward, 0);
+});
+
+test('unused losses carry forward to the next financial year', () => {
+    const shares = [
+        share('s1', 'AAA', [buy('a1', '2022-08-01', 100, 20), sell('a2', '2022-12-01', 100, 10)]), // -1000 in FY2022-23
+        share('s2', 'BBB', [buy('b1', '2023-08-01', 100, 10), sell('b2', '2023-12-01', 100, 16)])  // +600 in FY2023-24
+    ];
+    const [first, second] = TaxReportService.buildCapitalGainsReport(shares, CGT_METHODS.FIFO).years;
+
+    assert.equal(first.netCapitalGain, 0);
+    assert.equal(first.lossesCarriedForward, 1000);
+    assert.equal(second.lossesBroughtForward, 1000);
+    assert.equal(second.netCapitalGain, 0);
+    assert.equal(second.lossesCarriedForward, 400);
+});
+
+test('dividends use the units held the day before the ex-date', async (t) => {
+    t.mock.method(DividendService, 'getHistory', async () => ({
+        history: [
+            { exDate: '2023-09-01', amount: 1, franking: 1 },
+            { exDate: '2024-03-01', amount: 0.5, franking: null }
+        ]
+    }));
+    const shares = [share('s1', 'CBA', [buy('b1', '2023-08-31', 100, 10), buy('b2', '2024-03-01', 100, 10)])];
+    const { years, undatedCodes } = await TaxReportService.buildDividendStatement(shares);
+
+    assert.deepEqual(undatedCodes, []);
+    assert.equal(years.length, 1);
+    const [year] = years;
+    assert.equal(year.label, 'FY2023-24');
+    // b2 bought on the second ex-date is not entitled
+    assert.deepEqual(year.payments.map(p => p.units), [100, 100]);
+    assert.equal(year.cashDividends, 150);
+    assert.equal(year.frankedAmount, 100);
+    assert.equal(year.frankingCredits, DividendService.frankingCredit(100, 1));
+    assert.equal(year.hasUnknownFranking, true);
+});
+
+test('payments fall in the financial year they are paid', async (t) => {
+    t.mock.method(DividendService, 'getHistory', async () => ({
+        history: [
+            { exDate: '2024-06-20', payDate: '2024-07-10', amount: 1, franking: 1 },
+            { exDate: '2024-06-10', amount: 0.5, franking: 1 } // Estimated pay date 8 July
+        ]
+    }));
+    const { years } = await TaxReportService.buildDividendStatement([share('s1', 'CBA', [buy('b1', '2024-01-10', 100, 10)])]);
+
+    assert.deepEqual(years.map(y => y.label), ['FY2024-25']);
+    assert.deepEqual(years[0].payments.map(p => [p.payDate, p.payDateEstimated]), [['2024-07-08', true], ['2024-07-10', false]]);
+});
+
+test('ledgers with an undated purchase are excluded and reported', async (t) => {
+    t.mock.method(DividendService, 'getHistory', async () => ({ history: [{ exDate: '2015-09-01', amount: 1, franking: 1 }] }));
+    const shares = [
+        { id: 's1', shareName: 'WES', portfolioShares: '100', portfolioAvgPrice: '40' },
+        share('s2', 'NAB', [buy('b1', '2024-01-10', 50, 30)])
+    ];
+    const { years, undatedCodes } = await TaxReportService.buildDividendStatement(shares);
+
+    assert.deepEqual(undatedCodes, ['WES']);
+    assert.deepEqual(years, []);
+});
+
+test('foreign-currency ledgers are left out of both reports and listed', async (t) => {
+    t.mock.method(DividendService, 'getHistory', async () => ({ history: [{ exDate: '2024-03-01', amount: 1, franking: 0 }] }));
+    const shares = [
+        share('s1', 'BHP', [buy('b1', '2023-01-10', 100, 10), sell('x1', '2024-06-01', 100, 20)]),
+        { ...share('s2', 'AAPL', [buy('b2', '2023-01-10', 10, 100), sell('x2', '2024-06-01', 10, 150)]), currency: 'USD' }
+    ];
+
+    assert.deepEqual(TaxReportService.getDisposals(shares).map(d => d.code), ['BHP']);
+    assert.deepEqual(TaxReportService.buildCapitalGainsReport(shares).foreignCodes, ['AAPL']);
+
+    const statement = await TaxReportService.buildDividendStatement(shares);
+    assert.deepEqual(statement.foreignCodes, ['AAPL']);
+    assert.deepEqual(statement.years[0].payments.map(p => p.code), ['BHP']);
+});
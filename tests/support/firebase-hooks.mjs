@@ -0,0 +1,12 @@
+/**
+ * firebase-hooks.mjs
+ * Module resolve hook: Firebase SDK URLs (gstatic CDN) load firebase-stub.mjs instead.
+ */
+
+const FIREBASE_CDN = 'https://www.gstatic.com/firebasejs/';
+const STUB_URL = new URL('./firebase-stub.mjs', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.startsWith(FIREBASE_CDN)) return { url: STUB_URL, shortCircuit: true };
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,44 @@
+/**
+ * firebase-stub.mjs
+ * Inert stand-in for the Firebase SDK, which the app loads from the gstatic CDN.
+ * Unit tests only exercise pure logic; any module that touches Firestore at import
+ * time gets functions that do nothing. Add a name here when a module imports a new one.
+ */
+
+function inert() {
+    return Promise.resolve({});
+}
+
+export {
+    inert as initializeApp,
+    inert as getAuth,
+    inert as signInWithPopup,
+    inert as GoogleAuthProvider,
+    inert as signOut,
+    inert as onAuthStateChanged,
+    inert as setPersistence,
+    inert as initializeFirestore,
+    inert as persistentLocalCache,
+    inert as persistentMultipleTabManager,
+    inert as collection,
+    inert as doc,
+    inert as getDoc,
+    inert as getDocs,
+    inert as getDocFromServer,
+    inert as setDoc,
+    inert as addDoc,
+    inert as updateDoc,
+    inert as deleteDoc,
+    inert as deleteField,
+    inert as onSnapshot,
+    inert as query,
+    inert as where,
+    inert as orderBy,
+    inert as limit,
+    inert as arrayUnion,
+    inert as arrayRemove,
+    inert as serverTimestamp,
+    inert as writeBatch
+};
+
+export const browserLocalPersistence = {};
@@ -0,0 +1,21 @@
+/**
+ * setup.mjs
+ * Preloaded by the test command (--import) so browser modules can be imported under Node:
+ *   - Firebase CDN imports resolve to an inert stub (firebase-stub.mjs)
+ *   - localStorage is an in-memory store, cleared with resetStorage()
+ */
+
+import { register } from 'node:module';
+
+register('./firebase-hooks.mjs', import.meta.url);
+
+const store = new Map();
+
+globalThis.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => { store.set(key, String(value)); },
+    removeItem: (key) => { store.delete(key); },
+    clear: () => { store.clear(); },
+    key: (index) => [...store.keys()][index] ?? null,
+    get length() { return store.size; }
+};